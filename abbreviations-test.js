@@ -0,0 +1,35 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Abbreviation Dictionary Regression Tests
+ * ========================================================================
+ *
+ * Run with: node --test abbreviations-test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AbbreviationDictionary } from './abbreviations.js';
+
+const dictionary = new AbbreviationDictionary();
+
+test('an abbreviation already annotated in either order is left as written', () => {
+    for (const text of ['SAH (subarachnoid hemorrhage) on CT.', 'Subarachnoid hemorrhage (SAH) on CT.', 'SAHs (subarachnoid hemorrhages) seen.']) {
+        assert.equal(dictionary.expand(text), text);
+        assert.equal(dictionary.expand(text, { annotate: true }), text);
+    }
+    assert.equal(dictionary.expand('SAH (see CT) noted.'), 'Subarachnoid hemorrhage (see CT) noted.');
+});
+
+test('an expansion opening a sentence keeps its capital', () => {
+    assert.equal(dictionary.expand('SAH on CT. Plan ACDF.', { annotate: true }),
+        'Subarachnoid hemorrhage (SAH) on CT. Plan anterior cervical discectomy and fusion (ACDF).');
+    assert.equal(dictionary.expand('- SAH noted'), '- Subarachnoid hemorrhage noted');
+    assert.equal(dictionary.expand('Patient has SAH.'), 'Patient has subarachnoid hemorrhage.');
+});
+
+test('both annotation orders compare and contract like the expansion', () => {
+    assert.ok(dictionary.areEquivalent('SAH (subarachnoid haemorrhage)', 'subarachnoid hemorrhage'));
+    assert.ok(dictionary.areEquivalent('Subarachnoid hemorrhage (SAH)', 'SAH'));
+    assert.equal(dictionary.contract('SAH (subarachnoid hemorrhage) and anterior cervical discectomy and fusion (ACDF)'), 'SAH and ACDF');
+});
@@ -0,0 +1,426 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Abbreviation Dictionary
+ * ========================================================================
+ *
+ * Neurosurgical abbreviations (SAH, ACDF, EVD, VP shunt, GBM...) with
+ * their expansions, for deterministic handling instead of asking the LLM:
+ *
+ * - expand(): transcript pre-normalization before prompting
+ *   ("SAH" → "subarachnoid hemorrhage (SAH)" when annotated)
+ * - contract(): expansion → abbreviation for compact outputs
+ * - normalize()/areEquivalent(): canonical form for comparison, so
+ *   "subarachnoid hemorrhage" in a note matches "SAH" in a transcript
+ *   (fabrication detection, grounding quote matching)
+ *
+ * Ambiguous abbreviations (PT, PCA, PE, MS, LP) list several senses with
+ * context words; the sense with most context words near it (same
+ * sentence) wins, and with no context the abbreviation is left alone
+ * unless a sense is the default.
+ *
+ * @author NeuroScribe Development Team
+ * @version 11.0.0
+ * @license MIT
+ */
+
+import { tokenize, containsPhrase, normalizeText, sentenceAt, escapeRegExp } from './clinical-text.js';
+
+/**
+ * ========================================================================
+ * DICTIONARY
+ * ========================================================================
+ *
+ * {abbr, expansion, variants?, aliases?} or {abbr, senses: [{expansion,
+ * context, default?}], aliases?}. Abbreviations match case-sensitively;
+ * aliases are alternative spellings ("afib"), variants alternative
+ * expansions ("haemorrhage").
+ */
+
+export const NEUROSURGERY_ABBREVIATIONS = [
+    // Hemorrhage and vascular
+    { abbr: 'SAH', expansion: 'subarachnoid hemorrhage', variants: ['subarachnoid haemorrhage'] },
+    { abbr: 'aSAH', expansion: 'aneurysmal subarachnoid hemorrhage', variants: ['aneurysmal subarachnoid haemorrhage'] },
+    { abbr: 'ICH', expansion: 'intracerebral hemorrhage', variants: ['intracerebral haemorrhage', 'intraparenchymal hemorrhage'] },
+    { abbr: 'IVH', expansion: 'intraventricular hemorrhage', variants: ['intraventricular haemorrhage'] },
+    { abbr: 'SDH', expansion: 'subdural hematoma', variants: ['subdural haematoma'] },
+    { abbr: 'cSDH', expansion: 'chronic subdural hematoma', variants: ['chronic subdural haematoma'] },
+    { abbr: 'EDH', expansion: 'epidural hematoma', variants: ['extradural hematoma', 'epidural haematoma', 'extradural haematoma'] },
+    { abbr: 'AVM', expansion: 'arteriovenous malformation' },
+    { abbr: 'dAVF', expansion: 'dural arteriovenous fistula', aliases: ['DAVF'] },
+    { abbr: 'ACOM', expansion: 'anterior communicating artery', aliases: ['AComm', 'ACoA'] },
+    { abbr: 'PCOM', expansion: 'posterior communicating artery', aliases: ['PComm', 'PCoA'] },
+    { abbr: 'MCA', expansion: 'middle cerebral artery' },
+    { abbr: 'ICA', expansion: 'internal carotid artery' },
+    { abbr: 'ACA', expansion: 'anterior cerebral artery' },
+    {
+        abbr: 'PCA',
+        senses: [
+            { expansion: 'posterior cerebral artery', context: ['artery', 'aneurysm', 'territory', 'infarct', 'stroke', 'occlusion', 'P1', 'P2'] },
+            { expansion: 'patient-controlled analgesia', context: ['analgesia', 'pump', 'morphine', 'hydromorphone', 'dilaudid', 'opioid', 'pain'] }
+        ]
+    },
+    { abbr: 'TIA', expansion: 'transient ischemic attack' },
+    { abbr: 'CVA', expansion: 'cerebrovascular accident' },
+    { abbr: 'DVT', expansion: 'deep vein thrombosis' },
+    {
+        abbr: 'PE',
+        senses: [
+            { expansion: 'pulmonary embolism', context: ['DVT', 'embolus', 'clot', 'anticoagulation', 'heparin', 'CTA', 'CT angiogram', 'hypoxia'] },
+            { expansion: 'physical exam', context: ['exam', 'examination', 'findings', 'unremarkable', 'normal', 'vitals'] }
+        ]
+    },
+
+    // Spine
+    { abbr: 'ACDF', expansion: 'anterior cervical discectomy and fusion' },
+    { abbr: 'PCDF', expansion: 'posterior cervical decompression and fusion' },
+    { abbr: 'TLIF', expansion: 'transforaminal lumbar interbody fusion' },
+    { abbr: 'PLIF', expansion: 'posterior lumbar interbody fusion' },
+    { abbr: 'ALIF', expansion: 'anterior lumbar interbody fusion' },
+    { abbr: 'XLIF', expansion: 'extreme lateral interbody fusion' },
+    { abbr: 'LLIF', expansion: 'lateral lumbar interbody fusion' },
+    { abbr: 'MIS', expansion: 'minimally invasive surgery' },
+    { abbr: 'DDD', expansion: 'degenerative disc disease' },
+    { abbr: 'HNP', expansion: 'herniated nucleus pulposus' },
+    { abbr: 'DCM', expansion: 'degenerative cervical myelopathy' },
+    { abbr: 'OPLL', expansion: 'ossification of the posterior longitudinal ligament' },
+    { abbr: 'LSS', expansion: 'lumbar spinal stenosis' },
+    { abbr: 'CES', expansion: 'cauda equina syndrome' },
+    { abbr: 'SCI', expansion: 'spinal cord injury' },
+    { abbr: 'SCS', expansion: 'spinal cord stimulator' },
+
+    // Tumor
+    { abbr: 'GBM', expansion: 'glioblastoma', variants: ['glioblastoma multiforme'] },
+    { abbr: 'LGG', expansion: 'low-grade glioma', variants: ['low grade glioma'] },
+    { abbr: 'HGG', expansion: 'high-grade glioma', variants: ['high grade glioma'] },
+    { abbr: 'PCNSL', expansion: 'primary central nervous system lymphoma', variants: ['primary CNS lymphoma'] },
+    { abbr: 'GTR', expansion: 'gross total resection' },
+    { abbr: 'STR', expansion: 'subtotal resection' },
+    { abbr: 'SRS', expansion: 'stereotactic radiosurgery' },
+    { abbr: 'XRT', expansion: 'radiation therapy', variants: ['radiotherapy'] },
+    { abbr: 'TMZ', expansion: 'temozolomide' },
+
+    // CSF and hydrocephalus
+    { abbr: 'EVD', expansion: 'external ventricular drain' },
+    { abbr: 'VPS', expansion: 'ventriculoperitoneal shunt', aliases: ['VP shunt'], variants: ['ventriculo-peritoneal shunt'] },
+    {
+        abbr: 'LP',
+        senses: [
+            { expansion: 'lumbar puncture', context: ['opening pressure', 'CSF', 'tap', 'fluid', 'meningitis'], default: true },
+            { expansion: 'lumboperitoneal', context: ['shunt'] }
+        ]
+    },
+    { abbr: 'NPH', expansion: 'normal pressure hydrocephalus' },
+    { abbr: 'ETV', expansion: 'endoscopic third ventriculostomy' },
+    { abbr: 'ICP', expansion: 'intracranial pressure' },
+    { abbr: 'CPP', expansion: 'cerebral perfusion pressure' },
+    { abbr: 'CSF', expansion: 'cerebrospinal fluid' },
+
+    // Trauma and functional
+    { abbr: 'TBI', expansion: 'traumatic brain injury' },
+    { abbr: 'DAI', expansion: 'diffuse axonal injury' },
+    { abbr: 'LOC', expansion: 'loss of consciousness' },
+    { abbr: 'DBS', expansion: 'deep brain stimulation' },
+    { abbr: 'MVD', expansion: 'microvascular decompression' },
+    { abbr: 'VNS', expansion: 'vagus nerve stimulator' },
+    { abbr: 'TN', expansion: 'trigeminal neuralgia' },
+
+    // Examination
+    { abbr: 'RLE', expansion: 'right lower extremity' },
+    { abbr: 'LLE', expansion: 'left lower extremity' },
+    { abbr: 'RUE', expansion: 'right upper extremity' },
+    { abbr: 'LUE', expansion: 'left upper extremity' },
+    { abbr: 'BLE', expansion: 'bilateral lower extremities' },
+    { abbr: 'BUE', expansion: 'bilateral upper extremities' },
+    { abbr: 'UMN', expansion: 'upper motor neuron' },
+    { abbr: 'LMN', expansion: 'lower motor neuron' },
+    { abbr: 'DTR', expansion: 'deep tendon reflex' },
+    { abbr: 'EHL', expansion: 'extensor hallucis longus' },
+    { abbr: 'SLR', expansion: 'straight leg raise' },
+    { abbr: 'ROM', expansion: 'range of motion' },
+    {
+        abbr: 'MS',
+        senses: [
+            { expansion: 'mental status', context: ['alert', 'oriented', 'confused', 'GCS', 'drowsy', 'changes', 'altered'] },
+            { expansion: 'multiple sclerosis', context: ['demyelinating', 'lesions', 'relapsing', 'plaques', 'optic neuritis'] }
+        ]
+    },
+
+    // General
+    { abbr: 'HTN', expansion: 'hypertension' },
+    { abbr: 'DM', expansion: 'diabetes mellitus', aliases: ['DM2', 'T2DM'] },
+    { abbr: 'AF', expansion: 'atrial fibrillation', aliases: ['AFib', 'Afib', 'afib', 'A-fib'] },
+    { abbr: 'CAD', expansion: 'coronary artery disease' },
+    { abbr: 'CKD', expansion: 'chronic kidney disease' },
+    { abbr: 'OSA', expansion: 'obstructive sleep apnea' },
+    { abbr: 'N/V', expansion: 'nausea and vomiting' },
+    { abbr: 'HA', expansion: 'headache' },
+    { abbr: 'SOB', expansion: 'shortness of breath' },
+    { abbr: 'POD', expansion: 'postoperative day', variants: ['post-operative day', 'post-op day'] },
+    {
+        abbr: 'PT',
+        senses: [
+            { expansion: 'physical therapy', context: ['therapy', 'rehab', 'OT', 'session', 'exercises', 'referral', 'strengthening', 'ambulating'] },
+            { expansion: 'prothrombin time', context: ['INR', 'PTT', 'coagulation', 'coags', 'warfarin', 'labs'] }
+        ]
+    },
+    { abbr: 'OT', expansion: 'occupational therapy' }
+];
+
+/**
+ * ========================================================================
+ * ABBREVIATION DICTIONARY
+ * ========================================================================
+ */
+
+export class AbbreviationDictionary {
+    /**
+     * Default configuration
+     */
+    static DEFAULTS = {
+        CONTEXT_WINDOW: 8   // Words on each side (same sentence) searched for a sense's context
+    };
+
+    /**
+     * Create a dictionary
+     * @param {Array} entries - Dictionary entries (default NEUROSURGERY_ABBREVIATIONS)
+     * @param {Object} options - Configuration options
+     * @param {number} options.contextWindow - Words on each side (same sentence) searched for sense context
+     */
+    constructor(entries = NEUROSURGERY_ABBREVIATIONS, options = {}) {
+        this.contextWindow = options.contextWindow ?? AbbreviationDictionary.DEFAULTS.CONTEXT_WINDOW;
+        this.entries = [];
+        entries.forEach(entry => this.addEntry(entry));
+        this.buildPatterns();
+    }
+
+    /**
+     * Add (or replace) an abbreviation
+     * @throws {Error} If the entry has no abbreviation or expansion
+     */
+    register(entry) {
+        this.addEntry(entry);
+        this.buildPatterns();
+    }
+
+    /**
+     * Validate and store an entry (patterns are rebuilt by the caller)
+     */
+    addEntry(entry) {
+        const senses = entry?.senses || (entry?.expansion ? [{ expansion: entry.expansion, variants: entry.variants, default: true }] : []);
+        if (!entry?.abbr || senses.length === 0 || senses.some(sense => !sense.expansion)) {
+            throw new Error('Abbreviation entry requires an abbreviation and at least one expansion');
+        }
+
+        const normalized = {
+            abbr: entry.abbr,
+            aliases: entry.aliases || [],
+            senses: senses.map(sense => ({ ...sense, context: sense.context || [], variants: sense.variants || [] }))
+        };
+
+        this.entries = [...this.entries.filter(existing => existing.abbr !== entry.abbr), normalized];
+    }
+
+    /**
+     * Rebuild the matching patterns after a change
+     */
+    buildPatterns() {
+        this.byForm = new Map();
+        this.entries.forEach(entry => {
+            [entry.abbr, ...entry.aliases].forEach(form => this.byForm.set(form, entry));
+        });
+
+        // Longest forms first so "VP shunt" wins over a shorter overlap
+        const forms = [...this.byForm.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp);
+        this.abbreviationPattern = forms.length > 0
+            ? new RegExp(`(?<![A-Za-z0-9])(${forms.join('|')})(s?)(?![A-Za-z0-9])`, 'g')
+            : null;
+
+        // Variant expansions ("haemorrhage") mapped to the canonical one
+        this.variants = this.entries.flatMap(entry => entry.senses.flatMap(sense =>
+            sense.variants.map(variant => ({ pattern: new RegExp(`\\b${escapeRegExp(variant)}\\b`, 'gi'), expansion: sense.expansion }))
+        ));
+
+        // Expansions for contraction, longest first
+        this.expansions = this.entries
+            .flatMap(entry => entry.senses.map(sense => ({ abbr: entry.abbr, expansion: sense.expansion })))
+            .sort((a, b) => b.expansion.length - a.expansion.length);
+    }
+
+    /**
+     * Entry for an abbreviation or alias (case-sensitive)
+     * @returns {Object|null} {abbr, aliases, senses}
+     */
+    lookup(abbreviation) {
+        return this.byForm.get(abbreviation) || null;
+    }
+
+    /**
+     * Expansion of an abbreviation in its context
+     * @param {string} abbreviation - Abbreviation or alias
+     * @param {string} context - Surrounding text
+     * @returns {string|null} Expansion, or null when unknown or ambiguous
+     */
+    resolve(abbreviation, context = '') {
+        const entry = this.lookup(abbreviation);
+        if (!entry) return null;
+        if (entry.senses.length === 1) return entry.senses[0].expansion;
+
+        const tokens = tokenize(context);
+        const scored = entry.senses
+            .map(sense => ({ sense, hits: sense.context.filter(word => containsPhrase(tokens, word)).length }))
+            .sort((a, b) => b.hits - a.hits);
+
+        if (scored[0].hits > 0 && scored[0].hits > (scored[1]?.hits ?? 0)) {
+            return scored[0].sense.expansion;
+        }
+        return entry.senses.find(sense => sense.default)?.expansion || null;
+    }
+
+    /**
+     * Words around a position within its sentence, for sense resolution
+     */
+    contextAt(text, index, length) {
+        const sentence = sentenceAt(text, index);
+        const before = text.slice(sentence.start, index).split(/\s+/).slice(-this.contextWindow).join(' ');
+        const after = text.slice(index + length, sentence.end).split(/\s+/).slice(0, this.contextWindow + 1).join(' ');
+        return `${before} ${after}`;
+    }
+
+    /**
+     * Resolvable abbreviations of a text with their offsets
+     * An abbreviation is annotated when its expansion is spelled out beside
+     * it, either "subarachnoid hemorrhage (SAH)" or "SAH (subarachnoid
+     * hemorrhage)"; the latter also has its definition, and length covers
+     * the parenthesis.
+     * @returns {Array<{index, length, match, expansion, annotated, definition}>} In text order
+     */
+    findAbbreviations(text) {
+        if (!text || !this.abbreviationPattern) return [];
+
+        return [...text.matchAll(this.abbreviationPattern)].flatMap(({ 0: match, 1: form, 2: plural, index }) => {
+            const expansion = this.resolve(form, this.contextAt(text, index, match.length));
+            if (!expansion) return [];
+
+            const before = text.slice(0, index);
+            const after = text.slice(index + match.length);
+            const followed = after.match(/^\s*\(\s*([^()]*?)\s*\)/);
+            const definition = followed && this.isExpansionOf(followed[1], expansion) ? followed[1] : null;
+            const annotated = Boolean(definition) || (/\(\s*$/.test(before)
+                && /^\s*\)/.test(after)
+                && before.replace(/\s*\(\s*$/, '').toLowerCase().endsWith(expansion.toLowerCase()));
+
+            return [{
+                index,
+                length: match.length + (definition ? followed[0].length : 0),
+                match,
+                expansion: plural ? `${expansion}s` : expansion,
+                annotated,
+                definition
+            }];
+        });
+    }
+
+    /**
+     * Whether a written phrase is the expansion (or its plural or a variant)
+     */
+    isExpansionOf(phrase, expansion) {
+        const written = normalizeText(this.canonicalizeVariants(phrase));
+        const expected = expansion.toLowerCase();
+        return written === expected || written === `${expected}s`;
+    }
+
+    /**
+     * Whether an offset opens its sentence (only list markers or
+     * punctuation before it)
+     */
+    startsSentence(text, index) {
+        return !/[A-Za-z0-9]/.test(text.slice(sentenceAt(text, index).start, index));
+    }
+
+    /**
+     * Replace every resolvable abbreviation
+     * @param {Function} format - ({match, expansion, annotated, definition, original, sentenceStart}) => replacement;
+     *        original is the replaced text (with the definition, when there is one)
+     */
+    replaceAbbreviations(text, format) {
+        let result = '';
+        let position = 0;
+
+        this.findAbbreviations(text).forEach(entry => {
+            const original = text.slice(entry.index, entry.index + entry.length);
+            result += text.slice(position, entry.index)
+                + format({ ...entry, original, sentenceStart: this.startsSentence(text, entry.index) });
+            position = entry.index + entry.length;
+        });
+
+        return result + (text || '').slice(position);
+    }
+
+    /**
+     * Expand abbreviations (deterministic transcript pre-normalization)
+     * Already-annotated abbreviations are left as written, and an expansion
+     * opening a sentence is capitalised.
+     * @param {string} text - Transcript or note
+     * @param {Object} options - {annotate}: keep the abbreviation in
+     *        parentheses after its expansion
+     * @returns {string} Expanded text
+     */
+    expand(text, options = {}) {
+        return this.replaceAbbreviations(text, ({ match, expansion, annotated, original, sentenceStart }) => {
+            if (annotated) return original;
+
+            const written = sentenceStart ? expansion.charAt(0).toUpperCase() + expansion.slice(1) : expansion;
+            return options.annotate ? `${written} (${match})` : written;
+        });
+    }
+
+    /**
+     * Replace expansions with their abbreviation ("subarachnoid hemorrhage
+     * (SAH)", "SAH (subarachnoid hemorrhage)" and "subarachnoid hemorrhage"
+     * all become "SAH")
+     * @param {string} text - Text
+     * @returns {string} Contracted text
+     */
+    contract(text) {
+        let result = this.canonicalizeVariants(text || '');
+
+        this.expansions.forEach(({ abbr, expansion }) => {
+            const defined = new RegExp(`\\b${escapeRegExp(abbr)}(s?)\\s*\\(\\s*${escapeRegExp(expansion)}s?\\s*\\)`, 'gi');
+            result = result.replace(defined, (match, plural) => `${abbr}${plural}`);
+
+            const pattern = new RegExp(`\\b${escapeRegExp(expansion)}(s?)\\b(?:\\s*\\(${escapeRegExp(abbr)}s?\\))?`, 'gi');
+            result = result.replace(pattern, (match, plural) => `${abbr}${plural}`);
+        });
+
+        return result;
+    }
+
+    /**
+     * Variant expansions replaced with the canonical expansion
+     */
+    canonicalizeVariants(text) {
+        return this.variants.reduce((result, { pattern, expansion }) => result.replace(pattern, expansion), text);
+    }
+
+    /**
+     * Canonical comparison form: variants and abbreviations expanded,
+     * annotations dropped, lowercase, whitespace collapsed
+     * @param {string} text - Text
+     * @returns {string} Normalized text
+     */
+    normalize(text) {
+        const expanded = this.replaceAbbreviations(this.canonicalizeVariants(text || ''),
+            ({ expansion, annotated, definition }) => definition ?? (annotated ? '' : expansion));
+
+        return normalizeText(expanded.replace(/\s*\(\s*\)/g, ''));
+    }
+
+    /**
+     * Whether two texts say the same thing up to abbreviations
+     */
+    areEquivalent(a, b) {
+        return this.normalize(a) === this.normalize(b);
+    }
+}
+
+export default AbbreviationDictionary;
@@ -0,0 +1,57 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Antithrombotic Safety Regression Tests
+ * ========================================================================
+ *
+ * Run with: node --test antithrombotic-safety-test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { AntithromboticSafetyCheck } from './antithrombotic-safety.js';
+import { IssueResolver } from './issue-resolution.js';
+import { ValidationEngine } from './validation-engine.js';
+
+const check = new AntithromboticSafetyCheck();
+const PLAN_NOTE = '## HPI\n68M with neurogenic claudication.\n\n## PLAN\nL4-5 laminectomy next week.\n';
+
+test('antithrombotics after a negated comorbidity-list entry are found', () => {
+    const apixaban = check.check(PLAN_NOTE, 'No known allergies, takes apixaban 5 mg BID.');
+    assert.deepEqual(apixaban.errors.map(error => error.medication), ['apixaban']);
+
+    const warfarin = check.check(PLAN_NOTE, 'Denies smoking, on warfarin for AF.');
+    assert.deepEqual(warfarin.errors.map(error => error.medication), ['warfarin']);
+});
+
+test('a stopped antithrombotic is not required in the plan', () => {
+    assert.equal(check.check(PLAN_NOTE, 'Stopped warfarin last year.').errors.length, 0);
+});
+
+test('continuing the drug counts as addressed', () => {
+    const note = '## PLAN\nL4-5 laminectomy next week. Continue aspirin through surgery.\n';
+    const result = check.check(note, 'On aspirin 81 mg daily for CAD.');
+
+    assert.equal(result.errors.length, 0);
+    assert.equal(result.medications[0].addressed, true);
+});
+
+test('an unaddressed antithrombotic points at the plan section without replacing it', () => {
+    const [error] = check.check(PLAN_NOTE, 'Denies smoking, on warfarin for AF.').errors;
+    assert.equal(error.statement, undefined);
+    assert.equal(error.noteSection, 'plan');
+
+    const engine = new ValidationEngine();
+    const issue = engine.normalizeIssue('medication', error, 'error', engine.noteParser.parse(PLAN_NOTE));
+    assert.equal(issue.affectedText, '');
+    assert.equal(issue.location.section, 'plan');
+
+    const resolver = new IssueResolver();
+    resolver.load({ issues: [issue] });
+    resolver.approve(issue.id);
+
+    const { note, unresolved } = resolver.applyResolutions(PLAN_NOTE);
+    assert.equal(note, PLAN_NOTE);
+    assert.equal(unresolved.length, 1);
+    assert.match(resolver.buildRevisionPrompt(note, unresolved), /\(PLAN\): add "Hold warfarin/);
+});
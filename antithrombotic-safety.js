@@ -0,0 +1,301 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Antithrombotic Safety Check
+ * ========================================================================
+ *
+ * Perioperative check for anticoagulants and antiplatelets. When the
+ * source documents current antithrombotic use and the note plans an
+ * operation, the note must say what happens to the drug - held, stopped,
+ * bridged or reversed. A plan that schedules surgery without it is a
+ * critical omission.
+ *
+ * - Drugs come from the medication lexicon (classes 'anticoagulant' and
+ *   'antiplatelet'); negated source mentions ("stopped Eliquis") don't count
+ * - Operative plans are read from the note's plan section when it has one
+ * - Hold windows are drug-specific and configurable; a documented hold
+ *   shorter than the window is reported as well
+ * - Continuing the drug ("Continue aspirin through surgery") is a
+ *   documented decision and counts as addressed
+ *
+ * Run by the MedicationReconciler validation layer.
+ *
+ * @author NeuroScribe Development Team
+ * @version 11.0.0
+ * @license MIT
+ */
+
+import { MedicationLexicon } from './medication-lexicon.js';
+import { findTermMentions } from './negation.js';
+import { sentenceAt, termPattern } from './clinical-text.js';
+
+/**
+ * ========================================================================
+ * HOLD WINDOWS
+ * ========================================================================
+ *
+ * {drugId: {hours, reversal}} - minimum pre-operative hold for elective
+ * high-bleeding-risk (neurosurgical) procedures and the agents that reverse
+ * the drug when surgery can't wait (first two are named in suggestions).
+ * Override per institution.
+ */
+
+export const ANTITHROMBOTIC_HOLD_WINDOWS = {
+    // Anticoagulants
+    warfarin: { hours: 120, reversal: ['vitamin K', 'PCC', 'Kcentra', 'FFP', 'fresh frozen plasma'] },
+    apixaban: { hours: 48, reversal: ['andexanet', 'PCC', 'Andexxa', 'Kcentra'] },
+    rivaroxaban: { hours: 48, reversal: ['andexanet', 'PCC', 'Andexxa', 'Kcentra'] },
+    edoxaban: { hours: 48, reversal: ['andexanet', 'PCC', 'Andexxa', 'Kcentra'] },
+    dabigatran: { hours: 72, reversal: ['idarucizumab', 'Praxbind'] },
+    enoxaparin: { hours: 24, reversal: ['protamine'] },
+    heparin: { hours: 6, reversal: ['protamine'] },
+
+    // Antiplatelets
+    aspirin: { hours: 168, reversal: ['platelet transfusion', 'desmopressin', 'DDAVP'] },
+    clopidogrel: { hours: 120, reversal: ['platelet transfusion', 'desmopressin', 'DDAVP'] },
+    ticagrelor: { hours: 120, reversal: ['platelet transfusion', 'desmopressin', 'DDAVP'] },
+    prasugrel: { hours: 168, reversal: ['platelet transfusion', 'desmopressin', 'DDAVP'] }
+};
+
+/**
+ * Lexicon classes covered by the check, with the class terms a note may
+ * use instead of the drug name ("anticoagulation held")
+ */
+export const ANTITHROMBOTIC_CLASSES = {
+    anticoagulant: ['anticoagulation', 'anticoagulant', 'blood thinner', 'antithrombotic'],
+    antiplatelet: ['antiplatelet', 'antiplatelet therapy', 'antithrombotic']
+};
+
+/**
+ * Terms that mark an operative plan
+ */
+export const OPERATIVE_TERMS = [
+    'surgery', 'surgical intervention', 'surgical decompression', 'surgical evacuation', 'operative management',
+    'operating room', 'craniotomy', 'craniectomy', 'cranioplasty', 'laminectomy', 'laminotomy', 'discectomy',
+    'microdiscectomy', 'foraminotomy', 'fusion', 'ACDF', 'corpectomy', 'decompression', 'evacuation', 'burr hole',
+    'resection', 'biopsy', 'clipping', 'shunt', 'EVD', 'external ventricular drain', 'kyphoplasty',
+    'vertebroplasty', 'instrumentation'
+];
+
+/**
+ * Words that document what happens to an antithrombotic around surgery
+ */
+const MANAGEMENT_CUES = [
+    'hold', 'held', 'holding', 'withhold', 'withheld', 'stop', 'stopped', 'discontinue', 'discontinued',
+    'continue', 'continued', 'continuing', 'last dose', 'bridge', 'bridging', 'resume', 'restart', 'reverse',
+    'reversal', 'reversed'
+];
+
+/**
+ * Plan section headings: markdown headings, bold labels or "PLAN:"
+ */
+const PLAN_HEADING = /^\s*(?:#+\s*|\*\*)?(?:assessment\s+(?:and|&)\s+plan|plan|recommendations?)\b[^\n]*$/im;
+const ANY_HEADING = /^\s*(?:#+\s+\S|\*\*[^*]+:?\*\*\s*$|[A-Z][A-Z &/]+:\s*$)/m;
+
+/**
+ * A duration ("48 hours", "5 days", "72h")
+ */
+const DURATION_PATTERN = /(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|days?|d)\b/i;
+
+/**
+ * ========================================================================
+ * ANTITHROMBOTIC SAFETY CHECK
+ * ========================================================================
+ */
+
+export class AntithromboticSafetyCheck {
+    /**
+     * Default configuration
+     */
+    static DEFAULTS = {
+        SEVERITY: 'HIGH'   // Severity of an unaddressed antithrombotic
+    };
+
+    /**
+     * Create a check
+     * @param {Object} options - Configuration options
+     * @param {MedicationLexicon} options.lexicon - Medication lexicon
+     * @param {Object} options.holdWindows - {drugId: {hours, reversal}} merged over the defaults
+     * @param {Array<string>} options.operativeTerms - Terms that mark an operative plan
+     */
+    constructor(options = {}) {
+        this.lexicon = options.lexicon || new MedicationLexicon();
+        this.holdWindows = { ...ANTITHROMBOTIC_HOLD_WINDOWS };
+        this.operativeTerms = options.operativeTerms || OPERATIVE_TERMS;
+
+        Object.entries(options.holdWindows || {}).forEach(([id, window]) => this.setHoldWindow(id, window));
+    }
+
+    /**
+     * Set (or replace) a drug's hold window
+     * @param {string} id - Lexicon id
+     * @param {Object} window - {hours, reversal?}
+     * @throws {Error} If hours is not a positive number
+     */
+    setHoldWindow(id, window) {
+        if (!(window?.hours > 0)) {
+            throw new Error(`Hold window for ${id} requires a positive number of hours`);
+        }
+
+        this.holdWindows[id] = { reversal: [], ...this.holdWindows[id], ...window };
+    }
+
+    /**
+     * Check a note's operative plan against antithrombotics in the source
+     * @param {string} generatedText - Generated note
+     * @param {string} sourceText - Transcript or SOAP notes
+     * @returns {{operative, plan, medications, errors, warnings}} Result;
+     *          medications: {id, generic, class, sourceQuote, addressed, statement, holdHours, windowHours}
+     */
+    check(generatedText, sourceText) {
+        const result = { operative: false, plan: null, medications: [], errors: [], warnings: [] };
+
+        const medications = this.findAntithrombotics(sourceText);
+        if (medications.length === 0) return result;
+
+        const plan = this.findOperativePlan(generatedText);
+        if (!plan) return result;
+
+        result.operative = true;
+        result.plan = plan.quote;
+
+        medications.forEach(medication => {
+            const window = this.holdWindows[medication.id] || null;
+            const statement = this.findManagement(generatedText, medication, window);
+            const holdHours = statement ? this.parseHoldHours(statement) : null;
+
+            result.medications.push({
+                id: medication.id,
+                generic: medication.generic,
+                class: medication.class,
+                sourceQuote: medication.quote,
+                addressed: Boolean(statement),
+                statement,
+                holdHours,
+                windowHours: window?.hours ?? null
+            });
+
+            // The omission belongs to the plan section, not to the surgery
+            // sentence: no statement, so approving the fix adds the
+            // management instead of replacing the plan
+            if (!statement) {
+                result.errors.push({
+                    type: 'antithrombotic_not_addressed',
+                    medication: medication.generic,
+                    noteSection: 'plan',
+                    planQuote: plan.quote,
+                    sourceQuote: medication.quote,
+                    message: `Operative plan (${plan.term}) does not address ${medication.generic} (${medication.class}) documented in the source`,
+                    correction: this.describeManagement(medication, window),
+                    severity: AntithromboticSafetyCheck.DEFAULTS.SEVERITY
+                });
+            } else if (window && holdHours !== null && holdHours < window.hours) {
+                result.warnings.push({
+                    type: 'antithrombotic_hold_too_short',
+                    medication: medication.generic,
+                    statement,
+                    message: `Documented hold of ${this.formatHours(holdHours)} for ${medication.generic} is shorter than its ${this.formatHours(window.hours)} window`,
+                    correction: this.describeManagement(medication, window)
+                });
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Antithrombotics in current use per the source (one per drug)
+     */
+    findAntithrombotics(sourceText) {
+        const found = new Map();
+
+        this.lexicon.findMedications(sourceText || '')
+            .filter(medication => ANTITHROMBOTIC_CLASSES[medication.class] && !medication.negated)
+            .forEach(medication => {
+                if (!found.has(medication.id)) found.set(medication.id, medication);
+            });
+
+        return [...found.values()];
+    }
+
+    /**
+     * First affirmed operative term in the note's plan section (or the
+     * whole note when it has none)
+     * @returns {{term, quote}|null} Plan mention
+     */
+    findOperativePlan(generatedText) {
+        const planText = this.getPlanText(generatedText || '');
+        const mention = findTermMentions(planText, this.operativeTerms).find(found => !found.negated);
+
+        return mention ? { term: mention.term, quote: mention.quote } : null;
+    }
+
+    /**
+     * Text of the plan section, or the whole note
+     */
+    getPlanText(text) {
+        const heading = text.match(PLAN_HEADING);
+        if (!heading) return text;
+
+        const body = text.slice(heading.index + heading[0].length);
+        const next = body.match(ANY_HEADING);
+        const planText = next ? body.slice(0, next.index) : body;
+
+        // Inline labels ("**Plan:** ACDF C5-6") keep their content
+        return `${heading[0].replace(/^[^:]*:(?:\*\*)?/, '')}\n${planText}`;
+    }
+
+    /**
+     * Note sentence documenting the drug's management: the drug or its
+     * class with a management cue, or one of its reversal agents
+     * @returns {string|null} Sentence
+     */
+    findManagement(generatedText, medication, window) {
+        const text = generatedText || '';
+        const entry = this.lexicon.lookup(medication.generic);
+        const names = [...this.lexicon.getNames(entry), ...ANTITHROMBOTIC_CLASSES[medication.class]];
+
+        const managed = findTermMentions(text, names)
+            .map(mention => mention.quote)
+            .find(quote => MANAGEMENT_CUES.some(cue => termPattern(cue).test(quote)));
+        if (managed) return managed;
+
+        const reversal = findTermMentions(text, window?.reversal || []).find(mention => !mention.negated);
+        return reversal ? sentenceAt(text, reversal.index).text : null;
+    }
+
+    /**
+     * Hold duration stated in a sentence, in hours
+     */
+    parseHoldHours(sentence) {
+        const match = sentence.match(DURATION_PATTERN);
+        if (!match) return null;
+
+        const value = parseFloat(match[1]);
+        return match[2].toLowerCase().startsWith('d') ? value * 24 : value;
+    }
+
+    /**
+     * Suggested management for an issue's correction
+     */
+    describeManagement(medication, window) {
+        if (!window) {
+            return `Document pre-operative management of ${medication.generic} (hold, bridging or reversal)`;
+        }
+
+        const reversal = window.reversal.length > 0 ? `, or reversal with ${window.reversal.slice(0, 2).join('/')} if surgery is urgent` : '';
+        return `Hold ${medication.generic} for at least ${this.formatHours(window.hours)} before surgery${reversal}`;
+    }
+
+    /**
+     * Hours as text ("48 hours", "5 days")
+     */
+    formatHours(hours) {
+        if (hours >= 24 && hours % 24 === 0) {
+            const days = hours / 24;
+            return `${days} day${days === 1 ? '' : 's'}`;
+        }
+        return `${hours} hour${hours === 1 ? '' : 's'}`;
+    }
+}
+
+export default AntithromboticSafetyCheck;
@@ -7,6 +7,7 @@
  */
 
 import { GeminiClient } from './api-client.js';
+import { MockLLMClient } from './mock-llm-client.js';
 
 /**
  * Example 1: Basic usage with default settings
@@ -273,6 +274,48 @@ async function example9_BatchProcessing() {
     console.log(`Failed: ${results.filter(r => !r.success).length}`);
 }
 
+/**
+ * Example 10: Offline development with the mock client (no API key, no network)
+ */
+async function example10_MockClient() {
+    console.log('\n========================================');
+    console.log('Example 10: Mock Client (Offline)');
+    console.log('========================================\n');
+
+    const client = new MockLLMClient(null, {
+        fixtures: [
+            { match: 'cervical myelopathy', response: 'Assessment: Cervical myelopathy, mJOA 12/18.' },
+            { match: /fabricat/i, response: '[]' }
+        ]
+    });
+
+    // Replay from fixtures
+    console.log('Replay:', await client.generateContent('Brief note on cervical myelopathy'));
+
+    // Two 429s are retried by the normal backoff logic, third attempt succeeds
+    client.simulateFailure(MockLLMClient.FAILURES.RATE_LIMIT, 2);
+    console.log('After 429s:', await client.generateContent('Brief note on cervical myelopathy'));
+
+    // Three timeouts exhaust the retries
+    client.simulateFailure(MockLLMClient.FAILURES.TIMEOUT, 3);
+    try {
+        await client.generateContent('Brief note on cervical myelopathy');
+    } catch (error) {
+        console.log('Timeout error:', error.message);
+    }
+
+    console.log('Calls made:', client.getCalls().map(call => call.source));
+
+    // Record mode: proxy a real client, then save fixtures for later replay
+    // const recorder = new MockLLMClient(null, {
+    //     mode: MockLLMClient.MODES.RECORD,
+    //     delegate: new GeminiClient('YOUR_API_KEY_HERE')
+    // });
+    // await recorder.generateContent('Explain cervical myelopathy');
+    // const saved = JSON.stringify(recorder.exportFixtures());
+    // const replay = new MockLLMClient(null, { fixtures: saved });
+}
+
 /**
  * Run all examples (comment out the ones you don't want to run)
  */
@@ -292,6 +335,7 @@ async function runExamples() {
     // await example7_ModelSwitching();
     // await example8_NeuroScribeContext();
     // await example9_BatchProcessing();
+    await example10_MockClient();
 
     console.log('\n✅ All examples completed!\n');
 }
@@ -310,5 +354,6 @@ export {
     example6_ErrorHandling,
     example7_ModelSwitching,
     example8_NeuroScribeContext,
-    example9_BatchProcessing
+    example9_BatchProcessing,
+    example10_MockClient
 };
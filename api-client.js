@@ -1,14 +1,15 @@
 /**
  * ========================================================================
- * NeuroScribe V11 - Gemini API Client Module
+ * NeuroScribe V11 - LLM API Client Module
  * ========================================================================
  *
- * Production-ready Gemini API client with built-in:
+ * Production-ready LLM client (Gemini, OpenAI-compatible, local) with built-in:
  * - Rate limiting (sliding window: 10 calls per 60 seconds)
  * - Retry logic with exponential backoff (max 3 retries)
  * - Timeout handling (30 second default)
  * - Comprehensive error handling
  * - Support for multiple Gemini models
+ * - Pluggable providers behind a shared generateContent() contract
  * - Zero external dependencies
  *
  * Extracted from NeuroScribe V10.2.4 monolith (16,646 lines)
@@ -111,19 +112,17 @@ class RateLimiter {
 
 /**
  * ========================================================================
- * GEMINI API CLIENT
+ * BASE LLM CLIENT
  * ========================================================================
- * Main class for interacting with Google Gemini API
+ * Provider-agnostic client that owns rate limiting, retries and timeouts.
+ * Provider adapters only describe how to build a request and read a reply.
+ *
+ * Contract shared by every provider (and relied on by ValidationEngine):
+ * - generateContent(prompt, options) → Promise<string>
+ * - testApiKey() → Promise<boolean>
+ * - getRateLimitStatus() → Object
  */
-export class GeminiClient {
-    /**
-     * Available Gemini models
-     */
-    static MODELS = {
-        FLASH_2_5: 'gemini-2.5-flash',
-        FLASH_2_0_EXP: 'gemini-2.0-flash-exp'
-    };
-
+export class BaseLLMClient {
     /**
      * Default configuration constants
      */
@@ -138,47 +137,26 @@ export class GeminiClient {
     };
 
     /**
-     * API endpoint base URL
-     */
-    static API_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
-
-    /**
-     * Create a Gemini API client
-     * @param {string} apiKey - Google Gemini API key
-     * @param {Object} options - Configuration options
-     * @param {string} options.model - Model to use (default: gemini-2.5-flash)
-     * @param {number} options.rateLimitCalls - Max calls per window
-     * @param {number} options.rateLimitWindow - Time window in ms
-     * @param {number} options.timeout - Request timeout in ms
-     * @param {number} options.maxRetries - Max retry attempts
-     * @param {number} options.retryDelayBase - Base delay for retries in ms
-     * @param {number} options.temperature - Default temperature
-     * @param {number} options.maxOutputTokens - Default max tokens
+     * Create a provider-agnostic client
+     * @param {Object} options - Configuration options (see GeminiClient constructor)
      */
-    constructor(apiKey, options = {}) {
-        if (!apiKey) {
-            throw new Error('API key is required');
-        }
-
-        if (!apiKey.startsWith('AIza')) {
-            throw new Error('Invalid API key format. Gemini API keys start with "AIza"');
-        }
+    constructor(options = {}) {
+        const defaults = this.constructor.DEFAULTS;
 
-        this.apiKey = apiKey;
-        this.model = options.model || GeminiClient.MODELS.FLASH_2_5;
-        this.timeout = options.timeout || GeminiClient.DEFAULTS.TIMEOUT_DURATION;
-        this.maxRetries = options.maxRetries || GeminiClient.DEFAULTS.MAX_RETRIES;
-        this.retryDelayBase = options.retryDelayBase || GeminiClient.DEFAULTS.RETRY_DELAY_BASE;
-        this.defaultTemperature = options.temperature || GeminiClient.DEFAULTS.TEMPERATURE;
-        this.defaultMaxTokens = options.maxOutputTokens || GeminiClient.DEFAULTS.MAX_OUTPUT_TOKENS;
+        this.provider = 'base';
+        this.apiKey = null;
+        this.model = options.model || null;
+        this.timeout = options.timeout || defaults.TIMEOUT_DURATION;
+        this.maxRetries = options.maxRetries || defaults.MAX_RETRIES;
+        this.retryDelayBase = options.retryDelayBase || defaults.RETRY_DELAY_BASE;
+        this.defaultTemperature = options.temperature || defaults.TEMPERATURE;
+        this.defaultMaxTokens = options.maxOutputTokens || defaults.MAX_OUTPUT_TOKENS;
 
         // Initialize rate limiter
         this.rateLimiter = new RateLimiter(
-            options.rateLimitCalls || GeminiClient.DEFAULTS.RATE_LIMIT_CALLS,
-            options.rateLimitWindow || GeminiClient.DEFAULTS.RATE_LIMIT_WINDOW
+            options.rateLimitCalls || defaults.RATE_LIMIT_CALLS,
+            options.rateLimitWindow || defaults.RATE_LIMIT_WINDOW
         );
-
-        console.log(`✅ GeminiClient initialized with model: ${this.model}`);
     }
 
     /**
@@ -189,6 +167,7 @@ export class GeminiClient {
      * @param {number} options.maxOutputTokens - Maximum tokens to generate
      * @param {string} options.model - Override the default model for this request
      * @param {boolean} options.skipRateLimiting - Skip rate limiting for this request
+     * @param {AbortSignal} options.signal - Cancels the request (no retry after cancellation)
      * @returns {Promise<string>} Generated text
      * @throws {Error} If generation fails after all retries
      */
@@ -202,7 +181,7 @@ export class GeminiClient {
         const maxOutputTokens = options.maxOutputTokens || this.defaultMaxTokens;
         const skipRateLimiting = options.skipRateLimiting || false;
 
-        console.log(`📡 Generating content with ${model}...`);
+        console.log(`📡 Generating content with ${this.provider}/${model}...`);
         console.log(`   Temperature: ${temperature}, Max tokens: ${maxOutputTokens}`);
 
         // Wrap the API call with rate limiting
@@ -210,7 +189,8 @@ export class GeminiClient {
             return await this._generateWithRetry(prompt, {
                 model,
                 temperature,
-                maxOutputTokens
+                maxOutputTokens,
+                signal: options.signal
             });
         };
 
@@ -279,52 +259,33 @@ export class GeminiClient {
      * @returns {Promise<string>} Generated text
      */
     async _fetchWithTimeout(prompt, config) {
-        const { model, temperature, maxOutputTokens } = config;
-
-        // Create abort controller for timeout
+        // Create abort controller for timeout (and caller cancellation)
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), this.timeout);
+        const unlinkSignal = this._linkSignal(controller, config.signal);
 
         try {
-            const url = `${GeminiClient.API_BASE_URL}/${model}:generateContent?key=${this.apiKey}`;
+            const { url, headers, body } = this._buildRequest(prompt, config);
 
             const response = await fetch(url, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: { 'Content-Type': 'application/json', ...headers },
                 signal: controller.signal,
-                body: JSON.stringify({
-                    contents: [{
-                        role: 'user',
-                        parts: [{ text: prompt }]
-                    }],
-                    generationConfig: {
-                        temperature,
-                        maxOutputTokens
-                    }
-                })
+                body: JSON.stringify(body)
             });
 
             clearTimeout(timeoutId);
 
             // Handle HTTP errors
             if (!response.ok) {
-                const errorText = await response.text().catch(() => 'Unknown error');
-                let errorData;
-                try {
-                    errorData = JSON.parse(errorText);
-                } catch {
-                    errorData = { message: errorText };
-                }
-
-                const errorMessage = errorData.error?.message || errorData.message || 'Unknown error';
-                throw new Error(`API Error ${response.status}: ${errorMessage}`);
+                throw await this._createHttpError(response);
             }
 
             // Parse response
             const data = await response.json();
 
             // Extract generated text
-            const generatedText = data.candidates?.[0]?.content?.parts?.[0]?.text;
+            const generatedText = this._extractText(data);
 
             if (!generatedText) {
                 throw new Error('No content generated by API (empty response)');
@@ -335,8 +296,11 @@ export class GeminiClient {
         } catch (error) {
             clearTimeout(timeoutId);
 
-            // Handle timeout
+            // Handle cancellation and timeout
             if (error.name === 'AbortError') {
+                if (config.signal?.aborted) {
+                    throw new Error('Request cancelled');
+                }
                 throw new Error(`Request timeout after ${this.timeout / 1000} seconds`);
             }
 
@@ -347,6 +311,307 @@ export class GeminiClient {
 
             // Re-throw other errors
             throw error;
+        } finally {
+            unlinkSignal();
+        }
+    }
+
+    /**
+     * Stream content from a prompt as it is generated
+     *
+     * Yields text chunks in order. Rate limiting applies once per stream;
+     * retries only happen before the first chunk arrives. The timeout is an
+     * idle timeout: it restarts whenever a chunk is received.
+     *
+     * @param {string} prompt - The prompt to send to the model
+     * @param {Object} options - Same as generateContent(), plus:
+     * @param {Function} options.onChunk - Called with (chunk, fullTextSoFar) for each chunk
+     * @returns {AsyncGenerator<string>} Text chunks
+     * @throws {Error} 'Request cancelled' if options.signal aborts
+     */
+    async *streamContent(prompt, options = {}) {
+        if (!prompt || typeof prompt !== 'string') {
+            throw new Error('Prompt must be a non-empty string');
+        }
+
+        const config = {
+            model: options.model || this.model,
+            temperature: options.temperature ?? this.defaultTemperature,
+            maxOutputTokens: options.maxOutputTokens || this.defaultMaxTokens,
+            signal: options.signal
+        };
+
+        console.log(`📡 Streaming content with ${this.provider}/${config.model}...`);
+
+        // Reserve a rate limit slot for the whole stream
+        if (!options.skipRateLimiting) {
+            await this.rateLimiter.throttle(async () => {});
+        }
+
+        let fullText = '';
+        let chunkCount = 0;
+
+        for await (const chunk of this._streamWithRetry(prompt, config, () => chunkCount > 0)) {
+            if (!chunk) continue;
+
+            chunkCount++;
+            fullText += chunk;
+            options.onChunk?.(chunk, fullText);
+            yield chunk;
+        }
+
+        if (!fullText) {
+            throw new Error('No content generated by API (empty response)');
+        }
+
+        console.log(`✅ Stream complete (${chunkCount} chunks, ${fullText.length} chars)`);
+    }
+
+    /**
+     * Stream content and resolve with the full text (callback style)
+     * @param {string} prompt - The prompt to send to the model
+     * @param {Object} options - Same as streamContent(), onChunk receives each chunk
+     * @returns {Promise<string>} Complete generated text
+     */
+    async generateContentStream(prompt, options = {}) {
+        let fullText = '';
+        for await (const chunk of this.streamContent(prompt, options)) {
+            fullText += chunk;
+        }
+        return fullText;
+    }
+
+    /**
+     * Open a stream, retrying connection failures until the first chunk
+     * @private
+     * @param {string} prompt - The prompt text
+     * @param {Object} config - Generation configuration
+     * @param {Function} hasStarted - Returns true once a chunk was delivered
+     * @returns {AsyncGenerator<string>} Text chunks
+     */
+    async *_streamWithRetry(prompt, config, hasStarted) {
+        for (let attempt = 0; attempt < this.maxRetries; attempt++) {
+            try {
+                if (attempt > 0) {
+                    const delay = this.retryDelayBase * Math.pow(2, attempt - 1);
+                    console.log(`🔄 Stream retry ${attempt + 1}/${this.maxRetries} (waiting ${delay}ms)...`);
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                }
+
+                yield* this._streamRequest(prompt, config);
+                return;
+
+            } catch (error) {
+                console.error(`❌ Stream attempt ${attempt + 1} failed:`, error.message);
+
+                // Partial output cannot be replayed safely, and some errors never recover
+                if (hasStarted() || this._isNonRetryableError(error)) {
+                    throw error;
+                }
+
+                if (attempt === this.maxRetries - 1) {
+                    throw new Error(
+                        `API request failed after ${this.maxRetries} attempts. Last error: ${error.message}`
+                    );
+                }
+            }
+        }
+    }
+
+    /**
+     * Perform one streaming request. Providers without a streaming endpoint
+     * (no _buildStreamRequest) fall back to a single chunk from _fetchWithTimeout.
+     * @protected
+     * @param {string} prompt - The prompt text
+     * @param {Object} config - Generation configuration
+     * @returns {AsyncGenerator<string>} Text chunks
+     */
+    async *_streamRequest(prompt, config) {
+        const request = this._buildStreamRequest(prompt, config);
+
+        if (!request) {
+            yield await this._fetchWithTimeout(prompt, config);
+            return;
+        }
+
+        const controller = new AbortController();
+        let timeoutId = setTimeout(() => controller.abort(), this.timeout);
+        const resetIdleTimeout = () => {
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => controller.abort(), this.timeout);
+        };
+        const unlinkSignal = this._linkSignal(controller, config.signal);
+
+        try {
+            const response = await fetch(request.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...request.headers },
+                signal: controller.signal,
+                body: JSON.stringify(request.body)
+            });
+
+            if (!response.ok) {
+                throw await this._createHttpError(response);
+            }
+
+            // Parse Server-Sent Events: "data: {...}" lines separated by blank lines
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                resetIdleTimeout();
+                buffer += decoder.decode(value, { stream: true });
+
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    const chunk = this._parseStreamLine(line);
+                    if (chunk === null) return;     // Provider signalled end of stream
+                    if (chunk) yield chunk;
+                }
+            }
+
+            const lastChunk = this._parseStreamLine(buffer);
+            if (lastChunk) yield lastChunk;
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                if (config.signal?.aborted) {
+                    throw new Error('Request cancelled');
+                }
+                throw new Error(`Request timeout after ${this.timeout / 1000} seconds without data`);
+            }
+            if (error.message.includes('fetch')) {
+                throw new Error(`Network error: ${error.message}`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timeoutId);
+            unlinkSignal();
+        }
+    }
+
+    /**
+     * Parse one SSE line into a text chunk
+     * @private
+     * @param {string} line - Raw line
+     * @returns {string|null} Chunk text ('' to skip, null at end of stream)
+     */
+    _parseStreamLine(line) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) {
+            return '';
+        }
+
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') {
+            return null;
+        }
+
+        try {
+            return this._extractStreamText(JSON.parse(payload)) || '';
+        } catch {
+            console.warn('⚠️ Skipping malformed stream event');
+            return '';
+        }
+    }
+
+    /**
+     * Abort a controller when an external signal aborts
+     * @private
+     * @param {AbortController} controller - Internal controller
+     * @param {AbortSignal} signal - Caller's signal (optional)
+     * @returns {Function} Removes the listener
+     */
+    _linkSignal(controller, signal) {
+        if (!signal) {
+            return () => {};
+        }
+        if (signal.aborted) {
+            controller.abort();
+            return () => {};
+        }
+
+        const onAbort = () => controller.abort();
+        signal.addEventListener('abort', onAbort, { once: true });
+        return () => signal.removeEventListener('abort', onAbort);
+    }
+
+    /**
+     * Build an Error from a failed HTTP response
+     * @private
+     * @param {Response} response - Fetch response with !ok
+     * @returns {Promise<Error>} Error formatted as "API Error <status>: <message>"
+     */
+    async _createHttpError(response) {
+        const errorText = await response.text().catch(() => 'Unknown error');
+        let errorData;
+        try {
+            errorData = JSON.parse(errorText);
+        } catch {
+            errorData = { message: errorText };
+        }
+
+        const errorMessage = errorData.error?.message || errorData.message || 'Unknown error';
+        return new Error(`API Error ${response.status}: ${errorMessage}`);
+    }
+
+    /**
+     * Build the provider-specific HTTP request
+     * @protected
+     * @param {string} prompt - The prompt text
+     * @param {Object} config - Generation configuration {model, temperature, maxOutputTokens}
+     * @returns {{url: string, headers: Object, body: Object}} Request description
+     */
+    _buildRequest(prompt, config) {
+        throw new Error(`${this.constructor.name} must implement _buildRequest()`);
+    }
+
+    /**
+     * Extract generated text from the provider-specific response body
+     * @protected
+     * @param {Object} data - Parsed JSON response
+     * @returns {string|undefined} Generated text
+     */
+    _extractText(data) {
+        throw new Error(`${this.constructor.name} must implement _extractText()`);
+    }
+
+    /**
+     * Build the provider-specific streaming (SSE) request
+     * @protected
+     * @param {string} prompt - The prompt text
+     * @param {Object} config - Generation configuration
+     * @returns {{url: string, headers: Object, body: Object}|null} Null if streaming is unsupported
+     */
+    _buildStreamRequest(prompt, config) {
+        return null;
+    }
+
+    /**
+     * Extract the text delta from one parsed stream event
+     * @protected
+     * @param {Object} event - Parsed SSE data payload
+     * @returns {string|undefined} Chunk text
+     */
+    _extractStreamText(event) {
+        return this._extractText(event);
+    }
+
+    /**
+     * Validate an API key for this provider
+     * @protected
+     * @param {string} apiKey - Key to validate
+     * @throws {Error} If the key is unusable for this provider
+     */
+    _validateApiKey(apiKey) {
+        if (!apiKey) {
+            throw new Error('API key is required');
         }
     }
 
@@ -363,9 +628,11 @@ export class GeminiClient {
         const nonRetryablePatterns = [
             'invalid api key',
             'api key not valid',
+            'incorrect api key',
             'authentication',
             'permission denied',
             'quota exceeded',
+            'request cancelled',
             '400',  // Bad request
             '401',  // Unauthorized
             '403',  // Forbidden
@@ -376,11 +643,21 @@ export class GeminiClient {
     }
 
     /**
-     * Test if the API key is valid
-     * @returns {Promise<boolean>} True if API key is valid
+     * Replace the API key used for subsequent requests
+     * @param {string} apiKey - New API key
+     */
+    setKey(apiKey) {
+        this._validateApiKey(apiKey);
+        this.apiKey = apiKey;
+        console.log(`✅ API key updated for ${this.provider}`);
+    }
+
+    /**
+     * Test if the API key (or local endpoint) is usable
+     * @returns {Promise<boolean>} True if a minimal request succeeds
      */
     async testApiKey() {
-        console.log('🧪 Testing API key...');
+        console.log(`🧪 Testing ${this.provider} connection...`);
 
         try {
             // Use minimal request to test key
@@ -418,8 +695,8 @@ export class GeminiClient {
      * @param {string} model - New model name
      */
     setModel(model) {
-        if (!Object.values(GeminiClient.MODELS).includes(model)) {
-            throw new Error(`Invalid model: ${model}. Use GeminiClient.MODELS constants.`);
+        if (!model || typeof model !== 'string') {
+            throw new Error('Model must be a non-empty string');
         }
         this.model = model;
         console.log(`✅ Model changed to: ${model}`);
@@ -431,6 +708,7 @@ export class GeminiClient {
      */
     getConfig() {
         return {
+            provider: this.provider,
             model: this.model,
             timeout: this.timeout,
             maxRetries: this.maxRetries,
@@ -442,6 +720,326 @@ export class GeminiClient {
     }
 }
 
+/**
+ * ========================================================================
+ * GEMINI API CLIENT
+ * ========================================================================
+ * Main class for interacting with Google Gemini API
+ */
+export class GeminiClient extends BaseLLMClient {
+    /**
+     * Available Gemini models
+     */
+    static MODELS = {
+        FLASH_2_5: 'gemini-2.5-flash',
+        FLASH_2_0_EXP: 'gemini-2.0-flash-exp'
+    };
+
+    /**
+     * API endpoint base URL
+     */
+    static API_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+    /**
+     * Create a Gemini API client
+     * @param {string} apiKey - Google Gemini API key
+     * @param {Object} options - Configuration options
+     * @param {string} options.model - Model to use (default: gemini-2.5-flash)
+     * @param {number} options.rateLimitCalls - Max calls per window
+     * @param {number} options.rateLimitWindow - Time window in ms
+     * @param {number} options.timeout - Request timeout in ms
+     * @param {number} options.maxRetries - Max retry attempts
+     * @param {number} options.retryDelayBase - Base delay for retries in ms
+     * @param {number} options.temperature - Default temperature
+     * @param {number} options.maxOutputTokens - Default max tokens
+     */
+    constructor(apiKey, options = {}) {
+        super(options);
+
+        this._validateApiKey(apiKey);
+
+        this.provider = LLM_PROVIDERS.GEMINI;
+        this.apiKey = apiKey;
+        this.model = options.model || GeminiClient.MODELS.FLASH_2_5;
+
+        console.log(`✅ GeminiClient initialized with model: ${this.model}`);
+    }
+
+    /**
+     * Gemini keys must carry the "AIza" prefix
+     * @protected
+     */
+    _validateApiKey(apiKey) {
+        super._validateApiKey(apiKey);
+
+        if (!apiKey.startsWith('AIza')) {
+            throw new Error('Invalid API key format. Gemini API keys start with "AIza"');
+        }
+    }
+
+    /**
+     * Build a generateContent request
+     * @protected
+     */
+    _buildRequest(prompt, config) {
+        const { model, temperature, maxOutputTokens } = config;
+
+        return {
+            url: `${GeminiClient.API_BASE_URL}/${model}:generateContent?key=${this.apiKey}`,
+            headers: {},
+            body: {
+                contents: [{
+                    role: 'user',
+                    parts: [{ text: prompt }]
+                }],
+                generationConfig: {
+                    temperature,
+                    maxOutputTokens
+                }
+            }
+        };
+    }
+
+    /**
+     * Read text from a generateContent response
+     * @protected
+     */
+    _extractText(data) {
+        return data.candidates?.[0]?.content?.parts?.[0]?.text;
+    }
+
+    /**
+     * Build a streamGenerateContent request (SSE)
+     * @protected
+     */
+    _buildStreamRequest(prompt, config) {
+        const request = this._buildRequest(prompt, config);
+        request.url = `${GeminiClient.API_BASE_URL}/${config.model}:streamGenerateContent?alt=sse&key=${this.apiKey}`;
+        return request;
+    }
+
+    /**
+     * Change the model for subsequent requests
+     * @param {string} model - New model name (must be a GeminiClient.MODELS value)
+     */
+    setModel(model) {
+        if (!Object.values(GeminiClient.MODELS).includes(model)) {
+            throw new Error(`Invalid model: ${model}. Use GeminiClient.MODELS constants.`);
+        }
+        super.setModel(model);
+    }
+}
+
+/**
+ * ========================================================================
+ * OPENAI-COMPATIBLE CLIENT
+ * ========================================================================
+ * Talks to any endpoint implementing the OpenAI /chat/completions API
+ * (OpenAI, Azure-style gateways, vLLM, LM Studio, llama.cpp, Ollama)
+ */
+export class OpenAICompatibleClient extends BaseLLMClient {
+    /**
+     * Default endpoint and model
+     */
+    static DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+    static DEFAULT_MODEL = 'gpt-4o-mini';
+
+    /**
+     * Create an OpenAI-compatible client
+     * @param {string} apiKey - Bearer token for the endpoint
+     * @param {Object} options - Configuration options (same as GeminiClient, plus:)
+     * @param {string} options.baseUrl - API base URL (default: https://api.openai.com/v1)
+     */
+    constructor(apiKey, options = {}) {
+        super(options);
+
+        this._validateApiKey(apiKey);
+
+        this.provider = LLM_PROVIDERS.OPENAI;
+        this.apiKey = apiKey || null;
+        this.baseUrl = (options.baseUrl || this.constructor.DEFAULT_BASE_URL).replace(/\/+$/, '');
+        this.model = options.model || this.constructor.DEFAULT_MODEL;
+
+        console.log(`✅ ${this.constructor.name} initialized with model: ${this.model} (${this.baseUrl})`);
+    }
+
+    /**
+     * Build a /chat/completions request
+     * @protected
+     */
+    _buildRequest(prompt, config) {
+        const { model, temperature, maxOutputTokens } = config;
+        const headers = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+
+        return {
+            url: `${this.baseUrl}/chat/completions`,
+            headers,
+            body: {
+                model,
+                messages: [{ role: 'user', content: prompt }],
+                temperature,
+                max_tokens: maxOutputTokens
+            }
+        };
+    }
+
+    /**
+     * Read text from a /chat/completions response
+     * @protected
+     */
+    _extractText(data) {
+        return data.choices?.[0]?.message?.content;
+    }
+
+    /**
+     * Build a streaming /chat/completions request
+     * @protected
+     */
+    _buildStreamRequest(prompt, config) {
+        const request = this._buildRequest(prompt, config);
+        request.body.stream = true;
+        return request;
+    }
+
+    /**
+     * Read the delta from a streamed /chat/completions chunk
+     * @protected
+     */
+    _extractStreamText(event) {
+        return event.choices?.[0]?.delta?.content;
+    }
+
+    /**
+     * Get current configuration
+     * @returns {Object} Current client configuration
+     */
+    getConfig() {
+        return {
+            ...super.getConfig(),
+            baseUrl: this.baseUrl
+        };
+    }
+}
+
+/**
+ * ========================================================================
+ * LOCAL LLM CLIENT
+ * ========================================================================
+ * OpenAI-compatible server running inside the hospital network
+ * (llama.cpp server, Ollama, vLLM). No API key required, so PHI never
+ * leaves the local network.
+ */
+export class LocalLLMClient extends OpenAICompatibleClient {
+    static DEFAULT_BASE_URL = 'http://localhost:8080/v1';
+    static DEFAULT_MODEL = 'local-model';
+
+    /**
+     * Local inference is slower than hosted APIs, so allow longer requests
+     */
+    static DEFAULTS = {
+        ...BaseLLMClient.DEFAULTS,
+        TIMEOUT_DURATION: 120000        // 2 minutes for CPU/GPU-bound local models
+    };
+
+    /**
+     * Create a local LLM client
+     * @param {string|null} apiKey - Optional bearer token (most local servers ignore it)
+     * @param {Object} options - Configuration options (same as OpenAICompatibleClient)
+     */
+    constructor(apiKey = null, options = {}) {
+        super(apiKey, options);
+        this.provider = LLM_PROVIDERS.LOCAL;
+    }
+
+    /**
+     * Local servers do not require a key
+     * @protected
+     */
+    _validateApiKey(apiKey) {
+        // Any value (including none) is acceptable
+    }
+}
+
+/**
+ * ========================================================================
+ * PROVIDER REGISTRY
+ * ========================================================================
+ */
+
+/**
+ * Supported provider identifiers
+ */
+export const LLM_PROVIDERS = {
+    GEMINI: 'gemini',
+    OPENAI: 'openai',
+    LOCAL: 'local',
+    MOCK: 'mock'            // Offline fixtures (mock-llm-client.js registers itself)
+};
+
+/**
+ * Providers that work without an API key (extended by registerLLMProvider)
+ */
+export const KEYLESS_PROVIDERS = [LLM_PROVIDERS.LOCAL, LLM_PROVIDERS.MOCK];
+
+/**
+ * Provider identifier → client class
+ */
+const PROVIDER_CLASSES = {
+    [LLM_PROVIDERS.GEMINI]: GeminiClient,
+    [LLM_PROVIDERS.OPENAI]: OpenAICompatibleClient,
+    [LLM_PROVIDERS.LOCAL]: LocalLLMClient
+};
+
+/**
+ * Create a client for the given provider
+ * @param {string} provider - One of LLM_PROVIDERS (default: gemini)
+ * @param {string|null} apiKey - API key (optional for local provider)
+ * @param {Object} options - Client options (model, baseUrl, timeout, ...)
+ * @returns {BaseLLMClient} Configured client
+ * @throws {Error} If the provider is unknown or the key is invalid
+ */
+export function createLLMClient(provider = LLM_PROVIDERS.GEMINI, apiKey = null, options = {}) {
+    const ClientClass = PROVIDER_CLASSES[provider];
+
+    if (!ClientClass) {
+        throw new Error(
+            `Unknown LLM provider: ${provider}. Use one of: ${Object.keys(PROVIDER_CLASSES).join(', ')}`
+        );
+    }
+
+    return new ClientClass(apiKey, options);
+}
+
+/**
+ * Register an additional provider for createLLMClient()
+ * @param {string} provider - Provider identifier
+ * @param {Function} ClientClass - Class extending BaseLLMClient, constructed as (apiKey, options)
+ * @param {Object} options - Registration options
+ * @param {boolean} options.keyless - The provider works without an API key
+ */
+export function registerLLMProvider(provider, ClientClass, options = {}) {
+    if (!provider || typeof provider !== 'string') {
+        throw new Error('Provider must be a non-empty string');
+    }
+    if (!(ClientClass?.prototype instanceof BaseLLMClient)) {
+        throw new Error(`Provider ${provider} must extend BaseLLMClient`);
+    }
+    PROVIDER_CLASSES[provider] = ClientClass;
+
+    if (options.keyless && !KEYLESS_PROVIDERS.includes(provider)) {
+        KEYLESS_PROVIDERS.push(provider);
+    }
+}
+
+/**
+ * Check whether an object satisfies the LLM client contract
+ * @param {*} client - Candidate client
+ * @returns {boolean} True if generateContent() is available
+ */
+export function isLLMClient(client) {
+    return !!client && typeof client.generateContent === 'function';
+}
+
 /**
  * ========================================================================
  * USAGE EXAMPLE
@@ -481,6 +1079,15 @@ export class GeminiClient {
  * // Get current config
  * const config = client.getConfig();
  * console.log('Current config:', config);
+ *
+ * // Other providers share the same generateContent() contract
+ * import { createLLMClient, LLM_PROVIDERS } from './api-client.js';
+ *
+ * const openai = createLLMClient(LLM_PROVIDERS.OPENAI, 'sk-...', { model: 'gpt-4o-mini' });
+ * const local = createLLMClient(LLM_PROVIDERS.LOCAL, null, {
+ *     baseUrl: 'http://localhost:11434/v1',   // e.g. Ollama
+ *     model: 'llama3.1:8b'
+ * });
  * ```
  *
  * ========================================================================
@@ -489,7 +1096,7 @@ export class GeminiClient {
  *
  * The client throws errors in the following scenarios:
  *
- * 1. Invalid API key format (constructor)
+ * 1. Invalid API key format (constructor) or unknown provider (createLLMClient)
  * 2. Empty/invalid prompt (generateContent)
  * 3. Network errors (after retries)
  * 4. API errors (400, 401, 403, 404 - no retry)
@@ -0,0 +1,42 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - App State Regression Tests
+ * ========================================================================
+ *
+ * Run with: node --test app-state-test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BaseLLMClient, registerLLMProvider } from './api-client.js';
+import { actions, appStore, computed } from './files/app-state.js';
+
+test('a scale assessment is replaced in a single update', async () => {
+    actions.updateScaleResponse('gcs', { scaleId: 'gcs', responses: { eye: 4, verbal: 5 } });
+
+    const states = [];
+    const unsubscribe = appStore.subscribe(state => states.push(state.scaleResponses.gcs));
+    states.length = 0;
+
+    actions.updateScaleResponse('gcs', { scaleId: 'gcs', responses: { eye: 3 } });
+    await new Promise(resolve => setTimeout(resolve, 0));
+    unsubscribe();
+
+    assert.deepEqual(states, [{ scaleId: 'gcs', responses: { eye: 3 } }]);
+    assert.deepEqual(appStore.getState('scaleResponses').gcs, { scaleId: 'gcs', responses: { eye: 3 } });
+
+    actions.updateScaleResponse('gcs', null);
+    assert.equal(appStore.getState('scaleResponses').gcs, null);
+});
+
+test('providers registered as keyless need no API key', () => {
+    class OnDeviceClient extends BaseLLMClient {}
+    registerLLMProvider('on_device', OnDeviceClient, { keyless: true });
+
+    appStore.setState({ apiKey: null, preferences: { llmProvider: 'on_device' } });
+    assert.equal(computed.hasLLMAccess(), true);
+
+    appStore.setState({ preferences: { llmProvider: 'openai' } });
+    assert.equal(computed.hasLLMAccess(), false);
+});
@@ -0,0 +1,112 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Clinical Scale Scoring Regression Tests
+ * ========================================================================
+ *
+ * Run with: node --test clinical-scales-test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ClinicalScales, ScaleAssessment } from './clinical-scales.js';
+import { ScaleFormatter } from './scale-formatter.js';
+
+const scales = new ClinicalScales();
+const SACRAL_ABSENT = { lt_r_S4_5: 0, lt_l_S4_5: 0, pp_r_S4_5: 0, pp_l_S4_5: 0, dap: 0, vac: 0 };
+const SEGMENTS = ['C1', 'C2', 'C3', 'C4', 'C5', 'C6', 'C7', 'C8', 'T1', 'T2', 'T3', 'T4', 'T5', 'T6', 'T7', 'T8',
+    'T9', 'T10', 'T11', 'T12', 'L1', 'L2', 'L3', 'L4', 'L5', 'S1', 'S2', 'S3', 'S4_5'];
+
+/**
+ * Full ISNCSCI exam: normal down to `level`, absent below it
+ */
+const isncsciExam = (level, sacral = 0) => {
+    const responses = { dap: sacral, vac: sacral };
+    scales.getScale('asia').questions.forEach(({ id }) => {
+        const [, item, segment] = id.match(/^(motor|lt|pp)_[rl]_(.+)$/) || [];
+        if (!item) return;
+        const intact = SEGMENTS.indexOf(segment) <= SEGMENTS.indexOf(level);
+        responses[id] = intact ? (item === 'motor' ? 5 : 2) : 0;
+    });
+    return responses;
+};
+
+test('form completion does not overwrite a scale\'s own complete field', () => {
+    const asia = scales.calculateScore('asia', SACRAL_ABSENT);
+    assert.equal(asia.complete, true, 'no sacral sparing is a complete injury');
+    assert.equal(asia.formComplete, false);
+
+    const gcs = scales.calculateScore('gcs', { eye: 4, verbal: 5, motor: 6 });
+    assert.equal(gcs.formComplete, true);
+    assert.equal(new ScaleAssessment('gcs', { eye: 4, verbal: 5 }).isComplete(), false);
+});
+
+test('the formatter lists unanswered items from form completion', () => {
+    const formatter = new ScaleFormatter();
+    assert.doesNotMatch(formatter.formatAssessment({ scaleId: 'gcs', responses: { eye: 4, verbal: 5, motor: 6 } }), /Not assessed/);
+});
+
+test('ASIA is graded only once the key levels and sacral exam are determinable', () => {
+    assert.equal(scales.calculateScore('asia', SACRAL_ABSENT).score, null);
+    assert.equal(new ScaleFormatter().formatAssessment({ scaleId: 'asia', responses: SACRAL_ABSENT }), null);
+
+    const t6 = scales.calculateScore('asia', isncsciExam('T6'));
+    assert.equal(t6.score, 'A');
+    assert.equal(t6.neurologicalLevel, 'T6');
+
+    const { dap, vac, ...noSacralExam } = isncsciExam('T6');
+    assert.equal(scales.calculateScore('asia', noSacralExam).score, null);
+
+    assert.equal(scales.calculateScore('asia', isncsciExam('S4_5', 1)).score, 'E');
+});
+
+test('ASIA reports a letter grade range, not a numeric maximum', () => {
+    const asia = scales.getScale('asia');
+    assert.equal(asia.maxScore, 'E');
+    assert.match(new ScaleFormatter().formatAssessment({ scaleId: 'asia', responses: isncsciExam('T6') }), /\*\*ASIA:\*\* A - AIS A/);
+});
+
+test('single-grade scales score their grade and reject values outside the options', () => {
+    assert.equal(scales.calculateScore('mrs', { grade: 3 }).score, 3);
+    assert.equal(scales.calculateScore('mrs', { grade: 3 }).interpretation.severity, 'mRS 3 - Moderate Disability');
+    assert.equal(scales.calculateScore('mrs', {}).score, null);
+
+    const invalid = scales.calculateScore('mrs', { grade: 7 });
+    assert.equal(invalid.valid, false);
+    assert.equal(invalid.score, null);
+
+    assert.equal(scales.calculateScore('modified_fisher', { grade: 4 }).interpretation.severity, 'Grade 4');
+    assert.equal(scales.calculateScore('kps', { score: 70 }).score, 70);
+});
+
+test('NIHSS totals its 15 items and is scored only once all are answered', () => {
+    const items = Object.fromEntries(scales.getScale('nihss').questions.map(({ id }) => [id, 0]));
+    assert.equal(Object.keys(items).length, 15);
+
+    const stroke = scales.calculateScore('nihss', { ...items, loc: 1, motor_arm_left: 4, language: 3 });
+    assert.equal(stroke.score, 8);
+    assert.equal(stroke.interpretation.severity, 'Moderate Stroke');
+
+    assert.equal(scales.calculateScore('nihss', { loc: 1, motor_arm_left: 4 }).score, null);
+});
+
+test('Hunt-Hess adds the systemic disease modifier up to grade V', () => {
+    assert.equal(scales.calculateScore('hunt_hess', { grade: 2, systemic_disease: 0 }).score, 2);
+    assert.equal(scales.calculateScore('hunt_hess', { grade: 2, systemic_disease: 1 }).score, 3);
+    assert.equal(scales.calculateScore('hunt_hess', { grade: 5, systemic_disease: 1 }).score, 5);
+});
+
+test('WFNS grades from GCS, needing the motor deficit only for GCS 13-15', () => {
+    const grade = responses => scales.calculateScore('wfns', responses).score;
+
+    assert.equal(grade({ gcs: 6 }), 5);
+    assert.equal(grade({ gcs: 12 }), 4);
+    assert.equal(grade({ gcs: 14 }), null);
+    assert.equal(grade({ gcs: 14, motor_deficit: 0 }), 2);
+    assert.equal(grade({ gcs: 14, motor_deficit: 1 }), 3);
+    assert.equal(grade({ gcs: 15, motor_deficit: 0 }), 1);
+
+    const undefinedCombination = scales.calculateScore('wfns', { gcs: 15, motor_deficit: 1 });
+    assert.equal(undefinedCombination.score, 2);
+    assert.match(undefinedCombination.note, /not defined/);
+});
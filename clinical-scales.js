@@ -3,8 +3,273 @@
  * Extracted from V10.2.4 monolith
  *
  * Comprehensive collection of neurosurgical assessment scales
- * Includes: mJOA, Nurick, NDI, ODI, VAS Pain, GCS
+ * Includes: mJOA, Nurick, NDI, ODI, VAS Pain, GCS, mRS, KPS,
+ * NIHSS, Hunt-Hess, WFNS, modified Fisher, ASIA (ISNCSCI), TLICS,
+ * SLIC, Frankel
+ *
+ * Scale definitions are read-only: answers live in {questionId: value} maps
+ * scored by ClinicalScales.calculateScore() or held by a ScaleAssessment.
+ */
+
+// ============================================================
+// ISNCSCI (ASIA) DERIVATION HELPERS
+// ============================================================
+
+// Neurological segments from rostral to caudal. C1 has no testable dermatome;
+// S4_5 is the combined S4-5 dermatome used to assess sacral sparing.
+const ISNCSCI_SEGMENTS = [
+    'C1', 'C2', 'C3', 'C4', 'C5', 'C6', 'C7', 'C8',
+    'T1', 'T2', 'T3', 'T4', 'T5', 'T6', 'T7', 'T8', 'T9', 'T10', 'T11', 'T12',
+    'L1', 'L2', 'L3', 'L4', 'L5',
+    'S1', 'S2', 'S3', 'S4_5'
+];
+
+const ISNCSCI_KEY_MUSCLES = {
+    C5: {name: 'Elbow flexors', keywords: ['elbow flexion', 'biceps']},
+    C6: {name: 'Wrist extensors', keywords: ['wrist extension', 'wrist extensors']},
+    C7: {name: 'Elbow extensors', keywords: ['elbow extension', 'triceps']},
+    C8: {name: 'Finger flexors (middle finger distal phalanx)', keywords: ['finger flexion', 'grip', 'finger flexors']},
+    T1: {name: 'Finger abductors (little finger)', keywords: ['finger abduction', 'intrinsics', 'abductor digiti minimi']},
+    L2: {name: 'Hip flexors', keywords: ['hip flexion', 'iliopsoas']},
+    L3: {name: 'Knee extensors', keywords: ['knee extension', 'quadriceps', 'quads']},
+    L4: {name: 'Ankle dorsiflexors', keywords: ['dorsiflexion', 'tibialis anterior']},
+    L5: {name: 'Long toe extensors', keywords: ['great toe extension', 'EHL', 'extensor hallucis longus']},
+    S1: {name: 'Ankle plantar flexors', keywords: ['plantar flexion', 'plantarflexion', 'gastrocnemius']}
+};
+
+const ISNCSCI_SIDES = {r: 'Right', l: 'Left'};
+
+const ISNCSCI_MOTOR_OPTIONS = [
+    {value: 0, label: '0: Total paralysis'},
+    {value: 1, label: '1: Palpable or visible contraction'},
+    {value: 2, label: '2: Active movement, gravity eliminated'},
+    {value: 3, label: '3: Active movement against gravity'},
+    {value: 4, label: '4: Active movement against some resistance'},
+    {value: 5, label: '5: Normal strength'}
+];
+
+const ISNCSCI_SENSORY_OPTIONS = [
+    {value: 0, label: '0: Absent'},
+    {value: 1, label: '1: Altered'},
+    {value: 2, label: '2: Normal'}
+];
+
+/**
+ * Display label for an ISNCSCI segment ('S4_5' → 'S4-5')
+ */
+function formatSegment(segment) {
+    return segment ? segment.replace('_', '-') : segment;
+}
+
+/**
+ * Build the ISNCSCI examination form: bilateral key muscles, bilateral light
+ * touch and pin prick for C2-S4-5, voluntary anal contraction and deep anal pressure
  */
+function buildIsncsciQuestions() {
+    const questions = [];
+    const dermatomes = ISNCSCI_SEGMENTS.slice(1);
+
+    for (const [side, sideLabel] of Object.entries(ISNCSCI_SIDES)) {
+        for (const [segment, muscle] of Object.entries(ISNCSCI_KEY_MUSCLES)) {
+            questions.push({
+                id: `motor_${side}_${segment}`,
+                section: `Motor - ${sideLabel}`,
+                text: `${segment} ${muscle.name} (${sideLabel.toLowerCase()})`,
+                options: ISNCSCI_MOTOR_OPTIONS,
+                keywords: muscle.keywords
+            });
+        }
+    }
+
+    for (const [modality, modalityLabel] of [['lt', 'Light Touch'], ['pp', 'Pin Prick']]) {
+        for (const [side, sideLabel] of Object.entries(ISNCSCI_SIDES)) {
+            for (const segment of dermatomes) {
+                questions.push({
+                    id: `${modality}_${side}_${segment}`,
+                    section: `${modalityLabel} - ${sideLabel}`,
+                    text: `${formatSegment(segment)} ${modalityLabel.toLowerCase()} (${sideLabel.toLowerCase()})`,
+                    options: ISNCSCI_SENSORY_OPTIONS,
+                    keywords: [modalityLabel.toLowerCase(), `${formatSegment(segment)} dermatome`, 'sensory level']
+                });
+            }
+        }
+    }
+
+    questions.push(
+        {
+            id: 'vac',
+            section: 'Sacral Function',
+            text: 'Voluntary anal contraction (VAC)',
+            options: [
+                {value: 0, label: 'Absent'},
+                {value: 1, label: 'Present'}
+            ],
+            keywords: ['rectal tone', 'anal contraction', 'voluntary anal contraction', 'VAC', 'sphincter']
+        },
+        {
+            id: 'dap',
+            section: 'Sacral Function',
+            text: 'Deep anal pressure (DAP)',
+            options: [
+                {value: 0, label: 'Absent'},
+                {value: 1, label: 'Present'}
+            ],
+            keywords: ['deep anal pressure', 'DAP', 'rectal sensation', 'perianal sensation']
+        }
+    );
+
+    return questions;
+}
+
+/**
+ * Derive ISNCSCI classification from an exam keyed by question id.
+ * Levels that depend on an untested item are 'ND' (not determinable);
+ * 'INT' means intact down to S4-5.
+ */
+function deriveIsncsci(values) {
+    const get = id => values[id] ?? null;
+    const index = segment => segment === 'INT' ? ISNCSCI_SEGMENTS.length : ISNCSCI_SEGMENTS.indexOf(segment);
+    const keySegments = Object.keys(ISNCSCI_KEY_MUSCLES);
+    const sides = Object.keys(ISNCSCI_SIDES);
+
+    const sensoryIntact = (side, segment) => {
+        if (segment === 'C1') return true;
+        const lt = get(`lt_${side}_${segment}`);
+        const pp = get(`pp_${side}_${segment}`);
+        if (lt === null || pp === null) return null;
+        return lt === 2 && pp === 2;
+    };
+
+    // Most caudal segment with intact light touch and pin prick, all rostral segments intact
+    const sensoryLevel = side => {
+        for (let i = 1; i < ISNCSCI_SEGMENTS.length; i++) {
+            const intact = sensoryIntact(side, ISNCSCI_SEGMENTS[i]);
+            if (intact === null) return 'ND';
+            if (!intact) return ISNCSCI_SEGMENTS[i - 1];
+        }
+        return 'INT';
+    };
+
+    // Most caudal key muscle graded ≥3 with all rostral key muscles 5/5;
+    // regions without key muscles (C1-C4, T2-L1, S2-S5) follow sensation
+    const motorLevel = side => {
+        let level = 'C1';
+        for (let i = 1; i < ISNCSCI_SEGMENTS.length; i++) {
+            const segment = ISNCSCI_SEGMENTS[i];
+            if (ISNCSCI_KEY_MUSCLES[segment]) {
+                const grade = get(`motor_${side}_${segment}`);
+                if (grade === null) return 'ND';
+                if (grade < 3) return level;
+                if (grade < 5) return segment;
+            } else {
+                const intact = sensoryIntact(side, segment);
+                if (intact === null) return 'ND';
+                if (!intact) return level;
+            }
+            level = segment;
+        }
+        return 'INT';
+    };
+
+    const mostRostral = levels => {
+        if (levels.includes('ND')) return 'ND';
+        return levels.reduce((a, b) => index(a) <= index(b) ? a : b);
+    };
+
+    const sum = ids => ids.reduce((total, id) => total + (get(id) ?? 0), 0);
+    const motorIds = (segments) => sides.flatMap(side => segments.map(segment => `motor_${side}_${segment}`));
+    const sensoryIds = modality => sides.flatMap(side => ISNCSCI_SEGMENTS.slice(1).map(segment => `${modality}_${side}_${segment}`));
+
+    const sensory = {r: sensoryLevel('r'), l: sensoryLevel('l')};
+    const motor = {r: motorLevel('r'), l: motorLevel('l')};
+    const nli = mostRostral([sensory.r, sensory.l, motor.r, motor.l]);
+
+    // Sacral sparing: any S4-5 sensation, deep anal pressure or voluntary anal contraction
+    const sacral = [
+        ...sides.flatMap(side => [get(`lt_${side}_S4_5`), get(`pp_${side}_S4_5`)]),
+        get('dap'),
+        get('vac')
+    ];
+    let complete = null;
+    if (sacral.some(value => value !== null && value > 0)) {
+        complete = false;
+    } else if (!sacral.includes(null)) {
+        complete = true;
+    }
+
+    const allIds = [...motorIds(keySegments), ...sensoryIds('lt'), ...sensoryIds('pp')];
+    const allNormal = allIds.every(id => {
+        const value = get(id);
+        return value !== null && value === (id.startsWith('motor_') ? 5 : 2);
+    });
+
+    let ais = 'ND';
+    if (complete === true) {
+        ais = 'A';
+    } else if (complete === false && allNormal) {
+        ais = 'E';
+    } else if (complete === false && nli !== 'ND' && motor.r !== 'ND' && motor.l !== 'ND') {
+        // Motor incomplete: VAC, or motor function more than three levels below the motor level
+        let motorIncomplete = get('vac') === 1;
+        let determinable = true;
+        for (const side of sides) {
+            for (const segment of keySegments) {
+                if (index(segment) <= index(motor[side]) + 3) continue;
+                const grade = get(`motor_${side}_${segment}`);
+                if (grade === null) determinable = false;
+                else if (grade > 0) motorIncomplete = true;
+            }
+        }
+
+        if (!motorIncomplete) {
+            ais = determinable ? 'B' : 'ND';
+        } else {
+            const below = motorIds(keySegments.filter(segment => index(segment) > index(nli))).map(get);
+            if (below.includes(null)) {
+                ais = 'ND';
+            } else {
+                const functional = below.filter(grade => grade >= 3).length;
+                ais = functional >= below.length / 2 ? 'D' : 'C';
+            }
+        }
+    }
+
+    // Zone of partial preservation: most caudal segment with any function below each level
+    let zpp = null;
+    if (complete === true) {
+        const caudalMost = (side, from, test) => {
+            let zone = from;
+            for (let i = index(from) + 1; i < ISNCSCI_SEGMENTS.length; i++) {
+                if (test(side, ISNCSCI_SEGMENTS[i])) zone = ISNCSCI_SEGMENTS[i];
+            }
+            return formatSegment(zone);
+        };
+        const anySensation = (side, segment) => (get(`lt_${side}_${segment}`) ?? 0) > 0 || (get(`pp_${side}_${segment}`) ?? 0) > 0;
+        const anyMotor = (side, segment) => !!ISNCSCI_KEY_MUSCLES[segment] && (get(`motor_${side}_${segment}`) ?? 0) > 0;
+        zpp = {
+            sensory: {right: caudalMost('r', sensory.r, anySensation), left: caudalMost('l', sensory.l, anySensation)},
+            motor: {right: caudalMost('r', motor.r, anyMotor), left: caudalMost('l', motor.l, anyMotor)}
+        };
+    }
+
+    return {
+        ais: ais,
+        neurologicalLevel: formatSegment(nli),
+        sensoryLevel: {right: formatSegment(sensory.r), left: formatSegment(sensory.l)},
+        motorLevel: {right: formatSegment(motor.r), left: formatSegment(motor.l)},
+        complete: complete,
+        zoneOfPartialPreservation: zpp,
+        motorScore: {
+            upper: sum(motorIds(keySegments.slice(0, 5))),
+            lower: sum(motorIds(keySegments.slice(5))),
+            total: sum(motorIds(keySegments))
+        },
+        sensoryScore: {
+            lightTouch: sum(sensoryIds('lt')),
+            pinPrick: sum(sensoryIds('pp'))
+        }
+    };
+}
 
 const ClinicalScalesDatabase = {
 
@@ -31,7 +296,6 @@ const ClinicalScalesDatabase = {
                     {value: 3, label: 'Handles chopsticks with slight difficulty', description: 'Mild impairment'},
                     {value: 4, label: 'Normal', description: 'No impairment'}
                 ],
-                value: null,
                 keywords: ['hand function', 'fine motor', 'buttons', 'writing', 'feeding', 'utensils', 'chopsticks', 'dropping objects']
             },
             {
@@ -45,7 +309,6 @@ const ClinicalScalesDatabase = {
                     {value: 3, label: 'Lacks smooth reciprocation or speed', description: 'Mild gait abnormality'},
                     {value: 4, label: 'Normal', description: 'No impairment'}
                 ],
-                value: null,
                 keywords: ['walking', 'gait', 'stairs', 'climbing', 'balance', 'cane', 'walker', 'ambulation', 'legs']
             },
             {
@@ -57,7 +320,6 @@ const ClinicalScalesDatabase = {
                     {value: 1, label: 'Mild sensory loss or pain', description: 'Slight impairment'},
                     {value: 2, label: 'Normal', description: 'No impairment'}
                 ],
-                value: null,
                 keywords: ['numbness', 'tingling', 'sensation', 'arms', 'hands', 'fingers', 'upper extremity', 'paresthesia']
             },
             {
@@ -69,7 +331,6 @@ const ClinicalScalesDatabase = {
                     {value: 1, label: 'Mild sensory loss or pain', description: 'Slight impairment'},
                     {value: 2, label: 'Normal', description: 'No impairment'}
                 ],
-                value: null,
                 keywords: ['numbness', 'tingling', 'sensation', 'legs', 'feet', 'toes', 'lower extremity', 'paresthesia']
             },
             {
@@ -81,7 +342,6 @@ const ClinicalScalesDatabase = {
                     {value: 1, label: 'Mild sensory loss or pain', description: 'Slight impairment'},
                     {value: 2, label: 'Normal', description: 'No impairment'}
                 ],
-                value: null,
                 keywords: ['trunk', 'chest', 'abdomen', 'torso', 'body', 'sensory level']
             },
             {
@@ -94,16 +354,16 @@ const ClinicalScalesDatabase = {
                     {value: 2, label: 'Urinary frequency and/or hesitation', description: 'Mild dysfunction'},
                     {value: 3, label: 'Normal', description: 'No impairment'}
                 ],
-                value: null,
                 keywords: ['bladder', 'urinary', 'incontinence', 'retention', 'frequency', 'urgency', 'hesitation', 'catheter']
             }
         ],
-        scoring: function(responses) {
+        scoring: function(responses = {}) {
             let total = 0;
             let answered = 0;
             for (const q of this.questions) {
-                if (q.value !== null && q.value !== undefined) {
-                    total += q.value;
+                const value = responses[q.id] ?? null;
+                if (value !== null) {
+                    total += value;
                     answered++;
                 }
             }
@@ -173,12 +433,11 @@ const ClinicalScalesDatabase = {
                     {value: 4, label: 'Grade 4: Able to walk only with assistance', description: 'Severe impairment, requires aid'},
                     {value: 5, label: 'Grade 5: Wheelchair bound or bedridden', description: 'Non-ambulatory'}
                 ],
-                value: null,
                 keywords: ['walking', 'gait', 'wheelchair', 'assistance', 'cane', 'walker', 'bedridden', 'employment', 'work']
             }
         ],
-        scoring: function(responses) {
-            const grade = this.questions[0].value;
+        scoring: function(responses = {}) {
+            const grade = responses.grade ?? null;
             return {
                 total: grade !== null ? grade : null,
                 max: 5,
@@ -231,7 +490,6 @@ const ClinicalScalesDatabase = {
                     {value: 4, label: 'The pain is very severe at the moment'},
                     {value: 5, label: 'The pain is the worst imaginable at the moment'}
                 ],
-                value: null,
                 keywords: ['neck pain', 'pain intensity', 'pain level', 'how much pain']
             },
             {
@@ -246,7 +504,6 @@ const ClinicalScalesDatabase = {
                     {value: 4, label: 'I need help every day in most aspects of self care'},
                     {value: 5, label: 'I do not get dressed, wash with difficulty, and stay in bed'}
                 ],
-                value: null,
                 keywords: ['dressing', 'washing', 'bathing', 'grooming', 'personal care', 'self care']
             },
             {
@@ -261,7 +518,6 @@ const ClinicalScalesDatabase = {
                     {value: 4, label: 'I can lift only very light weights'},
                     {value: 5, label: 'I cannot lift or carry anything at all'}
                 ],
-                value: null,
                 keywords: ['lifting', 'carrying', 'heavy objects', 'weights']
             },
             {
@@ -276,7 +532,6 @@ const ClinicalScalesDatabase = {
                     {value: 4, label: 'I can hardly read at all because of severe pain in my neck'},
                     {value: 5, label: 'I cannot read at all'}
                 ],
-                value: null,
                 keywords: ['reading', 'looking down', 'neck flexion', 'computer work', 'phone use']
             },
             {
@@ -291,7 +546,6 @@ const ClinicalScalesDatabase = {
                     {value: 4, label: 'I have severe headaches which come frequently'},
                     {value: 5, label: 'I have headaches almost all the time'}
                 ],
-                value: null,
                 keywords: ['headache', 'head pain', 'cervicogenic headache', 'occipital pain']
             },
             {
@@ -306,7 +560,6 @@ const ClinicalScalesDatabase = {
                     {value: 4, label: 'I have a great deal of difficulty concentrating when I want'},
                     {value: 5, label: 'I cannot concentrate at all'}
                 ],
-                value: null,
                 keywords: ['concentration', 'focus', 'attention', 'mental clarity', 'cognitive']
             },
             {
@@ -321,7 +574,6 @@ const ClinicalScalesDatabase = {
                     {value: 4, label: 'I can hardly do any work at all'},
                     {value: 5, label: 'I cannot do any work at all'}
                 ],
-                value: null,
                 keywords: ['work', 'job', 'employment', 'occupation', 'working']
             },
             {
@@ -336,7 +588,6 @@ const ClinicalScalesDatabase = {
                     {value: 4, label: 'I can hardly drive at all because of severe pain in my neck'},
                     {value: 5, label: 'I cannot drive my car at all'}
                 ],
-                value: null,
                 keywords: ['driving', 'car', 'vehicle', 'turning head', 'looking over shoulder']
             },
             {
@@ -351,7 +602,6 @@ const ClinicalScalesDatabase = {
                     {value: 4, label: 'My sleep is greatly disturbed (3-5 hours sleepless)'},
                     {value: 5, label: 'My sleep is completely disturbed (5-7 hours sleepless)'}
                 ],
-                value: null,
                 keywords: ['sleep', 'sleeping', 'night pain', 'insomnia', 'rest']
             },
             {
@@ -366,16 +616,16 @@ const ClinicalScalesDatabase = {
                     {value: 4, label: 'I can hardly do any recreational activities because of pain in my neck'},
                     {value: 5, label: 'I cannot do any recreational activities at all'}
                 ],
-                value: null,
                 keywords: ['recreation', 'hobbies', 'activities', 'sports', 'exercise', 'leisure']
             }
         ],
-        scoring: function(responses) {
+        scoring: function(responses = {}) {
             let total = 0;
             let answered = 0;
             for (const q of this.questions) {
-                if (q.value !== null && q.value !== undefined) {
-                    total += q.value;
+                const value = responses[q.id] ?? null;
+                if (value !== null) {
+                    total += value;
                     answered++;
                 }
             }
@@ -430,6 +680,8 @@ const ClinicalScalesDatabase = {
         },
         minScore: 0,
         maxScore: 50,
+        scoreField: 'percentage',
+        maxMissing: 1, // Score over answered sections when one is skipped
         ranges: [
             {min: 0, max: 8, severity: 'No Disability', color: '#10b981'},
             {min: 9, max: 28, severity: 'Mild', color: '#84cc16'},
@@ -464,7 +716,6 @@ const ClinicalScalesDatabase = {
                     {value: 4, label: 'The pain is very severe at the moment'},
                     {value: 5, label: 'The pain is the worst imaginable at the moment'}
                 ],
-                value: null,
                 keywords: ['back pain', 'low back pain', 'pain intensity', 'pain level']
             },
             {
@@ -479,7 +730,6 @@ const ClinicalScalesDatabase = {
                     {value: 4, label: 'I need help every day in most aspects of self care'},
                     {value: 5, label: 'I do not get dressed, I wash with difficulty and stay in bed'}
                 ],
-                value: null,
                 keywords: ['dressing', 'washing', 'bathing', 'grooming', 'personal care']
             },
             {
@@ -494,7 +744,6 @@ const ClinicalScalesDatabase = {
                     {value: 4, label: 'I can only lift very light weights'},
                     {value: 5, label: 'I cannot lift or carry anything'}
                 ],
-                value: null,
                 keywords: ['lifting', 'carrying', 'heavy objects', 'weights']
             },
             {
@@ -509,7 +758,6 @@ const ClinicalScalesDatabase = {
                     {value: 4, label: 'I can only walk using a stick or crutches'},
                     {value: 5, label: 'I am in bed most of the time'}
                 ],
-                value: null,
                 keywords: ['walking', 'ambulation', 'distance', 'mobility', 'gait']
             },
             {
@@ -524,7 +772,6 @@ const ClinicalScalesDatabase = {
                     {value: 4, label: 'Pain prevents me from sitting more than 10 minutes'},
                     {value: 5, label: 'Pain prevents me from sitting at all'}
                 ],
-                value: null,
                 keywords: ['sitting', 'prolonged sitting', 'desk work', 'chair']
             },
             {
@@ -539,7 +786,6 @@ const ClinicalScalesDatabase = {
                     {value: 4, label: 'Pain prevents me from standing for more than 10 minutes'},
                     {value: 5, label: 'Pain prevents me from standing at all'}
                 ],
-                value: null,
                 keywords: ['standing', 'prolonged standing', 'upright posture']
             },
             {
@@ -554,7 +800,6 @@ const ClinicalScalesDatabase = {
                     {value: 4, label: 'Because of pain I have less than 2 hours sleep'},
                     {value: 5, label: 'Pain prevents me from sleeping at all'}
                 ],
-                value: null,
                 keywords: ['sleep', 'sleeping', 'night pain', 'insomnia', 'rest']
             },
             {
@@ -569,7 +814,6 @@ const ClinicalScalesDatabase = {
                     {value: 4, label: 'My sex life is nearly absent because of pain'},
                     {value: 5, label: 'Pain prevents any sex life at all'}
                 ],
-                value: null,
                 keywords: ['sexual function', 'intimacy', 'sex life']
             },
             {
@@ -584,7 +828,6 @@ const ClinicalScalesDatabase = {
                     {value: 4, label: 'Pain has restricted my social life to my home'},
                     {value: 5, label: 'I have no social life because of pain'}
                 ],
-                value: null,
                 keywords: ['social life', 'socializing', 'going out', 'activities', 'friends']
             },
             {
@@ -599,16 +842,16 @@ const ClinicalScalesDatabase = {
                     {value: 4, label: 'Pain restricts me to short necessary journeys under 30 minutes'},
                     {value: 5, label: 'Pain prevents me from travelling except to receive treatment'}
                 ],
-                value: null,
                 keywords: ['traveling', 'driving', 'car rides', 'trips', 'journeys']
             }
         ],
-        scoring: function(responses) {
+        scoring: function(responses = {}) {
             let total = 0;
             let answered = 0;
             for (const q of this.questions) {
-                if (q.value !== null && q.value !== undefined) {
-                    total += q.value;
+                const value = responses[q.id] ?? null;
+                if (value !== null) {
+                    total += value;
                     answered++;
                 }
             }
@@ -663,6 +906,8 @@ const ClinicalScalesDatabase = {
         },
         minScore: 0,
         maxScore: 50,
+        scoreField: 'percentage',
+        maxMissing: 1, // Score over answered sections when one is skipped
         ranges: [
             {min: 0, max: 20, severity: 'Minimal', color: '#10b981'},
             {min: 21, max: 40, severity: 'Moderate', color: '#84cc16'},
@@ -691,7 +936,8 @@ const ClinicalScalesDatabase = {
                 text: 'Current Pain Level (0-10)',
                 type: 'slider',
                 options: [], // Slider from 0-10
-                value: null,
+                min: 0,
+                max: 10,
                 keywords: ['pain', 'pain level', 'how much pain', 'pain intensity', 'hurts']
             },
             {
@@ -700,7 +946,8 @@ const ClinicalScalesDatabase = {
                 text: 'Worst Pain in Last 24 Hours (0-10)',
                 type: 'slider',
                 options: [],
-                value: null,
+                min: 0,
+                max: 10,
                 keywords: ['worst pain', 'maximum pain', 'peak pain']
             },
             {
@@ -709,14 +956,15 @@ const ClinicalScalesDatabase = {
                 text: 'Average Pain Level (0-10)',
                 type: 'slider',
                 options: [],
-                value: null,
+                min: 0,
+                max: 10,
                 keywords: ['average pain', 'typical pain', 'usual pain']
             }
         ],
-        scoring: function(responses) {
-            const current = this.questions[0].value;
-            const worst = this.questions[1].value;
-            const average = this.questions[2].value;
+        scoring: function(responses = {}) {
+            const current = responses.current_pain ?? null;
+            const worst = responses.worst_pain ?? null;
+            const average = responses.average_pain ?? null;
             let answered = 0;
             let total = 0;
 
@@ -752,6 +1000,8 @@ const ClinicalScalesDatabase = {
         },
         minScore: 0,
         maxScore: 10,
+        scoreField: 'overallAverage',
+        maxMissing: 2, // Any single rating is interpretable
         ranges: [
             {min: 0, max: 2, severity: 'Mild', color: '#10b981'},
             {min: 3, max: 5, severity: 'Moderate', color: '#f59e0b'},
@@ -786,7 +1036,6 @@ const ClinicalScalesDatabase = {
                     {value: 2, label: 'To pain - Opens eyes to painful stimulus'},
                     {value: 1, label: 'No response - Does not open eyes'}
                 ],
-                value: null,
                 keywords: ['eye opening', 'opens eyes', 'spontaneous', 'to voice', 'to pain']
             },
             {
@@ -800,7 +1049,6 @@ const ClinicalScalesDatabase = {
                     {value: 2, label: 'Incomprehensible sounds - Moaning/groaning only'},
                     {value: 1, label: 'No response - No verbal response'}
                 ],
-                value: null,
                 keywords: ['speaking', 'talking', 'oriented', 'confused', 'verbal', 'speech', 'alert']
             },
             {
@@ -815,24 +1063,24 @@ const ClinicalScalesDatabase = {
                     {value: 2, label: 'Extension to pain - Abnormal extension (decerebrate)'},
                     {value: 1, label: 'No response - No motor response'}
                 ],
-                value: null,
                 keywords: ['motor', 'movement', 'follows commands', 'localizes', 'withdraws', 'flexion', 'extension', 'posturing']
             }
         ],
-        scoring: function(responses) {
+        scoring: function(responses = {}) {
             let total = 0;
             let answered = 0;
             for (const q of this.questions) {
-                if (q.value !== null && q.value !== undefined) {
-                    total += q.value;
+                const value = responses[q.id] ?? null;
+                if (value !== null) {
+                    total += value;
                     answered++;
                 }
             }
             return {
                 total: total,
-                eye: this.questions[0].value,
-                verbal: this.questions[1].value,
-                motor: this.questions[2].value,
+                eye: responses.eye ?? null,
+                verbal: responses.verbal ?? null,
+                motor: responses.motor ?? null,
                 answered: answered,
                 totalQuestions: this.questions.length,
                 percentage: Math.round((answered / this.questions.length) * 100)
@@ -860,23 +1108,1057 @@ const ClinicalScalesDatabase = {
         references: [
             'Teasdale G, Jennett B. Assessment of coma and impaired consciousness. Lancet. 1974;2:81-84.'
         ]
+    },
+
+    'mrs': {
+        id: 'mrs',
+        name: 'Modified Rankin Scale (mRS)',
+        shortName: 'mRS',
+        category: 'functional',
+        pathologies: ['vascular', 'brain-tumor'],
+        description: 'Global disability scale after stroke and other neurological injury. Graded 0 (no symptoms) to 6 (dead).',
+        questions: [
+            {
+                id: 'grade',
+                section: 'Functional Status',
+                text: 'Degree of disability in daily activities',
+                options: [
+                    {value: 0, label: '0: No symptoms at all', description: 'No residual symptoms'},
+                    {value: 1, label: '1: No significant disability despite symptoms', description: 'Able to carry out all usual duties and activities'},
+                    {value: 2, label: '2: Slight disability', description: 'Unable to carry out all previous activities, but able to look after own affairs without assistance'},
+                    {value: 3, label: '3: Moderate disability', description: 'Requires some help, but able to walk without assistance'},
+                    {value: 4, label: '4: Moderately severe disability', description: 'Unable to walk without assistance and unable to attend to own bodily needs without assistance'},
+                    {value: 5, label: '5: Severe disability', description: 'Bedridden, incontinent and requiring constant nursing care and attention'},
+                    {value: 6, label: '6: Dead', description: 'Deceased'}
+                ],
+                keywords: ['independent', 'walks without assistance', 'needs help', 'bedridden', 'nursing care', 'activities of daily living', 'ADLs', 'disability', 'rankin']
+            }
+        ],
+        scoring: function(responses = {}) {
+            const grade = responses.grade ?? null;
+            return {
+                total: grade !== null ? grade : null,
+                max: 6,
+                answered: grade !== null ? 1 : 0,
+                totalQuestions: 1,
+                percentage: grade !== null ? 100 : 0
+            };
+        },
+        interpretation: function(grade) {
+            const interpretations = {
+                0: {severity: 'mRS 0 - No Symptoms', color: '#10b981', description: 'No residual symptoms', recommendation: 'Routine follow-up'},
+                1: {severity: 'mRS 1 - No Significant Disability', color: '#10b981', description: 'Symptoms present but all usual activities maintained', recommendation: 'Routine follow-up, secondary prevention'},
+                2: {severity: 'mRS 2 - Slight Disability', color: '#84cc16', description: 'Independent but unable to do all previous activities', recommendation: 'Outpatient rehabilitation as needed'},
+                3: {severity: 'mRS 3 - Moderate Disability', color: '#f59e0b', description: 'Needs some help, walks unassisted', recommendation: 'Rehabilitation, home support assessment'},
+                4: {severity: 'mRS 4 - Moderately Severe Disability', color: '#ef4444', description: 'Cannot walk or attend to bodily needs without assistance', recommendation: 'Inpatient rehabilitation or supported living'},
+                5: {severity: 'mRS 5 - Severe Disability', color: '#dc2626', description: 'Bedridden, incontinent, constant care', recommendation: 'Long-term nursing care, goals-of-care discussion'},
+                6: {severity: 'mRS 6 - Dead', color: '#6b7280', description: 'Deceased', recommendation: 'N/A'}
+            };
+            return interpretations[grade] || {severity: 'Unknown', color: '#6b7280', description: 'Grade not assessed', recommendation: 'Complete assessment'};
+        },
+        minScore: 0,
+        maxScore: 6,
+        ranges: [
+            {min: 0, max: 2, severity: 'Functionally Independent', color: '#10b981'},
+            {min: 3, max: 5, severity: 'Dependent', color: '#dc2626'},
+            {min: 6, max: 6, severity: 'Dead', color: '#6b7280'}
+        ],
+        evidenceLevel: 'Level I - Primary outcome measure in stroke trials',
+        references: [
+            'Rankin J. Cerebral vascular accidents in patients over the age of 60. II. Prognosis. Scott Med J. 1957;2:200-215.',
+            'van Swieten JC, et al. Interobserver agreement for the assessment of handicap in stroke patients. Stroke. 1988;19:604-607.'
+        ]
+    },
+
+    'kps': {
+        id: 'kps',
+        name: 'Karnofsky Performance Status (KPS)',
+        shortName: 'KPS',
+        category: 'functional',
+        pathologies: ['brain-tumor'],
+        description: 'Performance status scale from 100 (normal) to 0 (dead) in steps of 10. Guides treatment eligibility and prognosis in neuro-oncology.',
+        questions: [
+            {
+                id: 'score',
+                section: 'Performance Status',
+                text: 'Functional performance level',
+                options: [
+                    {value: 100, label: '100: Normal, no complaints', description: 'No evidence of disease'},
+                    {value: 90, label: '90: Able to carry on normal activity', description: 'Minor signs or symptoms of disease'},
+                    {value: 80, label: '80: Normal activity with effort', description: 'Some signs or symptoms of disease'},
+                    {value: 70, label: '70: Cares for self', description: 'Unable to carry on normal activity or do active work'},
+                    {value: 60, label: '60: Requires occasional assistance', description: 'Able to care for most personal needs'},
+                    {value: 50, label: '50: Requires considerable assistance', description: 'Frequent medical care'},
+                    {value: 40, label: '40: Disabled', description: 'Requires special care and assistance'},
+                    {value: 30, label: '30: Severely disabled', description: 'Hospitalization indicated, death not imminent'},
+                    {value: 20, label: '20: Very sick', description: 'Hospitalization and active supportive treatment necessary'},
+                    {value: 10, label: '10: Moribund', description: 'Fatal processes progressing rapidly'},
+                    {value: 0, label: '0: Dead', description: 'Deceased'}
+                ],
+                keywords: ['karnofsky', 'KPS', 'performance status', 'normal activity', 'cares for self', 'assistance', 'disabled', 'working', 'bedbound']
+            }
+        ],
+        scoring: function(responses = {}) {
+            const score = responses.score ?? null;
+            return {
+                total: score !== null ? score : null,
+                max: 100,
+                answered: score !== null ? 1 : 0,
+                totalQuestions: 1,
+                percentage: score !== null ? 100 : 0
+            };
+        },
+        interpretation: function(score) {
+            if (score === null || score === undefined) {
+                return {severity: 'Not Assessed', color: '#6b7280', description: 'Performance status not evaluated', recommendation: 'Complete assessment'};
+            }
+            if (score >= 80) {
+                return {severity: 'Normal Activity', color: '#10b981', description: 'Able to carry on normal activity and work; no special care needed', recommendation: 'Candidate for maximal treatment (resection, adjuvant chemoradiation)'};
+            } else if (score >= 50) {
+                return {severity: 'Requires Assistance', color: '#f59e0b', description: 'Unable to work; lives at home and cares for most personal needs with varying assistance', recommendation: 'Individualize treatment intensity; KPS ≥70 is a common trial and aggressive-therapy threshold'};
+            } else if (score > 0) {
+                return {severity: 'Disabled', color: '#dc2626', description: 'Unable to care for self; requires institutional or hospital-level care', recommendation: 'Consider palliative-focused care, goals-of-care discussion'};
+            } else {
+                return {severity: 'Dead', color: '#6b7280', description: 'Deceased', recommendation: 'N/A'};
+            }
+        },
+        minScore: 0,
+        maxScore: 100,
+        ranges: [
+            {min: 0, max: 40, severity: 'Disabled', color: '#dc2626'},
+            {min: 50, max: 70, severity: 'Requires Assistance', color: '#f59e0b'},
+            {min: 80, max: 100, severity: 'Normal Activity', color: '#10b981'}
+        ],
+        evidenceLevel: 'Level I - Validated prognostic factor in neuro-oncology',
+        references: [
+            'Karnofsky DA, Burchenal JH. The clinical evaluation of chemotherapeutic agents in cancer. In: MacLeod CM, ed. Evaluation of Chemotherapeutic Agents. Columbia University Press; 1949:191-205.',
+            'Schag CC, et al. Karnofsky performance status revisited: reliability, validity, and guidelines. J Clin Oncol. 1984;2:187-193.'
+        ]
+    },
+
+    // ============================================================
+    // VASCULAR SCALES
+    // ============================================================
+
+    'nihss': {
+        id: 'nihss',
+        name: 'National Institutes of Health Stroke Scale (NIHSS)',
+        shortName: 'NIHSS',
+        category: 'vascular',
+        pathologies: ['vascular'],
+        description: 'Standardized 15-item neurological examination quantifying stroke-related deficit. Scored 0-42; higher scores indicate more severe stroke.',
+        questions: [
+            {
+                id: 'loc',
+                section: '1a. Level of Consciousness',
+                text: 'Level of consciousness',
+                options: [
+                    {value: 0, label: 'Alert, keenly responsive'},
+                    {value: 1, label: 'Not alert, arousable by minor stimulation'},
+                    {value: 2, label: 'Not alert, requires repeated or painful stimulation'},
+                    {value: 3, label: 'Unresponsive or reflex responses only'}
+                ],
+                keywords: ['alert', 'drowsy', 'obtunded', 'unresponsive', 'arousable', 'lethargic']
+            },
+            {
+                id: 'loc_questions',
+                section: '1b. LOC Questions',
+                text: 'Answers month and age',
+                options: [
+                    {value: 0, label: 'Answers both questions correctly'},
+                    {value: 1, label: 'Answers one question correctly'},
+                    {value: 2, label: 'Answers neither question correctly'}
+                ],
+                keywords: ['month', 'age', 'oriented', 'disoriented', 'orientation']
+            },
+            {
+                id: 'loc_commands',
+                section: '1c. LOC Commands',
+                text: 'Opens/closes eyes and grips/releases hand on command',
+                options: [
+                    {value: 0, label: 'Performs both tasks correctly'},
+                    {value: 1, label: 'Performs one task correctly'},
+                    {value: 2, label: 'Performs neither task correctly'}
+                ],
+                keywords: ['follows commands', 'close eyes', 'grip', 'make a fist', 'commands']
+            },
+            {
+                id: 'gaze',
+                section: '2. Best Gaze',
+                text: 'Horizontal eye movements',
+                options: [
+                    {value: 0, label: 'Normal'},
+                    {value: 1, label: 'Partial gaze palsy'},
+                    {value: 2, label: 'Forced deviation or total gaze paresis'}
+                ],
+                keywords: ['gaze', 'gaze deviation', 'gaze palsy', 'eye movements', 'conjugate deviation']
+            },
+            {
+                id: 'visual',
+                section: '3. Visual Fields',
+                text: 'Visual field testing by confrontation',
+                options: [
+                    {value: 0, label: 'No visual loss'},
+                    {value: 1, label: 'Partial hemianopia'},
+                    {value: 2, label: 'Complete hemianopia'},
+                    {value: 3, label: 'Bilateral hemianopia (including cortical blindness)'}
+                ],
+                keywords: ['visual field', 'hemianopia', 'quadrantanopia', 'field cut', 'blindness']
+            },
+            {
+                id: 'facial_palsy',
+                section: '4. Facial Palsy',
+                text: 'Facial movement',
+                options: [
+                    {value: 0, label: 'Normal symmetrical movements'},
+                    {value: 1, label: 'Minor paralysis (flattened nasolabial fold, asymmetry on smiling)'},
+                    {value: 2, label: 'Partial paralysis (total or near-total paralysis of lower face)'},
+                    {value: 3, label: 'Complete paralysis of one or both sides'}
+                ],
+                keywords: ['facial droop', 'facial palsy', 'facial weakness', 'nasolabial fold', 'asymmetric smile']
+            },
+            {
+                id: 'motor_arm_left',
+                section: '5a. Motor Arm - Left',
+                text: 'Left arm held at 90° (sitting) or 45° (supine) for 10 seconds',
+                options: [
+                    {value: 0, label: 'No drift'},
+                    {value: 1, label: 'Drift before 10 seconds, does not hit bed'},
+                    {value: 2, label: 'Some effort against gravity'},
+                    {value: 3, label: 'No effort against gravity, limb falls'},
+                    {value: 4, label: 'No movement'}
+                ],
+                keywords: ['left arm', 'arm drift', 'pronator drift', 'left upper extremity', 'hemiparesis']
+            },
+            {
+                id: 'motor_arm_right',
+                section: '5b. Motor Arm - Right',
+                text: 'Right arm held at 90° (sitting) or 45° (supine) for 10 seconds',
+                options: [
+                    {value: 0, label: 'No drift'},
+                    {value: 1, label: 'Drift before 10 seconds, does not hit bed'},
+                    {value: 2, label: 'Some effort against gravity'},
+                    {value: 3, label: 'No effort against gravity, limb falls'},
+                    {value: 4, label: 'No movement'}
+                ],
+                keywords: ['right arm', 'arm drift', 'pronator drift', 'right upper extremity', 'hemiparesis']
+            },
+            {
+                id: 'motor_leg_left',
+                section: '6a. Motor Leg - Left',
+                text: 'Left leg held at 30° (supine) for 5 seconds',
+                options: [
+                    {value: 0, label: 'No drift'},
+                    {value: 1, label: 'Drift before 5 seconds, does not hit bed'},
+                    {value: 2, label: 'Some effort against gravity'},
+                    {value: 3, label: 'No effort against gravity, leg falls to bed'},
+                    {value: 4, label: 'No movement'}
+                ],
+                keywords: ['left leg', 'leg drift', 'left lower extremity', 'leg weakness']
+            },
+            {
+                id: 'motor_leg_right',
+                section: '6b. Motor Leg - Right',
+                text: 'Right leg held at 30° (supine) for 5 seconds',
+                options: [
+                    {value: 0, label: 'No drift'},
+                    {value: 1, label: 'Drift before 5 seconds, does not hit bed'},
+                    {value: 2, label: 'Some effort against gravity'},
+                    {value: 3, label: 'No effort against gravity, leg falls to bed'},
+                    {value: 4, label: 'No movement'}
+                ],
+                keywords: ['right leg', 'leg drift', 'right lower extremity', 'leg weakness']
+            },
+            {
+                id: 'ataxia',
+                section: '7. Limb Ataxia',
+                text: 'Finger-nose-finger and heel-shin testing',
+                options: [
+                    {value: 0, label: 'Absent'},
+                    {value: 1, label: 'Present in one limb'},
+                    {value: 2, label: 'Present in two limbs'}
+                ],
+                keywords: ['ataxia', 'dysmetria', 'finger to nose', 'heel to shin', 'incoordination']
+            },
+            {
+                id: 'sensory',
+                section: '8. Sensory',
+                text: 'Sensation to pinprick',
+                options: [
+                    {value: 0, label: 'Normal, no sensory loss'},
+                    {value: 1, label: 'Mild-to-moderate sensory loss'},
+                    {value: 2, label: 'Severe to total sensory loss'}
+                ],
+                keywords: ['numbness', 'sensory loss', 'pinprick', 'hemisensory', 'decreased sensation']
+            },
+            {
+                id: 'language',
+                section: '9. Best Language',
+                text: 'Naming, reading and picture description',
+                options: [
+                    {value: 0, label: 'No aphasia, normal'},
+                    {value: 1, label: 'Mild-to-moderate aphasia'},
+                    {value: 2, label: 'Severe aphasia'},
+                    {value: 3, label: 'Mute, global aphasia'}
+                ],
+                keywords: ['aphasia', 'word finding', 'naming', 'expressive', 'receptive', 'language']
+            },
+            {
+                id: 'dysarthria',
+                section: '10. Dysarthria',
+                text: 'Articulation when reading or repeating words',
+                options: [
+                    {value: 0, label: 'Normal'},
+                    {value: 1, label: 'Mild-to-moderate dysarthria'},
+                    {value: 2, label: 'Severe dysarthria, unintelligible or mute'}
+                ],
+                keywords: ['dysarthria', 'slurred speech', 'slurring', 'articulation']
+            },
+            {
+                id: 'extinction',
+                section: '11. Extinction and Inattention',
+                text: 'Neglect to visual, tactile, auditory, spatial or personal stimuli',
+                options: [
+                    {value: 0, label: 'No abnormality'},
+                    {value: 1, label: 'Inattention or extinction in one sensory modality'},
+                    {value: 2, label: 'Profound hemi-inattention or extinction in more than one modality'}
+                ],
+                keywords: ['neglect', 'extinction', 'inattention', 'hemineglect']
+            }
+        ],
+        scoring: function(responses = {}) {
+            let total = 0;
+            let answered = 0;
+            for (const q of this.questions) {
+                const value = responses[q.id] ?? null;
+                if (value !== null) {
+                    total += value;
+                    answered++;
+                }
+            }
+            return {
+                total: total,
+                max: this.maxScore,
+                answered: answered,
+                totalQuestions: this.questions.length,
+                percentage: Math.round((answered / this.questions.length) * 100)
+            };
+        },
+        interpretation: function(score) {
+            if (score === 0) {
+                return {severity: 'No Stroke Symptoms', color: '#10b981', description: 'No measurable deficit', recommendation: 'Reassess if symptoms recur'};
+            } else if (score <= 4) {
+                return {severity: 'Minor Stroke', color: '#84cc16', description: 'Minor deficit', recommendation: 'Consider thrombolysis if deficit is disabling; dual antiplatelet therapy for non-disabling minor stroke'};
+            } else if (score <= 15) {
+                return {severity: 'Moderate Stroke', color: '#f59e0b', description: 'Moderate deficit', recommendation: 'Acute reperfusion evaluation (thrombolysis, CTA for large vessel occlusion)'};
+            } else if (score <= 20) {
+                return {severity: 'Moderate to Severe Stroke', color: '#ef4444', description: 'Moderate to severe deficit, likely large vessel occlusion', recommendation: 'Urgent thrombectomy evaluation, stroke unit or ICU'};
+            } else {
+                return {severity: 'Severe Stroke', color: '#dc2626', description: 'Severe deficit', recommendation: 'ICU care, thrombectomy evaluation, monitor for malignant edema'};
+            }
+        },
+        minScore: 0,
+        maxScore: 42,
+        ranges: [
+            {min: 0, max: 0, severity: 'No Stroke Symptoms', color: '#10b981'},
+            {min: 1, max: 4, severity: 'Minor', color: '#84cc16'},
+            {min: 5, max: 15, severity: 'Moderate', color: '#f59e0b'},
+            {min: 16, max: 20, severity: 'Moderate-Severe', color: '#ef4444'},
+            {min: 21, max: 42, severity: 'Severe', color: '#dc2626'}
+        ],
+        evidenceLevel: 'Level I - Standard stroke severity measure',
+        references: [
+            'Brott T, et al. Measurements of acute cerebral infarction: a clinical examination scale. Stroke. 1989;20:864-870.',
+            'Lyden P, et al. Improved reliability of the NIH Stroke Scale using video training. Stroke. 1994;25:2220-2226.'
+        ]
+    },
+
+    'hunt_hess': {
+        id: 'hunt_hess',
+        name: 'Hunt and Hess Scale',
+        shortName: 'Hunt-Hess',
+        category: 'vascular',
+        pathologies: ['vascular'],
+        description: 'Clinical grading of aneurysmal subarachnoid hemorrhage (I-V) by symptoms and level of consciousness. One grade is added for serious systemic disease or severe angiographic vasospasm.',
+        questions: [
+            {
+                id: 'grade',
+                section: 'Clinical Grade',
+                text: 'Clinical presentation',
+                options: [
+                    {value: 1, label: 'Grade I: Asymptomatic or mild headache, slight nuchal rigidity'},
+                    {value: 2, label: 'Grade II: Moderate to severe headache, nuchal rigidity, no deficit other than cranial nerve palsy'},
+                    {value: 3, label: 'Grade III: Drowsiness, confusion or mild focal deficit'},
+                    {value: 4, label: 'Grade IV: Stupor, moderate to severe hemiparesis, possible early decerebrate rigidity'},
+                    {value: 5, label: 'Grade V: Deep coma, decerebrate rigidity, moribund appearance'}
+                ],
+                keywords: ['thunderclap', 'worst headache', 'nuchal rigidity', 'neck stiffness', 'meningismus', 'drowsy', 'confused', 'stupor', 'coma', 'hunt hess', 'H&H']
+            },
+            {
+                id: 'systemic_disease',
+                section: 'Modifier',
+                text: 'Serious systemic disease (hypertension, diabetes, severe atherosclerosis, COPD) or severe vasospasm on angiography',
+                options: [
+                    {value: 0, label: 'Absent'},
+                    {value: 1, label: 'Present (add one grade)'}
+                ],
+                keywords: ['hypertension', 'diabetes', 'COPD', 'atherosclerosis', 'vasospasm']
+            }
+        ],
+        scoring: function(responses = {}) {
+            const grade = responses.grade ?? null;
+            const modifier = responses.systemic_disease || 0;
+            const answered = this.questions.filter(q => (responses[q.id] ?? null) !== null).length;
+            return {
+                total: grade !== null ? Math.min(grade + modifier, 5) : null,
+                baseGrade: grade,
+                modifier: modifier,
+                max: 5,
+                answered: answered,
+                totalQuestions: this.questions.length,
+                percentage: Math.round((answered / this.questions.length) * 100)
+            };
+        },
+        interpretation: function(grade) {
+            const interpretations = {
+                1: {severity: 'Grade I', color: '#10b981', description: 'Good clinical grade (historical surgical mortality ~11%)', recommendation: 'Early aneurysm securement (coiling or clipping)'},
+                2: {severity: 'Grade II', color: '#84cc16', description: 'Good clinical grade (historical surgical mortality ~26%)', recommendation: 'Early aneurysm securement, monitor for hydrocephalus'},
+                3: {severity: 'Grade III', color: '#f59e0b', description: 'Intermediate grade (historical surgical mortality ~37%)', recommendation: 'Early securement, ICU monitoring, low threshold for EVD'},
+                4: {severity: 'Grade IV', color: '#ef4444', description: 'Poor grade (historical surgical mortality ~71%)', recommendation: 'ICU, EVD if hydrocephalus, securement after stabilization'},
+                5: {severity: 'Grade V', color: '#dc2626', description: 'Poor grade, moribund (historical surgical mortality ~100%)', recommendation: 'Resuscitation and ICP management; individualize intervention, goals-of-care discussion'}
+            };
+            return interpretations[grade] || {severity: 'Unknown', color: '#6b7280', description: 'Grade not assessed', recommendation: 'Complete assessment'};
+        },
+        minScore: 1,
+        maxScore: 5,
+        ranges: [
+            {min: 1, max: 2, severity: 'Good Grade', color: '#10b981'},
+            {min: 3, max: 3, severity: 'Intermediate', color: '#f59e0b'},
+            {min: 4, max: 5, severity: 'Poor Grade', color: '#dc2626'}
+        ],
+        evidenceLevel: 'Level II - Widely used SAH grading system',
+        references: [
+            'Hunt WE, Hess RM. Surgical risk as related to time of intervention in the repair of intracranial aneurysms. J Neurosurg. 1968;28:14-20.'
+        ]
+    },
+
+    'wfns': {
+        id: 'wfns',
+        name: 'World Federation of Neurosurgical Societies (WFNS) SAH Grade',
+        shortName: 'WFNS',
+        category: 'vascular',
+        pathologies: ['vascular'],
+        description: 'Subarachnoid hemorrhage grade (I-V) derived from the Glasgow Coma Scale and presence of a major focal motor deficit.',
+        questions: [
+            {
+                id: 'gcs',
+                section: 'Glasgow Coma Scale',
+                text: 'GCS total',
+                options: [
+                    {value: 15, label: 'GCS 15'},
+                    {value: 14, label: 'GCS 13-14'},
+                    {value: 12, label: 'GCS 7-12'},
+                    {value: 6, label: 'GCS 3-6'}
+                ],
+                keywords: ['GCS', 'glasgow', 'alert', 'drowsy', 'stupor', 'coma']
+            },
+            {
+                id: 'motor_deficit',
+                section: 'Motor Deficit',
+                text: 'Major focal motor deficit (hemiparesis, aphasia)',
+                options: [
+                    {value: 0, label: 'Absent'},
+                    {value: 1, label: 'Present'}
+                ],
+                keywords: ['hemiparesis', 'weakness', 'aphasia', 'focal deficit', 'motor deficit']
+            }
+        ],
+        scoring: function(responses = {}) {
+            const gcs = responses.gcs ?? null;
+            const deficit = responses.motor_deficit ?? null;
+            const answered = this.questions.filter(q => (responses[q.id] ?? null) !== null).length;
+
+            // Grade I-III need the motor deficit; IV-V are set by GCS alone
+            let grade = null;
+            let note = null;
+            if (gcs !== null && gcs <= 6) {
+                grade = 5;
+            } else if (gcs !== null && gcs <= 12) {
+                grade = 4;
+            } else if (gcs !== null && deficit !== null) {
+                if (gcs >= 15) {
+                    grade = deficit ? 2 : 1;
+                    if (deficit) note = 'GCS 15 with motor deficit is not defined in the original WFNS scale; graded II';
+                } else {
+                    grade = deficit ? 3 : 2;
+                }
+            }
+
+            return {
+                total: grade,
+                gcs: gcs,
+                motorDeficit: deficit,
+                note: note,
+                max: 5,
+                answered: answered,
+                totalQuestions: this.questions.length,
+                percentage: Math.round((answered / this.questions.length) * 100)
+            };
+        },
+        interpretation: function(grade) {
+            const interpretations = {
+                1: {severity: 'WFNS I', color: '#10b981', description: 'GCS 15, no motor deficit', recommendation: 'Early aneurysm securement'},
+                2: {severity: 'WFNS II', color: '#84cc16', description: 'GCS 13-14, no motor deficit', recommendation: 'Early aneurysm securement, monitor for hydrocephalus'},
+                3: {severity: 'WFNS III', color: '#f59e0b', description: 'GCS 13-14 with motor deficit', recommendation: 'Early securement, ICU monitoring'},
+                4: {severity: 'WFNS IV', color: '#ef4444', description: 'GCS 7-12 (poor grade)', recommendation: 'ICU, EVD if hydrocephalus, securement after stabilization'},
+                5: {severity: 'WFNS V', color: '#dc2626', description: 'GCS 3-6 (poor grade)', recommendation: 'Resuscitation and ICP management; individualize intervention'}
+            };
+            return interpretations[grade] || {severity: 'Unknown', color: '#6b7280', description: 'Grade not assessed', recommendation: 'Complete assessment'};
+        },
+        minScore: 1,
+        maxScore: 5,
+        maxMissing: 1, // GCS ≤12 grades without the motor deficit
+        ranges: [
+            {min: 1, max: 3, severity: 'Good Grade', color: '#10b981'},
+            {min: 4, max: 5, severity: 'Poor Grade', color: '#dc2626'}
+        ],
+        evidenceLevel: 'Level II - Recommended SAH grading system',
+        references: [
+            'Teasdale GM, et al. A universal subarachnoid hemorrhage scale: report of a committee of the World Federation of Neurosurgical Societies. J Neurol Neurosurg Psychiatry. 1988;51:1457.'
+        ]
+    },
+
+    'modified_fisher': {
+        id: 'modified_fisher',
+        name: 'Modified Fisher Scale',
+        shortName: 'mFisher',
+        category: 'vascular',
+        pathologies: ['vascular'],
+        description: 'CT grading of subarachnoid blood thickness and intraventricular hemorrhage (0-4). Predicts risk of symptomatic vasospasm.',
+        questions: [
+            {
+                id: 'grade',
+                section: 'CT Findings',
+                text: 'Subarachnoid and intraventricular blood on initial CT',
+                options: [
+                    {value: 0, label: 'Grade 0: No SAH or IVH'},
+                    {value: 1, label: 'Grade 1: Focal or diffuse thin SAH, no IVH'},
+                    {value: 2, label: 'Grade 2: Focal or diffuse thin SAH, with IVH'},
+                    {value: 3, label: 'Grade 3: Thick SAH, no IVH'},
+                    {value: 4, label: 'Grade 4: Thick SAH, with IVH'}
+                ],
+                keywords: ['fisher', 'thick SAH', 'thin SAH', 'cisternal blood', 'intraventricular', 'IVH', 'subarachnoid blood']
+            }
+        ],
+        scoring: function(responses = {}) {
+            const grade = responses.grade ?? null;
+            return {
+                total: grade !== null ? grade : null,
+                max: 4,
+                answered: grade !== null ? 1 : 0,
+                totalQuestions: 1,
+                percentage: grade !== null ? 100 : 0
+            };
+        },
+        interpretation: function(grade) {
+            const interpretations = {
+                0: {severity: 'Grade 0', color: '#10b981', description: 'No blood on CT - minimal vasospasm risk', recommendation: 'Reconsider diagnosis (LP / CTA if clinical suspicion)'},
+                1: {severity: 'Grade 1', color: '#84cc16', description: 'Thin SAH without IVH - symptomatic vasospasm ~24%', recommendation: 'Nimodipine, euvolemia, vasospasm surveillance days 3-14'},
+                2: {severity: 'Grade 2', color: '#f59e0b', description: 'Thin SAH with IVH - symptomatic vasospasm ~33%', recommendation: 'Nimodipine, vasospasm surveillance (TCDs), monitor for hydrocephalus'},
+                3: {severity: 'Grade 3', color: '#ef4444', description: 'Thick SAH without IVH - symptomatic vasospasm ~33%', recommendation: 'Nimodipine, daily TCDs, low threshold for angiography'},
+                4: {severity: 'Grade 4', color: '#dc2626', description: 'Thick SAH with IVH - symptomatic vasospasm ~40%', recommendation: 'Nimodipine, daily TCDs, close ICU monitoring, EVD if hydrocephalus'}
+            };
+            return interpretations[grade] || {severity: 'Unknown', color: '#6b7280', description: 'Grade not assessed', recommendation: 'Complete assessment'};
+        },
+        minScore: 0,
+        maxScore: 4,
+        ranges: [
+            {min: 0, max: 1, severity: 'Low Vasospasm Risk', color: '#10b981'},
+            {min: 2, max: 3, severity: 'Moderate Vasospasm Risk', color: '#f59e0b'},
+            {min: 4, max: 4, severity: 'High Vasospasm Risk', color: '#dc2626'}
+        ],
+        evidenceLevel: 'Level II - Validated vasospasm risk predictor',
+        references: [
+            'Frontera JA, et al. Prediction of symptomatic vasospasm after subarachnoid hemorrhage: the modified Fisher scale. Neurosurgery. 2006;59:21-27.'
+        ]
+    },
+
+    // ============================================================
+    // SPINE TRAUMA SCALES
+    // ============================================================
+
+    'asia': {
+        id: 'asia',
+        name: 'ASIA Impairment Scale (ISNCSCI)',
+        shortName: 'ASIA',
+        category: 'spine',
+        pathologies: ['spine-trauma'],
+        description: 'International Standards for Neurological Classification of Spinal Cord Injury. Derives sensory, motor and neurological levels, completeness and AIS grade (A-E) from the bilateral key muscle and dermatome examination.',
+        questions: buildIsncsciQuestions(),
+        scoring: function(responses = {}) {
+            const answered = this.questions.filter(q => (responses[q.id] ?? null) !== null).length;
+            const classification = deriveIsncsci(responses);
+            return {
+                total: classification.ais,
+                ...classification,
+                max: this.maxScore,
+                answered: answered,
+                totalQuestions: this.questions.length,
+                percentage: Math.round((answered / this.questions.length) * 100)
+            };
+        },
+        interpretation: function(grade) {
+            const interpretations = {
+                'A': {severity: 'AIS A - Complete', color: '#dc2626', description: 'No sensory or motor function preserved in sacral segments S4-5', recommendation: 'Early decompression and stabilization (<24h) where indicated, MAP augmentation, ICU monitoring; document zone of partial preservation'},
+                'B': {severity: 'AIS B - Sensory Incomplete', color: '#ef4444', description: 'Sensory but no motor function preserved below the neurological level, including S4-5; no motor function more than three levels below the motor level', recommendation: 'Early decompression and stabilization (<24h), MAP augmentation; preserved pin prick favours motor recovery'},
+                'C': {severity: 'AIS C - Motor Incomplete', color: '#f59e0b', description: 'Motor function preserved below the neurological level; less than half of key muscles below the level graded ≥3', recommendation: 'Early decompression and stabilization (<24h), MAP augmentation, early rehabilitation'},
+                'D': {severity: 'AIS D - Motor Incomplete', color: '#84cc16', description: 'Motor function preserved below the neurological level; at least half of key muscles below the level graded ≥3', recommendation: 'Decompression and stabilization as indicated; good prognosis for ambulation, early rehabilitation'},
+                'E': {severity: 'AIS E - Normal', color: '#10b981', description: 'Sensory and motor function normal in all segments', recommendation: 'Applies only to patients with previously documented deficits; manage underlying injury'},
+                'ND': {severity: 'Not Determinable', color: '#6b7280', description: 'Examination incomplete - classification cannot be derived', recommendation: 'Complete key muscle, dermatome and rectal examination'}
+            };
+            return interpretations[grade] || interpretations['ND'];
+        },
+        // Graded, not summed: the 0-100 motor and 0-112 sensory totals are components (motorScore, sensoryScore)
+        minScore: 'A',
+        maxScore: 'E',
+        // Items beyond the levels may be untested; the grade needs every key level and the sacral exam
+        isDeterminable: function(result) {
+            const levels = [
+                result.neurologicalLevel,
+                result.sensoryLevel.right, result.sensoryLevel.left,
+                result.motorLevel.right, result.motorLevel.left
+            ];
+            return result.ais !== 'ND' && result.complete !== null && !levels.includes('ND');
+        },
+        ranges: [
+            {grade: 'A', severity: 'Complete', color: '#dc2626'},
+            {grade: 'B', severity: 'Sensory Incomplete', color: '#ef4444'},
+            {grade: 'C', severity: 'Motor Incomplete (<50% key muscles ≥3)', color: '#f59e0b'},
+            {grade: 'D', severity: 'Motor Incomplete (≥50% key muscles ≥3)', color: '#84cc16'},
+            {grade: 'E', severity: 'Normal', color: '#10b981'}
+        ],
+        evidenceLevel: 'Level I - International standard for spinal cord injury classification',
+        references: [
+            'Kirshblum SC, et al. International standards for neurological classification of spinal cord injury (revised 2011). J Spinal Cord Med. 2011;34:535-546.',
+            'Rupp R, et al. International Standards for Neurological Classification of Spinal Cord Injury: Revised 2019. Top Spinal Cord Inj Rehabil. 2021;27:1-22.'
+        ]
+    },
+
+    'tlics': {
+        id: 'tlics',
+        name: 'Thoracolumbar Injury Classification and Severity Score (TLICS)',
+        shortName: 'TLICS',
+        category: 'spine',
+        pathologies: ['spine-trauma'],
+        description: 'Thoracolumbar trauma severity score from injury morphology, neurological status and posterior ligamentous complex (PLC) integrity. Guides operative versus non-operative management.',
+        questions: [
+            {
+                id: 'morphology',
+                section: 'Injury Morphology',
+                text: 'Fracture morphology on imaging',
+                options: [
+                    {value: 1, label: 'Compression', description: 'Anterior column compression fracture'},
+                    {value: 2, label: 'Burst', description: 'Compression with posterior vertebral body involvement'},
+                    {value: 3, label: 'Translational/rotational', description: 'Horizontal displacement or rotation'},
+                    {value: 4, label: 'Distraction', description: 'Anterior or posterior distraction injury'}
+                ],
+                keywords: ['compression fracture', 'burst fracture', 'translation', 'rotation', 'distraction', 'chance fracture', 'fracture-dislocation']
+            },
+            {
+                id: 'neurologic',
+                section: 'Neurological Status',
+                text: 'Neurological involvement',
+                options: [
+                    {value: 0, label: 'Intact'},
+                    {value: 2, label: 'Nerve root injury'},
+                    {value: 2, label: 'Complete spinal cord or conus medullaris injury'},
+                    {value: 3, label: 'Incomplete spinal cord or conus medullaris injury'},
+                    {value: 3, label: 'Cauda equina syndrome'}
+                ],
+                keywords: ['neurologically intact', 'radiculopathy', 'complete injury', 'incomplete injury', 'conus', 'cauda equina', 'saddle anesthesia']
+            },
+            {
+                id: 'plc',
+                section: 'Posterior Ligamentous Complex',
+                text: 'PLC integrity (MRI / CT)',
+                options: [
+                    {value: 0, label: 'Intact'},
+                    {value: 2, label: 'Injury suspected or indeterminate'},
+                    {value: 3, label: 'Injured', description: 'Interspinous widening, facet diastasis or dislocation, STIR signal through PLC'}
+                ],
+                keywords: ['posterior ligamentous complex', 'PLC', 'interspinous widening', 'facet diastasis', 'STIR', 'ligamentous injury']
+            }
+        ],
+        scoring: function(responses = {}) {
+            let total = 0;
+            let answered = 0;
+            for (const q of this.questions) {
+                const value = responses[q.id] ?? null;
+                if (value !== null) {
+                    total += value;
+                    answered++;
+                }
+            }
+            return {
+                total: total,
+                max: this.maxScore,
+                answered: answered,
+                totalQuestions: this.questions.length,
+                percentage: Math.round((answered / this.questions.length) * 100)
+            };
+        },
+        interpretation: function(score) {
+            if (score <= 3) {
+                return {severity: 'Non-operative', color: '#10b981', description: 'TLICS ≤3', recommendation: 'Non-operative management (bracing, early mobilization), serial upright radiographs'};
+            } else if (score === 4) {
+                return {severity: 'Indeterminate', color: '#f59e0b', description: 'TLICS 4', recommendation: 'Operative or non-operative at surgeon discretion; weigh patient factors and comorbidities'};
+            } else {
+                return {severity: 'Operative', color: '#dc2626', description: 'TLICS ≥5', recommendation: 'Operative management: stabilization, with decompression for incomplete neurological injury'};
+            }
+        },
+        minScore: 1,
+        maxScore: 10,
+        ranges: [
+            {min: 1, max: 3, severity: 'Non-operative', color: '#10b981'},
+            {min: 4, max: 4, severity: 'Indeterminate', color: '#f59e0b'},
+            {min: 5, max: 10, severity: 'Operative', color: '#dc2626'}
+        ],
+        evidenceLevel: 'Level II - Validated thoracolumbar trauma classification',
+        references: [
+            'Vaccaro AR, et al. A new classification of thoracolumbar injuries: the importance of injury morphology, the integrity of the posterior ligamentous complex, and neurologic status. Spine. 2005;30:2325-2333.'
+        ]
+    },
+
+    'slic': {
+        id: 'slic',
+        name: 'Subaxial Cervical Spine Injury Classification (SLIC)',
+        shortName: 'SLIC',
+        category: 'spine',
+        pathologies: ['spine-trauma'],
+        description: 'Subaxial (C3-C7) cervical trauma severity score from injury morphology, disco-ligamentous complex (DLC) integrity and neurological status. Guides operative versus non-operative management.',
+        questions: [
+            {
+                id: 'morphology',
+                section: 'Injury Morphology',
+                text: 'Fracture morphology on imaging',
+                options: [
+                    {value: 0, label: 'No abnormality'},
+                    {value: 1, label: 'Compression', description: 'Including simple end plate or vertebral body fractures'},
+                    {value: 2, label: 'Burst'},
+                    {value: 3, label: 'Distraction', description: 'Facet perch, hyperextension injury'},
+                    {value: 4, label: 'Rotation/translation', description: 'Facet dislocation, unstable teardrop, advanced flexion-compression'}
+                ],
+                keywords: ['compression fracture', 'burst fracture', 'perched facet', 'hyperextension', 'facet dislocation', 'jumped facet', 'teardrop', 'translation']
+            },
+            {
+                id: 'dlc',
+                section: 'Disco-Ligamentous Complex',
+                text: 'DLC integrity',
+                options: [
+                    {value: 0, label: 'Intact'},
+                    {value: 1, label: 'Indeterminate', description: 'Isolated interspinous widening, MRI signal change only'},
+                    {value: 2, label: 'Disrupted', description: 'Widening of anterior disc space, facet perch or dislocation'}
+                ],
+                keywords: ['disco-ligamentous', 'DLC', 'interspinous widening', 'disc space widening', 'ligamentous injury', 'STIR']
+            },
+            {
+                id: 'neurologic',
+                section: 'Neurological Status',
+                text: 'Neurological involvement',
+                options: [
+                    {value: 0, label: 'Intact'},
+                    {value: 1, label: 'Root injury'},
+                    {value: 2, label: 'Complete cord injury'},
+                    {value: 3, label: 'Incomplete cord injury'}
+                ],
+                keywords: ['neurologically intact', 'radiculopathy', 'complete injury', 'incomplete injury', 'central cord', 'quadriparesis']
+            },
+            {
+                id: 'cord_compression',
+                section: 'Neurological Status',
+                text: 'Continuous cord compression in the setting of a neurological deficit',
+                options: [
+                    {value: 0, label: 'Absent'},
+                    {value: 1, label: 'Present (+1)'}
+                ],
+                keywords: ['cord compression', 'ongoing compression', 'disc herniation', 'canal compromise']
+            }
+        ],
+        scoring: function(responses = {}) {
+            let total = 0;
+            let answered = 0;
+            const neurologic = responses.neurologic ?? null;
+            for (const q of this.questions) {
+                const value = responses[q.id] ?? null;
+                if (value !== null) {
+                    // Cord compression modifier only counts with a neurological deficit
+                    if (q.id !== 'cord_compression' || neurologic > 0) {
+                        total += value;
+                    }
+                    answered++;
+                }
+            }
+            return {
+                total: total,
+                max: this.maxScore,
+                answered: answered,
+                totalQuestions: this.questions.length,
+                percentage: Math.round((answered / this.questions.length) * 100)
+            };
+        },
+        interpretation: function(score) {
+            if (score <= 3) {
+                return {severity: 'Non-operative', color: '#10b981', description: 'SLIC ≤3', recommendation: 'Non-operative management (cervical orthosis), flexion-extension radiographs at follow-up'};
+            } else if (score === 4) {
+                return {severity: 'Indeterminate', color: '#f59e0b', description: 'SLIC 4', recommendation: 'Operative or non-operative at surgeon discretion'};
+            } else {
+                return {severity: 'Operative', color: '#dc2626', description: 'SLIC ≥5', recommendation: 'Operative management: reduction, decompression of neural elements and stabilization'};
+            }
+        },
+        minScore: 0,
+        maxScore: 10,
+        ranges: [
+            {min: 0, max: 3, severity: 'Non-operative', color: '#10b981'},
+            {min: 4, max: 4, severity: 'Indeterminate', color: '#f59e0b'},
+            {min: 5, max: 10, severity: 'Operative', color: '#dc2626'}
+        ],
+        evidenceLevel: 'Level II - Validated subaxial cervical trauma classification',
+        references: [
+            'Vaccaro AR, et al. The subaxial cervical spine injury classification system: a novel approach to recognize the importance of morphology, neurology, and integrity of the disco-ligamentous complex. Spine. 2007;32:2365-2374.'
+        ]
+    },
+
+    'frankel': {
+        id: 'frankel',
+        name: 'Frankel Grade',
+        shortName: 'Frankel',
+        category: 'spine',
+        pathologies: ['spine-trauma'],
+        description: 'Historical five-grade classification (A-E) of neurological function after spinal cord injury. Superseded by the ASIA Impairment Scale but still used in older records and trauma registries.',
+        questions: [
+            {
+                id: 'grade',
+                section: 'Neurological Function',
+                text: 'Neurological function below the level of injury',
+                options: [
+                    {value: 'A', label: 'A: Complete', description: 'No motor or sensory function below the level'},
+                    {value: 'B', label: 'B: Sensory only', description: 'Some sensation preserved, no motor function below the level'},
+                    {value: 'C', label: 'C: Motor useless', description: 'Some motor function preserved but of no practical use'},
+                    {value: 'D', label: 'D: Motor useful', description: 'Useful motor function below the level; can walk with or without aids'},
+                    {value: 'E', label: 'E: Recovery', description: 'Normal motor and sensory function; abnormal reflexes may persist'}
+                ],
+                keywords: ['frankel', 'complete injury', 'sensory sparing', 'motor sparing', 'ambulatory', 'recovery']
+            }
+        ],
+        scoring: function(responses = {}) {
+            const grade = responses.grade ?? null;
+            return {
+                total: grade !== null ? grade : null,
+                max: 'E',
+                answered: grade !== null ? 1 : 0,
+                totalQuestions: 1,
+                percentage: grade !== null ? 100 : 0
+            };
+        },
+        interpretation: function(grade) {
+            const interpretations = {
+                'A': {severity: 'Frankel A - Complete', color: '#dc2626', description: 'No motor or sensory function below the level of injury', recommendation: 'Decompression and stabilization where indicated; document full ISNCSCI examination'},
+                'B': {severity: 'Frankel B - Sensory Only', color: '#ef4444', description: 'Sensory function only below the level of injury', recommendation: 'Early decompression and stabilization; document full ISNCSCI examination'},
+                'C': {severity: 'Frankel C - Motor Useless', color: '#f59e0b', description: 'Non-functional motor sparing', recommendation: 'Early decompression and stabilization, rehabilitation'},
+                'D': {severity: 'Frankel D - Motor Useful', color: '#84cc16', description: 'Functional motor sparing, ambulatory', recommendation: 'Decompression and stabilization as indicated, rehabilitation'},
+                'E': {severity: 'Frankel E - Recovery', color: '#10b981', description: 'No neurological deficit', recommendation: 'Manage the bony or ligamentous injury on its own merits'}
+            };
+            return interpretations[grade] || {severity: 'Unknown', color: '#6b7280', description: 'Grade not assessed', recommendation: 'Complete assessment'};
+        },
+        minScore: 'A',
+        maxScore: 'E',
+        ranges: [
+            {grade: 'A', severity: 'Complete', color: '#dc2626'},
+            {grade: 'B', severity: 'Sensory Only', color: '#ef4444'},
+            {grade: 'C', severity: 'Motor Useless', color: '#f59e0b'},
+            {grade: 'D', severity: 'Motor Useful', color: '#84cc16'},
+            {grade: 'E', severity: 'Recovery', color: '#10b981'}
+        ],
+        evidenceLevel: 'Level III - Historical classification, superseded by AIS',
+        references: [
+            'Frankel HL, et al. The value of postural reduction in the initial management of closed injuries of the spine with paraplegia and tetraplegia. Paraplegia. 1969;7:179-192.'
+        ]
     }
 
     // Additional scales to be implemented in future iterations:
-    // - KPS (Karnofsky Performance Scale)
-    // - mRS (Modified Rankin Scale)
-    // - NIHSS (NIH Stroke Scale)
-    // - ASIA (Spinal Cord Injury)
-    // - Hunt-Hess (SAH grading)
-    // - Fisher Scale (SAH)
-    // - WFNS (SAH)
     // - Spetzler-Martin (AVM)
-    // - TLICS/SLIC (Spine trauma)
-    // - Frankel Grade
     // - UPDRS (Parkinson's)
     // - etc.
 };
 
+// ============================================================
+// RESPONSE VALIDATION AND SCORING
+// ============================================================
+
+/**
+ * Check one answer against its question definition
+ * @returns {String|null} Error message, or null when the answer is valid
+ */
+function validateAnswer(question, value) {
+    if (question.type === 'slider') {
+        if (typeof value !== 'number' || Number.isNaN(value)) {
+            return `${question.id}: expected a number, got ${JSON.stringify(value)}`;
+        }
+        if (value < question.min || value > question.max) {
+            return `${question.id}: ${value} is outside ${question.min}-${question.max}`;
+        }
+        return null;
+    }
+
+    if (!question.options.some(option => option.value === value)) {
+        return `${question.id}: ${JSON.stringify(value)} is not a valid option`;
+    }
+    return null;
+}
+
+/**
+ * Validate a {questionId: value} map against a scale definition.
+ * Null/undefined answers count as missing rather than invalid.
+ */
+function validateResponses(scale, responses = {}) {
+    const questions = new Map(scale.questions.map(q => [q.id, q]));
+    const errors = [];
+    const accepted = {};
+
+    for (const [questionId, value] of Object.entries(responses || {})) {
+        if (value === null || value === undefined) continue;
+
+        const question = questions.get(questionId);
+        const message = question
+            ? validateAnswer(question, value)
+            : `${questionId}: not a question of ${scale.shortName}`;
+
+        if (message) {
+            errors.push({questionId, value, message});
+        } else {
+            accepted[questionId] = value;
+        }
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors,
+        missing: scale.questions.filter(q => !(q.id in accepted)).map(q => q.id),
+        accepted
+    };
+}
+
+/**
+ * Score a scale from a {questionId: value} map without touching shared state.
+ * Invalid answers are dropped and reported; an incomplete form is only
+ * interpreted within the scale's maxMissing allowance (default: none), or
+ * when the scale's isDeterminable(result) says the items that decide the
+ * score were answered.
+ * formComplete says whether every item was answered; scales may return
+ * their own clinical `complete` (ASIA: complete injury) untouched.
+ */
+function scoreResponses(scale, responses = {}) {
+    const {valid, errors, missing, accepted} = validateResponses(scale, responses);
+    const result = scale.scoring(accepted);
+    const primary = result[scale.scoreField || 'total'];
+    const answeredEnough = scale.isDeterminable
+        ? scale.isDeterminable(result)
+        : missing.length <= (scale.maxMissing ?? 0);
+    const interpretable = primary !== null && primary !== undefined && answeredEnough;
+
+    return {
+        scaleId: scale.id,
+        ...result,
+        score: interpretable ? primary : null,
+        formComplete: missing.length === 0,   // Every item answered (ASIA's own `complete` is the injury grade)
+        missing,
+        valid,
+        errors,
+        interpretation: interpretable ? scale.interpretation(primary) : null
+    };
+}
+
+/**
+ * ScaleAssessment - one patient's answers to one scale in the current session.
+ * Each assessment owns its responses, so concurrent forms never share state;
+ * toJSON() is the plain object the app keeps in appStore.scaleResponses.
+ */
+export class ScaleAssessment {
+    constructor(scaleId, responses = {}, options = {}) {
+        if (!ClinicalScalesDatabase[scaleId]) {
+            throw new Error(`Unknown clinical scale: ${scaleId}`);
+        }
+
+        this.scaleId = scaleId;
+        this.responses = {};
+        this.startedAt = options.startedAt || new Date().toISOString();
+        this.setResponses(responses);
+        this.updatedAt = options.updatedAt || this.startedAt;
+    }
+
+    get scale() {
+        return ClinicalScalesDatabase[this.scaleId];
+    }
+
+    /**
+     * Record one answer (null/undefined clears it)
+     * @throws {Error} If the question or value is not valid for this scale
+     */
+    setResponse(questionId, value) {
+        if (value === null || value === undefined) {
+            delete this.responses[questionId];
+        } else {
+            const {errors} = validateResponses(this.scale, {[questionId]: value});
+            if (errors.length > 0) {
+                throw new Error(`Invalid ${this.scale.shortName} response - ${errors[0].message}`);
+            }
+            this.responses[questionId] = value;
+        }
+
+        this.updatedAt = new Date().toISOString();
+        return this;
+    }
+
+    /**
+     * Record several answers from a {questionId: value} map
+     */
+    setResponses(responses = {}) {
+        for (const [questionId, value] of Object.entries(responses)) {
+            this.setResponse(questionId, value);
+        }
+        return this;
+    }
+
+    /**
+     * Current score, completion and interpretation
+     */
+    getResult() {
+        return scoreResponses(this.scale, this.responses);
+    }
+
+    isComplete() {
+        return this.getResult().formComplete;
+    }
+
+    toJSON() {
+        return {
+            scaleId: this.scaleId,
+            shortName: this.scale.shortName,
+            responses: {...this.responses},
+            result: this.getResult(),
+            startedAt: this.startedAt,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    static fromJSON(data) {
+        return new ScaleAssessment(data.scaleId, data.responses, {
+            startedAt: data.startedAt,
+            updatedAt: data.updatedAt
+        });
+    }
+}
+
 /**
  * ClinicalScales Class - V11 API Wrapper
  * Provides a clean interface for accessing clinical scales
@@ -918,12 +2200,35 @@ export class ClinicalScales {
 
     /**
      * Calculate score for a scale
+     * Pure function of the responses: nothing is stored on the scale definition.
+     * @param {String} scaleId - Scale ID (e.g. 'mjoa')
+     * @param {Object} responses - Answers keyed by question ID
+     * @returns {Object|null} Score with completion, validation errors and interpretation
+     */
+    calculateScore(scaleId, responses = {}) {
+        const scale = this.getScale(scaleId);
+        if (!scale) return null;
+
+        return scoreResponses(scale, responses);
+    }
+
+    /**
+     * Validate responses without scoring
+     * @returns {Object|null} {valid, errors, missing}
      */
-    calculateScore(scaleId, responses) {
+    validateResponses(scaleId, responses = {}) {
         const scale = this.getScale(scaleId);
         if (!scale) return null;
 
-        return scale.scoring(responses);
+        const {valid, errors, missing} = validateResponses(scale, responses);
+        return {valid, errors, missing};
+    }
+
+    /**
+     * Start a session assessment for a scale
+     */
+    createAssessment(scaleId, responses = {}) {
+        return new ScaleAssessment(scaleId, responses);
     }
 
     /**
@@ -0,0 +1,44 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Clinical Text Segmentation Regression Tests
+ * ========================================================================
+ *
+ * Run with: node --test clinical-text-test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { segmentSentences, sentenceSpans, tokenize } from './clinical-text.js';
+
+const sentences = text => sentenceSpans(text).map(sentence => sentence.text);
+
+test('single letters and dotted abbreviations end a sentence before a capitalised word', () => {
+    assert.deepEqual(sentences('AIS grade A. Plan surgery.'), ['AIS grade A.', 'Plan surgery.']);
+    assert.deepEqual(sentences('Vitamin D. Continue.'), ['Vitamin D.', 'Continue.']);
+    assert.deepEqual(sentences('Aspirin q.d. Stenosis at C5-6.'), ['Aspirin q.d.', 'Stenosis at C5-6.']);
+});
+
+test('abbreviations followed by a continuation stay in the sentence', () => {
+    assert.deepEqual(sentences('Dr. Smith reviewed. Take 2.5 mg p.o. b.i.d. for pain.'), [
+        'Dr. Smith reviewed.',
+        'Take 2.5 mg p.o. b.i.d. for pain.'
+    ]);
+    assert.deepEqual(sentences('Imaging, e.g. MRI of the spine.'), ['Imaging, e.g. MRI of the spine.']);
+    assert.deepEqual(sentences('Any bladder issues? No. Foley No. 4 placed.'), ['Any bladder issues?', 'No.', 'Foley No. 4 placed.']);
+});
+
+test('inline list numbers open their sentence', () => {
+    assert.deepEqual(sentences('1. MRI. 2. Follow up.'), ['1. MRI.', '2. Follow up.']);
+    assert.deepEqual(sentences('Follow up in 2. Next visit.'), ['Follow up in 2.', 'Next visit.']);
+});
+
+test('markdown lines are segmented without their markers', () => {
+    const segments = segmentSentences('## PLAN\n- **Imaging:** MRI C-spine. BP 120/80.', { includeHeadings: true });
+    assert.deepEqual(segments.map(({ text, type, line }) => [text, type, line]), [
+        ['## PLAN', 'heading', 0],
+        ['MRI C-spine.', 'list_item', 1],
+        ['BP 120/80.', 'list_item', 1]
+    ]);
+    assert.deepEqual(tokenize('BP 120/80, C5-6 stenosis', { stopwords: true }), ['bp', '120/80', 'c5-6', 'stenosis']);
+});
@@ -0,0 +1,269 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Clinical Text Segmentation
+ * ========================================================================
+ *
+ * One sentence segmenter and tokenizer for every validator, so notes and
+ * transcripts are split the same way everywhere:
+ *
+ * - Sentence boundaries that survive clinical abbreviations ("Dr.",
+ *   "q.d.", "p.o. b.i.d."), decimal doses ("2.5 mg"), vitals
+ *   ("T 37.5, BP 120/80") and lowercase continuations ("pt. reports")
+ * - Markdown structure: headings are their own segments, list markers and
+ *   bold labels ("- **Exam:** ...") are not part of a sentence, and a line
+ *   break always ends a sentence
+ * - Tokens that keep clinical units whole ("120/80", "C5-6", "2.5",
+ *   "q6h") with a clinical stopword list
+ * - Whole-word keyword patterns (termPattern) for keyword lists
+ *
+ * @author NeuroScribe Development Team
+ * @version 11.0.0
+ * @license MIT
+ */
+
+/**
+ * Abbreviations whose period never ends a sentence
+ * Dotted forms ("q.d.") and single letters ("grade A.") are recognised
+ * without being listed and end a sentence only before a capitalised word;
+ * "No." is an abbreviation only before a number ("No. 4"), otherwise it is
+ * an answer ("Any bladder issues? No.").
+ */
+export const CLINICAL_ABBREVIATIONS = [
+    'dr', 'drs', 'mr', 'mrs', 'ms', 'prof', 'st', 'vs', 'approx', 'appt', 'cf', 'fig', 'pt', 'pts',
+    'hx', 'dx', 'tx', 'sx', 'fx', 'rx', 'yo', 'bilat', 'neg', 'pos', 'wt', 'ht', 'temp', 'resp'
+];
+
+/**
+ * Words that carry no clinical content
+ */
+export const CLINICAL_STOPWORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at', 'by', 'for', 'from', 'with', 'into',
+    'as', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'has', 'have', 'had', 'do', 'does', 'did',
+    'it', 'its', 'this', 'that', 'these', 'those', 'there', 'which', 'who', 'will', 'would', 'should',
+    'can', 'could', 'may', 'also', 'then', 'than', 'so', 'per', 'he', 'she', 'they', 'his', 'her', 'their',
+    'him', 'them', 'we', 'our', 'patient', 'pt', 'reports', 'reported', 'states', 'stated', 'noted'
+]);
+
+const ABBREVIATIONS = new Set(CLINICAL_ABBREVIATIONS);
+
+/**
+ * Dotted abbreviations that introduce what follows, even a capitalised word
+ * ("e.g. MRI")
+ */
+const CONTINUATION_ABBREVIATIONS = new Set(['e.g', 'i.e', 'viz', 'cf']);
+
+/**
+ * Markdown heading, bold-only line ("**Plan**", "**Plan:**") or
+ * all-caps label line ("PLAN:")
+ */
+const HEADING_LINE = /^\s*(?:#{1,6}\s+\S.*|\*\*[^*]+\*\*:?|[A-Z][A-Z0-9 &/()-]*:)\s*$/;
+
+/**
+ * Leading list marker and bold label of a line
+ */
+const LINE_PREFIX = /^(\s*(?:[-*•]|\d+[.)])\s+)?(\*\*[^*]+:\*\*\s*)?/;
+
+/**
+ * A token: letters/digits joined by . / ' - ("2.5", "120/80", "C5-6")
+ */
+const TOKEN_PATTERN = /[a-z0-9]+(?:[./'-][a-z0-9]+)*%?/g;
+
+/**
+ * Escape a string for use in a RegExp
+ */
+export function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Pattern matching a keyword as a whole word or its plural
+ * @param {string} keyword - Keyword or phrase
+ * @param {string} flags - Extra RegExp flags (always case-insensitive)
+ * @returns {RegExp} Pattern; the keyword itself is capture group 2
+ */
+export function termPattern(keyword, flags = '') {
+    return new RegExp(`(^|[^a-z0-9])(${escapeRegExp(keyword.toLowerCase())}(?:e?s)?)(?=$|[^a-z0-9])`, `i${flags}`);
+}
+
+/**
+ * Keywords of a list that occur in a text (case-insensitive)
+ * @param {string} text - Text to search
+ * @param {Array<string>} keywords - Keywords or phrases
+ * @returns {Array<string>} Matching keywords
+ */
+export function findMentionedTerms(text, keywords = []) {
+    if (!text) return [];
+
+    return keywords.filter(keyword => termPattern(keyword).test(text));
+}
+
+/**
+ * Whether the character at a position ends a sentence
+ * A period counts only when followed by whitespace (or the end) and not
+ * by a lowercase continuation, and not closing an abbreviation or an
+ * inline list number ("1. MRI. 2. Follow up.").
+ */
+export function isSentenceBoundary(text, position) {
+    const char = text[position];
+    if (char !== '.') return char === '!' || char === '?' || char === '\n';
+
+    const rest = text.slice(position + 1);
+    if (rest.length > 0 && !/^\s/.test(rest)) return false;
+    if (/^[ \t]+[a-z]/.test(rest)) return false;
+
+    const preceding = text.slice(0, position);
+    const token = preceding.split(/\s/).pop().replace(/^[("'[]+/, '');
+    if (ABBREVIATIONS.has(token.toLowerCase())) return false;
+    if (/^no$/i.test(token) && /^[ \t]+\d/.test(rest)) return false;
+
+    if (/^\d{1,2}$/.test(token)) {
+        const before = preceding.slice(0, -token.length).trimEnd();
+        return !(before === '' || isSentenceBoundary(text, before.length - 1));
+    }
+
+    if (/^(?:[a-z]\.)*[a-z]$/i.test(token)) {
+        return (rest.trim() === '' || /^\s+[A-Z]/.test(rest)) && !CONTINUATION_ABBREVIATIONS.has(token.toLowerCase());
+    }
+    return true;
+}
+
+/**
+ * Sentence containing a position
+ * @returns {{start, end, text}} Bounds and trimmed text
+ */
+export function sentenceAt(text, index) {
+    let start = index;
+    while (start > 0 && !isSentenceBoundary(text, start - 1)) start--;
+
+    let end = index;
+    while (end < text.length && !isSentenceBoundary(text, end)) end++;
+
+    return { start, end, text: text.slice(start, end).trim() };
+}
+
+/**
+ * Sentences of a text with trimmed character offsets
+ * Unlike sentenceAt(), a sentence keeps its terminal punctuation.
+ * @param {string} text - Text
+ * @param {number} offset - Added to every offset
+ * @returns {Array<{start, end, text}>} Sentences in text order
+ */
+export function sentenceSpans(text, offset = 0) {
+    const spans = [];
+    let position = 0;
+
+    while (position < text.length) {
+        const sentence = sentenceAt(text, position);
+        if (sentence.text) {
+            const start = sentence.start + text.slice(sentence.start).search(/\S/);
+            const end = start + sentence.text.length + (/[.!?]/.test(text[sentence.end] || '') ? 1 : 0);
+            spans.push({ start: offset + start, end: offset + end, text: text.slice(start, end) });
+        }
+        position = sentence.end + 1;
+    }
+
+    return spans;
+}
+
+/**
+ * Segment a note or transcript into sentences
+ * @param {string} text - Text (markdown allowed)
+ * @param {Object} options - Segmentation options
+ * @param {boolean} options.includeHeadings - Return heading lines as 'heading' segments
+ * @param {number} options.minLength - Drop sentences shorter than this
+ * @returns {Array<{text, start, end, line, type}>} Segments in text order;
+ *          type is 'sentence', 'list_item' or 'heading'; line is 0-based
+ */
+export function segmentSentences(text, options = {}) {
+    const includeHeadings = options.includeHeadings ?? false;
+    const minLength = options.minLength ?? 0;
+    const segments = [];
+    let offset = 0;
+
+    (text || '').split('\n').forEach((line, lineIndex) => {
+        if (HEADING_LINE.test(line)) {
+            if (includeHeadings) {
+                const start = line.search(/\S/);
+                segments.push({ text: line.trim(), start: offset + start, end: offset + start + line.trim().length, line: lineIndex, type: 'heading' });
+            }
+        } else {
+            const [prefix, marker] = line.match(LINE_PREFIX);
+            const type = marker ? 'list_item' : 'sentence';
+
+            sentenceSpans(line.slice(prefix.length), offset + prefix.length)
+                .filter(span => span.text.length >= minLength)
+                .forEach(span => segments.push({ ...span, line: lineIndex, type }));
+        }
+        offset += line.length + 1;
+    });
+
+    return segments;
+}
+
+/**
+ * Lowercase tokens of a text
+ * @param {string} text - Text
+ * @param {Object} options - Tokenizer options
+ * @param {boolean} options.stopwords - Drop CLINICAL_STOPWORDS
+ * @param {number} options.minLength - Drop shorter tokens
+ * @returns {Array<string>} Tokens in text order
+ */
+export function tokenize(text, options = {}) {
+    const minLength = options.minLength ?? 1;
+
+    return (String(text || '').toLowerCase().match(TOKEN_PATTERN) || [])
+        .filter(token => !(options.stopwords && CLINICAL_STOPWORDS.has(token)))
+        .filter(token => token.length >= minLength);
+}
+
+/**
+ * Tokens of a text with their character offsets
+ * @param {string} text - Text
+ * @param {number} offset - Added to every offset
+ * @returns {Array<{token, start, end}>} Lowercase tokens in text order
+ */
+export function tokenSpans(text, offset = 0) {
+    return [...String(text || '').toLowerCase().matchAll(TOKEN_PATTERN)]
+        .map(match => ({ token: match[0], start: offset + match.index, end: offset + match.index + match[0].length }));
+}
+
+/**
+ * Distinct content words of a text (no stopwords, 3+ characters or numeric)
+ */
+export function contentTokens(text) {
+    return new Set(tokenize(text, { stopwords: true }).filter(token => token.length >= 3 || /\d/.test(token)));
+}
+
+/**
+ * Number of words in a text
+ */
+export function countWords(text) {
+    return String(text || '').split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Lowercase text with whitespace collapsed, for substring comparison
+ */
+export function normalizeText(text) {
+    return String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Whether a text contains a phrase as whole tokens ("CT" is not in
+ * "acute"); the phrase's last word may be plural
+ * @param {string|Array<string>} text - Text, or its tokenize() result
+ * @param {string} phrase - Word or phrase
+ */
+export function containsPhrase(text, phrase) {
+    const tokens = Array.isArray(text) ? text : tokenize(text);
+    const words = tokenize(phrase);
+    if (words.length === 0) return false;
+
+    const last = words.length - 1;
+    const matches = (token, word, i) => token === word || (i === last && (token === `${word}s` || token === `${word}es`));
+
+    for (let start = 0; start + words.length <= tokens.length; start++) {
+        if (words.every((word, i) => matches(tokens[start + i], word, i))) return true;
+    }
+    return false;
+}
@@ -0,0 +1,53 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Extraction Engine Regression Tests
+ * ========================================================================
+ *
+ * Run with: node --test extraction-engine-test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ExtractionEngine, parseJSONResponse } from './extraction-engine.js';
+import { MockLLMClient } from './mock-llm-client.js';
+
+const TRANSCRIPT = '67-year-old man with neck pain. GCS 14 on arrival.';
+
+test('fenced, commented and truncated model JSON is repaired', () => {
+    assert.deepEqual(parseJSONResponse('{"a": 1}'), { data: { a: 1 }, repaired: false });
+    assert.deepEqual(parseJSONResponse('Here you go:\n```json\n{"a": 1, // note\n "b": [1, 2,],}\n```'),
+        { data: { a: 1, b: [1, 2] }, repaired: true });
+    assert.deepEqual(parseJSONResponse('{"a": {"b": "trunc').data, { a: { b: 'trunc' } });
+    assert.throws(() => parseJSONResponse('no json here'), /No JSON object/);
+});
+
+test('model output is coerced to grounded fields and unknown keys are dropped', async () => {
+    const client = new MockLLMClient(null, {
+        defaultResponse: JSON.stringify({
+            demographics: { age: { value: '67', sourceQuote: '"67-year-old man"', confidence: 90 } },
+            symptoms: ['neck pain'],
+            favouriteColour: { value: 'blue', sourceQuote: '', confidence: 1 }
+        })
+    });
+
+    const result = await new ExtractionEngine(client).extract(TRANSCRIPT);
+    assert.equal(result.success, true);
+    assert.deepEqual(result.extractedData.demographics.age, { value: 67, sourceQuote: '67-year-old man', confidence: 0.9 });
+    assert.deepEqual(result.extractedData.symptoms, [{ value: 'neck pain', sourceQuote: '', confidence: 0.5 }]);
+    assert.deepEqual(result.metadata.droppedFields, [{ path: 'favouriteColour', reason: 'not in schema' }]);
+});
+
+test('an empty transcript or a cancelled request fails without throwing', async () => {
+    const client = new MockLLMClient(null, { defaultResponse: '{}' });
+    const engine = new ExtractionEngine(client);
+
+    assert.equal((await engine.extract('  ')).error, 'Transcript is empty');
+    assert.equal(client.getCalls().length, 0);
+
+    const controller = new AbortController();
+    controller.abort();
+    const cancelled = await engine.extract(TRANSCRIPT, { signal: controller.signal });
+    assert.equal(cancelled.success, false);
+    assert.equal(cancelled.error, 'Request cancelled');
+});
@@ -0,0 +1,484 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Structured Extraction Engine
+ * ========================================================================
+ *
+ * First pipeline stage: transcript → source-quoted structured data.
+ *
+ * Produces the `extractedData` object consumed by ValidationEngine
+ * (GroundingValidator, CompletenessChecker, ConsistencyValidator,
+ * ConfidenceCalibrator). Every leaf is a grounded field:
+ *
+ *     { value, sourceQuote, confidence }
+ *
+ * addressed by paths such as `demographics.age` or
+ * `pathology.primaryDiagnosis.name`.
+ *
+ * Pipeline:
+ * 1. buildPrompt()        - Schema-driven extraction prompt
+ * 2. apiClient call       - Any BaseLLMClient (temperature 0.1)
+ * 3. parseJSONResponse()  - Strips fences, repairs malformed/truncated JSON
+ * 4. normalize()          - Coerces to schema, drops empty/ungrounded noise
+ * 5. validateExtractedData() - Reports remaining schema violations with paths
+ *
+ * @author NeuroScribe Development Team
+ * @version 11.0.0
+ * @license MIT
+ */
+
+import {
+    EXTRACTION_SCHEMA,
+    isGroundedFieldSchema,
+    resolveSchemaRef,
+    getValueSchema,
+    validateExtractedData
+} from './extraction-schema.js';
+
+export { EXTRACTION_SCHEMA };
+
+/**
+ * ========================================================================
+ * JSON REPAIR
+ * ========================================================================
+ * LLMs wrap JSON in prose or code fences, leave trailing commas and
+ * comments, and truncate at maxOutputTokens. Repair what is safe.
+ */
+
+/**
+ * Repair common LLM JSON defects
+ * @param {string} text - Raw model output
+ * @returns {string} Best-effort valid JSON text
+ */
+export function repairJSON(text) {
+    if (!text || typeof text !== 'string') {
+        return '';
+    }
+
+    let json = text.trim();
+
+    // 1. Strip markdown code fences
+    const fenced = json.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/i);
+    if (fenced) {
+        json = fenced[1].trim();
+    }
+
+    // 2. Drop prose before the first brace/bracket
+    const start = json.search(/[{[]/);
+    if (start === -1) {
+        return '';
+    }
+    json = json.slice(start);
+
+    // 3. Walk the text: strip comments, escape raw newlines in strings,
+    //    track open containers, drop prose after the root closes
+    let out = '';
+    let inString = false;
+    let escaped = false;
+    const stack = [];
+
+    for (let i = 0; i < json.length; i++) {
+        const ch = json[i];
+
+        if (inString) {
+            if (escaped) {
+                escaped = false;
+            } else if (ch === '\\') {
+                escaped = true;
+            } else if (ch === '"') {
+                inString = false;
+            } else if (ch === '\n') {
+                out += '\\n';
+                continue;
+            }
+            out += ch;
+            continue;
+        }
+
+        // Line and block comments
+        if (ch === '/' && json[i + 1] === '/') {
+            while (i < json.length && json[i] !== '\n') i++;
+            continue;
+        }
+        if (ch === '/' && json[i + 1] === '*') {
+            const end = json.indexOf('*/', i + 2);
+            i = end === -1 ? json.length : end + 1;
+            continue;
+        }
+
+        if (ch === '"') {
+            inString = true;
+        } else if (ch === '{' || ch === '[') {
+            stack.push(ch === '{' ? '}' : ']');
+        } else if (ch === '}' || ch === ']') {
+            stack.pop();
+            if (stack.length === 0) {
+                out += ch;
+                break;
+            }
+        }
+
+        out += ch;
+    }
+
+    // 4. Close truncated output: unterminated string, dangling key/comma, open containers
+    if (inString) {
+        if (escaped) out = out.slice(0, -1);
+        out += '"';
+    }
+    if (stack.length > 0) {
+        out = out.replace(/,\s*"[^"]*"\s*:\s*"?[^,{}[\]"]*$/, '');   // Incomplete key/value pair
+        out = out.replace(/,\s*"[^"]*"\s*$/, '');                    // Key without value
+        out = out.replace(/:\s*$/, ': null');
+        out = out.replace(/,\s*$/, '');
+        out += stack.reverse().join('');
+    }
+
+    // 5. Trailing commas before closers
+    out = out.replace(/,(\s*[}\]])/g, '$1');
+
+    return out;
+}
+
+/**
+ * Parse JSON from a model response, repairing it if needed
+ * @param {string} text - Raw model output
+ * @returns {{data: *, repaired: boolean}} Parsed data and whether repair was applied
+ * @throws {Error} If the response cannot be parsed even after repair
+ */
+export function parseJSONResponse(text) {
+    if (!text || typeof text !== 'string') {
+        throw new Error('Empty model response');
+    }
+
+    try {
+        return { data: JSON.parse(text.trim()), repaired: false };
+    } catch {
+        // Fall through to repair
+    }
+
+    const repaired = repairJSON(text);
+    if (!repaired) {
+        throw new Error('No JSON object found in model response');
+    }
+
+    try {
+        return { data: JSON.parse(repaired), repaired: true };
+    } catch (error) {
+        throw new Error(`Unable to repair model JSON: ${error.message}`);
+    }
+}
+
+/**
+ * ========================================================================
+ * EXTRACTION ENGINE
+ * ========================================================================
+ */
+export class ExtractionEngine {
+    /**
+     * Default configuration
+     */
+    static DEFAULTS = {
+        TEMPERATURE: 0.1,               // Deterministic extraction
+        MAX_OUTPUT_TOKENS: 4096,
+        MAX_TRANSCRIPT_CHARS: 30000,    // Keep prompt within context budget
+        MIN_CONFIDENCE: 0.0
+    };
+
+    /**
+     * Create an extraction engine
+     * @param {BaseLLMClient} apiClient - Any client exposing generateContent()
+     * @param {Object} options - Configuration options
+     * @param {Object} options.schema - Extraction schema (default: EXTRACTION_SCHEMA)
+     * @param {number} options.temperature - Generation temperature
+     * @param {number} options.maxOutputTokens - Max tokens for the JSON response
+     */
+    constructor(apiClient, options = {}) {
+        if (!apiClient || typeof apiClient.generateContent !== 'function') {
+            throw new Error('ExtractionEngine requires an LLM client with generateContent()');
+        }
+
+        this.apiClient = apiClient;
+        this.schema = options.schema || EXTRACTION_SCHEMA;
+        this.temperature = options.temperature ?? ExtractionEngine.DEFAULTS.TEMPERATURE;
+        this.maxOutputTokens = options.maxOutputTokens || ExtractionEngine.DEFAULTS.MAX_OUTPUT_TOKENS;
+
+        this.lastExtraction = null;
+    }
+
+    /**
+     * Extract structured, source-quoted data from a transcript
+     * @param {string} transcript - Clinical transcript or notes
+     * @param {Object} options - Extraction options
+     * @param {AbortSignal} options.signal - Cancels the request
+     * @returns {Promise<Object>} {success, extractedData, metadata} or {success: false, error}
+     */
+    async extract(transcript, options = {}) {
+        console.log('🧬 [Extraction] Extracting structured clinical data...');
+
+        if (!transcript || transcript.trim().length === 0) {
+            return {
+                success: false,
+                error: 'Transcript is empty',
+                extractedData: null,
+                metadata: null
+            };
+        }
+
+        const startTime = Date.now();
+
+        try {
+            const prompt = this.buildPrompt(transcript);
+
+            const response = await this.apiClient.generateContent(prompt, {
+                temperature: this.temperature,
+                maxOutputTokens: this.maxOutputTokens,
+                signal: options.signal
+            });
+
+            const { data, repaired } = parseJSONResponse(response);
+            if (repaired) {
+                console.warn('⚠️ [Extraction] Model JSON was malformed and has been repaired');
+            }
+
+            const { extractedData, fieldCount, droppedFields } = this.normalize(data);
+
+            // Whatever normalization could not fix is reported, not silently accepted
+            const schemaCheck = validateExtractedData(extractedData);
+            if (!schemaCheck.valid) {
+                console.warn(`⚠️ [Extraction] ${schemaCheck.errors.length} schema violations`);
+            }
+
+            this.lastExtraction = {
+                extractedData,
+                fieldCount,
+                droppedFields,
+                schemaErrors: schemaCheck.errors,
+                repaired,
+                extractedAt: new Date().toISOString()
+            };
+
+            console.log(`✅ [Extraction] ${fieldCount} grounded fields extracted` +
+                (droppedFields.length > 0 ? ` (${droppedFields.length} dropped)` : ''));
+
+            return {
+                success: true,
+                extractedData,
+                metadata: {
+                    fieldCount,
+                    droppedFields,
+                    schemaErrors: schemaCheck.errors,
+                    repaired,
+                    processingTime: Date.now() - startTime
+                }
+            };
+
+        } catch (error) {
+            console.error('❌ [Extraction] Failed:', error.message);
+            return {
+                success: false,
+                error: error.message,
+                extractedData: null,
+                metadata: { processingTime: Date.now() - startTime }
+            };
+        }
+    }
+
+    /**
+     * Build the extraction prompt
+     * @param {string} transcript - Clinical transcript
+     * @returns {string} Prompt text
+     */
+    buildPrompt(transcript) {
+        const maxChars = ExtractionEngine.DEFAULTS.MAX_TRANSCRIPT_CHARS;
+        const source = transcript.length > maxChars
+            ? transcript.substring(0, maxChars)
+            : transcript;
+
+        return `You are a neurosurgical data extraction system. Extract ONLY facts explicitly stated in the transcript into JSON.
+
+**RULES:**
+1. Every field is an object: {"value": ..., "sourceQuote": "...", "confidence": 0.0-1.0}
+2. "sourceQuote" MUST be copied VERBATIM from the transcript (3-25 words) - never paraphrase
+3. "value" is the normalized fact (numbers as numbers, e.g. age 67, GCS 14)
+4. "confidence": 1.0 = stated explicitly, 0.7 = stated but ambiguous, 0.5 = implied
+5. OMIT any field or section that is not mentioned - never guess, never use null placeholders
+6. List sections (symptoms, findings, medications, procedures, plan) are arrays of fields, one fact per item
+7. Keep laterality, spinal levels and dosages exactly as stated
+8. Output ONLY the JSON object - no markdown, no commentary
+
+**STRUCTURE:**
+${this.describeSchema()}
+
+**EXAMPLE FIELD:**
+"age": {"value": 67, "sourceQuote": "67-year-old right-handed man", "confidence": 1.0}
+
+**TRANSCRIPT:**
+${source}
+
+**JSON:**`;
+    }
+
+    /**
+     * Render the schema as a compact path outline for the prompt
+     * @returns {string} Outline such as "demographics.age: field"
+     */
+    describeSchema() {
+        const lines = [];
+
+        const walk = (node, path) => {
+            if (!node) return;
+
+            const resolved = resolveSchemaRef(node, this.schema);
+
+            if (isGroundedFieldSchema(node, this.schema)) {
+                const valueType = getValueSchema(node, this.schema)?.type;
+                lines.push(valueType === 'integer' || valueType === 'number'
+                    ? `${path}: field (number)`
+                    : `${path}: field`);
+            } else if (resolved.type === 'array') {
+                lines.push(`${path}: [field, ...]`);
+            } else if (resolved.properties) {
+                for (const [key, child] of Object.entries(resolved.properties)) {
+                    walk(child, path ? `${path}.${key}` : key);
+                }
+                if (isGroundedFieldSchema(resolved.additionalProperties, this.schema)) {
+                    lines.push(`${path}.<otherScale>: field`);
+                }
+            }
+        };
+
+        walk(this.schema, '');
+        return lines.join('\n');
+    }
+
+    /**
+     * Coerce parsed model output to the schema's grounded structure
+     * @param {Object} data - Parsed JSON
+     * @returns {{extractedData: Object, fieldCount: number, droppedFields: Array}} Normalized result
+     */
+    normalize(data) {
+        const droppedFields = [];
+        let fieldCount = 0;
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Extraction response must be a JSON object');
+        }
+
+        const normalizeField = (raw, path, fieldSchema) => {
+            // Bare values (model ignored the field shape) become ungrounded fields
+            const field = raw && typeof raw === 'object' && !Array.isArray(raw)
+                ? raw
+                : { value: raw, sourceQuote: '', confidence: 0.5 };
+
+            let value = typeof field.value === 'string' ? field.value.trim() : field.value;
+            if (value === null || value === undefined || value === '') {
+                droppedFields.push({ path, reason: 'empty value' });
+                return null;
+            }
+
+            // Numeric fields: "67" → 67, "GCS 14" → 14
+            const valueType = getValueSchema(fieldSchema, this.schema)?.type;
+            if ((valueType === 'integer' || valueType === 'number') && typeof value === 'string') {
+                const numeric = value.match(/-?\d+(?:\.\d+)?/);
+                if (numeric) {
+                    value = valueType === 'integer' ? parseInt(numeric[0], 10) : parseFloat(numeric[0]);
+                }
+            }
+
+            let confidence = Number(field.confidence);
+            if (!Number.isFinite(confidence)) confidence = 0.5;
+            if (confidence > 1) confidence = confidence / 100;     // Percent → fraction
+            confidence = Math.max(0, Math.min(1, confidence));
+
+            fieldCount++;
+            return {
+                value,
+                sourceQuote: typeof field.sourceQuote === 'string'
+                    ? field.sourceQuote.trim().replace(/^["'“]|["'”]$/g, '')
+                    : '',
+                confidence
+            };
+        };
+
+        const walk = (rawValue, schemaNode, path) => {
+            if (isGroundedFieldSchema(schemaNode, this.schema)) {
+                return normalizeField(rawValue, path, schemaNode);
+            }
+
+            const node = resolveSchemaRef(schemaNode, this.schema);
+
+            if (node.type === 'array') {
+                const items = Array.isArray(rawValue) ? rawValue : [rawValue];
+                const fields = items
+                    .map((item, index) => normalizeField(item, `${path}[${index}]`, node.items))
+                    .filter(Boolean);
+                return fields.length > 0 ? fields : null;
+            }
+
+            if (!rawValue || typeof rawValue !== 'object' || Array.isArray(rawValue)) {
+                droppedFields.push({ path, reason: 'expected object' });
+                return null;
+            }
+
+            const result = {};
+            for (const [key, child] of Object.entries(rawValue)) {
+                const childPath = path ? `${path}.${key}` : key;
+                const childSchema = node.properties?.[key]
+                    ?? (node.additionalProperties && typeof node.additionalProperties === 'object'
+                        ? node.additionalProperties
+                        : null);
+
+                if (!childSchema) {
+                    droppedFields.push({ path: childPath, reason: 'not in schema' });
+                    continue;
+                }
+
+                const normalized = walk(child, childSchema, childPath);
+                if (normalized !== null) {
+                    result[key] = normalized;
+                }
+            }
+
+            return Object.keys(result).length > 0 ? result : null;
+        };
+
+        const extractedData = walk(data, this.schema, '') || {};
+        return { extractedData, fieldCount, droppedFields };
+    }
+
+    /**
+     * Flatten extractedData to "path: value" lines for downstream prompts
+     * @param {Object} extractedData - Normalized extraction
+     * @param {number} minConfidence - Skip fields below this confidence
+     * @returns {string} One fact per line
+     */
+    static formatForPrompt(extractedData, minConfidence = 0.5) {
+        const lines = [];
+
+        const walk = (node, path) => {
+            if (!node || typeof node !== 'object') return;
+
+            if (Object.prototype.hasOwnProperty.call(node, 'value') &&
+                Object.prototype.hasOwnProperty.call(node, 'sourceQuote')) {
+                if ((node.confidence ?? 1) >= minConfidence) {
+                    lines.push(`- ${path}: ${node.value}`);
+                }
+                return;
+            }
+
+            if (Array.isArray(node)) {
+                node.forEach(item => walk(item, path));
+                return;
+            }
+
+            for (const [key, child] of Object.entries(node)) {
+                walk(child, path ? `${path}.${key}` : key);
+            }
+        };
+
+        walk(extractedData, '');
+        return lines.join('\n');
+    }
+}
+
+export default ExtractionEngine;
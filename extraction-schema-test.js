@@ -0,0 +1,60 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Extraction Schema Regression Tests
+ * ========================================================================
+ *
+ * Run with: node --test extraction-schema-test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateExtractedData, validateSchema } from './extraction-schema.js';
+
+const field = (value, sourceQuote = String(value)) => ({ value, sourceQuote, confidence: 0.9 });
+
+const violations = result => result.errors.map(({ path, keyword }) => [path, keyword]);
+
+test('a well-formed extraction is valid and its grounded fields are counted', () => {
+    const result = validateExtractedData({
+        demographics: { age: field(67, '67-year-old'), sex: field('male', 'man') },
+        symptoms: [field('neck pain'), field('hand clumsiness')],
+        imaging: { findings: [field('C5-6 stenosis')] }
+    });
+
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.fieldCount, 5);
+});
+
+test('violations are reported at the path the validators use', () => {
+    const result = validateExtractedData({
+        demographics: { age: { value: 150, sourceQuote: '150', confidence: 1.5 }, nickname: field('Bob') },
+        symptoms: [field('neck pain'), { value: 'numbness', confidence: 0.8 }],
+        imaging: { findings: [field('stenosis', '')] }
+    });
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(violations(result), [
+        ['demographics.age.confidence', 'maximum'],
+        ['demographics.age.value', 'maximum'],
+        ['demographics.nickname', 'additionalProperties'],
+        ['symptoms[1].sourceQuote', 'required'],
+        ['imaging.findings[0].sourceQuote', 'sourceQuote']
+    ]);
+});
+
+test('deduced and calculated fields may have an empty quote', () => {
+    const deduced = { ...field('female', ''), deductionMetadata: { deduced: true, deducedFrom: 'she' } };
+    const calculated = { ...field(45, ''), calculationMetadata: { method: 'sum of components' } };
+
+    assert.equal(validateExtractedData({ demographics: { sex: deduced }, symptoms: [calculated] }).valid, true);
+});
+
+test('type errors stop at the offending node, and the root and error limit are honoured', () => {
+    assert.deepEqual(violations(validateExtractedData({ symptoms: 'neck pain' })), [['symptoms', 'type']]);
+    assert.deepEqual(violations(validateSchema([], { type: 'object' })), [['(root)', 'type']]);
+
+    const many = validateSchema({ symptoms: [1, 2, 3, 4] }, undefined, { maxErrors: 2 });
+    assert.equal(many.errors.length, 2);
+});
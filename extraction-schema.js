@@ -0,0 +1,482 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Extraction Data Model Schema
+ * ========================================================================
+ *
+ * Published JSON Schema (draft-07 subset) for `extractedData`, the
+ * structured, source-quoted clinical data produced by ExtractionEngine
+ * and consumed by the six ValidationEngine layers.
+ *
+ * Every leaf is a grounded field:
+ *
+ *     { value, sourceQuote, confidence }
+ *
+ * - value:        Normalized fact (string, number or boolean)
+ * - sourceQuote:  Verbatim transcript excerpt supporting the value
+ *                 (may be empty only for deduced/calculated fields)
+ * - confidence:   0.0 - 1.0
+ *
+ * Also provides a zero-dependency validator that reports violations with
+ * paths in the same format the validators use (`demographics.age.value`,
+ * `symptoms[0].sourceQuote`).
+ *
+ * @author NeuroScribe Development Team
+ * @version 11.0.0
+ * @license MIT
+ */
+
+/**
+ * ========================================================================
+ * SCHEMA DEFINITION
+ * ========================================================================
+ */
+
+const FIELD = { $ref: '#/definitions/groundedField' };
+const LIST = { $ref: '#/definitions/groundedList' };
+
+/**
+ * Grounded field with a constrained value (e.g. integer score range)
+ * @param {Object} valueSchema - Schema applied to `value`
+ * @param {string} description - Field description
+ * @returns {Object} Schema node
+ */
+function typedField(valueSchema, description) {
+    return {
+        description,
+        allOf: [
+            FIELD,
+            { properties: { value: valueSchema } }
+        ]
+    };
+}
+
+export const EXTRACTION_SCHEMA = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    $id: 'neuroscribe/extraction/v1',
+    title: 'NeuroScribe Extracted Clinical Data',
+    type: 'object',
+
+    definitions: {
+        groundedField: {
+            type: 'object',
+            description: 'Extracted value with verbatim transcript quote and confidence',
+            properties: {
+                value: { type: ['string', 'number', 'boolean'] },
+                sourceQuote: { type: 'string' },
+                confidence: { type: 'number', minimum: 0, maximum: 1 },
+                deductionMetadata: {
+                    type: 'object',
+                    description: 'Set when the value was deduced rather than quoted',
+                    properties: {
+                        deduced: { type: 'boolean' },
+                        deducedFrom: { type: ['string', 'array'] }
+                    }
+                },
+                calculationMetadata: {
+                    type: 'object',
+                    description: 'Set when the value was calculated (e.g. score totals)',
+                    properties: {
+                        method: { type: 'string' }
+                    }
+                }
+            },
+            required: ['value', 'sourceQuote', 'confidence'],
+            additionalProperties: false
+        },
+        groundedList: {
+            type: 'array',
+            description: 'One grounded field per item',
+            items: FIELD
+        }
+    },
+
+    properties: {
+        demographics: {
+            type: 'object',
+            description: 'Patient identity facts',
+            properties: {
+                age: typedField({ type: 'integer', minimum: 0, maximum: 120 }, 'Age in years'),
+                sex: FIELD,
+                dateOfBirth: FIELD,
+                handedness: FIELD
+            },
+            additionalProperties: false
+        },
+        symptoms: {
+            ...LIST,
+            description: 'Presenting symptoms including laterality and duration'
+        },
+        history: {
+            type: 'object',
+            description: 'Past medical, surgical and social history',
+            properties: {
+                pastMedicalHistory: LIST,
+                pastSurgicalHistory: LIST,
+                socialHistory: LIST
+            },
+            additionalProperties: false
+        },
+        examination: {
+            type: 'object',
+            description: 'Neurological examination',
+            properties: {
+                findings: LIST
+            },
+            additionalProperties: false
+        },
+        imaging: {
+            type: 'object',
+            description: 'Imaging studies (MRI, CT, CTA, X-ray)',
+            properties: {
+                findings: LIST
+            },
+            additionalProperties: false
+        },
+        pathology: {
+            type: 'object',
+            description: 'Diagnoses stated by the clinician',
+            properties: {
+                primaryDiagnosis: {
+                    type: 'object',
+                    properties: {
+                        name: FIELD,
+                        location: FIELD,
+                        laterality: FIELD
+                    },
+                    required: ['name'],
+                    additionalProperties: false
+                },
+                secondaryDiagnoses: LIST
+            },
+            additionalProperties: false
+        },
+        clinicalScores: {
+            type: 'object',
+            description: 'Clinical scale scores (GCS plus any other named scale)',
+            properties: {
+                gcs: {
+                    type: 'object',
+                    properties: {
+                        total: typedField({ type: 'integer', minimum: 3, maximum: 15 }, 'GCS total (3-15)'),
+                        components: typedField({ type: 'string', pattern: '^E\\d+\\s*V(\\d+|T)\\s*M\\d+$' }, 'E#V#M#')
+                    },
+                    additionalProperties: false
+                }
+            },
+            additionalProperties: FIELD
+        },
+        outcomes: {
+            type: 'object',
+            description: 'Functional outcome measures',
+            properties: {
+                functionalStatus: {
+                    type: 'object',
+                    properties: {
+                        mRS: typedField({ type: 'integer', minimum: 0, maximum: 6 }, 'Modified Rankin Scale (0-6)'),
+                        KPS: typedField({ type: 'integer', minimum: 0, maximum: 100, multipleOf: 10 }, 'Karnofsky (0-100, steps of 10)')
+                    },
+                    additionalProperties: false
+                }
+            },
+            additionalProperties: false
+        },
+        procedures: {
+            ...LIST,
+            description: 'Procedures performed or planned'
+        },
+        medications: {
+            ...LIST,
+            description: 'Medications with dose, route and frequency as stated'
+        },
+        timeline: {
+            type: 'object',
+            description: 'Key dates',
+            properties: {
+                symptomOnset: FIELD,
+                admissionDate: FIELD,
+                surgeryDate: FIELD,
+                dischargeDate: FIELD
+            },
+            additionalProperties: false
+        },
+        plan: {
+            ...LIST,
+            description: 'Management plan items'
+        }
+    },
+    additionalProperties: false
+};
+
+/**
+ * ========================================================================
+ * SCHEMA HELPERS
+ * ========================================================================
+ */
+
+/**
+ * Resolve a local "#/definitions/..." reference
+ * @param {Object} node - Schema node (may be a $ref)
+ * @param {Object} rootSchema - Schema containing the definitions
+ * @returns {Object} Resolved schema node
+ */
+export function resolveSchemaRef(node, rootSchema = EXTRACTION_SCHEMA) {
+    if (!node?.$ref) {
+        return node;
+    }
+
+    const parts = node.$ref.replace(/^#\//, '').split('/');
+    let resolved = rootSchema;
+    for (const part of parts) {
+        resolved = resolved?.[part];
+    }
+
+    if (!resolved) {
+        throw new Error(`Unresolvable schema reference: ${node.$ref}`);
+    }
+    return resolved;
+}
+
+/**
+ * Check whether a schema node describes a grounded field
+ * @param {Object} node - Schema node
+ * @param {Object} rootSchema - Root schema
+ * @returns {boolean} True for groundedField refs (direct or via allOf)
+ */
+export function isGroundedFieldSchema(node, rootSchema = EXTRACTION_SCHEMA) {
+    if (!node) return false;
+
+    const groundedField = rootSchema.definitions?.groundedField;
+    if (resolveSchemaRef(node, rootSchema) === groundedField) {
+        return true;
+    }
+    return Array.isArray(node.allOf) &&
+        node.allOf.some(part => resolveSchemaRef(part, rootSchema) === groundedField);
+}
+
+/**
+ * Get the schema that applies to a grounded field's `value`
+ * @param {Object} node - Grounded field schema node
+ * @param {Object} rootSchema - Root schema
+ * @returns {Object|null} Value schema (most specific one)
+ */
+export function getValueSchema(node, rootSchema = EXTRACTION_SCHEMA) {
+    const parts = Array.isArray(node?.allOf) ? node.allOf : [node];
+    let valueSchema = null;
+
+    for (const part of parts) {
+        const resolved = resolveSchemaRef(part, rootSchema);
+        if (resolved?.properties?.value) {
+            valueSchema = resolved.properties.value;
+        }
+    }
+
+    return valueSchema;
+}
+
+/**
+ * ========================================================================
+ * RUNTIME VALIDATOR
+ * ========================================================================
+ * Supports: type (incl. integer/null, unions), properties, required,
+ * additionalProperties (boolean or schema), items, minItems, maxItems,
+ * enum, minimum, maximum, multipleOf, minLength, maxLength, pattern,
+ * allOf, and local $ref.
+ */
+
+/**
+ * JSON type name of a value
+ * @private
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+/**
+ * Check a value against one JSON Schema type name
+ * @private
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'null':
+            return value === null;
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+/**
+ * Validate data against a schema
+ * @param {*} data - Data to validate
+ * @param {Object} schema - JSON Schema (default: EXTRACTION_SCHEMA)
+ * @param {Object} options - Validation options
+ * @param {number} options.maxErrors - Stop after this many violations (default: 100)
+ * @returns {{valid: boolean, errors: Array<{path, keyword, message, expected, actual}>}} Result
+ */
+export function validateSchema(data, schema = EXTRACTION_SCHEMA, options = {}) {
+    const maxErrors = options.maxErrors || 100;
+    const errors = [];
+
+    const report = (path, keyword, message, expected, actual) => {
+        if (errors.length < maxErrors) {
+            errors.push({ path: path || '(root)', keyword, message, expected, actual });
+        }
+    };
+
+    const visit = (value, node, path) => {
+        if (!node || errors.length >= maxErrors) return;
+
+        node = resolveSchemaRef(node, schema);
+
+        // allOf: every subschema applies
+        if (Array.isArray(node.allOf)) {
+            node.allOf.forEach(part => visit(value, part, path));
+        }
+
+        // type
+        if (node.type) {
+            const types = Array.isArray(node.type) ? node.type : [node.type];
+            if (!types.some(type => matchesType(value, type))) {
+                report(path, 'type', `Expected ${types.join(' | ')}, got ${typeOf(value)}`, types, typeOf(value));
+                return;
+            }
+        }
+
+        // enum
+        if (Array.isArray(node.enum) && !node.enum.includes(value)) {
+            report(path, 'enum', `Value must be one of: ${node.enum.join(', ')}`, node.enum, value);
+        }
+
+        // numbers
+        if (typeof value === 'number') {
+            if (node.minimum !== undefined && value < node.minimum) {
+                report(path, 'minimum', `Value ${value} is below minimum ${node.minimum}`, node.minimum, value);
+            }
+            if (node.maximum !== undefined && value > node.maximum) {
+                report(path, 'maximum', `Value ${value} is above maximum ${node.maximum}`, node.maximum, value);
+            }
+            if (node.multipleOf !== undefined && value % node.multipleOf !== 0) {
+                report(path, 'multipleOf', `Value ${value} is not a multiple of ${node.multipleOf}`, node.multipleOf, value);
+            }
+        }
+
+        // strings
+        if (typeof value === 'string') {
+            if (node.minLength !== undefined && value.length < node.minLength) {
+                report(path, 'minLength', `String shorter than ${node.minLength} characters`, node.minLength, value.length);
+            }
+            if (node.maxLength !== undefined && value.length > node.maxLength) {
+                report(path, 'maxLength', `String longer than ${node.maxLength} characters`, node.maxLength, value.length);
+            }
+            if (node.pattern && !new RegExp(node.pattern, 'i').test(value)) {
+                report(path, 'pattern', `Value "${value}" does not match ${node.pattern}`, node.pattern, value);
+            }
+        }
+
+        // arrays
+        if (Array.isArray(value)) {
+            if (node.minItems !== undefined && value.length < node.minItems) {
+                report(path, 'minItems', `Expected at least ${node.minItems} items`, node.minItems, value.length);
+            }
+            if (node.maxItems !== undefined && value.length > node.maxItems) {
+                report(path, 'maxItems', `Expected at most ${node.maxItems} items`, node.maxItems, value.length);
+            }
+            if (node.items) {
+                value.forEach((item, index) => visit(item, node.items, `${path}[${index}]`));
+            }
+        }
+
+        // objects
+        if (matchesType(value, 'object') && (node.properties || node.required || node.additionalProperties !== undefined)) {
+            const properties = node.properties || {};
+
+            (node.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    const childPath = path ? `${path}.${key}` : key;
+                    report(childPath, 'required', `Missing required property "${key}"`, key, undefined);
+                }
+            });
+
+            for (const [key, child] of Object.entries(value)) {
+                const childPath = path ? `${path}.${key}` : key;
+
+                if (properties[key]) {
+                    visit(child, properties[key], childPath);
+                } else if (node.additionalProperties === false) {
+                    report(childPath, 'additionalProperties', `Unknown property "${key}"`, Object.keys(properties), key);
+                } else if (node.additionalProperties && typeof node.additionalProperties === 'object') {
+                    visit(child, node.additionalProperties, childPath);
+                }
+            }
+        }
+    };
+
+    visit(data, schema, '');
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Validate extractedData: schema conformance plus grounding metadata rules
+ * that JSON Schema cannot express (sourceQuote may be empty only for
+ * deduced or calculated fields).
+ * @param {Object} extractedData - Data to check
+ * @returns {{valid: boolean, errors: Array, fieldCount: number}} Result
+ */
+export function validateExtractedData(extractedData) {
+    const result = validateSchema(extractedData, EXTRACTION_SCHEMA);
+    let fieldCount = 0;
+
+    const walk = (value, node, path) => {
+        if (!node || value === null || typeof value !== 'object') return;
+
+        if (isGroundedFieldSchema(node)) {
+            fieldCount++;
+            const derived = value.deductionMetadata?.deduced || value.calculationMetadata?.method;
+            if (!derived && typeof value.sourceQuote === 'string' && value.sourceQuote.trim() === '') {
+                result.errors.push({
+                    path: `${path}.sourceQuote`,
+                    keyword: 'sourceQuote',
+                    message: 'Empty sourceQuote on a field that is neither deduced nor calculated',
+                    expected: 'verbatim transcript excerpt',
+                    actual: ''
+                });
+            }
+            return;
+        }
+
+        const resolved = resolveSchemaRef(node);
+        if (Array.isArray(value)) {
+            value.forEach((item, index) => walk(item, resolved.items, `${path}[${index}]`));
+            return;
+        }
+
+        for (const [key, child] of Object.entries(value)) {
+            const childSchema = resolved.properties?.[key] ??
+                (typeof resolved.additionalProperties === 'object' ? resolved.additionalProperties : null);
+            walk(child, childSchema, path ? `${path}.${key}` : key);
+        }
+    };
+
+    walk(extractedData, EXTRACTION_SCHEMA, '');
+
+    return {
+        valid: result.errors.length === 0,
+        errors: result.errors,
+        fieldCount
+    };
+}
+
+export default EXTRACTION_SCHEMA;
@@ -0,0 +1,51 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Fabrication Detection Regression Tests
+ * ========================================================================
+ *
+ * Run with: node --test fabrication-test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ValidationEngine } from './validation-engine.js';
+
+const detector = new ValidationEngine().fabricationDetector;
+const TRANSCRIPT = 'Lumbar stenosis. History of hypertension on lisinopril.';
+const EXTRACTION = { diagnosis: { value: 'lumbar stenosis', sourceQuote: 'lumbar stenosis' } };
+
+const fabricated = async (note, extractedData, originalText) => {
+    const result = await detector.detect(note, extractedData, originalText);
+    return result.validation.errors.filter(error => error.type === 'fabricated_content').map(error => error.statement);
+};
+
+test('facts in the transcript but missing from the extraction are grounded', async () => {
+    assert.deepEqual(await fabricated('Hypertension managed with lisinopril.', EXTRACTION, TRANSCRIPT), []);
+});
+
+test('facts in neither the transcript nor the extraction are still flagged', async () => {
+    assert.deepEqual(
+        await fabricated('Glioblastoma resected previously.', EXTRACTION, TRANSCRIPT),
+        ['Glioblastoma resected previously.']
+    );
+});
+
+test('extracted quotes alone still ground a note without a transcript', async () => {
+    assert.deepEqual(await fabricated('Lumbar stenosis confirmed.', EXTRACTION, ''), []);
+});
+
+test('blocks inserted by the app are excluded from source checks but keep their section', async () => {
+    const block = '## OUTCOME MEASURES\n- **ODI:** 42% - Severe disability\n- **mJOA:** 12 - Moderate myelopathy';
+    const note = `## HPI\nLumbar stenosis with hypertension on lisinopril.\n\n${block}`;
+    const start = note.indexOf(block);
+
+    const report = await new ValidationEngine().validate({
+        originalText: TRANSCRIPT,
+        generatedText: note,
+        options: { excludeRanges: [{ start, end: start + block.length }] }
+    });
+
+    assert.deepEqual(report.issues.filter(issue => issue.type === 'fabricated_content'), []);
+    assert.deepEqual(report.sections.map(section => section.id), ['hpi', 'outcome_measures']);
+});
@@ -1,6 +1,8 @@
 // app-state.js - Zero-dependency state management with pub/sub pattern
 // This prevents main.js from becoming the new monolith
 
+import { KEYLESS_PROVIDERS } from '../api-client.js';
+
 /**
  * Application state store with reactive updates
  * Zero dependencies - just 50 lines of clean JavaScript
@@ -8,6 +10,7 @@
 const state = {
     // Core application state
     currentNote: null,
+    injectedBlocks: [],         // Text the app inserted into currentNote verbatim (red flags, Outcome Measures)
     validationResults: null,
     apiKey: null,
     
@@ -25,26 +28,43 @@ const state = {
         plan: ''
     },
     
+    // Structured extraction (grounded {value, sourceQuote, confidence} fields)
+    extractedData: null,
+    extractionValidation: null,
+    extractionSource: null,     // Transcript the stored extraction was made from
+
+    // Red-flag findings in the transcript ({id, label, severity, status, quote, ...})
+    redFlags: [],
+
+    // Term policy report for the last generated note ({mode, entries, removed, flagged})
+    termPolicyReport: null,
+
+    // Note sentence → transcript span alignment for the displayed note ({sentences, aligned, total, coverage})
+    provenance: null,
+
     // Validation state
     validationMode: 'standard', // 'standard' | 'ultrathink'
     validationScore: null,
     validationIssues: [],
+    resolutionAudit: [],       // Audit trail of applied issue resolutions
     
-    // Clinical scales responses
-    scaleResponses: {
-        mJOA: null,
-        Nurick: null,
-        NDI: null,
-        ODI: null,
-        VAS: null,
-        GCS: null
-    },
+    // Clinical scale assessments (ScaleAssessment.toJSON()), keyed by scale ID
+    scaleResponses: getEmptyScaleResponses(),
     
     // User preferences (non-sensitive)
     preferences: {
         autoValidate: true,
         showDetailedScores: false,
-        compressionMode: 'standard' // 'standard' | 'DOAP' | 'ULTRATHINK'
+        compressionMode: 'standard', // 'standard' | 'DOAP' | 'ULTRATHINK'
+        consultType: 'new',         // 'new' | 'followup' | 'postop' | 'ed' | 'discharge'
+        structuredExtraction: true, // Extract + validate grounded data before generation
+        llmProvider: 'gemini',      // 'gemini' | 'openai' | 'local' | 'mock'
+        llmBaseUrl: null,           // Override endpoint for openai/local providers
+        llmModel: null,             // Override provider default model
+        includeOutcomeMeasures: true, // Append completed scales to generated notes verbatim
+        includeRedFlags: true,      // Carry detected red flags into the note's assessment
+        termPolicyMode: 'flag',     // 'flag' | 'remove' - unsupported policy terms in generated notes
+        expandAbbreviations: true   // Expand known abbreviations in the transcript before prompting
     }
 };
 
@@ -209,6 +229,23 @@ function deepMerge(target, source) {
     }
 }
 
+/**
+ * Helper: Update that replaces a value under deepMerge
+ * Keys the previous value has and the next one lacks are set to undefined,
+ * which the state copies drop.
+ */
+function getReplacement(previous, next) {
+    if (!next || typeof next !== 'object' || Array.isArray(next) || !previous || typeof previous !== 'object') {
+        return next;
+    }
+
+    const update = { ...next };
+    for (const key in previous) {
+        update[key] = key in next ? getReplacement(previous[key], next[key]) : undefined;
+    }
+    return update;
+}
+
 /**
  * Helper: Get deep copy of state
  */
@@ -216,12 +253,37 @@ function getStateCopy() {
     return JSON.parse(JSON.stringify(state));
 }
 
+/**
+ * Helper: Empty assessment slot for every clinical scale
+ */
+function getEmptyScaleResponses() {
+    return {
+        mjoa: null,
+        nurick: null,
+        ndi: null,
+        odi: null,
+        vas_pain: null,
+        gcs: null,
+        mrs: null,
+        kps: null,
+        nihss: null,
+        hunt_hess: null,
+        wfns: null,
+        modified_fisher: null,
+        asia: null,
+        tlics: null,
+        slic: null,
+        frankel: null
+    };
+}
+
 /**
  * Helper: Get initial state structure
  */
 function getInitialState() {
     return {
         currentNote: null,
+        injectedBlocks: [],
         validationResults: null,
         apiKey: null,
         activeTab: 'input',
@@ -234,21 +296,30 @@ function getInitialState() {
             assessment: '',
             plan: ''
         },
+        extractedData: null,
+        extractionValidation: null,
+        extractionSource: null,
+        redFlags: [],
+        termPolicyReport: null,
+        provenance: null,
         validationMode: 'standard',
         validationScore: null,
         validationIssues: [],
-        scaleResponses: {
-            mJOA: null,
-            Nurick: null,
-            NDI: null,
-            ODI: null,
-            VAS: null,
-            GCS: null
-        },
+        resolutionAudit: [],
+        scaleResponses: getEmptyScaleResponses(),
         preferences: {
             autoValidate: true,
             showDetailedScores: false,
-            compressionMode: 'standard'
+            compressionMode: 'standard',
+            consultType: 'new',
+            structuredExtraction: true,
+            llmProvider: 'gemini',
+            llmBaseUrl: null,
+            llmModel: null,
+            includeOutcomeMeasures: true,
+            includeRedFlags: true,
+            termPolicyMode: 'flag',
+            expandAbbreviations: true
         }
     };
 }
@@ -274,7 +345,15 @@ export const computed = {
      */
     canGenerate: () => {
         const state = appStore.getState();
-        return state.transcript?.length > 10 && state.apiKey && !state.isLoading;
+        return state.transcript?.length > 10 && computed.hasLLMAccess() && !state.isLoading;
+    },
+
+    /**
+     * Check if an LLM is reachable (keyless providers need no API key)
+     */
+    hasLLMAccess: () => {
+        const state = appStore.getState();
+        return !!state.apiKey || KEYLESS_PROVIDERS.includes(state.preferences?.llmProvider);
     },
     
     /**
@@ -330,16 +409,58 @@ export const actions = {
     
     /**
      * Save clinical note and validation results
+     * (validation cleared first so layers from the previous report don't survive deepMerge)
      */
     saveNote(note, validation) {
+        appStore.setState({ validationResults: null });
         appStore.setState({
             currentNote: note,
             validationResults: validation,
-            validationScore: validation?.score || null,
+            validationScore: validation?.score ?? null,
             validationIssues: validation?.issues || []
         });
     },
     
+    /**
+     * Replace the issue list (with resolution states) of the current validation
+     */
+    updateValidationIssues(issues) {
+        appStore.setState({
+            validationResults: { issues },
+            validationIssues: issues
+        });
+    },
+    
+    /**
+     * Save a note produced by applying issue resolutions
+     * Validation is cleared: the corrected note has not been validated yet.
+     */
+    recordResolution(note, audit) {
+        appStore.setState(state => ({
+            currentNote: note,
+            validationResults: null,
+            validationScore: null,
+            validationIssues: [],
+            resolutionAudit: [...(state.resolutionAudit || []), ...audit]
+        }));
+    },
+    
+    /**
+     * Replace structured extraction and its validation
+     * (cleared first: deepMerge would otherwise keep fields from the previous extraction)
+     * @param {string|null} sourceText - Transcript the extraction was made from
+     */
+    setExtraction(extractedData, validation, sourceText = null) {
+        appStore.setState({ extractedData: null, extractionValidation: null, extractionSource: null });
+        if (extractedData || validation) {
+            appStore.setState({
+                extractedData,
+                extractionValidation: validation,
+                extractionSource: sourceText
+            });
+        }
+    },
+    
     /**
      * Update SOAP section
      */
@@ -364,13 +485,14 @@ export const actions = {
     },
     
     /**
-     * Update scale response
+     * Store a scale assessment, replacing the previous one in a single update
+     * (removed answers don't survive deepMerge)
      */
-    updateScaleResponse(scaleName, responses) {
+    updateScaleResponse(scaleId, assessment) {
         appStore.setState(state => ({
             scaleResponses: {
                 ...state.scaleResponses,
-                [scaleName]: responses
+                [scaleId]: getReplacement(state.scaleResponses?.[scaleId], assessment)
             }
         }));
     },
@@ -393,9 +515,17 @@ export const actions = {
     clearClinicalData() {
         appStore.setState({
             currentNote: null,
+            injectedBlocks: [],
+            extractedData: null,
+            extractionValidation: null,
+            extractionSource: null,
+            redFlags: [],
+            termPolicyReport: null,
+            provenance: null,
             validationResults: null,
             validationScore: null,
             validationIssues: [],
+            resolutionAudit: [],
             transcript: '',
             soapData: {
                 subjective: '',
@@ -403,14 +533,7 @@ export const actions = {
                 assessment: '',
                 plan: ''
             },
-            scaleResponses: {
-                mJOA: null,
-                Nurick: null,
-                NDI: null,
-                ODI: null,
-                VAS: null,
-                GCS: null
-            }
+            scaleResponses: getEmptyScaleResponses()
         });
     }
 };
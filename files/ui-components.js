@@ -408,6 +408,7 @@ export class UIController {
      * Display validation results
      */
     displayValidation(validation) {
+        this.renderValidationReport(validation);
         if (!this.elements.validationDisplay) return;
         
         const scoreColor = validation.score >= 80 ? 'green' : 
@@ -425,7 +426,8 @@ export class UIController {
         if (validation.layers) {
             html += '<div class="layer-results">';
             for (const [layer, result] of Object.entries(validation.layers)) {
-                const layerScore = result.score || 0;
+                if (typeof result.score !== 'number') continue;
+                const layerScore = result.score;
                 const layerColor = layerScore >= 80 ? '#4CAF50' : 
                                   layerScore >= 60 ? '#ff9800' : '#f44336';
                 
@@ -460,6 +462,352 @@ export class UIController {
         this.elements.validationDisplay.innerHTML = html;
     }
     
+    /**
+     * Fill the validation tab's layer breakdown from a ValidationEngine.validate() report
+     * Layers that did not run keep their placeholder.
+     */
+    renderValidationReport(validation) {
+        const byId = id => document.getElementById(id);
+        const colorFor = score => score >= 80 ? '#4CAF50' : score >= 60 ? '#ff9800' : '#f44336';
+
+        const scoreDisplay = byId('qualityScoreDisplay');
+        if (!scoreDisplay || typeof validation?.score !== 'number') return;
+
+        scoreDisplay.textContent = `${validation.score}%`;
+        scoreDisplay.style.color = colorFor(validation.score);
+
+        const badge = byId('qualityBadgeDisplay');
+        if (badge) {
+            badge.textContent = validation.status || (validation.valid ? 'PASSED' : 'FAILED');
+            badge.style.background = colorFor(validation.score);
+            badge.style.color = 'white';
+        }
+
+        for (const [layer, result] of Object.entries(validation.layers || {})) {
+            const scoreEl = byId(`${layer}-score`);
+            if (!scoreEl) continue;
+
+            if (typeof result.score !== 'number') {
+                scoreEl.textContent = result.adjustments !== undefined
+                    ? `${result.adjustments} adj.`
+                    : 'N/A';
+                continue;
+            }
+
+            scoreEl.textContent = `${result.score.toFixed(0)}%`;
+            scoreEl.style.color = colorFor(result.score);
+
+            const bar = byId(`${layer}-progress`)?.firstElementChild;
+            if (bar) {
+                bar.style.width = `${result.score}%`;
+                bar.style.background = colorFor(result.score);
+            }
+
+            const details = byId(`${layer}-details`);
+            const layerIssues = (validation.issues || []).filter(issue => issue.layer === layer);
+            if (details) {
+                details.textContent = layerIssues.length > 0
+                    ? `${layerIssues.length} issue(s) found`
+                    : 'No issues found';
+                details.style.display = 'block';
+            }
+        }
+
+        const extractionDetail = byId('extractionScoreDetail');
+        const outputDetail = byId('outputScoreDetail');
+        const formula = byId('calculationFormula');
+        if (extractionDetail) {
+            extractionDetail.textContent = validation.extractionScore ?? 'Not run (no structured extraction)';
+        }
+        if (outputDetail) {
+            outputDetail.textContent = validation.outputScore ?? 'Not run (no generated note)';
+        }
+        if (formula) {
+            formula.textContent = validation.extractionScore !== null && validation.outputScore !== null
+                ? `(${validation.extractionScore} × 0.60) + (${validation.outputScore} × 0.40) = ${validation.score}`
+                : `${validation.score} (single phase)`;
+        }
+
+        this.renderSectionScores(validation.sections || []);
+        this.renderIssueList(validation.issues || []);
+
+        const placeholder = byId('validationPlaceholder');
+        if (placeholder) placeholder.style.display = 'none';
+
+        const tabButton = byId('validation-tab-button');
+        if (tabButton) tabButton.style.display = '';
+        const breakdownToggle = byId('scoreBreakdownToggle');
+        if (breakdownToggle) breakdownToggle.style.display = 'block';
+    }
+
+    /**
+     * Per-section scores of the generated note in the score breakdown
+     * @param {Array} sections - Report sections {title, line, score, errors, warnings, statements, fabricationRate}
+     */
+    renderSectionScores(sections) {
+        const container = document.getElementById('sectionScores');
+        const list = document.getElementById('sectionScoresList');
+        if (!container || !list) return;
+
+        const colorFor = score => score >= 80 ? '#4CAF50' : score >= 60 ? '#ff9800' : '#f44336';
+
+        list.replaceChildren(...sections.map(section => UIUtils.createElement('div', {
+            class: 'section-score',
+            style: { display: 'flex', justifyContent: 'space-between', padding: '4px 0', borderBottom: '1px solid #eee' }
+        }, [
+            UIUtils.createElement('span', {}, [
+                `${section.title} (line ${section.line}) · ${section.errors} error(s), ${section.warnings} warning(s)` +
+                (section.statements > 0 ? ` · ${Math.round(section.fabricationRate * 100)}% of ${section.statements} statements fabricated` : '')
+            ]),
+            UIUtils.createElement('span', { style: { fontWeight: '600', color: colorFor(section.score) } }, [
+                `${section.score}%`
+            ])
+        ])));
+
+        container.style.display = sections.length > 0 ? 'block' : 'none';
+    }
+
+    /**
+     * Render validation issues as review cards
+     * Issues carrying a resolution state (IssueResolver) get approve / reject /
+     * custom-fix controls; clicks are handled by the app via data-issue-action.
+     */
+    renderIssueList(issues) {
+        const issuesSection = document.getElementById('validationIssues');
+        const issuesList = document.getElementById('validationIssuesList');
+        if (!issuesSection || !issuesList) return;
+
+        const statusLabels = {
+            pending: '⏳ Pending review',
+            approved: '✅ Approved - will apply fix',
+            rejected: '❌ Rejected - keeping original',
+            fixed: '✏️ Custom fix saved'
+        };
+        const statusColors = { pending: '#ffc107', approved: '#28a745', rejected: '#6c757d', fixed: '#6f42c1' };
+
+        issuesList.replaceChildren(...issues.map(issue => {
+            const icon = issue.severity === 'error' ? '❌' : '⚠️';
+            const noteWhere = issue.location?.line
+                ? `${issue.location.sectionTitle ? `${issue.location.sectionTitle}, ` : ''}line ${issue.location.line}`
+                : '';
+            const where = issue.location?.field
+                || noteWhere
+                || (Number.isInteger(issue.location?.statementIndex) ? `sentence ${issue.location.statementIndex}` : '');
+
+            const children = [
+                UIUtils.createElement('div', {}, [
+                    `${icon} [${this.formatLayerName(issue.layer)}] ${issue.message}${where ? ` (${where})` : ''}`
+                ])
+            ];
+
+            if (issue.resolution) {
+                const fix = issue.correctionText ?? issue.fixOptions?.[0]?.text ?? issue.suggestion;
+                if (fix) {
+                    children.push(UIUtils.createElement('div', { class: 'issue-fix', style: { fontSize: '0.85rem', color: '#555', marginTop: '4px' } }, [
+                        `Fix: "${fix}"`
+                    ]));
+                }
+
+                const button = (action, label) => UIUtils.createElement('button', {
+                    'data-issue-action': action,
+                    'data-issue-id': issue.id,
+                    style: { padding: '4px 10px', marginRight: '6px', fontSize: '0.8rem' }
+                }, [label]);
+
+                children.push(UIUtils.createElement('div', { class: 'issue-actions', style: { marginTop: '8px' } }, [
+                    UIUtils.createElement('span', { class: 'issue-status', style: { marginRight: '10px', fontWeight: '600', color: statusColors[issue.resolution] } }, [
+                        statusLabels[issue.resolution] || issue.resolution
+                    ]),
+                    button('approve', 'Approve'),
+                    button('reject', 'Reject'),
+                    button('custom-fix', 'Custom fix')
+                ]));
+
+                const customFix = UIUtils.createElement('div', { class: 'issue-custom-fix', style: { display: 'none', marginTop: '8px' } }, [
+                    UIUtils.createElement('textarea', {
+                        'data-issue-input': issue.id,
+                        rows: '2',
+                        placeholder: 'Replacement text (leave empty to remove the statement)',
+                        style: { width: '100%' }
+                    }),
+                    button('save-fix', 'Save fix'),
+                    button('cancel-fix', 'Cancel')
+                ]);
+                children.push(customFix);
+            }
+
+            return UIUtils.createElement('div', {
+                class: `validation-issue ${issue.severity} ${issue.resolution || ''}`.trim(),
+                'data-issue-id': issue.id,
+                style: issue.resolution
+                    ? { borderLeft: `4px solid ${statusColors[issue.resolution]}`, padding: '8px 10px', marginBottom: '8px', background: 'white', opacity: issue.resolution === 'rejected' ? '0.6' : '1' }
+                    : {}
+            }, children);
+        }));
+
+        issuesSection.style.display = issues.length > 0 ? 'block' : 'none';
+
+        // Resolution toolbar (only meaningful once issues are under review)
+        const reviewable = issues.filter(issue => issue.resolution);
+        const toolbar = document.getElementById('issueResolutionToolbar');
+        if (toolbar) {
+            toolbar.style.display = reviewable.length > 0 ? 'flex' : 'none';
+        }
+
+        const summary = document.getElementById('issueResolutionSummary');
+        if (summary) {
+            const count = state => reviewable.filter(issue => issue.resolution === state).length;
+            summary.textContent = `${count('approved') + count('fixed')} to fix · ${count('rejected')} rejected · ${count('pending')} pending`;
+        }
+
+        const applyBtn = document.getElementById('applyResolutionsBtn');
+        if (applyBtn) {
+            applyBtn.disabled = !reviewable.some(issue => issue.resolution === 'approved' || issue.resolution === 'fixed');
+        }
+    }
+
+    /**
+     * Show or hide the custom-fix input of an issue card
+     */
+    toggleCustomFix(issueId, visible) {
+        const card = document.querySelector(`.validation-issue[data-issue-id="${issueId}"]`);
+        const customFix = card?.querySelector('.issue-custom-fix');
+        if (!customFix) return null;
+
+        customFix.style.display = visible ? 'block' : 'none';
+        const input = customFix.querySelector('textarea');
+        if (visible) input?.focus();
+        return input;
+    }
+
+    /**
+     * Render proposed scale answers as review cards
+     * Clicks are handled by the app via data-proposal-action.
+     */
+    renderScaleProposals(proposals) {
+        const list = document.getElementById('scaleProposalsList');
+        if (!list) return;
+
+        const statusLabels = {
+            proposed: '⏳ Awaiting review',
+            confirmed: '✅ Confirmed',
+            rejected: '❌ Rejected',
+            committed: '📊 Added to scale'
+        };
+        const statusColors = { proposed: '#ffc107', confirmed: '#28a745', rejected: '#6c757d', committed: '#0066CC' };
+
+        list.replaceChildren(...proposals.map(proposal => {
+            const button = (action, label) => UIUtils.createElement('button', {
+                'data-proposal-action': action,
+                'data-proposal-id': proposal.id,
+                style: { padding: '4px 10px', marginRight: '6px', fontSize: '0.8rem' }
+            }, [label]);
+
+            const children = [
+                UIUtils.createElement('div', {}, [
+                    UIUtils.createElement('strong', {}, [`${proposal.scaleName}: `]),
+                    `${proposal.question} → ${proposal.label}`,
+                    ` (${Math.round(proposal.confidence * 100)}%, ${proposal.method})`
+                ])
+            ];
+
+            if (proposal.sourceQuote) {
+                children.push(UIUtils.createElement('div', { style: { fontSize: '0.85rem', color: '#555', marginTop: '4px' } }, [
+                    `"${proposal.sourceQuote}"${proposal.quoteVerified ? '' : ' ⚠️ quote not found in transcript'}`
+                ]));
+            }
+
+            const controls = [
+                UIUtils.createElement('span', { style: { marginRight: '10px', fontWeight: '600', color: statusColors[proposal.status] } }, [
+                    statusLabels[proposal.status] || proposal.status
+                ])
+            ];
+            if (proposal.status !== 'committed') {
+                controls.push(button('confirm', 'Confirm'), button('reject', 'Reject'));
+            }
+            children.push(UIUtils.createElement('div', { style: { marginTop: '8px' } }, controls));
+
+            return UIUtils.createElement('div', {
+                class: `scale-proposal ${proposal.status}`,
+                'data-proposal-id': proposal.id,
+                style: { borderLeft: `4px solid ${statusColors[proposal.status]}`, padding: '8px 10px', marginBottom: '8px', background: 'white', opacity: proposal.status === 'rejected' ? '0.6' : '1' }
+            }, children);
+        }));
+
+        list.style.display = proposals.length > 0 ? 'block' : 'none';
+
+        const count = status => proposals.filter(proposal => proposal.status === status).length;
+        const summary = document.getElementById('scaleProposalSummary');
+        if (summary) {
+            summary.textContent = proposals.length > 0
+                ? `${count('confirmed')} confirmed · ${count('rejected')} rejected · ${count('proposed')} awaiting review`
+                : '';
+        }
+
+        const commitBtn = document.getElementById('commitScaleProposalsBtn');
+        if (commitBtn) {
+            commitBtn.disabled = count('confirmed') === 0;
+        }
+    }
+
+    /**
+     * Render the term policy report in the review tab
+     * @param {Object} report - TermPolicy.apply() result without text
+     */
+    renderTermPolicyReport(report) {
+        const container = document.getElementById('reviewInterface');
+        if (!container) return;
+
+        const entries = report?.entries || [];
+        if (entries.length === 0) {
+            container.replaceChildren(UIUtils.createElement('p', {
+                style: { color: '#666', textAlign: 'center', padding: '40px', fontStyle: 'italic' }
+            }, ['✅ Term policy: no unsupported terms in the generated note.']));
+            return;
+        }
+
+        const actionLabels = { removed: '🗑️ Removed', flagged: '🚩 Flagged' };
+        const actionColors = { removed: '#dc3545', flagged: '#ffc107' };
+
+        const summary = UIUtils.createElement('div', { class: 'term-policy-summary', style: { fontWeight: '600', marginBottom: '12px' } }, [
+            `🛡️ Term policy (${report.mode} mode): ${report.removed} removed · ${report.flagged} flagged`
+        ]);
+
+        const cards = entries.map(entry => UIUtils.createElement('div', {
+            class: `term-policy-entry ${entry.action}`,
+            'data-term-entry-id': entry.id,
+            style: { borderLeft: `4px solid ${actionColors[entry.action]}`, padding: '8px 10px', marginBottom: '8px', background: 'white' }
+        }, [
+            UIUtils.createElement('div', {}, [
+                `${actionLabels[entry.action]} [${entry.category}] ${entry.message}`
+            ]),
+            UIUtils.createElement('div', { style: { fontSize: '0.85rem', color: '#555', marginTop: '4px' } }, [
+                `Line ${entry.line}${entry.sectionTitle ? ` (${entry.sectionTitle})` : ''}: "${entry.sentence}"`
+            ])
+        ]));
+
+        container.replaceChildren(summary, ...cards);
+    }
+
+    /**
+     * Select a transcript span and scroll it into view
+     * @param {Object} span - Provenance span {start, end}
+     */
+    highlightTranscriptSpan(span) {
+        const transcript = this.elements.transcript || document.getElementById('transcript');
+        if (!transcript || !span) return;
+
+        transcript.focus({ preventScroll: true });
+        transcript.setSelectionRange(span.start, span.end);
+
+        // Textareas don't scroll to a programmatic selection; place it by offset
+        const ratio = transcript.value.length > 0 ? span.start / transcript.value.length : 0;
+        transcript.scrollTop = Math.max(0, ratio * transcript.scrollHeight - transcript.clientHeight / 2);
+
+        this.scrollToElement(transcript);
+        this.highlightElement(transcript);
+    }
+
     /**
      * Update word count display
      */
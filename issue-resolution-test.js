@@ -0,0 +1,106 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Issue Resolution Regression Tests
+ * ========================================================================
+ *
+ * Run with: node --test issue-resolution-test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { IssueResolver } from './issue-resolution.js';
+import { MockLLMClient } from './mock-llm-client.js';
+
+const NOTE = '## HPI\nNeck pain for three months. Prior C4-5 fusion in 2015.\n\n## PLAN\nC5-6 ACDF.';
+
+const REPORT = {
+    issues: [
+        {
+            id: 'fabrication-1',
+            layer: 'fabrication',
+            type: 'fabricated_content',
+            message: 'No prior surgery is mentioned in the transcript',
+            affectedText: 'Prior C4-5 fusion in 2015.',
+            suggestion: null,
+            fixOptions: [{ id: 'remove', text: '' }]
+        },
+        {
+            id: 'accuracy-1',
+            layer: 'accuracy',
+            type: 'incorrect_value',
+            message: 'Duration is two months in the transcript',
+            affectedText: 'three months',
+            suggestion: 'two months',
+            fixOptions: []
+        },
+        {
+            id: 'completeness-1',
+            layer: 'completeness',
+            type: 'missing_anticoagulant_plan',
+            message: 'Apixaban is not addressed in the plan',
+            affectedText: '',
+            location: { sectionTitle: 'PLAN' },
+            suggestion: 'Hold apixaban 48 hours before surgery.',
+            fixOptions: []
+        }
+    ]
+};
+
+const createResolver = client => {
+    const resolver = new IssueResolver(client);
+    resolver.load(REPORT);
+    return resolver;
+};
+
+test('approved replacements and removals are applied to the note text', () => {
+    const resolver = createResolver(null);
+    resolver.approve('fabrication-1');
+    resolver.customFix('accuracy-1', 'two months');
+    resolver.reject('completeness-1');
+
+    const { note, applied, unresolved } = resolver.applyResolutions(NOTE);
+    assert.equal(note, '## HPI\nNeck pain for two months. \n\n## PLAN\nC5-6 ACDF.');
+    assert.deepEqual(applied.map(({ issue }) => issue.id), ['fabrication-1', 'accuracy-1']);
+    assert.deepEqual(unresolved, []);
+});
+
+test('an omission is added through the LLM revision rather than replacing text', async () => {
+    const revisedNote = `${NOTE}\nHold apixaban 48 hours before surgery.`;
+    const client = new MockLLMClient(null, { fixtures: [{ match: 'CORRECTIONS TO APPLY', response: revisedNote }] });
+    const resolver = createResolver(client);
+    resolver.approve('completeness-1');
+    resolver.reject('fabrication-1');
+
+    const result = await resolver.regenerate(NOTE, { originalText: 'Neck pain. On apixaban.' });
+    assert.equal(result.note, revisedNote);
+    assert.deepEqual(result.summary, { replaced: 0, revised: 1, skipped: 0, kept: 1, pending: 1 });
+
+    const [prompt] = client.getCalls().map(call => call.prompt);
+    assert.match(prompt, /\(PLAN\): add "Hold apixaban 48 hours before surgery\."/);
+    assert.match(prompt, /KEEP UNCHANGED[\s\S]*Prior C4-5 fusion in 2015\./);
+});
+
+test('without an LLM client unresolvable findings are skipped', async () => {
+    const resolver = createResolver(null);
+    resolver.approve('fabrication-1');
+    resolver.approve('completeness-1');
+
+    const result = await resolver.regenerate(NOTE);
+    assert.equal(result.note, '## HPI\nNeck pain for three months. \n\n## PLAN\nC5-6 ACDF.');
+    assert.deepEqual(result.audit.map(entry => [entry.issueId, entry.action]), [
+        ['fabrication-1', 'replaced'],
+        ['completeness-1', 'skipped']
+    ]);
+});
+
+test('an empty LLM revision fails without recording the corrections', async () => {
+    const client = new MockLLMClient(null, { defaultResponse: '  ' });
+    const resolver = createResolver(client);
+    resolver.approve('fabrication-1');
+    resolver.approve('completeness-1');
+
+    await assert.rejects(resolver.regenerate(NOTE), /no text/);
+    assert.deepEqual(resolver.getAuditTrail(), []);
+    assert.equal(resolver.getSummary().approved, 2, 'decisions are kept for a retry');
+});
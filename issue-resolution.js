@@ -0,0 +1,457 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Issue Resolution Workflow
+ * ========================================================================
+ *
+ * Clinician triage of validation findings (ported from the V10.2.4
+ * approveIssue / rejectIssue / openCustomFix / applyAllResolutions /
+ * generateResolvedNote workflow).
+ *
+ * Works on the issue list of a ValidationEngine.validate() report. Each
+ * issue carries a stable id and gains a resolution state:
+ *
+ *     pending  → not reviewed yet
+ *     approved → apply the suggested (or selected) fix
+ *     rejected → keep the note text as is
+ *     fixed    → apply the clinician's own replacement text
+ *
+ * regenerate() then produces the corrected note:
+ * 1. Direct replacement of affectedText where the note still contains it
+ * 2. LLM revision for approved findings that can't be applied textually
+ *    (optional - needs an apiClient); findings without affected text
+ *    (omissions such as an unaddressed anticoagulant) are added there
+ *    rather than replacing anything
+ * 3. An audit trail entry per decision (what changed, before/after, when)
+ *
+ * @author NeuroScribe Development Team
+ * @version 11.0.0
+ * @license MIT
+ */
+
+/**
+ * Resolution states
+ */
+export const RESOLUTION_STATES = {
+    PENDING: 'pending',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+    FIXED: 'fixed'
+};
+
+/**
+ * Escape a string for use inside a RegExp
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * ========================================================================
+ * ISSUE RESOLVER
+ * ========================================================================
+ */
+
+export class IssueResolver {
+    /**
+     * Default configuration
+     */
+    static DEFAULTS = {
+        TEMPERATURE: 0.2,               // Conservative rewrite
+        MAX_OUTPUT_TOKENS: 8192
+    };
+
+    /**
+     * Create a resolver
+     * @param {BaseLLMClient|null} apiClient - Used by regenerate() for corrections that
+     *        can't be applied by text replacement (optional)
+     */
+    constructor(apiClient = null) {
+        this.apiClient = apiClient;
+        this.issues = [];
+        this.auditTrail = [];
+    }
+
+    /**
+     * Load the issues of a validation report
+     * Decisions already made for an issue id are kept, so re-validating an
+     * unchanged note doesn't discard the clinician's review.
+     * @param {Object} report - ValidationEngine.validate() report
+     * @returns {Object} The report with resolution fields added to its issues
+     */
+    load(report) {
+        const previous = new Map(this.issues.map(issue => [issue.id, issue]));
+
+        this.issues = (report?.issues || []).map(issue => {
+            const prior = previous.get(issue.id);
+            return {
+                ...issue,
+                resolution: prior?.resolution || RESOLUTION_STATES.PENDING,
+                correctionText: prior?.correctionText ?? null,
+                selectedOption: prior?.selectedOption ?? null
+            };
+        });
+
+        console.log(`📋 [Resolution] Loaded ${this.issues.length} issues for review`);
+
+        return { ...report, issues: this.getIssues() };
+    }
+
+    /**
+     * ====================================================================
+     * DECISIONS
+     * ====================================================================
+     */
+
+    /**
+     * Approve an issue: apply the selected fix option, else the suggestion
+     * @param {string} issueId - Issue id
+     * @param {string|null} optionId - fixOptions[].id to use (default: first option)
+     * @returns {Object} Updated issue
+     */
+    approve(issueId, optionId = null) {
+        const issue = this.requireIssue(issueId);
+
+        let correctionText = issue.suggestion || null;
+        if (issue.fixOptions?.length > 0) {
+            const selected = issue.fixOptions.find(opt => opt.id === optionId) || issue.fixOptions[0];
+            issue.selectedOption = selected.id;
+            correctionText = selected.text;
+        }
+
+        issue.resolution = RESOLUTION_STATES.APPROVED;
+        issue.correctionText = correctionText;
+
+        console.log(`✅ [Resolution] Issue ${issueId} approved`);
+        return { ...issue };
+    }
+
+    /**
+     * Reject an issue: the note keeps its original text
+     * @param {string} issueId - Issue id
+     * @returns {Object} Updated issue
+     */
+    reject(issueId) {
+        const issue = this.requireIssue(issueId);
+
+        issue.resolution = RESOLUTION_STATES.REJECTED;
+        issue.correctionText = null;
+        issue.selectedOption = null;
+
+        console.log(`❌ [Resolution] Issue ${issueId} rejected (keeping original)`);
+        return { ...issue };
+    }
+
+    /**
+     * Resolve an issue with the clinician's own replacement text
+     * An empty string removes the affected text.
+     * @param {string} issueId - Issue id
+     * @param {string} text - Replacement text
+     * @returns {Object} Updated issue
+     */
+    customFix(issueId, text) {
+        const issue = this.requireIssue(issueId);
+
+        if (typeof text !== 'string') {
+            throw new Error('Custom fix requires replacement text');
+        }
+        if (!text.trim() && !issue.affectedText) {
+            throw new Error('Custom fix requires replacement text for findings without affected note text');
+        }
+
+        issue.resolution = RESOLUTION_STATES.FIXED;
+        issue.correctionText = text.trim();
+        issue.selectedOption = null;
+
+        console.log(`✏️ [Resolution] Issue ${issueId} custom fix saved`);
+        return { ...issue };
+    }
+
+    /**
+     * Return an issue to pending
+     * @param {string} issueId - Issue id
+     * @returns {Object} Updated issue
+     */
+    resetIssue(issueId) {
+        const issue = this.requireIssue(issueId);
+
+        issue.resolution = RESOLUTION_STATES.PENDING;
+        issue.correctionText = null;
+        issue.selectedOption = null;
+
+        return { ...issue };
+    }
+
+    /**
+     * Approve every pending issue
+     * @returns {number} Issues approved
+     */
+    approveAll() {
+        const pending = this.issues.filter(issue => issue.resolution === RESOLUTION_STATES.PENDING);
+        pending.forEach(issue => this.approve(issue.id));
+        return pending.length;
+    }
+
+    /**
+     * Reject every pending issue
+     * @returns {number} Issues rejected
+     */
+    rejectAll() {
+        const pending = this.issues.filter(issue => issue.resolution === RESOLUTION_STATES.PENDING);
+        pending.forEach(issue => this.reject(issue.id));
+        return pending.length;
+    }
+
+    /**
+     * ====================================================================
+     * RESOLUTION
+     * ====================================================================
+     */
+
+    /**
+     * Apply approved/fixed corrections by direct text replacement
+     * @param {string} note - Current note
+     * @returns {Object} {note, applied: [{issue, before, after}], unresolved: [issue]}
+     */
+    applyResolutions(note) {
+        let resolvedNote = note;
+        const applied = [];
+        const unresolved = [];
+
+        this.getActionableIssues().forEach(issue => {
+            if (!issue.affectedText || issue.correctionText === null) {
+                unresolved.push(issue);
+                return;
+            }
+
+            // Exact match first, then case-insensitive (as in V10.2);
+            // removals also take the trailing space so no gap is left behind
+            const source = escapeRegExp(issue.affectedText) + (issue.correctionText === '' ? '[ \\t]*' : '');
+            const pattern = [new RegExp(source), new RegExp(source, 'i')].find(regex => regex.test(resolvedNote));
+
+            if (!pattern) {
+                unresolved.push(issue);
+                return;
+            }
+
+            // Function replacement: correction text is literal ($& etc. not expanded)
+            resolvedNote = resolvedNote.replace(pattern, () => issue.correctionText);
+            applied.push({ issue, before: issue.affectedText, after: issue.correctionText });
+        });
+
+        return { note: resolvedNote, applied, unresolved };
+    }
+
+    /**
+     * Produce the corrected note and record the audit trail
+     * @param {string} note - Current note
+     * @param {Object} options - Options
+     * @param {string} options.originalText - Source transcript (grounds the LLM revision)
+     * @param {AbortSignal} options.signal - Cancels the LLM revision
+     * @returns {Promise<Object>} {success, note, changed, audit, summary}
+     * @throws {Error} When the LLM revision fails or returns no text (nothing is recorded)
+     */
+    async regenerate(note, options = {}) {
+        if (!note) {
+            throw new Error('No note to resolve');
+        }
+
+        const actionable = this.getActionableIssues();
+        if (actionable.length === 0) {
+            throw new Error('No approved or fixed issues to apply');
+        }
+
+        console.log(`🔄 [Resolution] Applying ${actionable.length} resolutions...`);
+        const timestamp = new Date().toISOString();
+        const audit = [];
+
+        // 1. Direct text replacement
+        const { note: replacedNote, applied, unresolved } = this.applyResolutions(note);
+        applied.forEach(({ issue, before, after }) => {
+            audit.push(this.createAuditEntry(issue, 'replaced', before, after, timestamp));
+        });
+        console.log(`   ✏️ ${applied.length} replaced in text, ${unresolved.length} need revision`);
+
+        // 2. LLM revision for the rest
+        let resolvedNote = replacedNote;
+        const revisable = unresolved.filter(issue => issue.correctionText || issue.resolution === RESOLUTION_STATES.APPROVED);
+
+        if (revisable.length > 0 && this.apiClient) {
+            const prompt = this.buildRevisionPrompt(replacedNote, revisable, options.originalText);
+            const response = await this.apiClient.generateContent(prompt, {
+                temperature: IssueResolver.DEFAULTS.TEMPERATURE,
+                maxOutputTokens: IssueResolver.DEFAULTS.MAX_OUTPUT_TOKENS,
+                signal: options.signal
+            });
+
+            // An empty revision would silently drop the approved corrections
+            const revised = response?.trim();
+            if (!revised) {
+                throw new Error('LLM revision returned no text; no corrections were applied');
+            }
+
+            resolvedNote = revised;
+            revisable.forEach(issue => {
+                audit.push(this.createAuditEntry(issue, 'revised', issue.affectedText, issue.correctionText, timestamp));
+            });
+        }
+
+        // 3. Record what was left alone
+        const revisedIds = new Set(audit.map(entry => entry.issueId));
+        unresolved
+            .filter(issue => !revisedIds.has(issue.id))
+            .forEach(issue => {
+                audit.push(this.createAuditEntry(issue, 'skipped', issue.affectedText, issue.correctionText, timestamp,
+                    issue.affectedText ? 'Affected text not found in note' : 'No replacement text and no LLM revision'));
+            });
+
+        this.issues
+            .filter(issue => issue.resolution === RESOLUTION_STATES.REJECTED)
+            .forEach(issue => {
+                audit.push(this.createAuditEntry(issue, 'kept', issue.affectedText, issue.affectedText, timestamp));
+            });
+
+        this.auditTrail.push(...audit);
+
+        const summary = {
+            replaced: audit.filter(entry => entry.action === 'replaced').length,
+            revised: audit.filter(entry => entry.action === 'revised').length,
+            skipped: audit.filter(entry => entry.action === 'skipped').length,
+            kept: audit.filter(entry => entry.action === 'kept').length,
+            pending: this.issues.filter(issue => issue.resolution === RESOLUTION_STATES.PENDING).length
+        };
+
+        console.log(`✅ [Resolution] ${summary.replaced} replaced, ${summary.revised} revised, ${summary.skipped} skipped, ${summary.kept} kept`);
+
+        return {
+            success: true,
+            note: resolvedNote,
+            changed: resolvedNote !== note,
+            audit,
+            summary
+        };
+    }
+
+    /**
+     * Build the revision prompt for findings without a textual replacement
+     */
+    buildRevisionPrompt(note, issues, originalText = '') {
+        const corrections = issues.map((issue, index) => {
+            const target = issue.affectedText
+                ? `"${issue.affectedText}"`
+                : `(${issue.location?.sectionTitle || issue.location?.field || issue.layer})`;
+
+            // Findings without affected text are omissions: the fix is added, nothing is replaced
+            let fix = 'correct or remove so the note matches the source';
+            if (issue.correctionText) {
+                fix = issue.affectedText ? `replace with "${issue.correctionText}"` : `add "${issue.correctionText}"`;
+            }
+            return `${index + 1}. [${issue.layer}] ${target}: ${fix}. Finding: ${issue.message}`;
+        }).join('\n');
+
+        const kept = this.issues
+            .filter(issue => issue.resolution === RESOLUTION_STATES.REJECTED && issue.affectedText)
+            .map(issue => `- "${issue.affectedText}"`)
+            .join('\n');
+
+        return `You are revising a clinical note after a clinician reviewed validation findings.
+
+RULES:
+- Apply ONLY the corrections listed below
+- Change nothing else: keep structure, headings and all other wording
+- Do not add information that is not in the source transcript
+- Return the complete revised note only, with no commentary
+
+${originalText ? `SOURCE TRANSCRIPT:\n${originalText}\n\n` : ''}CURRENT NOTE:
+${note}
+
+CORRECTIONS TO APPLY:
+${corrections}
+${kept ? `\nKEEP UNCHANGED (clinician reviewed and accepted):\n${kept}\n` : ''}
+REVISED NOTE:`;
+    }
+
+    /**
+     * Create an audit trail entry
+     */
+    createAuditEntry(issue, action, before, after, timestamp, reason = null) {
+        return {
+            issueId: issue.id,
+            layer: issue.layer,
+            type: issue.type,
+            resolution: issue.resolution,
+            action,                 // 'replaced' | 'revised' | 'skipped' | 'kept'
+            before: before || null,
+            after: after ?? null,
+            reason,
+            timestamp
+        };
+    }
+
+    /**
+     * ====================================================================
+     * QUERIES
+     * ====================================================================
+     */
+
+    /**
+     * Get a copy of all issues with their resolution state
+     */
+    getIssues() {
+        return this.issues.map(issue => ({ ...issue }));
+    }
+
+    /**
+     * Get one issue
+     */
+    getIssue(issueId) {
+        const issue = this.issues.find(i => i.id === issueId);
+        return issue ? { ...issue } : null;
+    }
+
+    /**
+     * Issues whose resolution changes the note
+     */
+    getActionableIssues() {
+        return this.issues.filter(issue =>
+            issue.resolution === RESOLUTION_STATES.APPROVED || issue.resolution === RESOLUTION_STATES.FIXED
+        );
+    }
+
+    /**
+     * Count issues per resolution state
+     */
+    getSummary() {
+        const summary = { total: this.issues.length };
+        Object.values(RESOLUTION_STATES).forEach(state => {
+            summary[state] = this.issues.filter(issue => issue.resolution === state).length;
+        });
+        return summary;
+    }
+
+    /**
+     * Get every audit entry recorded by regenerate()
+     */
+    getAuditTrail() {
+        return this.auditTrail.map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Clear issues (the audit trail is kept)
+     */
+    clear() {
+        this.issues = [];
+    }
+
+    /**
+     * Find an issue or throw
+     */
+    requireIssue(issueId) {
+        const issue = this.issues.find(i => i.id === issueId);
+        if (!issue) {
+            throw new Error(`Issue ${issueId} not found`);
+        }
+        return issue;
+    }
+}
+
+export default IssueResolver;
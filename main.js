@@ -14,9 +14,10 @@
  * - Full V10.2.4 feature parity
  *
  * MODULES:
+ * - ExtractionEngine: Transcript → source-quoted structured data
  * - ValidationEngine: 8-layer validation system
  * - ClinicalScales: mJOA, Nurick, NDI, ODI, GCS
- * - GeminiClient: Rate-limited API client with retry logic
+ * - LLM client: Rate-limited Gemini/OpenAI-compatible/local client with retry logic
  * - UIController: All UI interactions and feedback
  * - appStore: Centralized state management
  *
@@ -26,11 +27,34 @@
  */
 
 import { ValidationEngine } from './validation-engine.js';
-import { ClinicalScales } from './clinical-scales.js';
-import { GeminiClient } from './api-client.js';
+import { ClinicalScales, ScaleAssessment } from './clinical-scales.js';
+import { createLLMClient, LLM_PROVIDERS, KEYLESS_PROVIDERS } from './api-client.js';
+import { ExtractionEngine } from './extraction-engine.js';
+import { IssueResolver } from './issue-resolution.js';
+import { ScaleExtractor } from './scale-extractor.js';
+import { ScaleHistory } from './scale-history.js';
+import { ScaleFormatter } from './scale-formatter.js';
+import { NoteTemplateRegistry } from './note-templates.js';
+import { PathologyPacks } from './pathology-packs.js';
+import { RedFlagEngine } from './red-flags.js';
+import { TermPolicy } from './term-policy.js';
+import { AbbreviationDictionary } from './abbreviations.js';
 import { UIController, UIUtils } from './ui-components.js';
 import { appStore, actions, computed } from './app-state.js';
 
+/**
+ * localStorage key of the LLM provider settings (no API key - that stays in sessionStorage)
+ */
+const LLM_SETTINGS_KEY = 'neuroscribe_llm_settings';
+const LLM_SETTING_FIELDS = ['llmProvider', 'llmBaseUrl', 'llmModel'];
+
+/**
+ * Preferences without the LLM provider settings
+ */
+function omitLLMSettings(preferences = {}) {
+    return Object.fromEntries(Object.entries(preferences || {}).filter(([key]) => !LLM_SETTING_FIELDS.includes(key)));
+}
+
 /**
  * ========================================================================
  * MAIN APPLICATION CLASS
@@ -42,6 +66,7 @@ class NeuroScribeApp {
         this.validator = null;
         this.scales = null;
         this.apiClient = null;
+        this.extractor = null;
         this.ui = null;
 
         // Speech recognition
@@ -49,12 +74,23 @@ class NeuroScribeApp {
         this.isRecording = false;
         this.confidenceScores = [];
 
+        // Red flags already alerted in the status bar, and the alert's reset timer
+        this.alertedRedFlags = new Set();
+        this.redFlagAlertTimer = null;
+
         // Auto-save timer
         this.autoSaveInterval = null;
 
+        // Active streaming generation (AbortController), null when idle
+        this.generationController = null;
+
+        // Active validation run (AbortController), null when idle
+        this.validationController = null;
+
         // Debounced functions
-        this.debouncedValidate = UIUtils.debounce(this.validateContent.bind(this), 1000);
+        this.debouncedValidate = UIUtils.debounce(() => this.validateContent({ auto: true }), 1000);
         this.debouncedWordCount = UIUtils.debounce(this.updateWordCount.bind(this), 300);
+        this.debouncedRedFlags = UIUtils.debounce(() => this.evaluateRedFlags(appStore.getState('transcript')), 500);
 
         // Flag to prevent duplicate initialization
         this.initialized = false;
@@ -85,9 +121,15 @@ class NeuroScribeApp {
                 // Custom selectors if needed
             });
 
-            // Check for API key
+            // Provider settings first: they decide whether an API key is needed
+            this.loadLLMSettings();
+
+            // Check for API key (local LLM servers run without one)
             const apiKey = await this.loadApiKey();
-            if (!apiKey) {
+            if (KEYLESS_PROVIDERS.includes(this.getLLMProvider())) {
+                console.log(`🏠 Using ${this.getLLMProvider()} LLM provider, no API key required`);
+                if (apiKey) appStore.setState({ apiKey });
+            } else if (!apiKey) {
                 console.log('📝 No API key found, prompting user...');
                 const key = await this.ui.showApiKeyModal();
                 if (key) {
@@ -140,28 +182,191 @@ class NeuroScribeApp {
     async initializeServices() {
         console.log('⚙️ Initializing core services...');
 
-        // Initialize validation engine
-        this.validator = new ValidationEngine({
-            ultrathinkMode: false,
-            confidenceThreshold: 0.7
-        });
-        console.log('   ✓ ValidationEngine initialized');
-
         // Initialize clinical scales
         this.scales = new ClinicalScales();
         console.log('   ✓ ClinicalScales initialized');
 
-        // Initialize API client
-        this.apiClient = new GeminiClient();
-        const apiKey = appStore.getState('apiKey');
-        if (apiKey) {
-            this.apiClient.setKey(apiKey);
-        }
-        console.log('   ✓ GeminiClient initialized');
+        // Initialize the LLM client and the services that call it
+        await this.initializeLLMServices();
+
+        // Initialize longitudinal scale history (persisted locally)
+        this.scaleHistory = new ScaleHistory({ storage: localStorage });
+        console.log('   ✓ ScaleHistory initialized');
+
+        // Initialize Outcome Measures rendering (inserted verbatim, never via the LLM)
+        this.scaleFormatter = new ScaleFormatter();
+        console.log('   ✓ ScaleFormatter initialized');
+
+        // Initialize consult-type note templates (new, follow-up, post-op, ED, discharge)
+        this.templates = new NoteTemplateRegistry();
+        console.log('   ✓ NoteTemplateRegistry initialized');
+
+        // Initialize pathology documentation packs (exam elements, scales, red flags, imaging)
+        this.pathologyPacks = new PathologyPacks();
+        console.log('   ✓ PathologyPacks initialized');
+
+        // Initialize red-flag detection (general + pathology rule sets, negation-aware)
+        this.redFlags = new RedFlagEngine();
+        console.log('   ✓ RedFlagEngine initialized');
+
+        // Initialize term policy (synonym/brand-aware, negation-aware fabrication filter)
+        this.termPolicy = new TermPolicy();
+        console.log('   ✓ TermPolicy initialized');
+
+        // Initialize abbreviation dictionary (deterministic transcript pre-normalization)
+        this.abbreviations = new AbbreviationDictionary();
+        console.log('   ✓ AbbreviationDictionary initialized');
 
         console.log('✅ All services initialized');
     }
 
+    /**
+     * Create the LLM client for the configured provider and the services
+     * that use it (called again when the provider changes; the resolver
+     * keeps its review state and only switches client)
+     */
+    async initializeLLMServices() {
+        const preferences = appStore.getState('preferences') || {};
+        const provider = this.getLLMProvider();
+        const clientOptions = {
+            baseUrl: preferences.llmBaseUrl || undefined,
+            model: preferences.llmModel || undefined
+        };
+
+        if (provider === LLM_PROVIDERS.MOCK) {
+            // Offline development: load the mock only when selected
+            await import('./mock-llm-client.js');
+            clientOptions.fixtures = JSON.parse(localStorage.getItem('neuroscribe_mock_fixtures') || '[]');
+            clientOptions.defaultResponse = '[MOCK] No fixture recorded for this prompt.';
+        }
+
+        this.apiClient = createLLMClient(provider, appStore.getState('apiKey'), clientOptions);
+        console.log(`   ✓ LLM client initialized (${this.apiClient.provider})`);
+
+        // Initialize structured extraction stage
+        this.extractor = new ExtractionEngine(this.apiClient);
+        console.log('   ✓ ExtractionEngine initialized');
+
+        // Initialize validation engine (semantic layers share the app's LLM client)
+        this.validator = new ValidationEngine(this.apiClient);
+        this.validator.onProgress(event => this.handleValidationProgress(event));
+        console.log('   ✓ ValidationEngine initialized');
+
+        // Initialize issue resolution workflow (approve / reject / custom fix)
+        if (this.resolver) {
+            this.resolver.apiClient = this.apiClient;
+        } else {
+            this.resolver = new IssueResolver(this.apiClient);
+        }
+        console.log('   ✓ IssueResolver initialized');
+
+        // Initialize scale pre-fill (keyword pass + LLM pass, clinician confirms)
+        this.scaleExtractor = new ScaleExtractor(this.apiClient);
+        console.log('   ✓ ScaleExtractor initialized');
+    }
+
+    /**
+     * Get the configured LLM provider
+     * @returns {string} One of LLM_PROVIDERS
+     */
+    getLLMProvider() {
+        return appStore.getState('preferences')?.llmProvider || LLM_PROVIDERS.GEMINI;
+    }
+
+    /**
+     * Load the saved provider, endpoint and model into preferences
+     * Kept apart from the draft (which expires after 24 hours) so the
+     * connection setting survives between sessions.
+     */
+    loadLLMSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(LLM_SETTINGS_KEY) || 'null');
+            if (saved && Object.values(LLM_PROVIDERS).includes(saved.llmProvider)) {
+                appStore.setState({
+                    preferences: {
+                        llmProvider: saved.llmProvider,
+                        llmBaseUrl: saved.llmBaseUrl || null,
+                        llmModel: saved.llmModel || null
+                    }
+                });
+                console.log(`✅ LLM settings loaded (${saved.llmProvider})`);
+            }
+        } catch (error) {
+            console.error('Failed to load LLM settings:', error);
+        }
+    }
+
+    /**
+     * Switch LLM provider and endpoint, then rebuild the LLM services
+     * @param {Object} settings - {llmProvider, llmBaseUrl, llmModel}
+     * @throws {Error} If the provider is unknown, the endpoint is not a URL
+     *         or a keyed provider is selected without an API key
+     */
+    async setLLMProvider(settings) {
+        const llmProvider = settings.llmProvider;
+        const llmBaseUrl = settings.llmBaseUrl?.trim() || null;
+        const llmModel = settings.llmModel?.trim() || null;
+
+        if (!Object.values(LLM_PROVIDERS).includes(llmProvider)) {
+            throw new Error(`Unknown LLM provider: ${llmProvider}`);
+        }
+        if (llmBaseUrl && !/^https?:\/\/\S+$/i.test(llmBaseUrl)) {
+            throw new Error('Endpoint URL must start with http:// or https://');
+        }
+
+        if (!KEYLESS_PROVIDERS.includes(llmProvider) && !appStore.getState('apiKey')) {
+            const key = await this.ui.showApiKeyModal().catch(() => null);
+            if (!key) {
+                throw new Error(`An API key is required for the ${llmProvider} provider`);
+            }
+            await this.saveApiKey(key);
+            appStore.setState({ apiKey: key });
+        }
+
+        appStore.setState({ preferences: { llmProvider, llmBaseUrl, llmModel } });
+        localStorage.setItem(LLM_SETTINGS_KEY, JSON.stringify({ llmProvider, llmBaseUrl, llmModel }));
+
+        await this.initializeLLMServices();
+        console.log(`🔌 LLM provider set to ${llmProvider}${llmBaseUrl ? ` (${llmBaseUrl})` : ''}`);
+    }
+
+    /**
+     * Show the settings modal with the current provider settings
+     */
+    openSettings() {
+        const preferences = appStore.getState('preferences') || {};
+        const modal = document.getElementById('settingsModal');
+        if (!modal) return;
+
+        document.getElementById('llmProviderSelect').value = this.getLLMProvider();
+        document.getElementById('llmBaseUrlInput').value = preferences.llmBaseUrl || '';
+        document.getElementById('llmModelInput').value = preferences.llmModel || '';
+        modal.style.display = 'flex';
+    }
+
+    closeSettings() {
+        const modal = document.getElementById('settingsModal');
+        if (modal) modal.style.display = 'none';
+    }
+
+    /**
+     * Apply the provider settings entered in the settings modal
+     */
+    async applyLLMSettings() {
+        try {
+            await this.setLLMProvider({
+                llmProvider: document.getElementById('llmProviderSelect')?.value,
+                llmBaseUrl: document.getElementById('llmBaseUrlInput')?.value,
+                llmModel: document.getElementById('llmModelInput')?.value
+            });
+            this.closeSettings();
+            this.ui.showSuccess(`LLM provider set to ${this.apiClient.provider}`);
+        } catch (error) {
+            console.error('❌ LLM settings failed:', error);
+            this.ui.showError(error.message);
+        }
+    }
+
     /**
      * ====================================================================
      * STATE MANAGEMENT
@@ -221,18 +426,104 @@ class NeuroScribeApp {
             generateBtn.addEventListener('click', () => this.generateNote());
         }
 
+        // Stop generation button
+        const cancelGenerationBtn = document.getElementById('cancelGenerationBtn');
+        if (cancelGenerationBtn) {
+            cancelGenerationBtn.addEventListener('click', () => this.cancelGeneration());
+        }
+
         // Validate button
         const validateBtn = document.getElementById('validateBtn');
         if (validateBtn) {
             validateBtn.addEventListener('click', () => this.validateContent());
         }
 
+        // Issue resolution: per-issue controls are rendered dynamically, so delegate
+        const issuesList = document.getElementById('validationIssuesList');
+        if (issuesList) {
+            issuesList.addEventListener('click', (e) => {
+                const target = e.target.closest('[data-issue-action]');
+                if (target) {
+                    this.handleIssueAction(target.dataset.issueAction, target.dataset.issueId);
+                }
+            });
+        }
+
+        const approveAllBtn = document.getElementById('approveAllIssuesBtn');
+        if (approveAllBtn) {
+            approveAllBtn.addEventListener('click', () => this.handleIssueAction('approve-all'));
+        }
+
+        const rejectAllBtn = document.getElementById('rejectAllIssuesBtn');
+        if (rejectAllBtn) {
+            rejectAllBtn.addEventListener('click', () => this.handleIssueAction('reject-all'));
+        }
+
+        const applyResolutionsBtn = document.getElementById('applyResolutionsBtn');
+        if (applyResolutionsBtn) {
+            applyResolutionsBtn.addEventListener('click', () => this.regenerateWithResolutions());
+        }
+
+        // Scale pre-fill: proposal cards are rendered dynamically, so delegate
+        const proposeScaleAnswersBtn = document.getElementById('proposeScaleAnswersBtn');
+        if (proposeScaleAnswersBtn) {
+            proposeScaleAnswersBtn.addEventListener('click', () => this.proposeScaleAnswers());
+        }
+
+        const scaleProposalsList = document.getElementById('scaleProposalsList');
+        if (scaleProposalsList) {
+            scaleProposalsList.addEventListener('click', (e) => {
+                const target = e.target.closest('[data-proposal-action]');
+                if (target) {
+                    this.reviewScaleProposal(target.dataset.proposalId, target.dataset.proposalAction === 'confirm');
+                }
+            });
+        }
+
+        const commitScaleProposalsBtn = document.getElementById('commitScaleProposalsBtn');
+        if (commitScaleProposalsBtn) {
+            commitScaleProposalsBtn.addEventListener('click', () => this.commitScaleProposals());
+        }
+
+        // Scale history: the patient ID is read from the form, never saved with the draft
+        const historyPatientId = () => document.getElementById('scaleHistoryPatientId')?.value.trim() || '';
+
+        const recordScaleVisitBtn = document.getElementById('recordScaleVisitBtn');
+        if (recordScaleVisitBtn) {
+            recordScaleVisitBtn.addEventListener('click', () => this.recordScaleVisit(historyPatientId(), {
+                date: document.getElementById('scaleHistoryVisitDate')?.value || undefined,
+                visitLabel: document.getElementById('scaleHistoryVisitLabel')?.value.trim() || undefined
+            }));
+        }
+
+        const insertOutcomesBtn = document.getElementById('insertOutcomesBtn');
+        if (insertOutcomesBtn) {
+            insertOutcomesBtn.addEventListener('click', () => this.insertOutcomesSummary(historyPatientId()));
+        }
+
+        const clearScaleHistoryBtn = document.getElementById('clearScaleHistoryBtn');
+        if (clearScaleHistoryBtn) {
+            clearScaleHistoryBtn.addEventListener('click', () => this.clearScaleHistory(historyPatientId()));
+        }
+
+        // Provenance: sentences are re-rendered with each note, so delegate
+        const formattedOutput = document.getElementById('formattedOutput');
+        if (formattedOutput) {
+            formattedOutput.addEventListener('click', (e) => {
+                const sentence = e.target.closest('.provenance-sentence');
+                if (sentence) {
+                    this.showProvenance(Number(sentence.dataset.sentence));
+                }
+            });
+        }
+
         // Transcript input
         const transcriptArea = document.getElementById('transcript');
         if (transcriptArea) {
             transcriptArea.addEventListener('input', (e) => {
                 appStore.setState({ transcript: e.target.value });
                 this.debouncedWordCount();
+                this.debouncedRedFlags();
 
                 // Auto-validate if enabled
                 const state = appStore.getState();
@@ -282,6 +573,34 @@ class NeuroScribeApp {
             stopRecordingBtn.addEventListener('click', () => this.stopRecording());
         }
 
+        // Pathology quick-select
+        document.querySelectorAll('.pathology-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.selectPathology(btn.dataset.pathology));
+        });
+        this.renderScaleOptions();
+
+        // Consultation type selector
+        document.querySelectorAll('.consult-type-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.selectConsultType(btn.dataset.consultType));
+        });
+        this.renderConsultType();
+
+        // Settings: LLM provider and endpoint
+        const settingsBtn = document.getElementById('settingsBtn');
+        if (settingsBtn) {
+            settingsBtn.addEventListener('click', () => this.openSettings());
+        }
+
+        const closeSettingsBtn = document.getElementById('closeSettingsBtn');
+        if (closeSettingsBtn) {
+            closeSettingsBtn.addEventListener('click', () => this.closeSettings());
+        }
+
+        const applyLLMSettingsBtn = document.getElementById('applyLLMSettingsBtn');
+        if (applyLLMSettingsBtn) {
+            applyLLMSettingsBtn.addEventListener('click', () => this.applyLLMSettings());
+        }
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => this.handleKeyboardShortcuts(e));
 
@@ -292,6 +611,15 @@ class NeuroScribeApp {
      * Handle keyboard shortcuts
      */
     handleKeyboardShortcuts(e) {
+        // Escape: Stop streaming generation or the running validation
+        if (e.key === 'Escape' && this.generationController) {
+            e.preventDefault();
+            this.cancelGeneration();
+        } else if (e.key === 'Escape' && this.validationController) {
+            e.preventDefault();
+            this.cancelValidation();
+        }
+
         // Ctrl+S: Save
         if (e.ctrlKey && e.key === 's') {
             e.preventDefault();
@@ -341,6 +669,11 @@ class NeuroScribeApp {
      * Generate clinical note - main entry point
      */
     async generateNote() {
+        if (this.generationController) {
+            console.log('⏳ Generation already in progress');
+            return;
+        }
+
         // Detect input mode
         const inputMode = this.detectActiveInputPanel();
 
@@ -377,8 +710,6 @@ class NeuroScribeApp {
             return;
         }
 
-        actions.setLoading(true, 'Generating clinical note...');
-
         try {
             const state = appStore.getState();
             const { transcript, preferences } = state;
@@ -387,19 +718,32 @@ class NeuroScribeApp {
             console.log(`   Mode: ${preferences.compressionMode || 'standard'}`);
             console.log(`   Transcript length: ${transcript.length} chars`);
 
+            // Extract and validate structured data before generation
+            let extractedData = null;
+            if (preferences.structuredExtraction !== false) {
+                extractedData = await this.runExtraction(transcript);
+                actions.setLoading(false);
+            }
+
             // Build generation prompt based on mode
-            const prompt = this.buildTranscriptPrompt(transcript, preferences);
+            const prompt = this.buildTranscriptPrompt(transcript, preferences, extractedData);
 
-            // Generate note using API client
-            const generatedNote = await this.apiClient.generateContent(prompt, {
+            // Stream note into the output panels as it is generated
+            const generatedNote = await this.streamNote(prompt, {
                 temperature: 0.4,
                 maxOutputTokens: 8192
             });
 
             console.log('✅ Note generated successfully');
+            this.warnMissingSections(generatedNote, preferences);
 
-            // Apply blacklist filter for safety
-            const filteredNote = this.applyBlacklistFilter(generatedNote, transcript);
+            // Apply term policy for safety
+            const filteredNote = this.applyTermPolicy(generatedNote, transcript, preferences);
+            const injectedBlocks = [];
+            const flaggedNote = this.insertRedFlags(filteredNote, transcript, preferences, injectedBlocks);
+            const finalNote = this.appendOutcomeMeasures(flaggedNote, preferences, injectedBlocks);
+            appStore.setState({ injectedBlocks });
+            this.displayNote(finalNote);
 
             // Auto-validate if enabled
             let validationResults = null;
@@ -408,29 +752,34 @@ class NeuroScribeApp {
                 actions.setLoading(true, 'Validating generated note...');
 
                 try {
-                    validationResults = await this.validator.validate({
+                    validationResults = await this.runValidation({
                         originalText: transcript,
-                        generatedText: filteredNote
+                        generatedText: finalNote,
+                        extractedData,
+                        extractionValidation: appStore.getState('extractionValidation')?.extractionValidation,
+                        outputType: this.getOutputType(preferences)
                     });
 
                     console.log(`✅ Validation complete: ${validationResults.score}%`);
                 } catch (validError) {
-                    console.error('⚠️ Validation failed (non-fatal):', validError);
+                    if (validError.message === 'Validation cancelled') {
+                        this.ui.showWarning('Validation cancelled');
+                    } else {
+                        console.error('⚠️ Validation failed (non-fatal):', validError);
+                    }
                 }
             }
 
             // Save results to state
-            appStore.setState({
-                currentNote: filteredNote,
-                validationResults,
-                lastGenerated: new Date().toISOString()
-            });
+            actions.saveNote(finalNote, validationResults);
+            appStore.setState({ lastGenerated: new Date().toISOString() });
 
             // Update UI
             this.ui.showSuccess('Clinical note generated successfully');
             actions.switchTab('output');
 
         } catch (error) {
+            if (this.handleCancelledGeneration(error)) return;
             console.error('❌ Generation failed:', error);
             this.ui.showError(`Generation failed: ${error.message}`);
         } finally {
@@ -453,8 +802,6 @@ class NeuroScribeApp {
             return;
         }
 
-        actions.setLoading(true, 'Generating from SOAP entry...');
-
         try {
             console.log('📝 Starting SOAP generation...');
 
@@ -468,20 +815,25 @@ class NeuroScribeApp {
             // Build generation prompt
             const prompt = this.buildSOAPPrompt(soapText, state.preferences);
 
-            // Generate note
-            const generatedNote = await this.apiClient.generateContent(prompt, {
+            // Stream note into the output panels as it is generated
+            const generatedNote = await this.streamNote(prompt, {
                 temperature: 0.4,
                 maxOutputTokens: 8192
             });
 
             console.log('✅ SOAP note generated successfully');
 
-            // Apply blacklist filter
-            const filteredNote = this.applyBlacklistFilter(generatedNote, soapText);
+            // Apply term policy
+            const filteredNote = this.applyTermPolicy(generatedNote, soapText, state.preferences);
+            const injectedBlocks = [];
+            const flaggedNote = this.insertRedFlags(filteredNote, soapText, state.preferences, injectedBlocks);
+            const finalNote = this.appendOutcomeMeasures(flaggedNote, state.preferences, injectedBlocks);
+            this.displayNote(finalNote);
 
             // Save results
             appStore.setState({
-                currentNote: filteredNote,
+                currentNote: finalNote,
+                injectedBlocks,
                 lastGenerated: new Date().toISOString()
             });
 
@@ -490,6 +842,7 @@ class NeuroScribeApp {
             actions.switchTab('output');
 
         } catch (error) {
+            if (this.handleCancelledGeneration(error)) return;
             console.error('❌ SOAP generation failed:', error);
             this.ui.showError(`SOAP generation failed: ${error.message}`);
         } finally {
@@ -497,30 +850,372 @@ class NeuroScribeApp {
         }
     }
 
+    /**
+     * Run the structured extraction stage and validate it (Escape cancels)
+     * Failures are non-fatal: generation falls back to transcript-only prompting.
+     * @param {string} transcript - Source transcript
+     * @returns {Promise<Object|null>} Calibrated extractedData, or null
+     * @throws {Error} 'Request cancelled' or 'Validation cancelled' when the user cancels
+     */
+    async runExtraction(transcript) {
+        actions.setLoading(true, 'Extracting structured clinical data...');
+        this.validationController = new AbortController();
+
+        try {
+            const extraction = await this.extractor.extract(transcript, {
+                signal: this.validationController.signal
+            });
+            if (!extraction.success) {
+                if (extraction.error === 'Request cancelled') {
+                    throw new Error(extraction.error);
+                }
+                console.warn('⚠️ Extraction failed (non-fatal):', extraction.error);
+                actions.setExtraction(null, null);
+                return null;
+            }
+
+            actions.setLoading(true, 'Validating extracted data...');
+            return await this.validateExtraction(extraction.extractedData, transcript, this.validationController.signal);
+
+        } finally {
+            this.validationController = null;
+        }
+    }
+
+    /**
+     * Validate a fresh extraction and store it, keyed on its transcript
+     * @param {AbortSignal} signal - Cancels the validation
+     * @returns {Promise<Object>} Calibrated extractedData
+     */
+    async validateExtraction(extractedData, transcript, signal) {
+        try {
+            const result = await this.validator.validateComplete(
+                extractedData,
+                transcript,
+                {},
+                {
+                    signal,
+                    pathologyPack: this.getPathologyPack()
+                }
+            );
+
+            const calibratedData = result.calibratedData || extractedData;
+            actions.setExtraction(calibratedData, result.validation || null, transcript);
+
+            console.log(`✅ Extraction validated: ${result.validation?.extractionScore ?? 'n/a'}/100`);
+            return calibratedData;
+
+        } catch (error) {
+            if (error.message === 'Validation cancelled') throw error;
+            console.error('⚠️ Extraction validation failed (non-fatal):', error);
+            actions.setExtraction(extractedData, null, transcript);
+            return extractedData;
+        }
+    }
+
+    /**
+     * Run ValidationEngine.validate() so it can be cancelled with Escape
+     * @param {Object} params - validate() parameters
+     * @returns {Promise<Object>} Validation report
+     */
+    async runValidation(params) {
+        this.validationController = new AbortController();
+
+        try {
+            const report = await this.validator.validate({
+                ...params,
+                options: {
+                    signal: this.validationController.signal,
+                    pathologyPack: this.getPathologyPack(),
+                    excludeRanges: this.findInjectedRanges(params.generatedText)
+                }
+            });
+
+            // Issues become reviewable (stable ids keep earlier decisions)
+            return this.resolver.load(report);
+        } finally {
+            this.validationController = null;
+        }
+    }
+
+    /**
+     * Ranges of the note holding blocks the app inserted verbatim (red
+     * flags, Outcome Measures): their text is not in the transcript, so
+     * validation keeps them out of the source checks. Blocks the clinician
+     * has since edited are no longer found and are validated like the rest.
+     * @param {string} note - Note being validated
+     * @returns {Array<{start, end}>} Character ranges
+     */
+    findInjectedRanges(note) {
+        if (!note) return [];
+
+        return (appStore.getState('injectedBlocks') || [])
+            .map(block => ({ start: note.indexOf(block), length: block.length }))
+            .filter(({ start }) => start !== -1)
+            .map(({ start, length }) => ({ start, end: start + length }));
+    }
+
+    /**
+     * ====================================================================
+     * ISSUE RESOLUTION
+     * ====================================================================
+     */
+
+    /**
+     * Apply a clinician decision to a validation issue
+     * @param {string} action - approve | reject | custom-fix | save-fix | cancel-fix | approve-all | reject-all
+     * @param {string} issueId - Issue id (per-issue actions)
+     */
+    handleIssueAction(action, issueId) {
+        try {
+            switch (action) {
+                case 'approve':
+                    this.resolver.approve(issueId);
+                    break;
+                case 'reject':
+                    this.resolver.reject(issueId);
+                    break;
+                case 'custom-fix':
+                    this.ui.toggleCustomFix(issueId, true);
+                    return;
+                case 'cancel-fix':
+                    this.ui.toggleCustomFix(issueId, false);
+                    return;
+                case 'save-fix': {
+                    const input = this.ui.toggleCustomFix(issueId, true);
+                    this.resolver.customFix(issueId, input?.value ?? '');
+                    break;
+                }
+                case 'approve-all':
+                    this.ui.showSuccess(`Approved ${this.resolver.approveAll()} issues`);
+                    break;
+                case 'reject-all':
+                    this.ui.showSuccess(`Rejected ${this.resolver.rejectAll()} issues`);
+                    break;
+                default:
+                    console.warn(`⚠️ Unknown issue action: ${action}`);
+                    return;
+            }
+
+            actions.updateValidationIssues(this.resolver.getIssues());
+
+        } catch (error) {
+            this.ui.showWarning(error.message);
+        }
+    }
+
+    /**
+     * Regenerate the note with approved/fixed resolutions applied
+     * Records the audit trail and re-validates the corrected note.
+     */
+    async regenerateWithResolutions() {
+        const { currentNote, transcript, preferences } = appStore.getState();
+        const summary = this.resolver.getSummary();
+
+        if (summary.approved + summary.fixed === 0) {
+            this.ui.showWarning('Approve or fix at least one issue first');
+            return;
+        }
+
+        actions.setLoading(true, `Applying ${summary.approved + summary.fixed} resolutions...`);
+        this.validationController = new AbortController();
+
+        try {
+            const result = await this.resolver.regenerate(currentNote, {
+                originalText: transcript,
+                signal: this.validationController.signal
+            });
+
+            this.resolver.clear();
+            actions.recordResolution(result.note, result.audit);
+            this.ui.renderIssueList([]);
+            this.displayNote(result.note);
+
+            const { replaced, revised, skipped } = result.summary;
+            const message = `Applied ${replaced + revised} corrections${skipped ? `, ${skipped} skipped` : ''}`;
+            if (skipped) {
+                this.ui.showWarning(message);
+            } else {
+                this.ui.showSuccess(message);
+            }
+
+            actions.switchTab('output');
+
+        } catch (error) {
+            if (error.message === 'Request cancelled') {
+                this.ui.showWarning('Resolution cancelled');
+                return;
+            }
+            console.error('❌ Resolution failed:', error);
+            this.ui.showError(`Resolution failed: ${error.message}`);
+            return;
+        } finally {
+            this.validationController = null;
+            actions.setLoading(false);
+        }
+
+        // Corrected note is unvalidated until checked again
+        if (preferences?.autoValidate) {
+            await this.validateContent();
+        }
+    }
+
+    /**
+     * Whether a generation, extraction or validation run is in progress
+     * @returns {boolean}
+     */
+    isPipelineBusy() {
+        return Boolean(this.generationController || this.validationController || this.validator?.isRunning());
+    }
+
+    /**
+     * Cancel the validation run in progress
+     */
+    cancelValidation() {
+        if (this.validationController) {
+            console.log('⏹ Cancelling validation...');
+            this.validationController.abort();
+        }
+    }
+
+    /**
+     * Drive the progress overlay from ValidationEngine progress events
+     * @param {Object} event - Progress event (see ValidationEngine.onProgress)
+     */
+    handleValidationProgress(event) {
+        if (event.type === 'layer-start') {
+            const layer = this.ui.formatLayerName(event.layer);
+            this.ui.showProgress(
+                event.percent,
+                `Validating: ${layer} (${event.index + 1}/${event.total}) - Esc to cancel`
+            );
+        } else if (event.type === 'layer-complete') {
+            const score = event.score !== null ? ` ${event.score}/100` : '';
+            console.log(`   ⏱ ${event.layer}${score} in ${event.layerElapsedMs}ms (${event.layerLlmCalls} LLM calls)`);
+        } else if (event.type === 'run-complete' || event.type === 'run-cancelled') {
+            console.log(`   ⏱ Validation ${event.type === 'run-complete' ? 'finished' : 'cancelled'} in ${event.elapsedMs}ms (${event.llmCalls} LLM calls)`);
+        }
+    }
+
+    /**
+     * Stream a generation into the output panels
+     * @param {string} prompt - Generation prompt
+     * @param {Object} options - Generation options (temperature, maxOutputTokens)
+     * @returns {Promise<string>} Complete generated text
+     */
+    async streamNote(prompt, options = {}) {
+        this.generationController = new AbortController();
+        this.setGenerationControls(true);
+        actions.switchTab('output');
+
+        try {
+            return await this.apiClient.generateContentStream(prompt, {
+                ...options,
+                signal: this.generationController.signal,
+                onChunk: (chunk, fullText) => this.displayNote(fullText, { streaming: true })
+            });
+        } finally {
+            this.generationController = null;
+            this.setGenerationControls(false);
+        }
+    }
+
+    /**
+     * Cancel the generation currently streaming
+     */
+    cancelGeneration() {
+        if (this.generationController) {
+            console.log('⏹ Cancelling generation...');
+            this.generationController.abort();
+        }
+    }
+
+    /**
+     * Restore the previous note after a user cancellation
+     * @param {Error} error - Error thrown by streamNote
+     * @returns {boolean} True if the error was a cancellation (already handled)
+     */
+    handleCancelledGeneration(error) {
+        if (error.message !== 'Request cancelled' && error.message !== 'Validation cancelled') {
+            return false;
+        }
+
+        const { currentNote } = appStore.getState();
+        this.displayNote(currentNote || '');
+
+        this.ui.showWarning('Generation cancelled');
+        return true;
+    }
+
+    /**
+     * Toggle generate/stop buttons while streaming
+     * @param {boolean} streaming - Whether a generation is in progress
+     */
+    setGenerationControls(streaming) {
+        const generateBtn = document.getElementById('generateBtn');
+        const cancelBtn = document.getElementById('cancelGenerationBtn');
+
+        if (generateBtn) {
+            generateBtn.disabled = streaming;
+        }
+        if (cancelBtn) {
+            cancelBtn.style.display = streaming ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Map the compression mode onto a ValidationEngine output type
+     * @param {Object} preferences - User preferences
+     * @returns {string} 'ultrathink' | 'doap' | 'narrative'
+     */
+    getOutputType(preferences = {}) {
+        const mode = (preferences.compressionMode || 'standard').toLowerCase();
+
+        if (mode === 'ultrathin' || mode === 'ultrathink') return 'ultrathink';
+        if (mode === 'doap') return 'doap';
+        return 'narrative';
+    }
+
     /**
      * Build transcript generation prompt
      */
-    buildTranscriptPrompt(transcript, preferences) {
+    buildTranscriptPrompt(transcript, preferences, extractedData = null) {
         const mode = preferences.compressionMode || 'standard';
 
-        if (mode === 'ultrathin') {
-            return this.buildUltraThinPrompt(transcript);
+        // Expand known abbreviations deterministically ("SAH" → "subarachnoid hemorrhage (SAH)")
+        if (preferences.expandAbbreviations !== false) {
+            transcript = this.abbreviations.expand(transcript, { annotate: true });
+        }
+
+        const prompt = mode === 'ultrathin'
+            ? this.buildUltraThinPrompt(transcript)
+            : this.buildStandardPrompt(transcript, this.getNoteTemplate(preferences));
+
+        // Anchor generation to the validated extraction when available
+        const facts = extractedData ? ExtractionEngine.formatForPrompt(extractedData) : '';
+        if (!facts) {
+            return prompt;
         }
 
-        return this.buildStandardPrompt(transcript);
+        return `${prompt}
+
+VERIFIED FACTS (extracted from the transcript with source quotes - the note must not contradict these):
+${facts}`;
     }
 
     /**
      * Build standard generation prompt
+     * @param {string} transcript - Source transcript
+     * @param {Object} template - Resolved note template (layout, guidance, required fields)
      */
-    buildStandardPrompt(transcript) {
-        return `You are a medical documentation assistant. Convert this clinical consultation transcript into professional clinical documentation.
+    buildStandardPrompt(transcript, template = this.templates.getTemplate(NoteTemplateRegistry.DEFAULTS.CONSULT_TYPE)) {
+        return `You are a medical documentation assistant. Convert this ${template.documentType} transcript into professional clinical documentation.
 
 CRITICAL RULES - WHAT YOU MUST DO:
 ✅ Extract all information from transcript systematically
-✅ Organize into proper SOAP/consultation format
+✅ Organize into the ${template.name.toLowerCase()} layout below
 ✅ Use correct medical terminology and grammar
-✅ Expand common abbreviations appropriately
+✅ Expand common abbreviations appropriately (expansions given in parentheses in the transcript are authoritative)
 ✅ Maintain chronological narrative in HPI
 
 CRITICAL RULES - WHAT YOU MUST NOT DO:
@@ -539,70 +1234,10 @@ EXTRACTION REQUIREMENTS:
 - Document all examination findings with precise descriptions
 - Identify any red flags or concerning features
 - Note information gaps that should be obtained
+${this.renderPathologyPrompt()}
+${this.templates.renderGuidance(template)}
 
-📋 CHIEF COMPLAINT FORMATTING RULES:
-- START with clinical summary using precise anatomical/pathological terminology
-- END with direct patient quote if emotionally significant
-- Format when quote present: [Clinical summary]. Patient states, "[Direct verbatim quote]."
-- Prioritize quotes expressing pain severity, functional impact, emotional distress, urgency
-- ONLY include quotes that are VERBATIM from transcript
-
-🔍 PHYSICAL EXAMINATION DOCUMENTATION REQUIREMENTS:
-- Document ALL examination elements that were performed with findings
-- For examination elements NOT performed: State "not documented"
-- Never leave exam subsections blank - always document presence or absence
-- Complete documentation shows thoroughness and identifies information gaps
-
-📝 PLAN SECTION FORMATTING REQUIREMENTS:
-- Structure the plan with SPECIFIC, ACTIONABLE steps
-- Include TIMELINES when discussed
-- Document PATIENT EDUCATION topics covered
-- Address PATIENT QUESTIONS/CONCERNS if discussed
-- For surgical cases: Include post-op expectations, recovery timeline, restrictions
-
-# NEUROSURGICAL CONSULTATION NOTE
-
-## CHIEF COMPLAINT
-[Clinical summary using anatomical terminology]
-
-## HISTORY OF PRESENT ILLNESS
-[Comprehensive narrative including: onset, location, duration, character, alleviating/aggravating factors, radiation, temporal pattern, associated symptoms, treatments tried, functional impact]
-
-## PAST MEDICAL HISTORY
-[List all conditions mentioned]
-
-## PAST SURGICAL HISTORY
-[List all surgeries with approximate dates if provided]
-
-## MEDICATIONS
-[List all medications with dosages if mentioned]
-
-## ALLERGIES
-[List drug/environmental allergies and reactions]
-
-## PHYSICAL EXAMINATION
-- **Vital Signs:** [Extract if mentioned, otherwise state "not documented"]
-- **General Appearance:** [Patient's overall presentation if described, otherwise "not documented"]
-- **Neurological Examination:**
-  - Mental Status: [Orientation, attention, memory if assessed, otherwise "not documented"]
-  - Cranial Nerves: [I-XII assessment results if performed, otherwise "not documented"]
-  - Motor: [Strength by muscle group, tone, bulk if examined, otherwise "not documented"]
-  - Sensory: [Modalities tested and distributions if assessed, otherwise "not documented"]
-  - Reflexes: [DTRs, pathological reflexes if tested, otherwise "not documented"]
-  - Cerebellar: [Coordination, dysmetria if examined, otherwise "not documented"]
-  - Gait: [Pattern, stability, aids needed if observed, otherwise "not documented"]
-
-## DIAGNOSTIC RESULTS
-[Imaging, labs, EMG/NCS - extract findings if discussed]
-
-## ASSESSMENT
-[Clinician's stated diagnosis/impression from transcript]
-
-## PLAN
-[Structure the management plan with specific, actionable steps if discussed]
-
-## ICD-10 CODES
-[Only if diagnosis clearly stated in transcript]
+${this.templates.renderLayout(template)}
 
 FINAL CHECK - CRITICAL:
 ✓ Used ONLY information explicitly in transcript
@@ -651,10 +1286,18 @@ ${transcript}`;
 
     /**
      * Build SOAP generation prompt
+     * The SOAP layout is kept; the consult type contributes its title, its
+     * guidance and, for visits framed by an interval history (follow-up,
+     * post-op), the name of the subjective section.
      */
     buildSOAPPrompt(soapText, preferences) {
+        const template = this.getNoteTemplate(preferences);
+        const historyHeading = template.sections.find(s => s.id === 'interval_history')?.heading || 'SUBJECTIVE';
+
         return `You are a medical documentation assistant. Expand the following SOAP notes into a professional clinical note.
 
+CONSULTATION TYPE: ${template.name}
+
 CRITICAL RULES:
 ✅ Expand brief SOAP notes into professional narrative
 ✅ Use proper medical terminology and grammar
@@ -664,10 +1307,12 @@ CRITICAL RULES:
 ❌ DO NOT infer or fabricate clinical details
 ❌ DO NOT add differential diagnoses not mentioned
 ❌ DO NOT add workup or treatments not documented
+${this.renderPathologyPrompt()}
+${this.templates.renderGuidance(template, { sections: false })}
 
-# CLINICAL NOTE
+# ${template.title}
 
-## SUBJECTIVE
+## ${historyHeading}
 [Expand subjective section professionally]
 
 ## OBJECTIVE
@@ -684,73 +1329,116 @@ ${soapText}`;
     }
 
     /**
-     * Apply blacklist filter to remove fabricated terms
-     */
-    applyBlacklistFilter(generatedText, sourceText) {
-        console.log('🛡️ Applying blacklist filter...');
-
-        const blacklistTerms = [
-            // Psychiatric terms
-            'suicidal ideation', 'suicide', 'suicidal thoughts', 'suicidal',
-            'depression', 'depressive', 'depressed',
-            'mental health concerns', 'mental health', 'psychiatric symptoms',
-            'psychological distress', 'anxiety disorder', 'psychosis',
-            'mood disorder', 'bipolar', 'schizophrenia',
-            'substance abuse', 'drug-seeking', 'opioid dependency',
-            // Commonly hallucinated medications
-            'propranolol', 'beta-blocker', 'beta blocker',
-            'warfarin', 'anticoagulant', 'anticoagulation',
-            'clopidogrel', 'plavix',
-            'apixaban', 'eliquis',
-            'lisinopril', 'ace inhibitor',
-            'metformin', 'insulin',
-            'sertraline', 'zoloft', 'antidepressant'
-        ];
-
-        const sourceLower = sourceText.toLowerCase();
-        let filtered = generatedText;
-        let removedTerms = [];
-        let sentencesRemoved = 0;
-
-        // Check each blacklist term
-        blacklistTerms.forEach(term => {
-            const termRegex = new RegExp(`\\b${term}\\b`, 'gi');
-
-            // If term appears in generated text but NOT in source
-            if (termRegex.test(filtered) && !sourceLower.includes(term.toLowerCase())) {
-                // Remove sentences containing this term
-                const sentences = filtered.split(/([.!?](?:\s+|\n+))/);
-                const filteredSentences = [];
-
-                for (let i = 0; i < sentences.length; i++) {
-                    const sentence = sentences[i];
-                    const hasTerm = termRegex.test(sentence);
-
-                    if (hasTerm && !sentence.match(/^[.!?]\s*$/)) {
-                        removedTerms.push(term);
-                        sentencesRemoved++;
-                        console.warn(`⚠️ [BLACKLIST] Removed sentence containing: "${term}"`);
-                    } else {
-                        filteredSentences.push(sentence);
-                    }
-                }
+     * Documentation requirements of the selected pathology's pack, as a
+     * prompt block ('' when no pathology is selected)
+     */
+    renderPathologyPrompt() {
+        const additions = this.pathologyPacks.renderPromptAdditions(this.getPathologyPack());
+        return additions ? `\n${additions}\n` : '';
+    }
 
-                filtered = filteredSentences.join('');
-            }
+    /**
+     * Warn when the generated note dropped a section its template requires
+     * (the compressed ULTRATHIN layout has no template)
+     */
+    warnMissingSections(note, preferences) {
+        if ((preferences.compressionMode || 'standard') === 'ultrathin') return;
+
+        const missing = this.templates.findMissingSections(note, this.getNoteTemplate(preferences));
+        if (missing.length > 0) {
+            const headings = missing.map(s => s.heading).join(', ');
+            console.warn(`⚠️ Generated note is missing required sections: ${headings}`);
+            this.ui.showWarning(`Note is missing required sections: ${headings}`);
+        }
+    }
+
+    /**
+     * Carry red flags found in the source into the note's assessment
+     * Inserted at the end of the ASSESSMENT section (or appended as a RED
+     * FLAGS section when the layout has none), quoting the source sentence.
+     * @param {Array<string>} injected - Receives the inserted block
+     */
+    insertRedFlags(note, sourceText, preferences, injected = []) {
+        if (preferences?.includeRedFlags === false) return note;
+
+        const result = this.evaluateRedFlags(sourceText);
+        const block = this.redFlags.formatForNote(result);
+        if (!block) return note;
+
+        const lines = note.trimEnd().split('\n');
+        const isHeading = line => /^(#{1,6}\s+\S|\*\*[^*]+:\*\*)/.test(line.trim());
+        const assessmentIndex = lines.findIndex(line => isHeading(line) && /assessment|impression/i.test(line));
+
+        console.log(`🚨 Red flags carried into the note: ${result.present.length} present, ${result.absent.length} documented absent`);
+
+        if (assessmentIndex === -1) {
+            injected.push(`## RED FLAGS\n${block}`);
+            return `${lines.join('\n')}\n\n## RED FLAGS\n${block}`;
+        }
+
+        injected.push(block);
+
+        let end = lines.findIndex((line, i) => i > assessmentIndex && isHeading(line));
+        if (end === -1) end = lines.length;
+        while (end > assessmentIndex + 1 && lines[end - 1].trim() === '') end--;
+
+        lines.splice(end, 0, '', block);
+        return lines.join('\n');
+    }
+
+    /**
+     * Append completed scale assessments as an Outcome Measures section
+     * Added after the LLM and the term policy so scores reach the note
+     * exactly as scored; validation excludes the section (findInjectedRanges),
+     * since its scores are not in the transcript.
+     * @param {Array<string>} injected - Receives the appended section
+     */
+    appendOutcomeMeasures(note, preferences, injected = []) {
+        if (preferences?.includeOutcomeMeasures === false) return note;
+
+        const section = this.scaleFormatter.formatSection(appStore.getState('scaleResponses'));
+        if (!section) return note;
+
+        console.log('📊 Outcome Measures section appended');
+        injected.push(section);
+        return `${note.trimEnd()}\n\n${section}`;
+    }
+
+    /**
+     * Apply the term policy to remove (or flag) fabricated terms
+     * The report of every removed or flagged sentence is kept in appStore
+     * and shown in the review tab.
+     * @param {string} generatedText - Generated note
+     * @param {string} sourceText - Transcript or SOAP notes
+     * @param {Object} preferences - User preferences (termPolicyMode)
+     * @returns {string} Filtered note
+     */
+    applyTermPolicy(generatedText, sourceText, preferences) {
+        console.log('🛡️ Applying term policy...');
+
+        const report = this.termPolicy.apply(generatedText, sourceText, {
+            mode: preferences?.termPolicyMode || TermPolicy.DEFAULTS.MODE
         });
+        const { text, ...summary } = report;
 
-        if (removedTerms.length > 0) {
-            const uniqueTerms = [...new Set(removedTerms)];
-            console.warn(`🚨 BLACKLIST FILTER ACTIVATED`);
-            console.warn(`   Removed ${sentencesRemoved} sentence(s) containing ${uniqueTerms.length} blacklisted term(s)`);
-            console.warn(`   Terms: ${uniqueTerms.join(', ')}`);
+        appStore.setState({ termPolicyReport: summary });
+        this.ui.renderTermPolicyReport(summary);
 
-            this.ui.showWarning(`Blacklist filter removed ${sentencesRemoved} fabricated sentence(s)`);
-        } else {
-            console.log('✅ No blacklisted terms detected');
+        if (report.entries.length === 0) {
+            console.log('✅ No policy terms detected');
+            return text;
         }
 
-        return filtered;
+        const terms = [...new Set(report.entries.map(entry => entry.term.toLowerCase()))];
+        console.warn('🚨 TERM POLICY ACTIVATED');
+        console.warn(`   ${report.removed} sentence(s) removed, ${report.flagged} flagged`);
+        console.warn(`   Terms: ${terms.join(', ')}`);
+
+        this.ui.showWarning(report.mode === 'flag'
+            ? `Term policy flagged ${report.flagged} unsupported sentence(s) - see Review tab`
+            : `Term policy removed ${report.removed} fabricated sentence(s) - see Review tab`);
+
+        return text;
     }
 
     /**
@@ -761,10 +1449,23 @@ ${soapText}`;
 
     /**
      * Validate current content
+     * Skipped while a generation, extraction or validation run is active: the
+     * validator tracks one run at a time.
+     * @param {Object} [options]
+     * @param {boolean} [options.auto=false] - Triggered by auto-validate (skip silently)
      */
-    async validateContent() {
+    async validateContent({ auto = false } = {}) {
         if (!computed.canValidate()) {
-            this.ui.showWarning('No content to validate');
+            if (!auto) this.ui.showWarning('No content to validate');
+            return;
+        }
+
+        if (this.isPipelineBusy()) {
+            if (auto) {
+                console.log('⏭ Auto-validation skipped: a run is already in progress');
+            } else {
+                this.ui.showWarning('Validation is already in progress');
+            }
             return;
         }
 
@@ -772,24 +1473,37 @@ ${soapText}`;
 
         try {
             const state = appStore.getState();
-            const { currentNote, transcript } = state;
+            const { currentNote, transcript, preferences } = state;
+            let { extractedData, extractionValidation } = state;
+
+            // The stored extraction belongs to the transcript it was made from;
+            // after an edit it is re-run (or dropped) so the report isn't mixed
+            if (state.extractionSource !== transcript && (extractedData || extractionValidation)) {
+                extractedData = null;
+                actions.setExtraction(null, null);
+
+                if (preferences.structuredExtraction !== false && transcript?.trim() && computed.hasLLMAccess()) {
+                    extractedData = await this.runExtraction(transcript);
+                    actions.setLoading(true, 'Running 8-layer validation...');
+                }
+                extractionValidation = appStore.getState('extractionValidation');
+            }
 
             console.log('🔍 Starting validation...');
 
-            // Run validation with progress tracking
-            const validationResults = await this.validator.validate({
+            // Run validation with progress tracking (Escape cancels)
+            const validationResults = await this.runValidation({
                 originalText: transcript,
-                generatedText: currentNote
+                generatedText: currentNote,
+                extractedData,
+                extractionValidation: extractionValidation?.extractionValidation,
+                outputType: this.getOutputType(preferences)
             });
 
             console.log(`✅ Validation complete: ${validationResults.score}%`);
 
             // Update state
-            appStore.setState({
-                validationResults,
-                validationScore: validationResults.score,
-                validationIssues: validationResults.issues || []
-            });
+            actions.saveNote(currentNote, validationResults);
 
             // Show results
             const score = validationResults.score;
@@ -807,6 +1521,10 @@ ${soapText}`;
             actions.switchTab('validation');
 
         } catch (error) {
+            if (error.message === 'Validation cancelled' || error.message === 'Request cancelled') {
+                this.ui.showWarning('Validation cancelled');
+                return;
+            }
             console.error('❌ Validation failed:', error);
             this.ui.showError(`Validation failed: ${error.message}`);
         } finally {
@@ -850,6 +1568,7 @@ ${soapText}`;
 
         this.recognition.onresult = (event) => {
             let finalTranscript = '';
+            let interimTranscript = '';
 
             for (let i = event.resultIndex; i < event.results.length; i++) {
                 const transcript = event.results[i][0].transcript;
@@ -860,6 +1579,8 @@ ${soapText}`;
                     if (confidence) {
                         this.confidenceScores.push(confidence);
                     }
+                } else {
+                    interimTranscript += transcript;
                 }
             }
 
@@ -871,6 +1592,9 @@ ${soapText}`;
                     this.updateWordCountDisplay();
                 }
             }
+
+            // Live red-flag check, including speech not yet finalized
+            this.evaluateRedFlags(`${appStore.getState('transcript')} ${interimTranscript}`);
         };
 
         this.recognition.onerror = (event) => {
@@ -948,6 +1672,47 @@ ${soapText}`;
         }
     }
 
+    /**
+     * Evaluate text for red flags against the selected pathology's rules
+     * Findings are stored in appStore; newly present flags alert in the
+     * status bar once (until they stop being present).
+     * @param {string} text - Transcript, optionally with interim speech
+     * @returns {Object} RedFlagEngine.evaluate() result
+     */
+    evaluateRedFlags(text) {
+        const result = this.redFlags.evaluate(text || '', appStore.getState('selectedPathology') || null);
+        appStore.setState({ redFlags: result.findings });
+
+        const newFlags = result.present.filter(flag => !this.alertedRedFlags.has(flag.id));
+        this.alertedRedFlags = new Set(result.present.map(flag => flag.id));
+
+        if (newFlags.length > 0) {
+            console.warn('🚨 Red flags detected:', newFlags.map(flag => flag.label));
+            this.showRedFlagAlert(newFlags);
+        }
+
+        return result;
+    }
+
+    /**
+     * Show red flags in the status bar, then restore the recording status
+     */
+    showRedFlagAlert(flags) {
+        const status = document.getElementById('status');
+        if (!status) return;
+
+        const more = flags.length > 1 ? ` (+${flags.length - 1} more)` : '';
+        status.className = 'status red-flag';
+        status.textContent = `🚨 RED FLAG: ${flags[0].label}${more}`;
+        status.title = flags.map(flag => `${flag.label}: "${flag.quote}"`).join('\n');
+
+        clearTimeout(this.redFlagAlertTimer);
+        this.redFlagAlertTimer = setTimeout(() => {
+            status.title = '';
+            this.updateRecordingUI();
+        }, 5000);
+    }
+
     /**
      * ====================================================================
      * CONTENT MANAGEMENT
@@ -992,14 +1757,20 @@ ${soapText}`;
 
         this.updateWordCountDisplay();
         this.confidenceScores = [];
+        this.evaluateRedFlags('');
+        this.scaleExtractor.clear();
+        this.ui.renderScaleProposals([]);
 
         this.ui.showInfo('Transcript cleared');
     }
 
     /**
      * Display generated note
+     * @param {string} note - Note text (markdown)
+     * @param {Object} options - Display options
+     * @param {boolean} options.streaming - Note is partial; render with a cursor
      */
-    displayNote(note) {
+    displayNote(note, options = {}) {
         const outputArea = document.getElementById('output');
         if (outputArea) {
             outputArea.value = note;
@@ -1008,15 +1779,103 @@ ${soapText}`;
         // Also update formatted output if available
         const formattedOutput = document.getElementById('formattedOutput');
         if (formattedOutput) {
+            // Link finished notes to the transcript; streaming text is still changing
+            const provenance = options.streaming ? null : this.alignProvenance(note);
+
             // Convert markdown-style formatting to HTML
-            const formatted = note
+            const formatted = this.renderProvenanceMarkers(this.insertProvenanceMarkers(note, provenance)
                 .replace(/^## (.+)$/gm, '<h2>$1</h2>')
                 .replace(/^# (.+)$/gm, '<h1>$1</h1>')
                 .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
                 .replace(/\*(.+?)\*/g, '<em>$1</em>')
-                .replace(/\n/g, '<br>');
+                .replace(/\n/g, '<br>'), provenance);
+
+            // While streaming, show a cursor and keep the newest section in view
+            formattedOutput.innerHTML = options.streaming
+                ? `${formatted}<span class="streaming-cursor">▍</span>`
+                : formatted;
+            formattedOutput.classList.toggle('streaming', !!options.streaming);
+
+            if (options.streaming) {
+                formattedOutput.scrollTop = formattedOutput.scrollHeight;
+            }
+        }
+    }
+
+    /**
+     * Align the displayed note's sentences with the transcript
+     * @param {string} note - Note text
+     * @returns {Object|null} Provenance (see ValidationEngine.alignProvenance), or null without a transcript
+     */
+    alignProvenance(note) {
+        const { transcript } = appStore.getState();
+        const provenance = note && transcript?.trim()
+            ? this.validator.alignProvenance(note, transcript)
+            : null;
+
+        appStore.setState({ provenance });
+        return provenance;
+    }
+
+    /**
+     * Mark sentence bounds in the raw note with private-use placeholders
+     * that survive the markdown conversion
+     */
+    insertProvenanceMarkers(note, provenance) {
+        if (!provenance) return note;
 
-            formattedOutput.innerHTML = formatted;
+        return [...provenance.sentences].reverse().reduce((text, sentence) =>
+            `${text.slice(0, sentence.start)}\uE000${sentence.index}\uE001${text.slice(sentence.start, sentence.end)}\uE002${text.slice(sentence.end)}`,
+        note);
+    }
+
+    /**
+     * Replace provenance placeholders with clickable sentence spans
+     */
+    renderProvenanceMarkers(html, provenance) {
+        if (!provenance) return html;
+
+        return html
+            .replace(/\uE000(\d+)\uE001/g, (match, index) => {
+                const sentence = provenance.sentences[index];
+                const title = sentence.aligned
+                    ? `Source match ${Math.round(sentence.score * 100)}% - click to show in transcript`
+                    : 'No matching transcript passage';
+                return `<span class="provenance-sentence${sentence.aligned ? '' : ' unaligned'}" data-sentence="${index}" title="${title}">`;
+            })
+            .replace(/\uE002/g, '</span>');
+    }
+
+    /**
+     * Highlight a note sentence and select its source in the transcript
+     * @param {number} index - Sentence index in the provenance
+     */
+    showProvenance(index) {
+        let provenance = appStore.getState('provenance');
+        const transcript = appStore.getState('transcript') || '';
+
+        // Transcript edited since the note was aligned: offsets are stale
+        const stale = provenance?.sentences.some(sentence =>
+            sentence.spans.some(span => transcript.slice(span.start, span.end) !== span.text)
+        );
+        if (stale) {
+            provenance = this.alignProvenance(appStore.getState('currentNote'));
+        }
+
+        const sentence = provenance?.sentences[index];
+        if (!sentence) return;
+
+        document.querySelectorAll('.provenance-sentence.active').forEach(el => el.classList.remove('active'));
+        document.querySelector(`.provenance-sentence[data-sentence="${index}"]`)?.classList.add('active');
+
+        if (sentence.spans.length === 0) {
+            this.ui.showWarning('No matching passage in the transcript for this sentence');
+            return;
+        }
+
+        this.ui.highlightTranscriptSpan(sentence.spans[0]);
+        if (sentence.spans.length > 1) {
+            this.ui.showToast(`Also drawn from: "${sentence.spans.slice(1).map(span => span.text).join('" / "')}"`, 'info', 5000);
         }
     }
 
@@ -1152,7 +2011,8 @@ ${soapText}`;
                     transcript: data.transcript || '',
                     soapData: data.soapData || {},
                     scaleResponses: data.scaleResponses || {},
-                    preferences: { ...appStore.getState().preferences, ...data.preferences }
+                    // Provider settings have their own store (loadLLMSettings)
+                    preferences: { ...appStore.getState().preferences, ...omitLLMSettings(data.preferences) }
                 });
 
                 // Update UI
@@ -1172,6 +2032,7 @@ ${soapText}`;
                 }
 
                 this.updateWordCountDisplay();
+                this.renderConsultType();
 
                 console.log('✅ Draft loaded from previous session');
                 this.ui.showInfo('Draft loaded from previous session');
@@ -1215,19 +2076,19 @@ ${soapText}`;
         // Save to sessionStorage only (clears on tab close)
         sessionStorage.setItem('neuroscribe_api_key', key);
 
-        // Update API client
+        // Update and test API client (during startup the client is
+        // created afterwards by initializeServices with this key)
         if (this.apiClient) {
             this.apiClient.setKey(key);
-        }
 
-        // Test the key
-        const isValid = await this.testApiKey();
-        if (!isValid) {
-            sessionStorage.removeItem('neuroscribe_api_key');
-            throw new Error('Invalid API key');
+            const isValid = await this.testApiKey();
+            if (!isValid) {
+                sessionStorage.removeItem('neuroscribe_api_key');
+                throw new Error('Invalid API key');
+            }
         }
 
-        console.log('✅ API key saved and validated');
+        console.log('✅ API key saved');
         return true;
     }
 
@@ -1270,19 +2131,306 @@ ${soapText}`;
             selectedBtn.classList.add('active');
         }
 
+        this.renderScaleOptions();
+        this.evaluateRedFlags(appStore.getState('transcript'));
+
         console.log(`✅ Pathology selected: ${pathologyId}`);
     }
 
     /**
-     * Update clinical scales
+     * Documentation pack for the selected pathology
+     * @returns {Object|null} Pack, or null when no pathology is selected
+     */
+    getPathologyPack() {
+        return this.pathologyPacks.getPack(appStore.getState('selectedPathology'));
+    }
+
+    /**
+     * Fill the scale selector, recommended scales for the selected
+     * pathology first
      */
-    updateClinicalScales() {
-        if (!this.scales) {
+    renderScaleOptions() {
+        const select = document.getElementById('scaleSelect');
+        if (!select) return;
+
+        const current = select.value;
+        const selectedPathology = appStore.getState('selectedPathology');
+        const recommended = selectedPathology
+            ? this.pathologyPacks.getRecommendedScales(selectedPathology)
+            : [];
+        const recommendedIds = new Set(recommended.map(scale => scale.id));
+        const others = this.scales.getAllScales().filter(scale => !recommendedIds.has(scale.id));
+
+        const option = scale => UIUtils.createElement('option', { value: scale.id }, [
+            `${scale.shortName} - ${scale.name}`
+        ]);
+        const children = [UIUtils.createElement('option', { value: '' }, ['-- Select a Scale --'])];
+
+        if (recommended.length > 0) {
+            const pack = this.pathologyPacks.getPack(selectedPathology);
+            children.push(
+                UIUtils.createElement('optgroup', { label: `Recommended for ${pack?.name || selectedPathology}` }, recommended.map(option)),
+                UIUtils.createElement('optgroup', { label: 'Other scales' }, others.map(option))
+            );
+        } else {
+            children.push(...others.map(option));
+        }
+
+        select.replaceChildren(...children);
+        select.value = current;
+    }
+
+    /**
+     * Select consult type (persisted in preferences)
+     * @param {string} consultType - One of CONSULT_TYPES
+     */
+    selectConsultType(consultType) {
+        if (!this.templates.hasConsultType(consultType)) {
+            this.ui.showWarning(`Unknown consultation type: ${consultType}`);
             return;
         }
 
-        const scaleData = this.scales.getAllResponses();
-        appStore.setState({ scaleResponses: scaleData });
+        appStore.setState({ preferences: { consultType } });
+        this.renderConsultType();
+
+        console.log(`✅ Consultation type set to: ${consultType}`);
+    }
+
+    /**
+     * Reflect the selected consult type in the selector buttons and description
+     */
+    renderConsultType() {
+        const template = this.getNoteTemplate();
+
+        document.querySelectorAll('.consult-type-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.consultType === template.id);
+        });
+
+        const description = document.getElementById('consultTypeDescription');
+        if (description) {
+            description.replaceChildren(
+                UIUtils.createElement('strong', {}, [`${template.name}:`]),
+                ` ${template.description}`
+            );
+        }
+    }
+
+    /**
+     * Note template for the selected consult type and pathology
+     * @param {Object} preferences - User preferences (default: current state)
+     * @returns {Object} Resolved template
+     */
+    getNoteTemplate(preferences = appStore.getState('preferences')) {
+        const consultType = preferences?.consultType || NoteTemplateRegistry.DEFAULTS.CONSULT_TYPE;
+        return this.templates.getTemplate(consultType, appStore.getState('selectedPathology') || null);
+    }
+
+    /**
+     * Get this session's assessment for a scale (rebuilt from appStore)
+     */
+    getScaleAssessment(scaleId) {
+        const saved = appStore.getState('scaleResponses')?.[scaleId];
+        return saved ? ScaleAssessment.fromJSON(saved) : this.scales.createAssessment(scaleId);
+    }
+
+    /**
+     * Record a scale answer and store the updated assessment
+     * @returns {Object} Current score, completion and interpretation
+     */
+    recordScaleResponse(scaleId, questionId, value) {
+        const assessment = this.getScaleAssessment(scaleId).setResponse(questionId, value);
+        actions.updateScaleResponse(scaleId, assessment.toJSON());
+        return assessment.getResult();
+    }
+
+    /**
+     * Discard the session's assessment for a scale
+     */
+    clearScaleAssessment(scaleId) {
+        actions.updateScaleResponse(scaleId, null);
+    }
+
+    /**
+     * Record the session's completed scale assessments as a patient visit
+     * @param {string} patientId - Patient identifier
+     * @param {Object} visit - {date, visitLabel}
+     * @returns {Array} Recorded history entries
+     */
+    recordScaleVisit(patientId, visit = {}) {
+        if (!patientId) {
+            this.ui.showWarning('Enter a patient ID to record scale history');
+            return [];
+        }
+
+        const assessments = appStore.getState('scaleResponses') || {};
+        const { recorded, skipped } = this.scaleHistory.recordVisit(patientId, assessments, visit);
+
+        if (recorded.length === 0) {
+            this.ui.showWarning('No completed scale assessments to record');
+        } else {
+            this.ui.showSuccess(`Recorded ${recorded.length} scale scores` +
+                (skipped.length > 0 ? ` (${skipped.length} incomplete skipped)` : ''));
+        }
+        return recorded;
+    }
+
+    /**
+     * Add the patient's outcomes trends (baseline → latest, MCID-aware) to the note
+     * Trends go at the end of the note's Outcome Measures section, which is
+     * created when the note has none.
+     * @param {string} patientId - Patient identifier
+     * @param {Array<string>|null} scaleIds - Scales to include (default: all recorded)
+     */
+    insertOutcomesSummary(patientId, scaleIds = null) {
+        if (!patientId) {
+            this.ui.showWarning('Enter a patient ID to insert outcomes');
+            return;
+        }
+
+        const { currentNote, injectedBlocks } = appStore.getState();
+        const lines = (currentNote || '').split('\n');
+        const headingIndex = lines.findIndex(line => line.trim() === this.scaleFormatter.heading);
+        const summary = this.scaleHistory.summarize(patientId, { scaleIds, heading: headingIndex === -1 });
+        if (!summary) {
+            this.ui.showWarning('No scale history recorded for this patient');
+            return;
+        }
+
+        let note;
+        if (headingIndex === -1) {
+            note = currentNote ? `${currentNote.trimEnd()}\n\n${summary}` : summary;
+        } else {
+            let end = lines.findIndex((line, index) => index > headingIndex && /^#{1,2}\s/.test(line));
+            if (end === -1) end = lines.length;
+            while (end > headingIndex + 1 && lines[end - 1].trim() === '') end--;
+            lines.splice(end, 0, summary);
+            note = lines.join('\n');
+        }
+
+        // Trends come from stored history, not the transcript, so validation excludes them;
+        // the note changed, so any previous validation no longer applies
+        appStore.setState({ injectedBlocks: [...(injectedBlocks || []), summary] });
+        actions.saveNote(note, null);
+        this.ui.showSuccess('Outcomes summary inserted');
+    }
+
+    /**
+     * Delete a patient's stored scale history
+     * @param {string} patientId - Patient identifier
+     */
+    clearScaleHistory(patientId) {
+        if (!patientId) {
+            this.ui.showWarning('Enter a patient ID to clear scale history');
+            return;
+        }
+        if (this.scaleHistory.getEntries(patientId).length === 0) {
+            this.ui.showWarning('No scale history recorded for this patient');
+            return;
+        }
+        if (!confirm(`Delete all recorded scale history for ${patientId}? This action cannot be undone.`)) {
+            return;
+        }
+
+        this.scaleHistory.clearPatient(patientId);
+        this.ui.showSuccess('Scale history cleared');
+    }
+
+    /**
+     * Propose scale answers from the transcript for clinician review
+     * Scales default to the selected pathology's, otherwise every scale.
+     * @param {Array<string>|null} scaleIds - Scales to pre-fill
+     * @returns {Promise<Array>} Proposals awaiting confirmation
+     */
+    async proposeScaleAnswers(scaleIds = null) {
+        const { transcript, selectedPathology } = appStore.getState();
+        if (!transcript || transcript.trim().length === 0) {
+            this.ui.showWarning('Enter a transcript first');
+            return [];
+        }
+
+        const pathologyScales = selectedPathology
+            ? this.pathologyPacks.getRecommendedScales(selectedPathology).map(scale => scale.id)
+            : [];
+
+        actions.setLoading(true, 'Reading scale answers from transcript...');
+        this.validationController = new AbortController();
+
+        try {
+            const result = await this.scaleExtractor.propose(transcript, {
+                scaleIds: scaleIds || (pathologyScales.length > 0 ? pathologyScales : null),
+                useLLM: computed.hasLLMAccess(),
+                signal: this.validationController.signal
+            });
+
+            if (result.metadata?.llmError) {
+                this.ui.showWarning('LLM scale pass failed - showing keyword matches only');
+            }
+            this.ui.renderScaleProposals(result.proposals);
+            if (result.proposals.length === 0) {
+                this.ui.showToast('No scale answers found in the transcript', 'info');
+            }
+            console.log(`📊 ${result.proposals.length} scale answers proposed for review`);
+            return result.proposals;
+
+        } catch (error) {
+            if (error.message === 'Request cancelled') {
+                this.ui.showWarning('Scale pre-fill cancelled');
+                return [];
+            }
+            console.error('❌ Scale pre-fill failed:', error);
+            this.ui.showError(`Scale pre-fill failed: ${error.message}`);
+            return [];
+        } finally {
+            this.validationController = null;
+            actions.setLoading(false);
+        }
+    }
+
+    /**
+     * Confirm (optionally correcting) or reject a proposed scale answer
+     * @param {string} proposalId - '<scaleId>.<questionId>'
+     * @param {boolean} accepted - false rejects the proposal
+     * @param {*} value - Clinician-corrected value (optional)
+     */
+    reviewScaleProposal(proposalId, accepted = true, value = undefined) {
+        try {
+            const proposal = accepted
+                ? this.scaleExtractor.confirm(proposalId, value)
+                : this.scaleExtractor.reject(proposalId);
+            this.ui.renderScaleProposals(this.scaleExtractor.getProposals());
+            return proposal;
+        } catch (error) {
+            this.ui.showWarning(error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Commit confirmed scale answers to the session's assessments
+     * @param {string|null} scaleId - Scale to commit (default: every scale with confirmed answers)
+     * @returns {Object} Updated results by scale id (empty when nothing was confirmed)
+     */
+    commitScaleProposals(scaleId = null) {
+        const scaleIds = scaleId
+            ? [scaleId]
+            : [...new Set(this.scaleExtractor.getProposals().map(proposal => proposal.scaleId))];
+        const confirmed = scaleIds.filter(id => Object.keys(this.scaleExtractor.getConfirmedResponses(id)).length > 0);
+
+        if (confirmed.length === 0) {
+            this.ui.showWarning('Confirm at least one proposed answer first');
+            return {};
+        }
+
+        const results = {};
+        for (const id of confirmed) {
+            const assessment = this.scaleExtractor.commit(id, this.getScaleAssessment(id));
+            actions.updateScaleResponse(id, assessment.toJSON());
+            results[id] = assessment.getResult();
+        }
+
+        this.ui.renderScaleProposals(this.scaleExtractor.getProposals());
+        this.ui.showSuccess(`Added confirmed answers to ${confirmed.length} scales`);
+        return results;
     }
 
     /**
@@ -0,0 +1,271 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Medication Lexicon
+ * ========================================================================
+ *
+ * Local lexicon of medications common in neurosurgical notes (steroids,
+ * antiseizure drugs, nimodipine, osmotherapy, anticoagulants and
+ * antiplatelets, analgesics) with brand names and classes, plus a parser
+ * that finds medications in text together with their dose, route and
+ * frequency.
+ *
+ * Used by the MedicationReconciler validation layer to diff the
+ * medications in a note against the transcript.
+ *
+ * @author NeuroScribe Development Team
+ * @version 11.0.0
+ * @license MIT
+ */
+
+import { findTermMentions, MEDICATION_NEGATION_CUES } from './negation.js';
+import { sentenceAt } from './clinical-text.js';
+
+/**
+ * ========================================================================
+ * LEXICON
+ * ========================================================================
+ *
+ * {id, generic, brands, class, aliases?}
+ */
+
+export const MEDICATION_LEXICON = [
+    // Corticosteroids
+    { id: 'dexamethasone', generic: 'dexamethasone', brands: ['decadron'], class: 'corticosteroid', aliases: ['dex'] },
+    { id: 'methylprednisolone', generic: 'methylprednisolone', brands: ['solu-medrol', 'medrol'], class: 'corticosteroid' },
+    { id: 'prednisone', generic: 'prednisone', brands: ['deltasone'], class: 'corticosteroid' },
+    { id: 'hydrocortisone', generic: 'hydrocortisone', brands: ['solu-cortef'], class: 'corticosteroid' },
+
+    // Antiseizure
+    { id: 'levetiracetam', generic: 'levetiracetam', brands: ['keppra'], class: 'antiseizure' },
+    { id: 'phenytoin', generic: 'phenytoin', brands: ['dilantin'], class: 'antiseizure' },
+    { id: 'fosphenytoin', generic: 'fosphenytoin', brands: ['cerebyx'], class: 'antiseizure' },
+    { id: 'lacosamide', generic: 'lacosamide', brands: ['vimpat'], class: 'antiseizure' },
+    { id: 'valproate', generic: 'valproate', brands: ['depakote', 'depakene'], class: 'antiseizure', aliases: ['valproic acid', 'divalproex'] },
+    { id: 'carbamazepine', generic: 'carbamazepine', brands: ['tegretol'], class: 'antiseizure' },
+    { id: 'lamotrigine', generic: 'lamotrigine', brands: ['lamictal'], class: 'antiseizure' },
+
+    // Cerebrovascular / intracranial pressure
+    { id: 'nimodipine', generic: 'nimodipine', brands: ['nimotop', 'nymalize'], class: 'calcium channel blocker' },
+    { id: 'mannitol', generic: 'mannitol', brands: ['osmitrol'], class: 'osmotic agent' },
+    { id: 'hypertonic_saline', generic: 'hypertonic saline', brands: [], class: 'osmotic agent', aliases: ['3% saline', '23.4% saline'] },
+    { id: 'acetazolamide', generic: 'acetazolamide', brands: ['diamox'], class: 'carbonic anhydrase inhibitor' },
+    { id: 'tranexamic_acid', generic: 'tranexamic acid', brands: ['cyklokapron'], class: 'antifibrinolytic', aliases: ['TXA'] },
+
+    // Anticoagulants
+    { id: 'warfarin', generic: 'warfarin', brands: ['coumadin', 'jantoven'], class: 'anticoagulant' },
+    { id: 'apixaban', generic: 'apixaban', brands: ['eliquis'], class: 'anticoagulant' },
+    { id: 'rivaroxaban', generic: 'rivaroxaban', brands: ['xarelto'], class: 'anticoagulant' },
+    { id: 'dabigatran', generic: 'dabigatran', brands: ['pradaxa'], class: 'anticoagulant' },
+    { id: 'edoxaban', generic: 'edoxaban', brands: ['savaysa'], class: 'anticoagulant' },
+    { id: 'enoxaparin', generic: 'enoxaparin', brands: ['lovenox'], class: 'anticoagulant' },
+    { id: 'heparin', generic: 'heparin', brands: [], class: 'anticoagulant' },
+
+    // Antiplatelets
+    { id: 'aspirin', generic: 'aspirin', brands: ['ecotrin'], class: 'antiplatelet', aliases: ['ASA', 'acetylsalicylic acid'] },
+    { id: 'clopidogrel', generic: 'clopidogrel', brands: ['plavix'], class: 'antiplatelet' },
+    { id: 'ticagrelor', generic: 'ticagrelor', brands: ['brilinta'], class: 'antiplatelet' },
+    { id: 'prasugrel', generic: 'prasugrel', brands: ['effient'], class: 'antiplatelet' },
+
+    // Analgesics and neuropathic agents
+    { id: 'acetaminophen', generic: 'acetaminophen', brands: ['tylenol'], class: 'analgesic', aliases: ['paracetamol'] },
+    { id: 'ibuprofen', generic: 'ibuprofen', brands: ['advil', 'motrin'], class: 'NSAID' },
+    { id: 'naproxen', generic: 'naproxen', brands: ['aleve', 'naprosyn'], class: 'NSAID' },
+    { id: 'meloxicam', generic: 'meloxicam', brands: ['mobic'], class: 'NSAID' },
+    { id: 'celecoxib', generic: 'celecoxib', brands: ['celebrex'], class: 'NSAID' },
+    { id: 'ketorolac', generic: 'ketorolac', brands: ['toradol'], class: 'NSAID' },
+    { id: 'gabapentin', generic: 'gabapentin', brands: ['neurontin'], class: 'neuropathic agent' },
+    { id: 'pregabalin', generic: 'pregabalin', brands: ['lyrica'], class: 'neuropathic agent' },
+    { id: 'duloxetine', generic: 'duloxetine', brands: ['cymbalta'], class: 'SNRI' },
+    { id: 'oxycodone', generic: 'oxycodone', brands: ['oxycontin', 'roxicodone', 'percocet'], class: 'opioid' },
+    { id: 'hydrocodone', generic: 'hydrocodone', brands: ['norco', 'vicodin'], class: 'opioid' },
+    { id: 'morphine', generic: 'morphine', brands: ['ms contin'], class: 'opioid' },
+    { id: 'hydromorphone', generic: 'hydromorphone', brands: ['dilaudid'], class: 'opioid' },
+    { id: 'tramadol', generic: 'tramadol', brands: ['ultram'], class: 'opioid' },
+
+    // Muscle relaxants
+    { id: 'cyclobenzaprine', generic: 'cyclobenzaprine', brands: ['flexeril'], class: 'muscle relaxant' },
+    { id: 'methocarbamol', generic: 'methocarbamol', brands: ['robaxin'], class: 'muscle relaxant' },
+    { id: 'baclofen', generic: 'baclofen', brands: ['lioresal'], class: 'muscle relaxant' },
+    { id: 'tizanidine', generic: 'tizanidine', brands: ['zanaflex'], class: 'muscle relaxant' },
+
+    // Supportive and other
+    { id: 'ondansetron', generic: 'ondansetron', brands: ['zofran'], class: 'antiemetic' },
+    { id: 'pantoprazole', generic: 'pantoprazole', brands: ['protonix'], class: 'proton pump inhibitor' },
+    { id: 'famotidine', generic: 'famotidine', brands: ['pepcid'], class: 'H2 blocker' },
+    { id: 'docusate', generic: 'docusate', brands: ['colace'], class: 'stool softener' },
+    { id: 'temozolomide', generic: 'temozolomide', brands: ['temodar'], class: 'chemotherapy' },
+    { id: 'carbidopa_levodopa', generic: 'carbidopa-levodopa', brands: ['sinemet'], class: 'dopaminergic', aliases: ['levodopa'] },
+    { id: 'metformin', generic: 'metformin', brands: ['glucophage'], class: 'antidiabetic' },
+    { id: 'insulin', generic: 'insulin', brands: ['lantus', 'humalog', 'novolog'], class: 'antidiabetic' },
+    { id: 'lisinopril', generic: 'lisinopril', brands: ['zestril', 'prinivil'], class: 'ACE inhibitor' },
+    { id: 'propranolol', generic: 'propranolol', brands: ['inderal'], class: 'beta-blocker' },
+    { id: 'metoprolol', generic: 'metoprolol', brands: ['lopressor', 'toprol'], class: 'beta-blocker' },
+    { id: 'amlodipine', generic: 'amlodipine', brands: ['norvasc'], class: 'calcium channel blocker' },
+    { id: 'atorvastatin', generic: 'atorvastatin', brands: ['lipitor'], class: 'statin' },
+    { id: 'sertraline', generic: 'sertraline', brands: ['zoloft'], class: 'SSRI' }
+];
+
+/**
+ * ========================================================================
+ * DOSING PATTERNS
+ * ========================================================================
+ */
+
+const DOSE_PATTERN = /(\d+(?:\.\d+)?)\s*(mg\/kg|mg|mcg|µg|g|units?|iu|ml|meq)\b/i;
+
+const ROUTE_PATTERNS = [
+    { route: 'PO', pattern: /\b(?:po|by mouth|orally|oral)\b|\bp\.o\./i },
+    { route: 'IV', pattern: /\b(?:iv|intravenous(?:ly)?)\b/i },
+    { route: 'IM', pattern: /\b(?:im|intramuscular(?:ly)?)\b/i },
+    { route: 'SC', pattern: /\b(?:sc|sq|subq|subcut(?:aneous(?:ly)?)?)\b/i },
+    { route: 'SL', pattern: /\b(?:sl|sublingual(?:ly)?)\b/i },
+    { route: 'PR', pattern: /\b(?:pr|rectal(?:ly)?)\b/i },
+    { route: 'topical', pattern: /\btopical(?:ly)?\b/i },
+    { route: 'intrathecal', pattern: /\bintrathecal(?:ly)?\b/i }
+];
+
+const FREQUENCY_PATTERNS = [
+    { frequency: 'PRN', pattern: /\b(?:prn|as needed)\b/i },
+    { frequency: 'QID', pattern: /\b(?:qid|four times (?:a day|daily))\b|\bq\.i\.d\./i },
+    { frequency: 'TID', pattern: /\b(?:tid|three times (?:a day|daily))\b|\bt\.i\.d\./i },
+    { frequency: 'BID', pattern: /\b(?:bid|twice (?:a day|daily))\b|\bb\.i\.d\./i },
+    { frequency: 'QHS', pattern: /\b(?:qhs|at bedtime|nightly|at night)\b/i },
+    { frequency: 'weekly', pattern: /\b(?:weekly|once a week)\b/i },
+    { frequency: 'daily', pattern: /\b(?:daily|once a day|qd|every day|once daily)\b|\bq\.d\./i }
+];
+
+const INTERVAL_PATTERN = /\b(?:q\s?(\d+)\s?h(?:ours?|rs?)?|every (\d+) hours?)\b/i;
+
+/**
+ * ========================================================================
+ * MEDICATION LEXICON
+ * ========================================================================
+ */
+
+export class MedicationLexicon {
+    constructor(entries = MEDICATION_LEXICON) {
+        this.entries = [...entries];
+        this.index = new Map();
+        this.entries.forEach(entry => this.indexEntry(entry));
+    }
+
+    /**
+     * Index an entry's names (generic, brands, aliases)
+     */
+    indexEntry(entry) {
+        this.getNames(entry).forEach(name => this.index.set(name.toLowerCase(), entry));
+    }
+
+    /**
+     * Add (or replace) a medication
+     * @throws {Error} If the entry has no id or generic name
+     */
+    register(entry) {
+        if (!entry?.id || !entry.generic) {
+            throw new Error('Medication entry requires an id and a generic name');
+        }
+
+        const medication = { brands: [], class: null, ...entry };
+        this.entries = [...this.entries.filter(existing => existing.id !== medication.id), medication];
+        this.index = new Map();
+        this.entries.forEach(existing => this.indexEntry(existing));
+    }
+
+    /**
+     * Every name of an entry
+     */
+    getNames(entry) {
+        return [entry.generic, ...(entry.brands || []), ...(entry.aliases || [])];
+    }
+
+    /**
+     * Entry for a generic, brand or alias name (case-insensitive)
+     * @returns {Object|null} Lexicon entry
+     */
+    lookup(name) {
+        return this.index.get(String(name || '').trim().toLowerCase()) || null;
+    }
+
+    /**
+     * Medications mentioned in a text, with dosing from the rest of the
+     * sentence up to the next medication
+     * @param {string} text - Transcript or note
+     * @returns {Array<Object>} {id, generic, class, name, index, quote, negated, dose, route, frequency}
+     */
+    findMedications(text) {
+        if (!text) return [];
+
+        const names = [...this.index.keys()];
+        const mentions = findTermMentions(text, names, { cues: MEDICATION_NEGATION_CUES });
+
+        // Longest name wins where names overlap ("valproic acid" over "valproate")
+        const kept = [];
+        [...mentions]
+            .sort((a, b) => a.index - b.index || b.term.length - a.term.length)
+            .forEach(mention => {
+                const last = kept[kept.length - 1];
+                if (!last || mention.index >= last.index + last.term.length) kept.push(mention);
+            });
+
+        return kept.map((mention, i) => {
+            const entry = this.lookup(mention.keyword);
+            const sentence = sentenceAt(text, mention.index);
+            const next = kept[i + 1];
+            const end = next && next.index < sentence.end ? next.index : sentence.end;
+            const dosing = this.parseDosing(text.slice(mention.index + mention.term.length, end));
+
+            return {
+                id: entry.id,
+                generic: entry.generic,
+                class: entry.class,
+                name: mention.term,
+                index: mention.index,
+                quote: mention.quote,
+                negated: mention.negated,
+                ...dosing
+            };
+        });
+    }
+
+    /**
+     * Dose, route and frequency in a text fragment
+     * @returns {{dose: {value, unit}|null, route: string|null, frequency: string|null}}
+     */
+    parseDosing(fragment) {
+        const doseMatch = fragment.match(DOSE_PATTERN);
+        const route = ROUTE_PATTERNS.find(({ pattern }) => pattern.test(fragment))?.route || null;
+
+        let frequency = FREQUENCY_PATTERNS.find(({ pattern }) => pattern.test(fragment))?.frequency || null;
+        const interval = fragment.match(INTERVAL_PATTERN);
+        if (interval && (!frequency || frequency === 'PRN')) {
+            const hours = interval[1] || interval[2];
+            frequency = frequency === 'PRN' ? `q${hours}h PRN` : `q${hours}h`;
+        }
+
+        return {
+            dose: doseMatch ? this.normalizeDose(parseFloat(doseMatch[1]), doseMatch[2]) : null,
+            route,
+            frequency
+        };
+    }
+
+    /**
+     * Normalize a dose to a canonical unit (g → mg, µg → mcg, unit → units)
+     */
+    normalizeDose(value, unit) {
+        const lower = unit.toLowerCase();
+        if (lower === 'g') return { value: value * 1000, unit: 'mg' };
+        if (lower === 'µg') return { value, unit: 'mcg' };
+        if (lower === 'unit' || lower === 'units' || lower === 'iu') return { value, unit: 'units' };
+        return { value, unit: lower };
+    }
+
+    /**
+     * Dose as text, e.g. "4 mg"
+     */
+    formatDose(dose) {
+        return dose ? `${dose.value} ${dose.unit}` : null;
+    }
+}
+
+export default MedicationLexicon;
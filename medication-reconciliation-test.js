@@ -0,0 +1,53 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Medication Reconciliation Regression Tests
+ * ========================================================================
+ *
+ * Run with: node --test medication-reconciliation-test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MedicationLexicon } from './medication-lexicon.js';
+import { ValidationEngine } from './validation-engine.js';
+
+const reconciler = new ValidationEngine(null).medicationReconciler;
+const reconcile = async (note, source) => (await reconciler.validate(note, source)).validation;
+const issueTypes = validation => [...validation.errors, ...validation.warnings].map(issue => [issue.type, issue.medication]);
+
+test('brand and generic names, doses and frequencies normalize', () => {
+    const [mention] = new MedicationLexicon().findMedications('Takes Keppra 1 g PO BID.');
+    assert.equal(mention.generic, 'levetiracetam');
+    assert.deepEqual(mention.dose, { value: 1000, unit: 'mg' });
+    assert.equal(mention.route, 'PO');
+    assert.equal(mention.frequency, 'BID');
+});
+
+test('matching medications reconcile cleanly across brand and generic names', async () => {
+    const validation = await reconcile('Levetiracetam 1000 mg BID.', 'On Keppra 1 g twice daily.');
+    assert.deepEqual(issueTypes(validation), []);
+    assert.equal(validation.medicationScore, 100);
+});
+
+test('added and dropped medications are reported', async () => {
+    const validation = await reconcile('Dexamethasone 4 mg q6h.', 'On levetiracetam 500 mg BID.');
+    assert.deepEqual(validation.added, ['dexamethasone']);
+    assert.deepEqual(validation.dropped, ['levetiracetam']);
+    assert.deepEqual(issueTypes(validation), [['added_medication', 'dexamethasone'], ['dropped_medication', 'levetiracetam']]);
+});
+
+test('an altered dose is an error and an altered frequency a warning', async () => {
+    const dose = await reconcile('Levetiracetam 1000 mg BID.', 'Levetiracetam 500 mg BID.');
+    assert.deepEqual(dose.errors.map(issue => issue.type), ['altered_dose']);
+    assert.equal(dose.errors[0].noteValue, '1000 mg');
+
+    const frequency = await reconcile('Levetiracetam 500 mg TID.', 'Levetiracetam 500 mg BID.');
+    assert.deepEqual(frequency.errors, []);
+    assert.deepEqual(frequency.warnings.map(issue => issue.type), ['altered_frequency']);
+});
+
+test('a negated source medication documented as taken is a status conflict', async () => {
+    const validation = await reconcile('Continues levetiracetam 500 mg BID.', 'Not taking levetiracetam.');
+    assert.deepEqual(issueTypes(validation), [['medication_status_conflict', 'levetiracetam']]);
+});
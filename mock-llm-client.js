@@ -0,0 +1,458 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Mock LLM Client Module
+ * ========================================================================
+ *
+ * Deterministic, fixture-driven LLM client for offline development:
+ * - Replay mode: answers prompts from recorded fixtures (no network)
+ * - Record mode: proxies a real client and captures prompt → response pairs
+ * - Failure simulation: 429 rate limits, 500 server errors, timeouts
+ * - Call log for asserting which prompts were sent
+ *
+ * Extends BaseLLMClient, so rate limiting and retry logic behave exactly
+ * as they do against Gemini. Plugs in wherever GeminiClient does
+ * (NeuroScribeApp, ValidationEngine) via createLLMClient('mock', ...).
+ *
+ * @author NeuroScribe Development Team
+ * @version 11.0.0
+ * @license MIT
+ */
+
+import { BaseLLMClient, LLM_PROVIDERS, registerLLMProvider } from './api-client.js';
+
+/**
+ * ========================================================================
+ * FIXTURE MATCHING
+ * ========================================================================
+ */
+
+/**
+ * Collapse whitespace so fixtures survive prompt re-indentation
+ * @param {string} text - Prompt text
+ * @returns {string} Normalized text
+ */
+function normalizePrompt(text) {
+    return String(text).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Deterministic PRNG (mulberry32) so random failures are reproducible
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * ========================================================================
+ * MOCK LLM CLIENT
+ * ========================================================================
+ */
+export class MockLLMClient extends BaseLLMClient {
+    /**
+     * Operating modes
+     */
+    static MODES = {
+        REPLAY: 'replay',       // Fixtures only, never touches the network
+        RECORD: 'record'        // Forward to delegate client, capture responses
+    };
+
+    /**
+     * Simulated failure types and the errors they raise
+     */
+    static FAILURES = {
+        RATE_LIMIT: 'rate_limit',       // API Error 429 (retryable)
+        SERVER_ERROR: 'server_error',   // API Error 500 (retryable)
+        TIMEOUT: 'timeout',             // Request timeout (retryable)
+        AUTH: 'auth'                    // API Error 401 (non-retryable)
+    };
+
+    /**
+     * Mock defaults: no backoff wait and no rate limiting pressure
+     */
+    static DEFAULTS = {
+        ...BaseLLMClient.DEFAULTS,
+        RETRY_DELAY_BASE: 1,            // Keep retries instant in offline runs
+        RATE_LIMIT_CALLS: 1000
+    };
+
+    /**
+     * Create a mock client
+     * @param {string|null} apiKey - Ignored (accepted for createLLMClient compatibility)
+     * @param {Object} options - Configuration options (same as GeminiClient, plus:)
+     * @param {string} options.mode - MockLLMClient.MODES value (default: replay)
+     * @param {Array|Object} options.fixtures - Fixture list or exported fixture set
+     * @param {string|Function} options.defaultResponse - Reply when no fixture matches
+     *        (string, or function(prompt) → string). Without it, unmatched prompts throw.
+     * @param {BaseLLMClient} options.delegate - Real client used in record mode
+     * @param {number} options.failureRate - Probability (0-1) of a random retryable failure
+     * @param {number} options.seed - Seed for failureRate (default: 42)
+     * @param {number} options.latency - Simulated latency per call in ms (default: 0)
+     */
+    constructor(apiKey = null, options = {}) {
+        super(options);
+
+        this.provider = LLM_PROVIDERS.MOCK;
+        this.apiKey = apiKey;
+        this.model = options.model || 'mock-model';
+        this.mode = options.mode || MockLLMClient.MODES.REPLAY;
+        this.defaultResponse = options.defaultResponse ?? null;
+        this.delegate = options.delegate || null;
+        this.failureRate = options.failureRate || 0;
+        this.seed = options.seed ?? 42;
+        this.random = createSeededRandom(this.seed);
+        this.latency = options.latency || 0;
+
+        if (!Object.values(MockLLMClient.MODES).includes(this.mode)) {
+            throw new Error(`Invalid mock mode: ${this.mode}. Use MockLLMClient.MODES constants.`);
+        }
+        if (this.mode === MockLLMClient.MODES.RECORD && typeof this.delegate?.generateContent !== 'function') {
+            throw new Error('Record mode requires a delegate client with generateContent()');
+        }
+
+        this.fixtures = [];
+        this.failureQueue = [];
+        this.calls = [];
+
+        if (options.fixtures) {
+            this.loadFixtures(options.fixtures);
+        }
+
+        console.log(`✅ MockLLMClient initialized (${this.mode} mode, ${this.fixtures.length} fixtures)`);
+    }
+
+    /**
+     * ====================================================================
+     * FIXTURES
+     * ====================================================================
+     */
+
+    /**
+     * Add a fixture
+     * @param {Object} fixture - Fixture definition
+     * @param {string|RegExp|Function} fixture.match - Exact prompt, substring, RegExp or predicate
+     * @param {string} fixture.matchType - 'exact' | 'contains' | 'regex' (for JSON fixtures)
+     * @param {string} fixture.response - Text to return
+     * @param {string} fixture.failure - MockLLMClient.FAILURES value to raise instead
+     * @param {number} fixture.times - Use at most this many times (default: unlimited)
+     * @returns {MockLLMClient} this (chainable)
+     */
+    addFixture(fixture) {
+        if (!fixture || fixture.match === undefined) {
+            throw new Error('Fixture requires a "match" property');
+        }
+        if (fixture.response === undefined && !fixture.failure) {
+            throw new Error('Fixture requires a "response" or "failure" property');
+        }
+
+        this.fixtures.push({
+            matchType: fixture.match instanceof RegExp ? 'regex'
+                : typeof fixture.match === 'function' ? 'predicate'
+                : fixture.matchType || 'contains',
+            ...fixture,
+            uses: 0
+        });
+        return this;
+    }
+
+    /**
+     * Load fixtures from an array or an exportFixtures() payload
+     * @param {Array|Object|string} source - Fixtures, {fixtures: [...]}, or its JSON string
+     * @returns {MockLLMClient} this (chainable)
+     */
+    loadFixtures(source) {
+        const data = typeof source === 'string' ? JSON.parse(source) : source;
+        const list = Array.isArray(data) ? data : data?.fixtures;
+
+        if (!Array.isArray(list)) {
+            throw new Error('Fixtures must be an array or an object with a "fixtures" array');
+        }
+
+        list.forEach(fixture => this.addFixture(fixture));
+        return this;
+    }
+
+    /**
+     * Export serializable fixtures (recorded pairs plus string/regex fixtures)
+     * @returns {Object} {version, recordedAt, fixtures}
+     */
+    exportFixtures() {
+        const fixtures = this.fixtures
+            .filter(f => f.matchType !== 'predicate')
+            .map(f => {
+                const out = {
+                    match: f.match instanceof RegExp ? f.match.source : f.match,
+                    matchType: f.matchType
+                };
+                if (f.response !== undefined) out.response = f.response;
+                if (f.failure) out.failure = f.failure;
+                if (f.times) out.times = f.times;
+                return out;
+            });
+
+        return {
+            version: 1,
+            recordedAt: new Date().toISOString(),
+            fixtures
+        };
+    }
+
+    /**
+     * Find the first usable fixture for a prompt
+     * @private
+     * @param {string} prompt - Prompt text
+     * @returns {Object|null} Matching fixture
+     */
+    _findFixture(prompt) {
+        const normalized = normalizePrompt(prompt);
+
+        return this.fixtures.find(fixture => {
+            if (fixture.times && fixture.uses >= fixture.times) {
+                return false;
+            }
+
+            switch (fixture.matchType) {
+                case 'exact':
+                    return normalizePrompt(fixture.match) === normalized;
+                case 'regex': {
+                    const pattern = fixture.match instanceof RegExp
+                        ? fixture.match
+                        : new RegExp(fixture.match, 'i');
+                    return pattern.test(prompt);
+                }
+                case 'predicate':
+                    return !!fixture.match(prompt);
+                case 'contains':
+                default:
+                    return normalized.includes(normalizePrompt(fixture.match));
+            }
+        }) || null;
+    }
+
+    /**
+     * ====================================================================
+     * FAILURE SIMULATION
+     * ====================================================================
+     */
+
+    /**
+     * Queue failures for the next calls (consumed before fixtures are checked)
+     * @param {string} type - MockLLMClient.FAILURES value
+     * @param {number} times - Number of consecutive calls to fail (default: 1)
+     * @returns {MockLLMClient} this (chainable)
+     */
+    simulateFailure(type, times = 1) {
+        if (!Object.values(MockLLMClient.FAILURES).includes(type)) {
+            throw new Error(`Invalid failure type: ${type}. Use MockLLMClient.FAILURES constants.`);
+        }
+        for (let i = 0; i < times; i++) {
+            this.failureQueue.push(type);
+        }
+        return this;
+    }
+
+    /**
+     * Build the error a real provider would raise for a failure type
+     * @private
+     * @param {string} type - MockLLMClient.FAILURES value
+     * @returns {Error} Error with the same message format as BaseLLMClient
+     */
+    _createFailure(type) {
+        switch (type) {
+            case MockLLMClient.FAILURES.RATE_LIMIT:
+                return new Error('API Error 429: Resource has been exhausted (simulated)');
+            case MockLLMClient.FAILURES.SERVER_ERROR:
+                return new Error('API Error 500: Internal error encountered (simulated)');
+            case MockLLMClient.FAILURES.TIMEOUT:
+                return new Error(`Request timeout after ${this.timeout / 1000} seconds`);
+            case MockLLMClient.FAILURES.AUTH:
+                return new Error('API Error 401: API key not valid (simulated)');
+            default:
+                return new Error(`Unknown simulated failure: ${type}`);
+        }
+    }
+
+    /**
+     * ====================================================================
+     * TRANSPORT
+     * ====================================================================
+     */
+
+    /**
+     * Resolve a prompt from queue, fixtures, delegate or default response.
+     * Replaces the network call, so BaseLLMClient retry/rate limiting still apply.
+     * @private
+     * @param {string} prompt - The prompt text
+     * @param {Object} config - Generation configuration
+     * @returns {Promise<string>} Generated text
+     */
+    async _fetchWithTimeout(prompt, config) {
+        const call = {
+            index: this.calls.length,
+            prompt,
+            config: { ...config },
+            source: null,
+            error: null,
+            timestamp: Date.now()
+        };
+        this.calls.push(call);
+
+        if (this.latency > 0) {
+            await new Promise(resolve => setTimeout(resolve, this.latency));
+        }
+
+        try {
+            if (config.signal?.aborted) {
+                call.source = 'cancelled';
+                throw new Error('Request cancelled');
+            }
+
+            // 1. Explicitly queued failures
+            if (this.failureQueue.length > 0) {
+                call.source = 'failure_queue';
+                throw this._createFailure(this.failureQueue.shift());
+            }
+
+            // 2. Seeded random failures
+            if (this.failureRate > 0 && this.random() < this.failureRate) {
+                call.source = 'failure_rate';
+                const retryable = [
+                    MockLLMClient.FAILURES.RATE_LIMIT,
+                    MockLLMClient.FAILURES.SERVER_ERROR,
+                    MockLLMClient.FAILURES.TIMEOUT
+                ];
+                throw this._createFailure(retryable[Math.floor(this.random() * retryable.length)]);
+            }
+
+            // 3. Record mode: forward to the real client and capture the pair
+            if (this.mode === MockLLMClient.MODES.RECORD) {
+                call.source = 'delegate';
+                const response = await this.delegate.generateContent(prompt, {
+                    ...config,
+                    skipRateLimiting: true
+                });
+                this.addFixture({ match: prompt, matchType: 'exact', response });
+                return response;
+            }
+
+            // 4. Replay from fixtures
+            const fixture = this._findFixture(prompt);
+            if (fixture) {
+                fixture.uses++;
+                call.source = 'fixture';
+                if (fixture.failure) {
+                    throw this._createFailure(fixture.failure);
+                }
+                return fixture.response;
+            }
+
+            // 5. Default response
+            if (this.defaultResponse !== null) {
+                call.source = 'default';
+                return typeof this.defaultResponse === 'function'
+                    ? this.defaultResponse(prompt, config)
+                    : this.defaultResponse;
+            }
+
+            call.source = 'unmatched';
+            throw new Error(`No mock fixture matches prompt: "${normalizePrompt(prompt).substring(0, 80)}..."`);
+
+        } catch (error) {
+            call.error = error.message;
+            throw error;
+        }
+    }
+
+    /**
+     * Stream a resolved response line by line, so streaming UIs can be
+     * exercised offline. Honors config.signal between chunks.
+     * @protected
+     * @param {string} prompt - The prompt text
+     * @param {Object} config - Generation configuration
+     * @returns {AsyncGenerator<string>} Text chunks
+     */
+    async *_streamRequest(prompt, config) {
+        const response = await this._fetchWithTimeout(prompt, config);
+        const chunks = response.match(/[^\n]*\n|[^\n]+$/g) || [response];
+
+        for (const chunk of chunks) {
+            if (config.signal?.aborted) {
+                throw new Error('Request cancelled');
+            }
+            if (this.latency > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.latency));
+            }
+            yield chunk;
+        }
+    }
+
+    /**
+     * Unmatched prompts are configuration errors, not transient failures
+     * @private
+     */
+    _isNonRetryableError(error) {
+        return error.message.startsWith('No mock fixture') || super._isNonRetryableError(error);
+    }
+
+    /**
+     * Mock clients accept any key (or none)
+     * @protected
+     */
+    _validateApiKey(apiKey) {
+        // Any value (including none) is acceptable
+    }
+
+    /**
+     * ====================================================================
+     * INSPECTION
+     * ====================================================================
+     */
+
+    /**
+     * Get recorded calls, optionally filtered by prompt substring
+     * @param {string} contains - Only return calls whose prompt includes this text
+     * @returns {Array} Call log entries {index, prompt, config, source, error, timestamp}
+     */
+    getCalls(contains = null) {
+        return contains
+            ? this.calls.filter(call => call.prompt.includes(contains))
+            : [...this.calls];
+    }
+
+    /**
+     * Clear call log, failure queue and fixture usage counts
+     */
+    reset() {
+        this.calls = [];
+        this.failureQueue = [];
+        this.fixtures.forEach(fixture => { fixture.uses = 0; });
+        this.random = createSeededRandom(this.seed);
+        this.resetRateLimit();
+    }
+
+    /**
+     * Get current configuration
+     * @returns {Object} Current client configuration
+     */
+    getConfig() {
+        return {
+            ...super.getConfig(),
+            mode: this.mode,
+            fixtureCount: this.fixtures.length,
+            pendingFailures: this.failureQueue.length,
+            callCount: this.calls.length
+        };
+    }
+}
+
+registerLLMProvider(LLM_PROVIDERS.MOCK, MockLLMClient);
+
+export default MockLLMClient;
@@ -0,0 +1,64 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Negation Scope Regression Tests
+ * ========================================================================
+ *
+ * Run with: node --test negation-test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { findTermMentions, MEDICATION_NEGATION_CUES } from './negation.js';
+import { RedFlagEngine } from './red-flags.js';
+import { TermPolicy } from './term-policy.js';
+
+const redFlags = new RedFlagEngine();
+const status = (text, id) => {
+    const result = redFlags.evaluate(text);
+    if (result.present.some(flag => flag.id === id)) return 'present';
+    if (result.absent.some(flag => flag.id === id)) return 'absent';
+    return 'not_mentioned';
+};
+
+test('negation ends at a comma followed by a new clause', () => {
+    assert.equal(status('He denies fever, reports urinary retention since yesterday.', 'cauda_equina'), 'present');
+});
+
+test('negation ends at "and"', () => {
+    assert.equal(status('No fever and new urinary retention.', 'cauda_equina'), 'present');
+});
+
+test('negation ends at a new reporting verb', () => {
+    assert.equal(status('Denies fever reports urinary retention.', 'cauda_equina'), 'present');
+});
+
+test('"No." answering a question does not negate the next sentence', () => {
+    assert.equal(status('Any bladder issues? No. Saddle anesthesia reported.', 'cauda_equina'), 'present');
+    assert.equal(status('He said no. Urinary retention started today.', 'cauda_equina'), 'present');
+});
+
+test('direct and "or"-list negation still reads as absent', () => {
+    assert.equal(status('Denies saddle anesthesia.', 'cauda_equina'), 'absent');
+    assert.equal(status('Denies fever, chills, or urinary retention.', 'cauda_equina'), 'absent');
+    assert.equal(status('Saddle anesthesia: absent.', 'cauda_equina'), 'absent');
+});
+
+test('medication cues do not reach across a clause boundary', () => {
+    const negated = text => findTermMentions(text, ['warfarin'], { cues: MEDICATION_NEGATION_CUES })[0].negated;
+
+    assert.equal(negated('No allergies, takes warfarin 5 mg daily and lisinopril.'), false);
+    assert.equal(negated('Denies smoking, on warfarin for AF.'), false);
+    assert.equal(negated('Not taking warfarin.'), true);
+    assert.equal(negated('Stopped warfarin last week.'), true);
+});
+
+test('term policy keeps a medication affirmed after a negated allergy history', () => {
+    const report = new TermPolicy({ mode: 'remove' }).apply(
+        '- Warfarin 5 mg daily.',
+        'No allergies, takes warfarin 5 mg daily and lisinopril.'
+    );
+
+    assert.equal(report.entries.length, 0);
+    assert.equal(report.text, '- Warfarin 5 mg daily.');
+});
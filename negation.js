@@ -0,0 +1,143 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Negation Detection
+ * ========================================================================
+ *
+ * Sentence-scoped negation for keyword mentions ("denies saddle
+ * anesthesia", "not on anticoagulants", "Babinski: absent"). Shared by the
+ * red-flag engine, the term policy and the medication lexicon so all read
+ * negation the same way.
+ *
+ * A mention is negated when a negation cue occurs within a few words
+ * before it in the same clause, or a post-negation cue within a few words
+ * after it. Sentences are those of the shared segmenter (clinical-text.js).
+ *
+ * Clauses end NegEx-style at contrast words ("no fever but new weakness"),
+ * semicolons, commas, "and" ("no fever and new urinary retention") and a
+ * new reporting verb ("denies fever, reports urinary retention"). A
+ * negated list joined by "or"/"nor" ("denies fever, chills or night
+ * sweats", "no bowel or bladder dysfunction") stays in scope: that is the
+ * usual way a list of negatives is written. Anything else after "and" is
+ * read as affirmed, so an ambiguous finding is reported rather than
+ * silently documented as absent.
+ *
+ * @author NeuroScribe Development Team
+ * @version 11.0.0
+ * @license MIT
+ */
+
+import { sentenceAt, termPattern } from './clinical-text.js';
+
+/**
+ * Words and phrases that negate a following mention
+ */
+export const NEGATION_CUES = [
+    'no', 'not', 'denies', 'denied', 'deny', 'without', 'negative for', 'absence of',
+    'free of', 'no evidence of', 'no signs of', 'no history of', 'ruled out', 'never', 'none'
+];
+
+/**
+ * Words and phrases that negate a preceding mention ("saddle anesthesia: absent")
+ */
+export const POST_NEGATION_CUES = ['absent', 'denied', 'negative', 'ruled out', 'not present', 'resolved'];
+
+/**
+ * Additional cues for medication mentions ("stopped warfarin", "off anticoagulation")
+ */
+export const MEDICATION_NEGATION_CUES = [...NEGATION_CUES, 'off', 'stopped', 'discontinued', 'held'];
+
+/**
+ * Default scope of a cue, in words
+ */
+export const NEGATION_DEFAULTS = {
+    WINDOW: 6,       // Words before a mention searched for a negation cue
+    POST_WINDOW: 3   // Words after a mention searched for a post-negation cue
+};
+
+/**
+ * Verbs that open a new clause after a negation ("denies fever, reports
+ * urinary retention"); verbs that carry a negation ("not taking", "never
+ * started") are deliberately absent
+ */
+export const CLAUSE_VERBS = [
+    'reports', 'reported', 'reporting', 'states', 'stated', 'endorses', 'endorsed', 'complains', 'complained',
+    'describes', 'described', 'admits', 'admitted', 'presents', 'presented', 'develops', 'developed',
+    'experiences', 'experienced', 'notes', 'shows', 'showed', 'reveals', 'revealed', 'demonstrates', 'demonstrated'
+];
+
+/**
+ * Clause boundaries that end a negation's scope
+ */
+const CONTRAST_TERMINATORS = `\\b(?:but|however|although|though|except|apart from|aside from|and|${CLAUSE_VERBS.join('|')})\\b|;`;
+const SCOPE_TERMINATORS = new RegExp(`${CONTRAST_TERMINATORS}|,`, 'gi');
+const LIST_TERMINATORS = new RegExp(CONTRAST_TERMINATORS, 'gi');
+
+/**
+ * Mention inside a list joined by "or"/"nor": preceded by "or", or
+ * followed by further items up to an "or"
+ */
+const LIST_BEFORE = /(?:^|[\s,])(?:or|nor)\s*$/i;
+const LIST_AFTER = /^(?:\s*,[^,;.]+)*,?\s+(?:or|nor)\s/i;
+
+/**
+ * Whether a mention is negated by the sentence text around it
+ * @param {string} before - Sentence text before the mention
+ * @param {string} after - Sentence text after the mention
+ * @param {Object} options - {window, postWindow, cues, postCues}
+ */
+export function isNegated(before, after, options = {}) {
+    const window = options.window ?? NEGATION_DEFAULTS.WINDOW;
+    const postWindow = options.postWindow ?? NEGATION_DEFAULTS.POST_WINDOW;
+    const cues = options.cues || NEGATION_CUES;
+    const postCues = options.postCues || POST_NEGATION_CUES;
+
+    // An "or" list keeps the cue across its commas, however long the list
+    const inList = LIST_BEFORE.test(before) || LIST_AFTER.test(after);
+    const clauseBefore = before.split(inList ? LIST_TERMINATORS : SCOPE_TERMINATORS).pop();
+    const words = clauseBefore.toLowerCase().split(/\s+/).filter(Boolean);
+    const wordsBefore = (inList ? words : words.slice(-window)).join(' ');
+    if (cues.some(cue => termPattern(cue).test(wordsBefore))) {
+        return true;
+    }
+
+    const clauseAfter = after.split(SCOPE_TERMINATORS)[0];
+    const wordsAfter = clauseAfter.toLowerCase().split(/\s+/).filter(Boolean).slice(0, postWindow).join(' ');
+    return postCues.some(cue => termPattern(cue).test(wordsAfter));
+}
+
+/**
+ * Every mention of any keyword, with its sentence and negation
+ * @param {string} text - Text to search
+ * @param {Array<string>} keywords - Keywords or phrases (plurals match)
+ * @param {Object} options - isNegated() options
+ * @returns {Array<{keyword, term, index, quote, negated}>} Mentions in text order
+ */
+export function findTermMentions(text, keywords, options = {}) {
+    const mentions = [];
+    if (!text) return mentions;
+
+    keywords.forEach(keyword => {
+        const pattern = termPattern(keyword, 'g');
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            const index = match.index + match[1].length;
+            const term = match[2];
+            const sentence = sentenceAt(text, index);
+
+            mentions.push({
+                keyword,
+                term,
+                index,
+                quote: sentence.text,
+                negated: isNegated(
+                    text.slice(sentence.start, index),
+                    text.slice(index + term.length, sentence.end),
+                    options
+                )
+            });
+        }
+    });
+
+    return mentions.sort((a, b) => a.index - b.index);
+}
@@ -0,0 +1,35 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Note Section Parser Regression Tests
+ * ========================================================================
+ *
+ * Run with: node --test note-sections-test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { NoteSectionParser } from './note-sections.js';
+
+const parser = new NoteSectionParser();
+
+test('unknown labels inside a known label section are its subsections', () => {
+    const parsed = parser.parse(
+        '**HPI:** 54M with back pain.\n\n**PHYSICAL EXAM:**\n**Motor:**\n4/5 EHL on the left.\n**Sensory:**\nIntact.\n\n**PLAN:**\nMRI lumbar spine.'
+    );
+
+    assert.deepEqual(parsed.sections.map(section => section.id), ['hpi', 'physical_exam', 'plan']);
+    assert.deepEqual(parser.getSection(parsed, 'physical_exam').children.map(node => node.id), ['motor', 'sensory']);
+    assert.match(parser.getSectionText(parsed, parser.getSection(parsed, 'physical_exam')), /4\/5 EHL/);
+    assert.deepEqual(parser.locateText(parsed, '4/5 EHL'), {
+        section: 'physical_exam',
+        sectionTitle: 'PHYSICAL EXAM',
+        subsection: 'Motor',
+        line: 5
+    });
+});
+
+test('unknown labels before any known section stay top-level', () => {
+    const parsed = parser.parse('**Operative Note:**\nUneventful.\n\n**PLAN:**\nDischarge tomorrow.');
+    assert.deepEqual(parsed.sections.map(section => section.id), ['operative_note', 'plan']);
+});
@@ -0,0 +1,301 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Note Section Parser
+ * ========================================================================
+ *
+ * Turns a generated Markdown note into a section tree so validation can
+ * say where in the note a finding is ("PLAN, line 14") and score each
+ * section on its own (fabrication rate in the plan vs the HPI).
+ *
+ * - Headings: Markdown "#" headings (nested by level), bold-only lines
+ *   ("**Plan**"), all-caps label lines ("PLAN:") and leading bold labels
+ *   of known sections ("**HPI:** 54M with ...", the ULTRATHIN layout)
+ * - Section ids come from the note templates (note-templates.js), so a
+ *   heading maps to the same id the template that produced it uses;
+ *   short forms ("CC", "Meds", "A/P") are aliased and unknown headings
+ *   get an id derived from their text
+ * - A leading level-1 heading that is not a known section is the note's
+ *   title; its children are the note's top-level sections
+ * - Unknown label lines inside a known section ("**Motor:**" under
+ *   "**PHYSICAL EXAM:**") are subsections of it, so the exam's text
+ *   includes them
+ *
+ * Lines are 1-based, matching the term policy report.
+ *
+ * @author NeuroScribe Development Team
+ * @version 11.0.0
+ * @license MIT
+ */
+
+import { NoteTemplateRegistry } from './note-templates.js';
+import { segmentSentences } from './clinical-text.js';
+
+/**
+ * Heading forms not used by any template, mapped to a template section id
+ */
+export const SECTION_ALIASES = {
+    'CC': 'chief_complaint',
+    'HPI': 'hpi',
+    'SUBJECTIVE': 'hpi',
+    'PMH': 'pmh',
+    'PMH/PSH': 'pmh',
+    'PSH': 'psh',
+    'MEDS': 'medications',
+    'CURRENT MEDICATIONS': 'medications',
+    'EXAM': 'physical_exam',
+    'PHYSICAL EXAM': 'physical_exam',
+    'NEUROLOGICAL EXAMINATION': 'physical_exam',
+    'OBJECTIVE': 'physical_exam',
+    'IMAGING': 'diagnostic_results',
+    'IMPRESSION': 'assessment',
+    'ASSESSMENT AND PLAN': 'plan',
+    'ASSESSMENT & PLAN': 'plan',
+    'A/P': 'plan',
+    'RECOMMENDATIONS': 'plan',
+    'ICD-10': 'icd10'
+};
+
+/**
+ * Heading line patterns
+ */
+const MARKDOWN_HEADING = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const BOLD_HEADING = /^\*\*([^*]+?):?\*\*:?\s*$/;
+const CAPS_HEADING = /^([A-Z][A-Z0-9 &/()-]*):\s*$/;
+const INLINE_LABEL = /^\*\*([^*]+?):\*\*\s*(?=\S)/;
+
+/**
+ * Level given to headings without Markdown "#" (below any Markdown heading);
+ * unknown labels inside a known section go one level deeper
+ */
+const LABEL_LEVEL = 7;
+const SUBLABEL_LEVEL = LABEL_LEVEL + 1;
+
+/**
+ * ========================================================================
+ * NOTE SECTION PARSER
+ * ========================================================================
+ */
+
+export class NoteSectionParser {
+    /**
+     * Create a parser
+     * @param {Object} options - Configuration options
+     * @param {NoteTemplateRegistry} options.templates - Registry whose section headings define the ids
+     * @param {Object} options.aliases - {HEADING: sectionId} merged over SECTION_ALIASES
+     */
+    constructor(options = {}) {
+        this.headingIds = new Map();
+
+        const templates = options.templates || new NoteTemplateRegistry();
+        Object.values(templates.templates).forEach(template => {
+            const variantSections = Object.values(template.pathologyVariants || {}).flatMap(variant => variant.sections || []);
+            [...template.sections, ...variantSections]
+                .filter(section => section.heading)
+                .forEach(section => this.headingIds.set(this.normalizeHeading(section.heading), section.id));
+        });
+
+        Object.entries({ ...SECTION_ALIASES, ...options.aliases })
+            .forEach(([heading, id]) => this.headingIds.set(this.normalizeHeading(heading), id));
+    }
+
+    /**
+     * Parse a note into its section tree
+     * @param {string} text - Generated note (Markdown)
+     * @returns {{text, root, sections, lineStarts}} Parsed note. Nodes:
+     *          {id, title, level, known, isTitle, line, endLine, start,
+     *          contentStart, end, children}; sections lists the top-level
+     *          sections (the title's children when the note has a title)
+     */
+    parse(text) {
+        const note = text || '';
+        const lines = note.split('\n');
+        const lineStarts = [];
+        const root = { id: 'note', title: null, level: 0, known: false, isTitle: false, line: 1, start: 0, contentStart: 0, children: [] };
+        const stack = [root];
+
+        const close = (node, offset, line) => {
+            node.end = offset;
+            node.endLine = Math.max(node.line, line);
+        };
+
+        let offset = 0;
+        lines.forEach((line, lineIndex) => {
+            lineStarts.push(offset);
+
+            const heading = this.parseHeading(line);
+            if (heading) {
+                // "**Motor:**" under "**PHYSICAL EXAM:**" is part of the exam,
+                // not a section of its own
+                if (heading.label && !heading.known && stack.some(node => node.known)) {
+                    heading.level = SUBLABEL_LEVEL;
+                }
+
+                while (stack[stack.length - 1].level >= heading.level) {
+                    close(stack.pop(), offset, lineIndex);
+                }
+
+                const parent = stack[stack.length - 1];
+                const node = {
+                    ...heading,
+                    isTitle: heading.level === 1 && !heading.known && parent === root && root.children.length === 0,
+                    line: lineIndex + 1,
+                    start: offset,
+                    contentStart: offset + (heading.inline ? heading.labelLength : line.length + 1),
+                    children: []
+                };
+                delete node.inline;
+                delete node.label;
+                delete node.labelLength;
+
+                parent.children.push(node);
+                stack.push(node);
+            }
+
+            offset += line.length + 1;
+        });
+
+        while (stack.length > 0) {
+            close(stack.pop(), note.length, lines.length);
+        }
+
+        const title = root.children.find(node => node.isTitle);
+        const sections = title
+            ? [...root.children.filter(node => node !== title), ...title.children].sort((a, b) => a.start - b.start)
+            : root.children;
+
+        return { text: note, root, sections, lineStarts };
+    }
+
+    /**
+     * Heading of a line, or null
+     * @returns {{id, title, level, known, inline, label, labelLength}|null}
+     *          label: a bold or all-caps line rather than a Markdown heading
+     */
+    parseHeading(line) {
+        const markdown = line.match(MARKDOWN_HEADING);
+        if (markdown) {
+            return { ...this.identify(markdown[2]), level: markdown[1].length, inline: false };
+        }
+
+        const label = line.match(BOLD_HEADING) || line.match(CAPS_HEADING);
+        if (label) {
+            return { ...this.identify(label[1]), level: LABEL_LEVEL, inline: false, label: true };
+        }
+
+        // Inline labels only for known sections ("**Motor:** 5/5" is not a section)
+        const inline = line.match(INLINE_LABEL);
+        const identified = inline ? this.identify(inline[1]) : null;
+        if (identified?.known) {
+            return { ...identified, level: LABEL_LEVEL, inline: true, labelLength: inline[0].length };
+        }
+
+        return null;
+    }
+
+    /**
+     * Section id and display title of a heading text
+     */
+    identify(headingText) {
+        const title = headingText.replace(/[*_]/g, '').replace(/:\s*$/, '').trim();
+        const normalized = this.normalizeHeading(title);
+        const id = this.headingIds.get(normalized);
+
+        return {
+            id: id || normalized.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'section',
+            title,
+            known: Boolean(id)
+        };
+    }
+
+    normalizeHeading(heading) {
+        return heading.replace(/[*_:]/g, '').replace(/\s+/g, ' ').trim().toUpperCase();
+    }
+
+    /**
+     * Location of a note offset
+     * @param {Object} parsed - parse() result
+     * @param {number} offset - Character offset in the note
+     * @returns {{section, sectionTitle, subsection, line}} section is the
+     *          top-level section id (null before the first section);
+     *          subsection is the deepest heading title below it, if any
+     */
+    locate(parsed, offset) {
+        const section = parsed.sections.find(node => offset >= node.start && offset < node.end) || null;
+
+        let deepest = section;
+        while (deepest?.children.length > 0) {
+            const child = deepest.children.find(node => offset >= node.start && offset < node.end);
+            if (!child) break;
+            deepest = child;
+        }
+
+        return {
+            section: section?.id ?? null,
+            sectionTitle: section?.title ?? null,
+            subsection: deepest !== section ? deepest.title : null,
+            line: this.lineAt(parsed, offset)
+        };
+    }
+
+    /**
+     * Location of a piece of note text (first occurrence, case-insensitive
+     * fallback)
+     * @returns {Object|null} locate() result, or null when the text is not in the note
+     */
+    locateText(parsed, snippet) {
+        const needle = String(snippet || '').trim();
+        if (!parsed || !needle) return null;
+
+        let index = parsed.text.indexOf(needle);
+        if (index === -1) index = parsed.text.toLowerCase().indexOf(needle.toLowerCase());
+
+        return index === -1 ? null : this.locate(parsed, index);
+    }
+
+    /**
+     * 1-based line of a note offset
+     */
+    lineAt(parsed, offset) {
+        let low = 0;
+        let high = parsed.lineStarts.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (parsed.lineStarts[middle] <= offset) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return low + 1;
+    }
+
+    /**
+     * Top-level section by id
+     */
+    getSection(parsed, id) {
+        return parsed.sections.find(node => node.id === id) || null;
+    }
+
+    /**
+     * Body text of a section (heading line or inline label excluded)
+     */
+    getSectionText(parsed, section) {
+        return section ? parsed.text.slice(section.contentStart, section.end).trim() : '';
+    }
+
+    /**
+     * Sentences of the note grouped by top-level section
+     * @returns {Map<string|null, Array>} Section id → segmentSentences() spans
+     */
+    groupSentences(parsed, options = {}) {
+        const groups = new Map();
+        segmentSentences(parsed.text, options).forEach(sentence => {
+            const { section } = this.locate(parsed, sentence.start);
+            if (!groups.has(section)) groups.set(section, []);
+            groups.get(section).push(sentence);
+        });
+        return groups;
+    }
+}
+
+export default NoteSectionParser;
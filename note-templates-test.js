@@ -0,0 +1,58 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Note Template Regression Tests
+ * ========================================================================
+ *
+ * Run with: node --test note-templates-test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CONSULT_TYPES, NoteTemplateRegistry } from './note-templates.js';
+
+const registry = new NoteTemplateRegistry();
+const headings = template => template.sections.map(section => section.heading);
+
+test('every consult type has a template and unknown types fall back to a new consult', () => {
+    assert.deepEqual(registry.getConsultTypes().map(type => type.id).sort(), Object.values(CONSULT_TYPES).sort());
+    assert.equal(registry.getTemplate('telehealth').id, CONSULT_TYPES.NEW);
+});
+
+test('pathology variants insert sections after their anchor and override existing ones', () => {
+    const base = registry.getTemplate('postop');
+    const tumor = registry.getTemplate('postop', 'brain-tumor');
+    assert.equal(tumor.pathology, 'brain-tumor');
+    assert.equal(headings(tumor).indexOf('PATHOLOGY'), headings(tumor).indexOf('DIAGNOSTIC RESULTS') + 1);
+
+    const spine = registry.getTemplate('postop', 'spine-degenerative');
+    const wound = template => template.sections.find(section => section.id === 'wound');
+    assert.equal(wound(spine).heading, wound(base).heading);
+    assert.match(wound(spine).instruction, /brace/);
+    assert.ok(spine.requiredFields.length > base.requiredFields.length);
+
+    assert.equal(registry.getTemplate('postop', 'unknown').pathology, null);
+});
+
+test('the prompt lists required sections and fields, and missing headings are found', () => {
+    const template = registry.getTemplate('postop');
+    const guidance = registry.renderGuidance(template);
+    assert.match(guidance, /REQUIRED SECTIONS[^\n]*\n[^\n]*INCISION \/ WOUND/);
+    assert.match(guidance, /- Wound status/);
+    assert.doesNotMatch(registry.renderGuidance(template, { sections: false }), /REQUIRED SECTIONS/);
+
+    const note = template.sections
+        .filter(section => section.id !== 'wound')
+        .map(section => `## ${section.heading}:\nText.`)
+        .join('\n');
+    assert.deepEqual(registry.findMissingSections(note, template).map(section => section.id), ['wound']);
+});
+
+test('templates and variants must be registered with their required parts', () => {
+    const custom = new NoteTemplateRegistry();
+    assert.throws(() => custom.register({ id: 'brief' }), /requires an id, a title and at least one section/);
+    assert.throws(() => custom.registerVariant('brief', 'spine-trauma', {}), /Unknown consult type: brief/);
+
+    custom.register({ id: 'brief', title: 'BRIEF NOTE', sections: [{ id: 'plan', heading: 'PLAN', instruction: 'Plan', required: true }] });
+    assert.equal(custom.renderLayout(custom.getTemplate('brief')), '# BRIEF NOTE\n\n## PLAN\n[Plan]');
+});
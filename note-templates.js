@@ -0,0 +1,506 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Consult-Type Note Templates
+ * ========================================================================
+ *
+ * Registry of note layouts keyed by consult type (new consultation,
+ * follow-up, post-op check, ED consult, discharge summary), each with:
+ *
+ * - sections:       Ordered note headings with per-section instructions;
+ *                   required sections must always appear ("[Not documented]"
+ *                   when the source is silent)
+ * - requiredFields: Data points the note must state explicitly
+ * - guidance:       Prompt fragments specific to the consult type
+ *
+ * Pathology variants refine a template for one pathology (e.g. a
+ * post-op check after tumor resection adds a Pathology section): variant
+ * sections override a base section with the same id or are inserted after
+ * the section named in `after`; variant fields and guidance are appended.
+ *
+ * The registry only renders layout and guidance - the anti-fabrication
+ * rules stay with the prompt builders in main.js.
+ *
+ * @author NeuroScribe Development Team
+ * @version 11.0.0
+ * @license MIT
+ */
+
+/**
+ * Consult type identifiers (persisted in preferences.consultType)
+ */
+export const CONSULT_TYPES = {
+    NEW: 'new',
+    FOLLOWUP: 'followup',
+    POSTOP: 'postop',
+    ED: 'ed',
+    DISCHARGE: 'discharge'
+};
+
+/**
+ * Shared section definitions
+ */
+const SECTIONS = {
+    chiefComplaint: { id: 'chief_complaint', heading: 'CHIEF COMPLAINT', instruction: 'Clinical summary using anatomical terminology' },
+    hpi: { id: 'hpi', heading: 'HISTORY OF PRESENT ILLNESS', instruction: 'Comprehensive narrative including: onset, location, duration, character, alleviating/aggravating factors, radiation, temporal pattern, associated symptoms, treatments tried, functional impact' },
+    pmh: { id: 'pmh', heading: 'PAST MEDICAL HISTORY', instruction: 'List all conditions mentioned' },
+    psh: { id: 'psh', heading: 'PAST SURGICAL HISTORY', instruction: 'List all surgeries with approximate dates if provided' },
+    medications: { id: 'medications', heading: 'MEDICATIONS', instruction: 'List all medications with dosages if mentioned' },
+    allergies: { id: 'allergies', heading: 'ALLERGIES', instruction: 'List drug/environmental allergies and reactions' },
+    exam: {
+        id: 'physical_exam',
+        heading: 'PHYSICAL EXAMINATION',
+        instruction: `- **Vital Signs:** [Extract if mentioned, otherwise state "not documented"]
+- **General Appearance:** [Patient's overall presentation if described, otherwise "not documented"]
+- **Neurological Examination:**
+  - Mental Status: [Orientation, attention, memory if assessed, otherwise "not documented"]
+  - Cranial Nerves: [I-XII assessment results if performed, otherwise "not documented"]
+  - Motor: [Strength by muscle group, tone, bulk if examined, otherwise "not documented"]
+  - Sensory: [Modalities tested and distributions if assessed, otherwise "not documented"]
+  - Reflexes: [DTRs, pathological reflexes if tested, otherwise "not documented"]
+  - Cerebellar: [Coordination, dysmetria if examined, otherwise "not documented"]
+  - Gait: [Pattern, stability, aids needed if observed, otherwise "not documented"]`
+    },
+    diagnostics: { id: 'diagnostic_results', heading: 'DIAGNOSTIC RESULTS', instruction: 'Imaging, labs, EMG/NCS - extract findings if discussed' },
+    assessment: { id: 'assessment', heading: 'ASSESSMENT', instruction: 'Clinician\'s stated diagnosis/impression from transcript' },
+    plan: { id: 'plan', heading: 'PLAN', instruction: 'Structure the management plan with specific, actionable steps if discussed' },
+    icd10: { id: 'icd10', heading: 'ICD-10 CODES', instruction: 'Only if diagnosis clearly stated in transcript' }
+};
+
+/**
+ * Section from a shared definition
+ * @param {Object} base - Entry of SECTIONS
+ * @param {Object} overrides - Fields to replace (e.g. required, instruction)
+ */
+function section(base, overrides = {}) {
+    return { required: false, ...base, ...overrides };
+}
+
+/**
+ * ========================================================================
+ * TEMPLATE DEFINITIONS
+ * ========================================================================
+ */
+
+const NoteTemplatesDatabase = {
+
+    'new': {
+        id: 'new',
+        name: 'New Consultation',
+        description: 'Comprehensive initial assessment with full history, examination, and workup.',
+        title: 'NEUROSURGICAL CONSULTATION NOTE',
+        documentType: 'clinical consultation',
+        sections: [
+            section(SECTIONS.chiefComplaint, { required: true }),
+            section(SECTIONS.hpi, { required: true }),
+            section(SECTIONS.pmh),
+            section(SECTIONS.psh),
+            section(SECTIONS.medications, { required: true }),
+            section(SECTIONS.allergies, { required: true }),
+            section(SECTIONS.exam, { required: true }),
+            section(SECTIONS.diagnostics),
+            section(SECTIONS.assessment, { required: true }),
+            section(SECTIONS.plan, { required: true }),
+            section(SECTIONS.icd10)
+        ],
+        requiredFields: [],
+        guidance: [
+            {
+                heading: '📋 CHIEF COMPLAINT FORMATTING RULES',
+                rules: [
+                    'START with clinical summary using precise anatomical/pathological terminology',
+                    'END with direct patient quote if emotionally significant',
+                    'Format when quote present: [Clinical summary]. Patient states, "[Direct verbatim quote]."',
+                    'Prioritize quotes expressing pain severity, functional impact, emotional distress, urgency',
+                    'ONLY include quotes that are VERBATIM from transcript'
+                ]
+            },
+            {
+                heading: '🔍 PHYSICAL EXAMINATION DOCUMENTATION REQUIREMENTS',
+                rules: [
+                    'Document ALL examination elements that were performed with findings',
+                    'For examination elements NOT performed: State "not documented"',
+                    'Never leave exam subsections blank - always document presence or absence',
+                    'Complete documentation shows thoroughness and identifies information gaps'
+                ]
+            },
+            {
+                heading: '📝 PLAN SECTION FORMATTING REQUIREMENTS',
+                rules: [
+                    'Structure the plan with SPECIFIC, ACTIONABLE steps',
+                    'Include TIMELINES when discussed',
+                    'Document PATIENT EDUCATION topics covered',
+                    'Address PATIENT QUESTIONS/CONCERNS if discussed',
+                    'For surgical cases: Include post-op expectations, recovery timeline, restrictions'
+                ]
+            }
+        ],
+        pathologyVariants: {}
+    },
+
+    'followup': {
+        id: 'followup',
+        name: 'Follow-up Visit',
+        description: 'Interval history, treatment response, updated assessment, and plan modifications.',
+        title: 'NEUROSURGICAL FOLLOW-UP NOTE',
+        documentType: 'follow-up visit',
+        sections: [
+            { id: 'interval_history', heading: 'INTERVAL HISTORY', instruction: 'Changes since the last visit: symptom course, response to treatment, new symptoms, functional status', required: true },
+            section(SECTIONS.medications, { heading: 'CURRENT MEDICATIONS', instruction: 'Current medications, noting changes since the last visit if mentioned', required: true }),
+            section(SECTIONS.exam, { instruction: 'Focused neurological examination; compare with prior findings only when the clinician did', required: true }),
+            section(SECTIONS.diagnostics, { instruction: 'Imaging or studies obtained since the last visit, compared with prior studies if discussed' }),
+            section(SECTIONS.assessment, { instruction: 'Clinician\'s impression including trajectory (improved, stable, worse) as stated', required: true }),
+            section(SECTIONS.plan, { instruction: 'Changes to management, next follow-up interval and pending studies if discussed', required: true })
+        ],
+        requiredFields: [],
+        guidance: [
+            {
+                heading: '🔄 FOLLOW-UP VISIT REQUIREMENTS',
+                rules: [
+                    'Frame the history as INTERVAL HISTORY (changes since last visit), not a new presentation',
+                    'Focus on treatment response and progression',
+                    'Compare to baseline only when the clinician mentioned it',
+                    'Do not restate the full past history unless it was discussed'
+                ]
+            }
+        ],
+        pathologyVariants: {
+            'brain-tumor': {
+                sections: [
+                    { after: 'interval_history', id: 'oncologic_treatment', heading: 'ONCOLOGIC TREATMENT', instruction: 'Status of adjuvant therapy (radiation, chemotherapy, trials) and steroid dosing if discussed', required: false }
+                ],
+                requiredFields: [],
+                guidance: []
+            },
+            'hydrocephalus': {
+                sections: [
+                    { after: 'interval_history', id: 'shunt', heading: 'SHUNT / DRAIN', instruction: 'Device, valve type and setting, signs of over- or under-drainage if discussed', required: true }
+                ],
+                requiredFields: [],
+                guidance: []
+            }
+        }
+    },
+
+    'postop': {
+        id: 'postop',
+        name: 'Post-op Check',
+        description: 'Post-operative visit: procedure, recovery course, wound check, neurological status compared with pre-op, and restrictions.',
+        title: 'POST-OPERATIVE VISIT NOTE',
+        documentType: 'post-operative visit',
+        sections: [
+            { id: 'procedure', heading: 'PROCEDURE', instruction: 'Procedure performed, date and post-operative day/week if stated', required: true },
+            { id: 'interval_history', heading: 'POST-OPERATIVE COURSE', instruction: 'Pain, resolution or persistence of pre-operative symptoms, new deficits, complications', required: true },
+            section(SECTIONS.medications, { instruction: 'Analgesics, steroids, and resumption of held medications (e.g. anticoagulants) if mentioned', required: true }),
+            { id: 'wound', heading: 'INCISION / WOUND', instruction: 'Incision appearance, drainage, signs of infection or CSF leak; state "not documented" if not examined', required: true },
+            section(SECTIONS.exam, { instruction: 'Neurological examination, compared with pre-operative status only when the clinician did', required: true }),
+            section(SECTIONS.diagnostics, { instruction: 'Post-operative imaging and labs if discussed' }),
+            section(SECTIONS.assessment, { instruction: 'Clinician\'s impression of recovery and any complications as stated', required: true }),
+            section(SECTIONS.plan, { instruction: 'Activity restrictions, wound care, medication changes, imaging, next follow-up if discussed', required: true })
+        ],
+        requiredFields: [
+            { id: 'postop_interval', label: 'Post-operative day or week' },
+            { id: 'wound_status', label: 'Wound status' },
+            { id: 'new_deficits', label: 'New neurological deficits (present or absent)' }
+        ],
+        guidance: [
+            {
+                heading: '🩹 POST-OPERATIVE VISIT REQUIREMENTS',
+                rules: [
+                    'Anchor the note to the procedure and time since surgery as stated',
+                    'Document complications only as stated - never infer infection, leak or hardware failure',
+                    'Record restrictions exactly as given (lifting limits, driving, bracing)'
+                ]
+            }
+        ],
+        pathologyVariants: {
+            'spine-degenerative': {
+                sections: [
+                    { id: 'wound', instruction: 'Incision appearance, drainage, signs of infection or CSF leak, drain output and brace use if mentioned; state "not documented" if not examined' }
+                ],
+                requiredFields: [
+                    { id: 'radicular_change', label: 'Change in radicular or myelopathic symptoms since surgery' }
+                ],
+                guidance: []
+            },
+            'brain-tumor': {
+                sections: [
+                    { after: 'diagnostic_results', id: 'pathology', heading: 'PATHOLOGY', instruction: 'Final histopathology and molecular markers if discussed; "pending" if stated as pending', required: false }
+                ],
+                requiredFields: [
+                    { id: 'steroid_plan', label: 'Steroid dose and taper' }
+                ],
+                guidance: []
+            },
+            'hydrocephalus': {
+                sections: [
+                    { after: 'wound', id: 'shunt', heading: 'SHUNT / DRAIN', instruction: 'Device, valve type and setting, signs of over- or under-drainage if discussed', required: true }
+                ],
+                requiredFields: [],
+                guidance: []
+            }
+        }
+    },
+
+    'ed': {
+        id: 'ed',
+        name: 'ED Consult',
+        description: 'Emergency department consultation: reason for consult, focused history and examination, imaging, acuity, and disposition.',
+        title: 'EMERGENCY DEPARTMENT NEUROSURGICAL CONSULTATION',
+        documentType: 'emergency department consultation',
+        sections: [
+            { id: 'reason_for_consult', heading: 'REASON FOR CONSULTATION', instruction: 'Requesting service and the question asked, if stated', required: true },
+            section(SECTIONS.hpi, { instruction: 'Onset and timing, mechanism of injury if trauma, symptom progression, pre-hospital course', required: true }),
+            section(SECTIONS.pmh),
+            section(SECTIONS.medications, { instruction: 'All medications, stating anticoagulant and antiplatelet use or its absence as documented', required: true }),
+            section(SECTIONS.allergies),
+            section(SECTIONS.exam, { instruction: 'GCS, pupils, and focused neurological examination as documented; state "not documented" for elements not examined', required: true }),
+            section(SECTIONS.diagnostics, { instruction: 'Imaging findings and labs (including coagulation studies) as discussed', required: true }),
+            section(SECTIONS.assessment, { instruction: 'Clinician\'s impression and stated acuity', required: true }),
+            section(SECTIONS.plan, { heading: 'PLAN / DISPOSITION', instruction: 'Disposition (admit, operate, transfer, discharge), monitoring and recommendations to the ED team as stated', required: true })
+        ],
+        requiredFields: [
+            { id: 'gcs', label: 'GCS' },
+            { id: 'anticoagulation', label: 'Anticoagulant / antiplatelet status' },
+            { id: 'disposition', label: 'Disposition' }
+        ],
+        guidance: [
+            {
+                heading: '🚑 ED CONSULT REQUIREMENTS',
+                rules: [
+                    'Record times (onset, injury, examination) exactly when stated',
+                    'Keep the note focused - document only what bears on the consult question',
+                    'State recommendations to the requesting team as given'
+                ]
+            }
+        ],
+        pathologyVariants: {
+            'spine-trauma': {
+                sections: [],
+                requiredFields: [
+                    { id: 'spinal_precautions', label: 'Spinal precautions / immobilization' }
+                ],
+                guidance: [
+                    {
+                        heading: '🦴 SPINE TRAUMA',
+                        rules: [
+                            'Document mechanism of injury and level(s) of injury as stated',
+                            'Record motor and sensory findings by level when given'
+                        ]
+                    }
+                ]
+            },
+            'vascular': {
+                sections: [],
+                requiredFields: [
+                    { id: 'ictus', label: 'Time of ictus / last known well' }
+                ],
+                guidance: []
+            }
+        }
+    },
+
+    'discharge': {
+        id: 'discharge',
+        name: 'Discharge Summary',
+        description: 'Hospital course summary: diagnoses, procedures, course, condition and medications at discharge, and follow-up.',
+        title: 'DISCHARGE SUMMARY',
+        documentType: 'discharge summary',
+        sections: [
+            { id: 'admission_diagnosis', heading: 'ADMISSION DIAGNOSIS', instruction: 'Diagnosis at admission as stated', required: true },
+            { id: 'discharge_diagnosis', heading: 'DISCHARGE DIAGNOSIS', instruction: 'Final diagnoses as stated', required: true },
+            { id: 'procedures', heading: 'PROCEDURES', instruction: 'Procedures performed with dates if provided; "None" only if stated', required: true },
+            { id: 'hospital_course', heading: 'HOSPITAL COURSE', instruction: 'Chronological summary of the admission, including complications as stated', required: true },
+            { id: 'discharge_condition', heading: 'CONDITION AT DISCHARGE', instruction: 'Neurological status and examination at discharge', required: true },
+            section(SECTIONS.medications, { id: 'discharge_medications', heading: 'DISCHARGE MEDICATIONS', instruction: 'Medications at discharge, marking new, changed and stopped medications if stated', required: true }),
+            { id: 'follow_up', heading: 'FOLLOW-UP', instruction: 'Appointments, imaging and pending results as stated', required: true },
+            { id: 'instructions', heading: 'DISCHARGE INSTRUCTIONS', instruction: 'Activity restrictions, wound care and return precautions as given', required: false }
+        ],
+        requiredFields: [
+            { id: 'disposition', label: 'Discharge destination (home, rehabilitation, facility)' }
+        ],
+        guidance: [
+            {
+                heading: '🏥 DISCHARGE SUMMARY REQUIREMENTS',
+                rules: [
+                    'Summarize the hospital course chronologically',
+                    'Do not invent dates, durations or lengths of stay',
+                    'List pending results and who follows them up only if stated'
+                ]
+            }
+        ],
+        pathologyVariants: {}
+    }
+};
+
+/**
+ * ========================================================================
+ * TEMPLATE REGISTRY
+ * ========================================================================
+ */
+
+export class NoteTemplateRegistry {
+    /**
+     * Default configuration
+     */
+    static DEFAULTS = {
+        CONSULT_TYPE: CONSULT_TYPES.NEW
+    };
+
+    constructor() {
+        this.templates = { ...NoteTemplatesDatabase };
+    }
+
+    /**
+     * Register (or replace) a consult-type template
+     * @param {Object} template - Template definition (see NoteTemplatesDatabase)
+     * @throws {Error} If the template is missing an id, title or sections
+     */
+    register(template) {
+        if (!template?.id || !template.title || !Array.isArray(template.sections) || template.sections.length === 0) {
+            throw new Error('Note template requires an id, a title and at least one section');
+        }
+
+        this.templates[template.id] = {
+            requiredFields: [],
+            guidance: [],
+            pathologyVariants: {},
+            ...template
+        };
+        console.log(`📋 [NoteTemplates] Registered template: ${template.id}`);
+    }
+
+    /**
+     * Register (or replace) a pathology variant of a template
+     * @param {string} consultType - Template id
+     * @param {string} pathology - Pathology id (as in selectPathology)
+     * @param {Object} variant - {sections, requiredFields, guidance}
+     * @throws {Error} If the consult type is unknown
+     */
+    registerVariant(consultType, pathology, variant) {
+        const template = this.templates[consultType];
+        if (!template) {
+            throw new Error(`Unknown consult type: ${consultType}`);
+        }
+
+        this.templates[consultType] = {
+            ...template,
+            pathologyVariants: { ...template.pathologyVariants, [pathology]: variant }
+        };
+    }
+
+    /**
+     * Consult types for the UI selector
+     * @returns {Array<{id, name, description}>}
+     */
+    getConsultTypes() {
+        return Object.values(this.templates).map(({ id, name, description }) => ({ id, name, description }));
+    }
+
+    /**
+     * Check whether a consult type is registered
+     */
+    hasConsultType(consultType) {
+        return !!this.templates[consultType];
+    }
+
+    /**
+     * Template for a consult type, refined for a pathology when a variant exists
+     * Unknown consult types fall back to a new consultation.
+     * @param {string} consultType - Template id
+     * @param {string|null} pathology - Selected pathology
+     * @returns {Object} Resolved template (a copy)
+     */
+    getTemplate(consultType, pathology = null) {
+        const base = this.templates[consultType] || this.templates[NoteTemplateRegistry.DEFAULTS.CONSULT_TYPE];
+        const variant = pathology ? base.pathologyVariants?.[pathology] : null;
+
+        const sections = base.sections.map(s => ({ ...s }));
+        for (const { after, ...variantSection } of variant?.sections || []) {
+            const existing = sections.findIndex(s => s.id === variantSection.id);
+            if (existing !== -1) {
+                sections[existing] = { ...sections[existing], ...variantSection };
+                continue;
+            }
+
+            const anchor = sections.findIndex(s => s.id === after);
+            const position = anchor === -1 ? sections.length : anchor + 1;
+            sections.splice(position, 0, { required: false, ...variantSection });
+        }
+
+        return {
+            id: base.id,
+            name: base.name,
+            description: base.description,
+            title: base.title,
+            documentType: base.documentType,
+            pathology: variant ? pathology : null,
+            sections,
+            requiredFields: [...base.requiredFields, ...(variant?.requiredFields || [])],
+            guidance: [...base.guidance, ...(variant?.guidance || [])]
+        };
+    }
+
+    /**
+     * Prompt fragment: consult-type guidance, required sections and fields
+     * @param {Object} template - Resolved template
+     * @param {Object} options - Rendering options
+     * @param {boolean} options.sections - List required sections (false when the
+     *     prompt keeps its own layout, e.g. SOAP expansion)
+     * @returns {string} Fragment
+     */
+    renderGuidance(template, options = {}) {
+        const blocks = template.guidance.map(block =>
+            `${block.heading}:\n${block.rules.map(rule => `- ${rule}`).join('\n')}`
+        );
+
+        const required = template.sections.filter(s => s.required).map(s => s.heading);
+        if (options.sections !== false && required.length > 0) {
+            blocks.push(`📌 REQUIRED SECTIONS (always include the heading; write "[Not documented]" if the source is silent):\n${required.join(', ')}`);
+        }
+
+        if (template.requiredFields.length > 0) {
+            blocks.push(`📌 REQUIRED FIELDS (state each explicitly, or "[Not documented]" if not in the source):\n${
+                template.requiredFields.map(field => `- ${field.label}`).join('\n')}`);
+        }
+
+        return blocks.join('\n\n');
+    }
+
+    /**
+     * Prompt fragment: the note layout with per-section instructions
+     * @param {Object} template - Resolved template
+     * @returns {string} Markdown skeleton
+     */
+    renderLayout(template) {
+        const sections = template.sections.map(s => {
+            // Multi-line instructions are already formatted as bullet lists
+            const body = s.instruction.includes('\n') ? s.instruction : `[${s.instruction}]`;
+            return `## ${s.heading}\n${body}`;
+        });
+
+        return `# ${template.title}\n\n${sections.join('\n\n')}`;
+    }
+
+    /**
+     * Required sections whose heading is missing from a generated note
+     * @param {string} note - Generated note (Markdown)
+     * @param {Object} template - Resolved template
+     * @returns {Array<Object>} Missing sections
+     */
+    findMissingSections(note, template) {
+        const headings = new Set(
+            (note || '').split('\n')
+                .map(line => line.match(/^#{1,6}\s+(.+?)\s*#*\s*$/)?.[1])
+                .filter(Boolean)
+                .map(heading => heading.replace(/[*_:]/g, '').trim().toUpperCase())
+        );
+
+        return template.sections.filter(s => s.required && !headings.has(s.heading.toUpperCase()));
+    }
+}
+
+// Export the database as well for direct access
+export { NoteTemplatesDatabase };
+
+// Default export
+export default NoteTemplateRegistry;
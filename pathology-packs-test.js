@@ -0,0 +1,55 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Pathology Pack Regression Tests
+ * ========================================================================
+ *
+ * Run with: node --test pathology-packs-test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PathologyPacks } from './pathology-packs.js';
+import { ValidationEngine } from './validation-engine.js';
+
+const packs = new PathologyPacks();
+const field = (value, sourceQuote) => ({ value, sourceQuote, confidence: 0.9 });
+const ids = items => items.map(item => item.id);
+
+test('recommended scales follow the pack order, then other scales tagged with the pathology', () => {
+    const scales = ids(packs.getRecommendedScales('vascular'));
+    assert.deepEqual(scales.slice(0, 6), ['hunt_hess', 'wfns', 'modified_fisher', 'nihss', 'gcs', 'mrs']);
+    assert.equal(new Set(scales).size, scales.length);
+    assert.equal(packs.getPack(null), null);
+});
+
+test('the prompt fragment lists requirements, exam elements and red flags', () => {
+    const fragment = packs.renderPromptAdditions(packs.getPack('spine-degenerative'));
+    assert.match(fragment, /^🧠 DEGENERATIVE SPINE DOCUMENTATION REQUIREMENTS:\n- State the spinal level/);
+    assert.match(fragment, /- Upper motor neuron signs \(Hoffmann, Babinski, clonus\)/);
+    assert.match(fragment, /Red flags[^\n]*\n- Cauda equina symptoms/);
+    assert.equal(packs.renderPromptAdditions(null), '');
+});
+
+test('completeness reports pack exam elements that are undocumented or not extracted', () => {
+    const checker = new ValidationEngine(null).completenessChecker;
+    const transcript = 'Strength 5/5 throughout. Reflexes 3+ with positive Hoffmann. Gait is broad based. Sensation intact. Straight leg raise negative.';
+    const extractedData = {
+        examination: { findings: [field('5/5 strength', 'Strength 5/5 throughout'), field('positive Hoffmann sign', 'positive Hoffmann')] }
+    };
+
+    const check = checker.checkPathologyPack(extractedData, transcript, packs.getPack('spine-degenerative'));
+    assert.deepEqual(ids(check.undocumentedElements), []);
+    assert.deepEqual(ids(check.unextractedElements), ['sensory', 'reflexes', 'gait', 'provocative']);
+    assert.equal(check.coverageRatio, 2 / 6);
+    assert.equal(check.missingImaging, true);
+});
+
+test('packs must be registered with an id and get empty defaults', () => {
+    const custom = new PathologyPacks();
+    assert.throws(() => custom.register({ name: 'Peripheral nerve' }), /requires an id/);
+
+    custom.register({ id: 'peripheral-nerve', scales: ['vas_pain'] });
+    assert.deepEqual(custom.getPack('peripheral-nerve').redFlags, []);
+    assert.deepEqual(ids(custom.getRecommendedScales('peripheral-nerve')), ['vas_pain']);
+});
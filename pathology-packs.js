@@ -0,0 +1,347 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Pathology Documentation Packs
+ * ========================================================================
+ *
+ * One pack per pathology offered by selectPathology (index.html), each
+ * defining what a note for that pathology must cover:
+ *
+ * - examElements:    Examination elements that must be documented
+ * - scales:          Recommended clinical scales (ClinicalScalesDatabase ids),
+ *                    most relevant first
+ * - redFlags:        Red-flag findings whose presence or absence should be
+ *                    stated when discussed
+ * - imaging:         Imaging expected for the pathology
+ * - promptAdditions: Documentation rules added to generation prompts
+ *
+ * Elements, red flags and imaging carry keywords so the CompletenessChecker
+ * can tell whether the transcript and the extraction cover them.
+ *
+ * @author NeuroScribe Development Team
+ * @version 11.0.0
+ * @license MIT
+ */
+
+import { ClinicalScales } from './clinical-scales.js';
+
+/**
+ * ========================================================================
+ * PACK DEFINITIONS
+ * ========================================================================
+ */
+
+export const PATHOLOGY_PACKS = {
+
+    'spine-degenerative': {
+        id: 'spine-degenerative',
+        name: 'Degenerative Spine',
+        examElements: [
+            { id: 'motor', label: 'Motor strength by myotome', keywords: ['strength', 'motor', 'weakness', '5/5', '4/5', 'deltoid', 'biceps', 'triceps', 'dorsiflexion', 'plantarflexion', 'EHL'] },
+            { id: 'sensory', label: 'Dermatomal sensation', keywords: ['sensation', 'sensory', 'numbness', 'dermatome', 'dermatomal', 'light touch', 'pinprick'] },
+            { id: 'reflexes', label: 'Deep tendon reflexes', keywords: ['reflex', 'reflexes', 'hyperreflexia', 'hyporeflexia', 'DTR'] },
+            { id: 'upper_motor_neuron', label: 'Upper motor neuron signs (Hoffmann, Babinski, clonus)', keywords: ['hoffmann', 'hoffman', 'babinski', 'clonus', 'plantar', 'upgoing'] },
+            { id: 'gait', label: 'Gait and tandem walk', keywords: ['gait', 'tandem', 'walks', 'walking', 'ambulating', 'ambulation'] },
+            { id: 'provocative', label: 'Provocative tests (Spurling, straight leg raise)', keywords: ['spurling', 'straight leg raise', 'SLR', 'lasegue'] }
+        ],
+        scales: ['mjoa', 'nurick', 'ndi', 'odi', 'vas_pain'],
+        redFlags: [
+            { id: 'cauda_equina', label: 'Cauda equina symptoms (saddle anesthesia, urinary retention, incontinence)', keywords: ['saddle anesthesia', 'saddle anaesthesia', 'urinary retention', 'incontinence', 'cauda equina'] },
+            { id: 'progressive_deficit', label: 'Progressive neurological deficit', keywords: ['progressive weakness', 'worsening weakness', 'foot drop'] },
+            { id: 'myelopathy', label: 'Myelopathic decline (hand clumsiness, gait imbalance)', keywords: ['clumsiness', 'dropping things', 'imbalance', 'myelopathy'] },
+            { id: 'infection_malignancy', label: 'Fever, weight loss or history of cancer', keywords: ['fever', 'weight loss', 'night pain', 'cancer', 'malignancy'] }
+        ],
+        imaging: [
+            { id: 'mri', label: 'MRI of the symptomatic spinal region', keywords: ['MRI', 'magnetic resonance'] },
+            { id: 'radiographs', label: 'Upright or flexion-extension radiographs', keywords: ['x-ray', 'xray', 'radiograph', 'flexion-extension', 'flexion extension'] },
+            { id: 'ct', label: 'CT or CT myelogram', keywords: ['CT', 'myelogram'] }
+        ],
+        promptAdditions: [
+            'State the spinal level(s) and laterality for every finding',
+            'Document myelopathic signs (Hoffmann, Babinski, clonus, gait) as present, absent or not documented',
+            'Record conservative treatments tried (physical therapy, injections, medications) with duration and response'
+        ]
+    },
+
+    'spine-trauma': {
+        id: 'spine-trauma',
+        name: 'Spine Trauma',
+        examElements: [
+            { id: 'motor', label: 'Motor examination by key muscle', keywords: ['strength', 'motor', 'weakness', '5/5', '0/5', 'key muscle'] },
+            { id: 'sensory', label: 'Sensory level (light touch, pin prick)', keywords: ['sensory level', 'sensation', 'light touch', 'pin prick', 'pinprick'] },
+            { id: 'rectal', label: 'Rectal examination (voluntary anal contraction, deep anal pressure)', keywords: ['rectal', 'anal contraction', 'anal tone', 'deep anal pressure', 'VAC', 'DAP'] },
+            { id: 'spine_palpation', label: 'Spinal tenderness or step-off', keywords: ['tenderness', 'step-off', 'step off', 'midline'] },
+            { id: 'reflexes', label: 'Reflexes including bulbocavernosus', keywords: ['reflex', 'reflexes', 'bulbocavernosus', 'priapism'] }
+        ],
+        scales: ['asia', 'tlics', 'slic', 'gcs', 'frankel'],
+        redFlags: [
+            { id: 'complete_injury', label: 'Complete spinal cord injury', keywords: ['complete injury', 'no sacral sparing', 'AIS A'] },
+            { id: 'neurogenic_shock', label: 'Neurogenic shock (hypotension with bradycardia)', keywords: ['neurogenic shock', 'hypotension', 'bradycardia'] },
+            { id: 'progressive_deficit', label: 'Progressive or ascending deficit', keywords: ['progressive weakness', 'ascending weakness', 'ascending numbness', 'worsening deficit'] },
+            { id: 'respiratory', label: 'Respiratory compromise in high cervical injury', keywords: ['respiratory', 'shortness of breath', 'diaphragm', 'intubated', 'intubation'] }
+        ],
+        imaging: [
+            { id: 'ct', label: 'CT of the injured spine', keywords: ['CT', 'computed tomography'] },
+            { id: 'mri', label: 'MRI for cord, disc or ligamentous injury', keywords: ['MRI', 'STIR'] },
+            { id: 'cta', label: 'CT angiography for vertebral artery injury when indicated', keywords: ['CTA', 'angiogram', 'vertebral artery'] }
+        ],
+        promptAdditions: [
+            'Document mechanism of injury and time of injury as stated',
+            'Report motor and sensory findings by level and side, and sacral sparing as tested',
+            'State spinal precautions and immobilization as documented'
+        ]
+    },
+
+    'brain-tumor': {
+        id: 'brain-tumor',
+        name: 'Brain Tumor',
+        examElements: [
+            { id: 'mental_status', label: 'Mental status and cognition', keywords: ['oriented', 'orientation', 'alert', 'confused', 'confusion', 'cognition', 'memory', 'mental status'] },
+            { id: 'cranial_nerves', label: 'Cranial nerves including visual fields', keywords: ['cranial nerve', 'visual field', 'pupil', 'facial', 'diplopia', 'papilledema'] },
+            { id: 'motor', label: 'Motor examination and pronator drift', keywords: ['strength', 'motor', 'weakness', 'drift', 'hemiparesis'] },
+            { id: 'language', label: 'Speech and language', keywords: ['speech', 'language', 'aphasia', 'word-finding', 'dysarthria'] },
+            { id: 'coordination', label: 'Coordination and gait', keywords: ['coordination', 'dysmetria', 'finger-to-nose', 'ataxia', 'gait'] }
+        ],
+        scales: ['kps', 'mrs', 'gcs'],
+        redFlags: [
+            { id: 'raised_icp', label: 'Raised intracranial pressure (headache with vomiting, papilledema, declining consciousness)', keywords: ['vomiting', 'papilledema', 'morning headache', 'drowsy', 'declining consciousness'] },
+            { id: 'seizure', label: 'New or breakthrough seizures', keywords: ['seizure', 'convulsion', 'breakthrough seizure'] },
+            { id: 'rapid_decline', label: 'Rapid neurological decline', keywords: ['rapid decline', 'worsening weakness', 'acute deterioration'] }
+        ],
+        imaging: [
+            { id: 'mri_contrast', label: 'MRI brain with and without contrast', keywords: ['MRI', 'gadolinium', 'contrast-enhanced', 'enhancing'] },
+            { id: 'ct', label: 'CT head', keywords: ['CT'] },
+            { id: 'advanced_mri', label: 'Perfusion, spectroscopy, DTI or functional MRI when discussed', keywords: ['perfusion', 'spectroscopy', 'DTI', 'tractography', 'functional MRI', 'fMRI'] }
+        ],
+        promptAdditions: [
+            'Document lesion location, size and enhancement pattern as stated',
+            'Record steroid and antiseizure medication with doses if mentioned',
+            'State functional status (e.g. KPS) only when given by the clinician'
+        ]
+    },
+
+    'vascular': {
+        id: 'vascular',
+        name: 'Cerebrovascular',
+        examElements: [
+            { id: 'consciousness', label: 'Level of consciousness / GCS', keywords: ['GCS', 'glasgow', 'alert', 'drowsy', 'obtunded', 'comatose', 'responsive'] },
+            { id: 'pupils', label: 'Pupils', keywords: ['pupil', 'pupils', 'PERRL', 'anisocoria'] },
+            { id: 'motor', label: 'Focal motor deficit', keywords: ['strength', 'motor', 'weakness', 'hemiparesis', 'drift'] },
+            { id: 'language', label: 'Speech and language', keywords: ['speech', 'aphasia', 'dysarthria', 'language'] },
+            { id: 'meningism', label: 'Meningism', keywords: ['neck stiffness', 'nuchal rigidity', 'meningism', 'photophobia'] }
+        ],
+        scales: ['hunt_hess', 'wfns', 'modified_fisher', 'nihss', 'gcs', 'mrs'],
+        redFlags: [
+            { id: 'thunderclap', label: 'Thunderclap headache', keywords: ['thunderclap', 'worst headache', 'sudden severe headache'] },
+            { id: 'declining_gcs', label: 'Declining level of consciousness', keywords: ['declining GCS', 'decreased consciousness', 'more drowsy', 'unresponsive'] },
+            { id: 'rebleed', label: 'Rebleeding or new deficit', keywords: ['rebleed', 're-bleed', 'new deficit', 'new weakness'] },
+            { id: 'hydrocephalus', label: 'Acute hydrocephalus', keywords: ['hydrocephalus', 'ventriculomegaly', 'enlarged ventricles'] }
+        ],
+        imaging: [
+            { id: 'ct', label: 'Non-contrast CT head', keywords: ['CT', 'non-contrast'] },
+            { id: 'cta', label: 'CT angiography', keywords: ['CTA', 'CT angiogram', 'CT angiography'] },
+            { id: 'dsa', label: 'Catheter angiography (DSA)', keywords: ['DSA', 'angiogram', 'angiography', 'catheter angiography'] },
+            { id: 'mri', label: 'MRI / MRA', keywords: ['MRI', 'MRA'] }
+        ],
+        promptAdditions: [
+            'Record time of ictus or last known well as stated',
+            'Document aneurysm or lesion location and size as reported on imaging',
+            'State antithrombotic use and blood pressure management as documented'
+        ]
+    },
+
+    'hydrocephalus': {
+        id: 'hydrocephalus',
+        name: 'Hydrocephalus',
+        examElements: [
+            { id: 'mental_status', label: 'Mental status and cognition', keywords: ['oriented', 'confused', 'confusion', 'cognition', 'memory', 'alert', 'drowsy'] },
+            { id: 'gait', label: 'Gait', keywords: ['gait', 'magnetic gait', 'shuffling', 'walking', 'ambulating', 'ambulation'] },
+            { id: 'fundoscopy', label: 'Fundoscopy / papilledema', keywords: ['papilledema', 'fundoscopy', 'fundi', 'optic disc'] },
+            { id: 'shunt_site', label: 'Shunt tract and valve site', keywords: ['shunt', 'valve', 'reservoir', 'tract', 'incision'] },
+            { id: 'continence', label: 'Urinary continence', keywords: ['incontinence', 'urinary urgency', 'continence', 'bladder'] }
+        ],
+        scales: ['gcs', 'mrs'],
+        redFlags: [
+            { id: 'shunt_failure', label: 'Shunt failure (headache, vomiting, drowsiness)', keywords: ['vomiting', 'drowsy', 'lethargy', 'shunt malfunction', 'shunt failure'] },
+            { id: 'shunt_infection', label: 'Shunt infection (fever, wound erythema, abdominal pain)', keywords: ['fever', 'erythema', 'abdominal pain', 'wound breakdown', 'shunt infection'] },
+            { id: 'upgaze_palsy', label: 'Upgaze palsy / sunsetting', keywords: ['upgaze', 'sunsetting', 'parinaud'] }
+        ],
+        imaging: [
+            { id: 'ct', label: 'CT head (ventricular size)', keywords: ['CT', 'ventricles', 'ventricular size'] },
+            { id: 'mri', label: 'MRI brain (including fast/quick-brain MRI)', keywords: ['MRI', 'quick brain', 'fast MRI'] },
+            { id: 'shunt_series', label: 'Shunt series radiographs', keywords: ['shunt series', 'x-ray', 'radiograph'] }
+        ],
+        promptAdditions: [
+            'Document shunt or drain type, valve model and setting if stated',
+            'Compare ventricular size with prior imaging only when the clinician did',
+            'For suspected normal pressure hydrocephalus, document the gait, cognition and continence triad as stated'
+        ]
+    },
+
+    'functional': {
+        id: 'functional',
+        name: 'Functional Neurosurgery',
+        examElements: [
+            { id: 'tremor', label: 'Tremor characterization', keywords: ['tremor', 'resting tremor', 'action tremor', 'postural tremor'] },
+            { id: 'tone', label: 'Tone (rigidity, spasticity, dystonia)', keywords: ['rigidity', 'cogwheel', 'spasticity', 'tone', 'dystonia'] },
+            { id: 'bradykinesia', label: 'Bradykinesia and finger tapping', keywords: ['bradykinesia', 'finger tap', 'slowness'] },
+            { id: 'gait', label: 'Gait and postural stability', keywords: ['gait', 'freezing', 'pull test', 'postural instability', 'falls'] },
+            { id: 'cognition', label: 'Cognition and mood', keywords: ['cognition', 'memory', 'depression', 'mood', 'MoCA'] }
+        ],
+        scales: ['vas_pain', 'mrs'],
+        redFlags: [
+            { id: 'device_complication', label: 'Device complication (infection, erosion, lead migration)', keywords: ['infection', 'erosion', 'lead migration', 'hardware'] },
+            { id: 'suicidality', label: 'Suicidal ideation or severe mood change', keywords: ['suicidal', 'suicide', 'self-harm', 'severe depression'] },
+            { id: 'status_seizures', label: 'Status epilepticus or seizure clusters', keywords: ['status epilepticus', 'seizure cluster', 'cluster of seizures'] }
+        ],
+        imaging: [
+            { id: 'mri', label: 'MRI brain for targeting', keywords: ['MRI', 'targeting'] },
+            { id: 'ct', label: 'CT for lead position', keywords: ['CT', 'lead position'] }
+        ],
+        promptAdditions: [
+            'Document medication state (ON/OFF) during examination if stated',
+            'Record device settings, programming and battery status if discussed',
+            'Report levodopa equivalent or medication changes only as given'
+        ]
+    },
+
+    'pediatric': {
+        id: 'pediatric',
+        name: 'Pediatric Neurosurgery',
+        examElements: [
+            { id: 'fontanelle', label: 'Fontanelle and head circumference', keywords: ['fontanelle', 'head circumference', 'OFC', 'sutures'] },
+            { id: 'development', label: 'Developmental milestones', keywords: ['milestone', 'development', 'developmental', 'sitting', 'crawling'] },
+            { id: 'tone_reflexes', label: 'Tone and reflexes', keywords: ['tone', 'hypotonia', 'spasticity', 'reflex'] },
+            { id: 'eyes', label: 'Eye movements and sunsetting', keywords: ['sunsetting', 'upgaze', 'strabismus', 'eye movement'] },
+            { id: 'skin_spine', label: 'Cutaneous stigmata of the spine', keywords: ['dimple', 'hair tuft', 'hemangioma', 'lipoma', 'sinus tract'] }
+        ],
+        scales: ['gcs'],
+        redFlags: [
+            { id: 'raised_icp', label: 'Raised intracranial pressure (bulging fontanelle, vomiting, irritability, lethargy)', keywords: ['bulging fontanelle', 'vomiting', 'irritable', 'irritability', 'lethargy'] },
+            { id: 'regression', label: 'Developmental regression', keywords: ['regression', 'lost milestones', 'losing skills'] },
+            { id: 'non_accidental', label: 'Concern for non-accidental injury', keywords: ['non-accidental', 'abuse', 'retinal hemorrhage', 'NAI'] }
+        ],
+        imaging: [
+            { id: 'ultrasound', label: 'Cranial or spinal ultrasound', keywords: ['ultrasound', 'sonography'] },
+            { id: 'mri', label: 'MRI (fast sequences where possible)', keywords: ['MRI', 'quick brain', 'fast MRI'] },
+            { id: 'ct', label: 'CT when MRI unavailable', keywords: ['CT'] }
+        ],
+        promptAdditions: [
+            'Record age (in months for infants), gestational history and caregiver-reported history as stated',
+            'Attribute history to the informant (parent, caregiver) when stated',
+            'Document growth parameters and developmental status only as given'
+        ]
+    },
+
+    'peripheral': {
+        id: 'peripheral',
+        name: 'Peripheral Nerve',
+        examElements: [
+            { id: 'motor', label: 'Motor strength in the nerve distribution', keywords: ['strength', 'weakness', 'atrophy', 'wasting', 'grip', 'thenar', 'intrinsic'] },
+            { id: 'sensory', label: 'Sensation in the nerve distribution', keywords: ['sensation', 'numbness', 'paresthesia', 'two-point', 'light touch'] },
+            { id: 'provocative', label: 'Provocative tests (Tinel, Phalen, Froment)', keywords: ['tinel', 'phalen', 'froment', 'durkan'] },
+            { id: 'reflexes', label: 'Reflexes', keywords: ['reflex', 'reflexes'] }
+        ],
+        scales: ['vas_pain'],
+        redFlags: [
+            { id: 'rapid_weakness', label: 'Rapidly progressive weakness', keywords: ['rapidly progressive', 'progressive weakness', 'sudden weakness'] },
+            { id: 'atrophy', label: 'Muscle atrophy', keywords: ['atrophy', 'wasting'] },
+            { id: 'mass', label: 'Enlarging or painful mass', keywords: ['mass', 'lump', 'enlarging'] }
+        ],
+        imaging: [
+            { id: 'emg', label: 'EMG / nerve conduction studies', keywords: ['EMG', 'NCS', 'nerve conduction', 'electromyography'] },
+            { id: 'ultrasound', label: 'Nerve ultrasound', keywords: ['ultrasound'] },
+            { id: 'mri', label: 'MRI / MR neurography', keywords: ['MRI', 'neurography'] }
+        ],
+        promptAdditions: [
+            'Name the nerve, side and site of entrapment or injury as stated',
+            'Report EMG/NCS findings with latencies or amplitudes only as given',
+            'Record hand dominance and occupation if mentioned'
+        ]
+    }
+};
+
+/**
+ * ========================================================================
+ * PACK REGISTRY
+ * ========================================================================
+ */
+
+export class PathologyPacks {
+    constructor() {
+        this.packs = { ...PATHOLOGY_PACKS };
+        this.scales = new ClinicalScales();
+    }
+
+    /**
+     * Pack for a pathology
+     * @returns {Object|null} Pack, or null for an unknown/unselected pathology
+     */
+    getPack(pathology) {
+        return (pathology && this.packs[pathology]) || null;
+    }
+
+    /**
+     * Pathology ids with a pack
+     */
+    getPathologies() {
+        return Object.keys(this.packs);
+    }
+
+    /**
+     * Register (or replace) a pack
+     * @throws {Error} If the pack has no id
+     */
+    register(pack) {
+        if (!pack?.id) {
+            throw new Error('Pathology pack requires an id');
+        }
+
+        this.packs[pack.id] = {
+            name: pack.id,
+            examElements: [],
+            scales: [],
+            redFlags: [],
+            imaging: [],
+            promptAdditions: [],
+            ...pack
+        };
+        console.log(`🧠 [PathologyPacks] Registered pack: ${pack.id}`);
+    }
+
+    /**
+     * Recommended scales: the pack's, in order, then any other scale
+     * tagged with the pathology
+     * @returns {Array<Object>} Scale definitions
+     */
+    getRecommendedScales(pathology) {
+        const pack = this.getPack(pathology);
+        const ids = [
+            ...(pack?.scales || []),
+            ...this.scales.getScalesForPathology(pathology).map(scale => scale.id)
+        ];
+
+        return [...new Set(ids)]
+            .map(id => this.scales.getScale(id))
+            .filter(Boolean);
+    }
+
+    /**
+     * Prompt fragment for a pathology's documentation requirements
+     * @param {Object} pack - Pathology pack
+     * @returns {string} Fragment ('' without a pack)
+     */
+    renderPromptAdditions(pack) {
+        if (!pack) return '';
+
+        const list = items => items.map(item => `- ${item}`).join('\n');
+        const blocks = [
+            `🧠 ${pack.name.toUpperCase()} DOCUMENTATION REQUIREMENTS:\n${list(pack.promptAdditions)}`,
+            `Examination elements to document (findings, or "not documented"):\n${list(pack.examElements.map(e => e.label))}`,
+            `Red flags - if discussed, state presence or absence explicitly:\n${list(pack.redFlags.map(f => f.label))}`
+        ];
+
+        return blocks.join('\n\n');
+    }
+}
+
+export default PathologyPacks;
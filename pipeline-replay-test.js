@@ -0,0 +1,96 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Offline Pipeline Replay Test
+ * ========================================================================
+ *
+ * Replays recorded LLM responses through extraction → generation →
+ * validation with MockLLMClient, so the pipeline runs without an API key
+ * or network. The fixtures use the exportFixtures() format a record-mode
+ * session saves.
+ *
+ * Run with: node --test pipeline-replay-test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ExtractionEngine } from './extraction-engine.js';
+import { MockLLMClient } from './mock-llm-client.js';
+import { ValidationEngine } from './validation-engine.js';
+
+const TRANSCRIPT = '67-year-old man with three months of neck pain and hand clumsiness. ' +
+    'MRI shows C5-6 stenosis with cord compression. Plan C5-6 ACDF.';
+
+const GENERATED_NOTE = '## HPI\n67-year-old man with three months of neck pain and hand clumsiness.\n\n' +
+    '## IMAGING\nMRI shows C5-6 stenosis with cord compression. Prior C4-5 fusion in 2015.\n\n' +
+    '## PLAN\nC5-6 ACDF.';
+
+const field = (value, sourceQuote) => ({ value, sourceQuote, confidence: 1.0 });
+
+const RECORDED = JSON.stringify({
+    version: 1,
+    recordedAt: '2026-10-01T09:00:00.000Z',
+    fixtures: [
+        {
+            match: 'neurosurgical data extraction system',
+            matchType: 'contains',
+            response: JSON.stringify({
+                demographics: { age: field(67, '67-year-old man'), sex: field('male', '67-year-old man') },
+                symptoms: [field('neck pain', 'three months of neck pain'), field('hand clumsiness', 'hand clumsiness')],
+                imaging: { findings: [field('C5-6 stenosis with cord compression', 'MRI shows C5-6 stenosis with cord compression')] },
+                plan: [field('C5-6 ACDF', 'Plan C5-6 ACDF')]
+            })
+        },
+        {
+            match: 'Write a neurosurgical consultation note',
+            matchType: 'contains',
+            response: GENERATED_NOTE
+        },
+        {
+            match: 'medical documentation validator',
+            matchType: 'contains',
+            response: JSON.stringify({
+                fabrications: [{
+                    statementIndex: 3,
+                    statement: 'Prior C4-5 fusion in 2015.',
+                    status: 'FABRICATED',
+                    confidence: 0.95,
+                    reason: 'No prior surgery is mentioned in the transcript',
+                    missingSupport: 'C4-5 fusion',
+                    fixOptions: [{ option: 'remove', text: null, description: 'Delete this statement entirely (safest)', confidence: 0.95 }]
+                }]
+            })
+        },
+        {
+            match: 'medical documentation completeness auditor',
+            matchType: 'contains',
+            response: JSON.stringify({ missingExtractions: [] })
+        }
+    ]
+});
+
+test('a recorded session replays through generation and validation offline', async () => {
+    const client = new MockLLMClient(null, { fixtures: RECORDED });
+
+    const extraction = await new ExtractionEngine(client).extract(TRANSCRIPT);
+    assert.equal(extraction.success, true);
+
+    const note = await client.generateContent(
+        `Write a neurosurgical consultation note from this transcript.\n\n**TRANSCRIPT:**\n${TRANSCRIPT}`
+    );
+    assert.equal(note, GENERATED_NOTE);
+
+    const report = await new ValidationEngine(client).validate({
+        originalText: TRANSCRIPT,
+        generatedText: note,
+        extractedData: extraction.extractedData,
+        outputType: 'consultation'
+    });
+
+    const fabricated = report.issues.filter(issue => issue.type === 'fabricated_content');
+    assert.ok(fabricated.some(issue => /C4-5 fusion/.test(issue.affectedText)), 'the recorded fabrication is reported');
+    assert.ok(!fabricated.some(issue => /cord compression|ACDF/.test(issue.affectedText)), 'grounded statements pass');
+
+    assert.equal(client.getCalls().length, 4, 'extraction, generation, completeness and semantic fabrication');
+    assert.deepEqual([...new Set(client.getCalls().map(call => call.source))], ['fixture'], 'every call was answered from fixtures');
+});
@@ -0,0 +1,48 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Provenance Alignment Regression Tests
+ * ========================================================================
+ *
+ * Run with: node --test provenance-test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ProvenanceAligner } from './provenance.js';
+
+const TRANSCRIPT = 'He is a 67-year-old man. He has had neck pain for three months. ' +
+    'His hands feel clumsy when buttoning shirts. MRI shows C5-6 stenosis with cord compression.';
+
+const aligner = new ProvenanceAligner();
+
+test('each note sentence links to the transcript sentence it came from', () => {
+    const note = '## HPI\nNeck pain for three months.\n\n## IMAGING\n- **MRI:** C5-6 stenosis with cord compression.';
+    const alignment = aligner.align(note, TRANSCRIPT);
+
+    assert.equal(alignment.total, 2, 'headings and labels are not sentences');
+    assert.equal(alignment.coverage, 100);
+
+    const [pain, imaging] = alignment.sentences;
+    assert.equal(note.slice(pain.start, pain.end), 'Neck pain for three months.');
+    assert.deepEqual(pain.spans.map(span => span.text), ['He has had neck pain for three months.']);
+    assert.equal(TRANSCRIPT.slice(imaging.spans[0].start, imaging.spans[0].end), 'MRI shows C5-6 stenosis with cord compression.');
+});
+
+test('a sentence merging two spoken ones links both spans in transcript order', () => {
+    const [sentence] = aligner.align('Three months of neck pain and clumsy hands.', TRANSCRIPT).sentences;
+    assert.deepEqual(sentence.spans.map(span => span.text), [
+        'He has had neck pain for three months.',
+        'His hands feel clumsy when buttoning shirts.'
+    ]);
+});
+
+test('an unsupported sentence is unaligned and has no spans', () => {
+    const alignment = aligner.align('Neck pain for three months. Prior lumbar fusion in 2015.', TRANSCRIPT);
+    const unsupported = alignment.sentences[1];
+
+    assert.equal(unsupported.aligned, false);
+    assert.deepEqual(unsupported.spans, []);
+    assert.equal(alignment.coverage, 50);
+    assert.equal(aligner.getSentenceAt(alignment, 3).index, 0);
+});
@@ -0,0 +1,158 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Provenance Aligner
+ * ========================================================================
+ *
+ * Links every sentence of a generated note to the transcript span(s) it
+ * came from. Where the fabrication detector only lists statements it
+ * cannot ground, the aligner gives the positive mapping the output panel
+ * uses to highlight a sentence and scroll to its source.
+ *
+ * - Sentences come from the shared segmenter (clinical-text.js) and keep
+ *   their character offsets; headings, list markers and bold labels are
+ *   not part of a sentence
+ * - Each sentence is scored by how many of its content words a transcript
+ *   sentence covers; further spans are added while they cover words the
+ *   best span misses (a note sentence often merges two spoken ones)
+ * - Spans carry character offsets into the transcript
+ *
+ * Alignment is lexical and local (no LLM call), so it runs on every
+ * displayed note.
+ *
+ * @author NeuroScribe Development Team
+ * @version 11.0.0
+ * @license MIT
+ */
+
+import { segmentSentences, sentenceSpans, contentTokens as clinicalTokens } from './clinical-text.js';
+
+/**
+ * Content words of a text, lightly stemmed ("headaches" matches "headache")
+ */
+function contentTokens(text) {
+    return new Set([...clinicalTokens(text)].map(token => token.length > 4 ? token.replace(/(?:es|s)$/, '') : token));
+}
+
+/**
+ * ========================================================================
+ * PROVENANCE ALIGNER
+ * ========================================================================
+ */
+
+export class ProvenanceAligner {
+    /**
+     * Default configuration
+     */
+    static DEFAULTS = {
+        MIN_SCORE: 0.3,   // Sentence score below which it is reported as unaligned
+        MAX_SPANS: 2,     // Transcript spans linked to one sentence
+        MIN_GAIN: 0.15    // Coverage a further span must add to be linked
+    };
+
+    /**
+     * Create an aligner
+     * @param {Object} options - Configuration options
+     * @param {number} options.minScore - Score below which a sentence is unaligned
+     * @param {number} options.maxSpans - Spans linked to one sentence
+     * @param {number} options.minGain - Coverage a further span must add
+     */
+    constructor(options = {}) {
+        this.minScore = options.minScore ?? ProvenanceAligner.DEFAULTS.MIN_SCORE;
+        this.maxSpans = options.maxSpans ?? ProvenanceAligner.DEFAULTS.MAX_SPANS;
+        this.minGain = options.minGain ?? ProvenanceAligner.DEFAULTS.MIN_GAIN;
+    }
+
+    /**
+     * Align every note sentence with the transcript
+     * @param {string} noteText - Generated note (markdown)
+     * @param {string} sourceText - Transcript
+     * @returns {{sentences, aligned, total, coverage, alignedAt}} Sentences:
+     *          {index, start, end, text, score, aligned, spans: [{start, end, text, score}]}
+     */
+    align(noteText, sourceText) {
+        const sourceSentences = sentenceSpans(sourceText || '')
+            .map(span => ({ ...span, tokens: contentTokens(span.text) }))
+            .filter(span => span.tokens.size > 0);
+
+        const sentences = this.segmentNote(noteText || '')
+            .map((sentence, index) => ({ index, ...sentence, ...this.alignSentence(sentence.text, sourceSentences) }));
+
+        const aligned = sentences.filter(sentence => sentence.aligned).length;
+
+        return {
+            sentences,
+            aligned,
+            total: sentences.length,
+            coverage: sentences.length > 0 ? Math.round((aligned / sentences.length) * 100) : 100,
+            alignedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Note sentences with offsets; headings and label-only lines are skipped
+     */
+    segmentNote(noteText) {
+        return segmentSentences(noteText)
+            .filter(segment => contentTokens(segment.text).size > 0)
+            .map(({ start, end, text }) => ({ start, end, text }));
+    }
+
+    /**
+     * Best transcript spans for one sentence
+     * @returns {{score, aligned, spans}} Coverage of the sentence's content words
+     */
+    alignSentence(text, sourceSentences) {
+        const tokens = contentTokens(text);
+        const uncovered = new Set(tokens);
+        const spans = [];
+
+        while (spans.length < this.maxSpans && uncovered.size > 0) {
+            let best = null;
+            let bestGain = 0;
+
+            sourceSentences.forEach(source => {
+                if (spans.some(span => span.start === source.start)) return;
+                const gain = [...uncovered].filter(token => source.tokens.has(token)).length / tokens.size;
+                if (gain > bestGain) {
+                    best = source;
+                    bestGain = gain;
+                }
+            });
+
+            // The first span is always the best match; later ones must add enough
+            if (!best || (spans.length > 0 && bestGain < this.minGain)) break;
+
+            best.tokens.forEach(token => uncovered.delete(token));
+            spans.push({
+                start: best.start,
+                end: best.end,
+                text: best.text,
+                score: this.round([...tokens].filter(token => best.tokens.has(token)).length / tokens.size)
+            });
+        }
+
+        const score = tokens.size > 0 ? this.round((tokens.size - uncovered.size) / tokens.size) : 0;
+
+        return {
+            score,
+            aligned: score >= this.minScore,
+            spans: score >= this.minScore ? spans.sort((a, b) => a.start - b.start) : []
+        };
+    }
+
+    /**
+     * Aligned sentence containing a note offset
+     * @param {Object} alignment - align() result
+     * @param {number} offset - Character offset in the note
+     * @returns {Object|null} Sentence
+     */
+    getSentenceAt(alignment, offset) {
+        return alignment?.sentences.find(sentence => offset >= sentence.start && offset < sentence.end) || null;
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+export default ProvenanceAligner;
@@ -0,0 +1,78 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Fuzzy Quote Matching Regression Tests
+ * ========================================================================
+ *
+ * Run with: node --test quote-matcher-test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { QuoteMatcher } from './quote-matcher.js';
+import { ValidationEngine } from './validation-engine.js';
+
+const SOURCE = 'Patient reports severe left leg weakness for three weeks. No bowel or bladder dysfunction. ' +
+    'MRI shows L4-5 disc herniation with nerve root compression.';
+const matcher = new QuoteMatcher();
+
+test('laterality, number and negation substitutions are not found', () => {
+    const right = matcher.match('severe right leg weakness for three weeks', SOURCE);
+    assert.equal(right.found, false);
+    assert.ok(right.similarity > 0.8, 'the closest match is still reported');
+
+    assert.equal(matcher.contains('severe left leg weakness for two weeks', SOURCE), false);
+    assert.equal(matcher.contains('severe left leg weakness for 3 weeks', SOURCE), false);
+    assert.equal(matcher.contains('Not bowel or bladder dysfunction', 'No bowel or bladder dysfunction'), false);
+});
+
+test('a quote that drops the source\'s negation is not found', () => {
+    assert.equal(matcher.match('bowel or bladder issues', 'No bowel or bladder issues.').found, false);
+    assert.equal(matcher.contains('bowel or bladder dysfunction', SOURCE), false);
+    assert.equal(matcher.contains('saddle anesthesia', 'Saddle anesthesia: absent.'), false);
+    assert.equal(matcher.match('No bowel or bladder dysfunction', SOURCE).method, 'exact');
+});
+
+test('hyphenated and slashed words are compared by their parts', () => {
+    assert.equal(matcher.contains('67-year-old man', '67 year old man with neck pain'), true);
+    assert.equal(matcher.contains('stenosis at C5-6  with cord-compression', 'Stenosis at C5-6 with cord compression.'), true);
+    assert.equal(matcher.contains('C5/6 stenosis', 'C5-6 stenosis'), true);
+});
+
+test('a quote may leave out a number or side the source states', () => {
+    const match = matcher.match('L4 radiculopathy', 'Patient has left L4-5 radiculopathy.');
+    assert.equal(match.found, true);
+    assert.equal(match.method, 'fuzzy');
+    assert.equal(matcher.contains('severe leg weakness for three weeks', SOURCE), true);
+    assert.equal(matcher.contains('right L4 radiculopathy', 'Patient has left L4-5 radiculopathy.'), false);
+});
+
+test('stopwords are not charged', () => {
+    const match = matcher.match('Patient has severe left leg weakness for three weeks', SOURCE);
+    assert.equal(match.found, true);
+    assert.equal(match.similarity, 1);
+    assert.equal(match.text, 'severe left leg weakness for three weeks');
+});
+
+test('a misspelled content word is a fuzzy match', () => {
+    const match = matcher.match('severe left leg weaknes for three weeks', SOURCE);
+    assert.equal(match.found, true);
+    assert.equal(match.method, 'fuzzy');
+});
+
+test('grounding reports fuzzy quotes as warnings', async () => {
+    const grounding = new ValidationEngine().groundingValidator;
+    grounding.sourceText = SOURCE;
+
+    const result = await grounding.validate({
+        symptoms: {
+            weakness: { value: 'left leg weakness', sourceQuote: 'severe left leg weaknes for three weeks', confidence: 0.9 },
+            imaging: { value: 'L4-5 herniation', sourceQuote: 'L4-5 disc herniation with nerve root compression', confidence: 0.9 }
+        }
+    });
+
+    const approximate = result.warnings.filter(warning => warning.type === 'quote_approximate');
+    assert.deepEqual(approximate.map(warning => warning.field), ['symptoms.weakness']);
+    assert.equal(approximate[0].sourceSpan, 'severe left leg weakness for three weeks');
+    assert.equal(result.errors.filter(error => error.type === 'quote_not_found').length, 0);
+});
@@ -0,0 +1,348 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Fuzzy Quote Matcher
+ * ========================================================================
+ *
+ * Locates an extraction's sourceQuote in the transcript when the quote is
+ * not a verbatim substring. LLM quotes routinely differ from the source
+ * by whitespace, punctuation, a misheard word or an expanded abbreviation;
+ * none of that means the field is ungrounded.
+ *
+ * - Both texts are compared as token sequences, so whitespace and
+ *   punctuation differences disappear; hyphenated and slashed words are
+ *   compared by their parts ("67-year-old" matches "67 year old")
+ * - Abbreviations are expanded on both sides with the abbreviation
+ *   dictionary ("SAH" matches "subarachnoid hemorrhage")
+ * - The quote is aligned against the best transcript span by token-level
+ *   edit distance; near-identical words ("hemorrage"/"hemorrhage") cost
+ *   less than a full substitution and stopwords cost nothing
+ * - Laterality, negation and number words (digits or spelled out) must
+ *   match exactly: "left" for "right" or a dropped "no" is a different
+ *   fact, not a near match, so the quote is not found. A quote may leave
+ *   out a number or side the source states (it is less specific, not
+ *   contradictory), which makes it a fuzzy match
+ * - A match the source negates ("bowel or bladder issues" in "No bowel or
+ *   bladder issues") is not found unless the quote carries the negation
+ *
+ * Every match reports its location in the transcript and a similarity,
+ * so callers can weigh approximate evidence instead of discarding it.
+ *
+ * @author NeuroScribe Development Team
+ * @version 11.0.0
+ * @license MIT
+ */
+
+import { AbbreviationDictionary } from './abbreviations.js';
+import { CLINICAL_STOPWORDS, sentenceAt, tokenSpans, tokenize } from './clinical-text.js';
+import { NEGATION_CUES, POST_NEGATION_CUES, isNegated } from './negation.js';
+
+/**
+ * Words whose mismatch changes the fact a quote states
+ */
+export const LATERALITY_WORDS = ['left', 'right', 'bilateral', 'bilaterally', 'unilateral', 'ipsilateral', 'contralateral'];
+export const NUMBER_WORDS = [
+    'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve',
+    'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen', 'twenty', 'thirty',
+    'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety', 'hundred', 'thousand', 'once', 'twice', 'half'
+];
+const NEGATION_WORDS = new Set([...NEGATION_CUES, ...POST_NEGATION_CUES, 'nor', 'neither'].filter(cue => !cue.includes(' ')));
+
+const CRITICAL_WORDS = new Set([...LATERALITY_WORDS, ...NUMBER_WORDS, ...NEGATION_WORDS]);
+
+/**
+ * Alignment cost of a critical-word mismatch: any alignment that needs one
+ * is rejected
+ */
+const HARD_MISMATCH = 1000;
+
+/**
+ * Alignment cost of a number or side the source states but the quote
+ * leaves out
+ */
+const CRITICAL_OMISSION = 0.25;
+
+/**
+ * Character-level edit distance between two words
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+                previous[j] + 1,
+                current[j - 1] + 1
+            );
+        }
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * ========================================================================
+ * QUOTE MATCHER
+ * ========================================================================
+ */
+
+export class QuoteMatcher {
+    /**
+     * Default configuration
+     */
+    static DEFAULTS = {
+        MIN_SIMILARITY: 0.85,   // Quote similarity at which a fuzzy match counts as found
+        TOKEN_SIMILARITY: 0.8,  // Word similarity at which two words count as a near match
+        COST_CACHE_SIZE: 50000  // Word pairs kept in the cost cache
+    };
+
+    /**
+     * Create a matcher
+     * @param {Object} options - Configuration options
+     * @param {number} options.minSimilarity - Quote similarity (0-1) required for a match
+     * @param {number} options.tokenSimilarity - Word similarity (0-1) below which words differ entirely
+     * @param {AbbreviationDictionary} options.abbreviations - Dictionary for abbreviation equivalence
+     */
+    constructor(options = {}) {
+        this.minSimilarity = options.minSimilarity ?? QuoteMatcher.DEFAULTS.MIN_SIMILARITY;
+        this.tokenSimilarity = options.tokenSimilarity ?? QuoteMatcher.DEFAULTS.TOKEN_SIMILARITY;
+        this.abbreviations = options.abbreviations || new AbbreviationDictionary();
+
+        if (!(this.minSimilarity > 0 && this.minSimilarity <= 1) || !(this.tokenSimilarity > 0 && this.tokenSimilarity <= 1)) {
+            throw new Error('Quote matching thresholds must be between 0 (exclusive) and 1');
+        }
+
+        this.sourceCache = null;
+        this.costCache = new Map();
+    }
+
+    /**
+     * Locate a quote in a source text
+     * @param {string} quote - Quote (e.g. an extraction's sourceQuote)
+     * @param {string} sourceText - Transcript
+     * @returns {{found, similarity, method, start, end, text}} Best match;
+     *          method is 'exact', 'normalized', 'abbreviation' or 'fuzzy'
+     *          (null when not found); start/end are offsets into sourceText
+     *          (-1 when nothing matched at all)
+     */
+    match(quote, sourceText) {
+        const notFound = { found: false, similarity: 0, method: null, start: -1, end: -1, text: '' };
+        const trimmed = String(quote || '').trim();
+        if (!trimmed || !sourceText) return notFound;
+
+        const quoteTokens = this.comparisonTokens(trimmed);
+
+        const index = sourceText.toLowerCase().indexOf(trimmed.toLowerCase());
+        if (index !== -1) {
+            const exact = this.result(sourceText, index, index + trimmed.length, 1, 'exact');
+            return this.negatedInSource(quoteTokens, sourceText, exact) ? { ...exact, found: false, method: null } : exact;
+        }
+
+        const sourceTokens = this.getSourceTokens(sourceText);
+        if (this.countContent(quoteTokens) === 0 || sourceTokens.length === 0) return notFound;
+
+        const alignment = this.align(quoteTokens, sourceTokens);
+        const matched = sourceTokens.slice(alignment.start, alignment.end);
+        if (matched.length === 0) return notFound;
+
+        // Stopwords are free to skip, so they don't count towards the length
+        // either; a critical mismatch rejects the match but is reported in
+        // the similarity as one differing word
+        const hardMismatches = Math.floor(alignment.distance / HARD_MISMATCH);
+        const distance = alignment.distance - hardMismatches * (HARD_MISMATCH - 1);
+        const length = Math.max(this.countContent(quoteTokens), this.countContent(matched), 1);
+        const similarity = Math.max(0, Math.round((1 - distance / length) * 100) / 100);
+        const span = this.result(sourceText, matched[0].start, matched[matched.length - 1].end, similarity, null);
+        const found = hardMismatches === 0 && similarity >= this.minSimilarity && !this.negatedInSource(quoteTokens, sourceText, span);
+
+        let method = null;
+        if (found && distance > 0) {
+            method = 'fuzzy';
+        } else if (found) {
+            method = [...quoteTokens, ...matched].some(token => token.expanded) ? 'abbreviation' : 'normalized';
+        }
+
+        return { ...span, method, found };
+    }
+
+    /**
+     * Whether the source negates a matched span the quote states as
+     * affirmed (the quote dropped the "no")
+     * @param {Array} quoteTokens - Comparison tokens of the quote
+     * @param {string} sourceText - Source text
+     * @param {{start, end}} span - Matched span in the source
+     */
+    negatedInSource(quoteTokens, sourceText, span) {
+        if (quoteTokens.some(({ token }) => this.isNegation(token))) return false;
+
+        const sentence = sentenceAt(sourceText, span.start);
+        return isNegated(
+            sourceText.slice(sentence.start, span.start),
+            sourceText.slice(span.end, Math.max(sentence.end, span.end))
+        );
+    }
+
+    /**
+     * Whether a quote is found in a source text
+     */
+    contains(quote, sourceText) {
+        return this.match(quote, sourceText).found;
+    }
+
+    /**
+     * Tokens that are not stopwords
+     */
+    countContent(tokens) {
+        return tokens.filter(({ token }) => !CLINICAL_STOPWORDS.has(token) || CRITICAL_WORDS.has(token)).length;
+    }
+
+    result(sourceText, start, end, similarity, method) {
+        return { found: true, similarity, method, start, end, text: sourceText.slice(start, end) };
+    }
+
+    /**
+     * Tokens with offsets, abbreviations replaced by their expansion's
+     * tokens (which keep the abbreviation's offsets); an annotation
+     * ("subarachnoid hemorrhage (SAH)") adds no tokens. Hyphenated and
+     * slashed words are split into their parts.
+     */
+    comparisonTokens(text) {
+        const tokens = [];
+        let position = 0;
+
+        this.abbreviations.findAbbreviations(text).forEach(({ index, match, expansion, annotated }) => {
+            tokens.push(...tokenSpans(text.slice(position, index), position));
+            if (!annotated) {
+                tokenize(expansion).forEach(token => tokens.push({ token, start: index, end: index + match.length, expanded: true }));
+            }
+            position = index + match.length;
+        });
+
+        return [...tokens, ...tokenSpans(text.slice(position), position)].flatMap(span => this.splitCompound(span));
+    }
+
+    /**
+     * Parts of a hyphenated or slashed token ("cord-compression"), each
+     * with its own offsets (expanded tokens keep the abbreviation's)
+     */
+    splitCompound(span) {
+        if (!/[-/]/.test(span.token)) return [span];
+
+        const parts = [];
+        let offset = 0;
+        for (const part of span.token.split(/[-/]/)) {
+            if (part) {
+                parts.push(span.expanded
+                    ? { ...span, token: part }
+                    : { token: part, start: span.start + offset, end: span.start + offset + part.length });
+            }
+            offset += part.length + 1;
+        }
+        return parts;
+    }
+
+    /**
+     * Comparison tokens of the source (cached for the last source)
+     */
+    getSourceTokens(sourceText) {
+        if (this.sourceCache?.text !== sourceText) {
+            this.sourceCache = { text: sourceText, tokens: this.comparisonTokens(sourceText) };
+        }
+        return this.sourceCache.tokens;
+    }
+
+    /**
+     * Best approximate occurrence of the quote in the source: edit distance
+     * where the match may start and end at any source token
+     * @returns {{distance, start, end}} Distance and source token range
+     */
+    align(quoteTokens, sourceTokens) {
+        let previous = new Array(sourceTokens.length + 1).fill(0);
+        let previousStart = previous.map((_, j) => j);
+
+        for (let i = 1; i <= quoteTokens.length; i++) {
+            const current = [previous[0] + this.skipCost(quoteTokens[i - 1].token, false)];
+            const currentStart = [0];
+
+            for (let j = 1; j <= sourceTokens.length; j++) {
+                const substitute = previous[j - 1] + this.tokenCost(quoteTokens[i - 1].token, sourceTokens[j - 1].token);
+                const skipQuote = previous[j] + this.skipCost(quoteTokens[i - 1].token, false);
+                const skipSource = current[j - 1] + this.skipCost(sourceTokens[j - 1].token, true);
+
+                if (substitute <= skipQuote && substitute <= skipSource) {
+                    current[j] = substitute;
+                    currentStart[j] = previousStart[j - 1];
+                } else if (skipQuote <= skipSource) {
+                    current[j] = skipQuote;
+                    currentStart[j] = previousStart[j];
+                } else {
+                    current[j] = skipSource;
+                    currentStart[j] = currentStart[j - 1];
+                }
+            }
+
+            previous = current;
+            previousStart = currentStart;
+        }
+
+        let end = 1;
+        for (let j = 2; j <= sourceTokens.length; j++) {
+            if (previous[j] < previous[end]) end = j;
+        }
+
+        return { distance: previous[end], start: previousStart[end], end };
+    }
+
+    /**
+     * Cost of leaving a word unmatched: 0 for a stopword, 1 for a content
+     * word, HARD_MISMATCH for a negation or for a number or side only the
+     * quote states, CRITICAL_OMISSION for a number or side the quote
+     * leaves out
+     * @param {string} token - Word
+     * @param {boolean} fromSource - The word is in the source, not the quote
+     */
+    skipCost(token, fromSource) {
+        if (this.isNegation(token)) return HARD_MISMATCH;
+        if (this.isCritical(token)) return fromSource ? CRITICAL_OMISSION : HARD_MISMATCH;
+        return CLINICAL_STOPWORDS.has(token) ? 0 : 1;
+    }
+
+    /**
+     * Cost of aligning two words: 0 when equal, the dissimilarity for a
+     * near match, 1 otherwise (HARD_MISMATCH when either is a critical word)
+     */
+    tokenCost(a, b) {
+        if (a === b) return 0;
+        if (this.isCritical(a) || this.isCritical(b)) return HARD_MISMATCH;
+
+        const longest = Math.max(a.length, b.length);
+        if (1 - Math.abs(a.length - b.length) / longest < this.tokenSimilarity) return 1;
+
+        const key = `${a}|${b}`;
+        if (!this.costCache.has(key)) {
+            if (this.costCache.size >= QuoteMatcher.DEFAULTS.COST_CACHE_SIZE) this.costCache.clear();
+            const similarity = 1 - editDistance(a, b) / longest;
+            this.costCache.set(key, similarity >= this.tokenSimilarity ? 1 - similarity : 1);
+        }
+        return this.costCache.get(key);
+    }
+
+    /**
+     * Laterality, negation and number words, digits and contracted
+     * negations ("doesn't")
+     */
+    isCritical(token) {
+        return CRITICAL_WORDS.has(token) || /\d/.test(token) || /n't$/.test(token);
+    }
+
+    /**
+     * Negation words and contracted negations
+     */
+    isNegation(token) {
+        return NEGATION_WORDS.has(token) || /n't$/.test(token);
+    }
+}
+
+export default QuoteMatcher;
@@ -0,0 +1,54 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Red Flag Engine Regression Tests
+ * ========================================================================
+ *
+ * Run with: node --test red-flags-test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RedFlagEngine } from './red-flags.js';
+
+const engine = new RedFlagEngine();
+const ids = flags => flags.map(flag => flag.id);
+
+test('a negated finding is documented as absent, an affirmed one raised', () => {
+    const negated = engine.evaluate('Patient denies saddle anesthesia.');
+    assert.deepEqual(ids(negated.present), []);
+    assert.deepEqual(ids(negated.absent), ['cauda_equina']);
+
+    const affirmed = engine.evaluate('Reports saddle anesthesia since this morning.');
+    assert.deepEqual(ids(affirmed.present), ['cauda_equina']);
+    assert.equal(affirmed.present[0].quote, 'Reports saddle anesthesia since this morning');
+});
+
+test('one affirmed mention outweighs earlier negated ones', () => {
+    const result = engine.evaluate('No urinary retention on Monday. Today he has urinary retention.');
+    assert.deepEqual(ids(result.present), ['cauda_equina']);
+    assert.deepEqual(ids(result.absent), []);
+});
+
+test('a finding negated after the term reads as absent', () => {
+    assert.deepEqual(ids(engine.evaluate('Saddle anesthesia: absent.').absent), ['cauda_equina']);
+});
+
+test('pathology rules extend the general rules with the same id', () => {
+    const general = engine.evaluate('New incontinence.');
+    assert.deepEqual(ids(general.present), []);
+
+    const spine = engine.evaluate('New incontinence.', 'spine-degenerative');
+    assert.deepEqual(ids(spine.present), ['cauda_equina']);
+    assert.equal(spine.present[0].severity, 'CRITICAL', 'the general severity is kept');
+});
+
+test('the note block lists present flags with their quote and absent flags by label', () => {
+    const block = engine.formatForNote(engine.evaluate('Sudden severe headache. Denies urinary retention.'));
+    assert.equal(block, [
+        '**Red flags identified:**',
+        '- Thunderclap headache (CRITICAL) - "Sudden severe headache"',
+        '**Red flags documented as absent:** Cauda equina symptoms'
+    ].join('\n'));
+    assert.equal(engine.formatForNote(engine.evaluate('Neck pain.')), '');
+});
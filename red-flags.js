@@ -0,0 +1,239 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Red Flag Engine
+ * ========================================================================
+ *
+ * Detects red-flag findings in dictated or typed text. Restores the
+ * monolith's checkForRedFlags/activeRedFlags monitoring with:
+ *
+ * - Rule sets: general rules (always active) plus the selected pathology's
+ *   red flags from its documentation pack (pathology-packs.js)
+ * - Negation awareness (negation.js): "denies saddle anesthesia" documents
+ *   the flag as absent instead of raising it
+ * - Note output: present and documented-absent flags, with the source
+ *   sentence, for the assessment section
+ *
+ * Evaluation is synchronous and keyword-based so it can run on every
+ * speech recognition result.
+ *
+ * @author NeuroScribe Development Team
+ * @version 11.0.0
+ * @license MIT
+ */
+
+import { PATHOLOGY_PACKS } from './pathology-packs.js';
+import { findTermMentions } from './negation.js';
+
+/**
+ * ========================================================================
+ * RULE SETS
+ * ========================================================================
+ */
+
+/**
+ * Rules active for every pathology
+ * Pathology rules with the same id extend these (keywords are merged).
+ */
+export const GENERAL_RED_FLAGS = [
+    {
+        id: 'cauda_equina',
+        label: 'Cauda equina symptoms',
+        severity: 'CRITICAL',
+        keywords: ['saddle anesthesia', 'saddle anaesthesia', 'saddle numbness', 'urinary retention', 'bladder incontinence', 'bowel incontinence', 'loss of bladder control', 'cauda equina']
+    },
+    {
+        id: 'progressive_deficit',
+        label: 'Progressive neurological deficit',
+        severity: 'HIGH',
+        keywords: ['progressive weakness', 'worsening weakness', 'rapidly progressive', 'new weakness', 'foot drop']
+    },
+    {
+        id: 'thunderclap',
+        label: 'Thunderclap headache',
+        severity: 'CRITICAL',
+        keywords: ['thunderclap', 'worst headache', 'sudden severe headache']
+    },
+    {
+        id: 'declining_gcs',
+        label: 'Declining level of consciousness',
+        severity: 'CRITICAL',
+        keywords: ['declining GCS', 'GCS dropped', 'GCS has dropped', 'decreased consciousness', 'decreased level of consciousness', 'more drowsy', 'increasingly drowsy', 'unresponsive', 'obtunded']
+    },
+    {
+        id: 'pupillary_change',
+        label: 'New pupillary abnormality',
+        severity: 'CRITICAL',
+        keywords: ['blown pupil', 'fixed and dilated', 'fixed dilated pupil', 'new anisocoria']
+    },
+    {
+        id: 'status_epilepticus',
+        label: 'Status epilepticus',
+        severity: 'CRITICAL',
+        keywords: ['status epilepticus']
+    }
+];
+
+/**
+ * ========================================================================
+ * RED FLAG ENGINE
+ * ========================================================================
+ */
+
+export class RedFlagEngine {
+    /**
+     * Default configuration
+     */
+    static DEFAULTS = {
+        NEGATION_WINDOW: 6,       // Words before a finding searched for a negation cue
+        POST_NEGATION_WINDOW: 3,  // Words after a finding searched for a post-negation cue
+        INCLUDE_GENERAL: true,    // Apply GENERAL_RED_FLAGS for every pathology
+        SEVERITY: 'HIGH'          // Severity of rules that don't set one
+    };
+
+    /**
+     * Create an engine
+     * @param {Object} options - Configuration options
+     * @param {Array} options.generalRules - Rules active for every pathology
+     * @param {Object} options.pathologyRules - {pathology: rules}; defaults to the pathology packs' red flags
+     * @param {number} options.negationWindow - Words before a finding searched for negation
+     * @param {number} options.postNegationWindow - Words after a finding searched for negation
+     * @param {boolean} options.includeGeneral - Apply the general rules
+     */
+    constructor(options = {}) {
+        this.generalRules = options.generalRules || GENERAL_RED_FLAGS;
+        this.pathologyRules = options.pathologyRules || Object.fromEntries(
+            Object.values(PATHOLOGY_PACKS).map(pack => [pack.id, pack.redFlags])
+        );
+        this.negationWindow = options.negationWindow ?? RedFlagEngine.DEFAULTS.NEGATION_WINDOW;
+        this.postNegationWindow = options.postNegationWindow ?? RedFlagEngine.DEFAULTS.POST_NEGATION_WINDOW;
+        this.includeGeneral = options.includeGeneral ?? RedFlagEngine.DEFAULTS.INCLUDE_GENERAL;
+    }
+
+    /**
+     * Add rules for a pathology (or general rules when pathology is null)
+     * @throws {Error} If a rule has no id or keywords
+     */
+    registerRules(pathology, rules) {
+        rules.forEach(rule => {
+            if (!rule?.id || !Array.isArray(rule.keywords) || rule.keywords.length === 0) {
+                throw new Error('Red flag rule requires an id and at least one keyword');
+            }
+        });
+
+        if (pathology) {
+            this.pathologyRules = {
+                ...this.pathologyRules,
+                [pathology]: [...(this.pathologyRules[pathology] || []), ...rules]
+            };
+        } else {
+            this.generalRules = [...this.generalRules, ...rules];
+        }
+    }
+
+    /**
+     * Active rules for a pathology: general rules extended by the
+     * pathology's (same id merges keywords, the pathology label wins)
+     * @param {string|null} pathology - Selected pathology
+     * @returns {Array<Object>} Rules with severity and source pathology
+     */
+    getRules(pathology = null) {
+        const rules = new Map();
+
+        if (this.includeGeneral) {
+            this.generalRules.forEach(rule => rules.set(rule.id, { ...rule, pathology: null }));
+        }
+
+        (this.pathologyRules[pathology] || []).forEach(rule => {
+            const general = rules.get(rule.id);
+            rules.set(rule.id, {
+                ...general,
+                ...rule,
+                severity: rule.severity || general?.severity,
+                keywords: [...new Set([...(general?.keywords || []), ...rule.keywords])],
+                pathology
+            });
+        });
+
+        return [...rules.values()].map(rule => ({
+            ...rule,
+            severity: rule.severity || RedFlagEngine.DEFAULTS.SEVERITY
+        }));
+    }
+
+    /**
+     * Evaluate text against the active rules
+     * A flag is present when any mention is affirmed, and documented as
+     * absent when every mention is negated.
+     * @param {string} text - Transcript (or transcript plus interim speech)
+     * @param {string|null} pathology - Selected pathology
+     * @returns {{present: Array, absent: Array, findings: Array}} Findings:
+     *          {id, label, severity, pathology, status, term, quote, index}
+     */
+    evaluate(text, pathology = null) {
+        const findings = [];
+
+        if (text) {
+            this.getRules(pathology).forEach(rule => {
+                const mentions = this.findMentions(text, rule.keywords);
+                if (mentions.length === 0) return;
+
+                const affirmed = mentions.find(mention => !mention.negated);
+                const mention = affirmed || mentions[0];
+
+                findings.push({
+                    id: rule.id,
+                    label: rule.label,
+                    severity: rule.severity,
+                    pathology: rule.pathology,
+                    status: affirmed ? 'present' : 'absent',
+                    term: mention.term,
+                    quote: mention.quote,
+                    index: mention.index
+                });
+            });
+        }
+
+        findings.sort((a, b) => a.index - b.index);
+
+        return {
+            present: findings.filter(finding => finding.status === 'present'),
+            absent: findings.filter(finding => finding.status === 'absent'),
+            findings
+        };
+    }
+
+    /**
+     * Every mention of any keyword, with its sentence and negation
+     * @returns {Array<{term, index, quote, negated}>} Mentions in text order
+     */
+    findMentions(text, keywords) {
+        return findTermMentions(text, keywords, {
+            window: this.negationWindow,
+            postWindow: this.postNegationWindow
+        });
+    }
+
+    /**
+     * Red-flag block for a note's assessment
+     * @param {Object} result - evaluate() result
+     * @returns {string} Block ('' when no flag was mentioned)
+     */
+    formatForNote(result) {
+        const lines = [];
+
+        if (result.present.length > 0) {
+            lines.push('**Red flags identified:**');
+            result.present.forEach(flag => {
+                lines.push(`- ${flag.label} (${flag.severity}) - "${flag.quote}"`);
+            });
+        }
+
+        if (result.absent.length > 0) {
+            lines.push(`**Red flags documented as absent:** ${result.absent.map(flag => flag.label).join('; ')}`);
+        }
+
+        return lines.join('\n');
+    }
+}
+
+export default RedFlagEngine;
@@ -0,0 +1,36 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Scale Pre-fill Regression Tests
+ * ========================================================================
+ *
+ * Run with: node --test scale-extractor-test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ClinicalScales } from './clinical-scales.js';
+import { ScaleExtractor } from './scale-extractor.js';
+
+const TRANSCRIPT = 'On arrival GCS E3 V4 M6. He walks with a cane and has trouble with buttons.\nDenies bladder problems.';
+
+test('keyword mentions use the shared negation rules', async () => {
+    const { mentions } = await new ScaleExtractor().propose(TRANSCRIPT, { scaleIds: ['mjoa'] });
+    const negated = Object.fromEntries(mentions.map(mention => [mention.keyword, mention.negated]));
+
+    assert.equal(negated.bladder, true);
+    assert.equal(negated.cane, false);
+});
+
+test('only confirmed answers reach the assessment', async () => {
+    const extractor = new ScaleExtractor();
+    await extractor.propose(TRANSCRIPT, { scaleIds: ['gcs'] });
+
+    extractor.confirm('gcs.eye');
+    extractor.confirm('gcs.motor', 5);
+    extractor.reject('gcs.verbal');
+
+    const assessment = extractor.commit('gcs', new ClinicalScales().createAssessment('gcs'));
+    assert.deepEqual(assessment.responses, { eye: 3, motor: 5 });
+    assert.equal(extractor.getSummary().committed, 2);
+});
@@ -0,0 +1,613 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Scale Extractor
+ * ========================================================================
+ *
+ * Pre-fills clinical scale questions from the transcript (successor to the
+ * V10.2.4 checkForScaleComponents keyword scan, which only logged hits).
+ *
+ * Every answer is a proposal, never a committed score:
+ *
+ *     { scaleId, questionId, value, sourceQuote, confidence, method, status }
+ *
+ * Pipeline:
+ * 1. Keyword pass  - explicit scores ("mRS 2", "E3V4M6", "pain 7/10") and
+ *                    question keywords matched against option wording
+ * 2. LLM pass      - optional; answers the questions of mentioned scales
+ *                    with verbatim quotes, checked against the transcript
+ * 3. Review        - the clinician confirms, edits or rejects each proposal;
+ *                    commit() writes only confirmed answers to a ScaleAssessment
+ *
+ * @author NeuroScribe Development Team
+ * @version 11.0.0
+ * @license MIT
+ */
+
+import { ClinicalScales, ClinicalScalesDatabase } from './clinical-scales.js';
+import { parseJSONResponse } from './extraction-engine.js';
+import { findTermMentions } from './negation.js';
+import { normalizeText, segmentSentences, tokenize } from './clinical-text.js';
+
+/**
+ * Proposal states
+ */
+export const PROPOSAL_STATES = {
+    PROPOSED: 'proposed',
+    CONFIRMED: 'confirmed',
+    REJECTED: 'rejected',
+    COMMITTED: 'committed'
+};
+
+const ROMAN_NUMERALS = {I: 1, II: 2, III: 3, IV: 4, V: 5};
+
+/**
+ * Explicitly stated scores, per scale: each match yields {questionId: value}
+ */
+const SCORE_PATTERNS = {
+    gcs: [{
+        pattern: /\bE\s*([1-4])\s*,?\s*V\s*([1-5]|T)\s*,?\s*M\s*([1-6])\b/gi,
+        parse: m => ({
+            eye: Number(m[1]),
+            ...(m[2].toUpperCase() === 'T' ? {} : {verbal: Number(m[2])}),
+            motor: Number(m[3])
+        })
+    }],
+    mrs: [{
+        pattern: /\b(?:mRS|modified Rankin(?: Scale)?)\s*(?:score\s*)?(?:of|is|=|:)?\s*([0-6])\b/gi,
+        parse: m => ({grade: Number(m[1])})
+    }],
+    kps: [{
+        pattern: /\b(?:KPS|Karnofsky(?: performance status| performance score| score)?)\s*(?:of|is|=|:)?\s*(100|[1-9]0|0)\b/gi,
+        parse: m => ({score: Number(m[1])})
+    }],
+    nurick: [{
+        pattern: /\bNurick\s*(?:grade\s*)?(?:of|is|=|:)?\s*([0-5])\b/gi,
+        parse: m => ({grade: Number(m[1])})
+    }],
+    hunt_hess: [{
+        pattern: /\b(?:Hunt[- ](?:and[- ])?Hess|H&H)\s*(?:grade\s*)?(?:of|is|=|:)?\s*([1-5]|IV|V|I{1,3})\b/g,
+        parse: m => ({grade: ROMAN_NUMERALS[m[1]] || Number(m[1])})
+    }],
+    modified_fisher: [{
+        pattern: /\b(?:modified Fisher|mFisher)\s*(?:grade\s*|scale\s*)?(?:of|is|=|:)?\s*([0-4])\b/gi,
+        parse: m => ({grade: Number(m[1])})
+    }],
+    frankel: [{
+        pattern: /\bFrankel\s*(?:grade\s*)?(?:of|is|=|:)?\s*([A-E])\b/g,
+        parse: m => ({grade: m[1]})
+    }],
+    vas_pain: [{
+        pattern: /\b(10|[0-9])\s*(?:\/|out of)\s*10\b/gi,
+        parse: (m, sentence) => {
+            if (!/\b(?:pain|hurt|ache|aching)/i.test(sentence)) return {};
+            // Qualifier just before the rating: "7/10, at worst 9/10"
+            const lead = sentence.slice(Math.max(0, m.index - 30), m.index);
+            if (/\b(?:worst|maximum|peak)/i.test(lead)) return {worst_pain: Number(m[1])};
+            if (/\b(?:average|usually|typically)/i.test(lead)) return {average_pain: Number(m[1])};
+            return {current_pain: Number(m[1])};
+        }
+    }]
+};
+
+/**
+ * Content words for option matching (no stopwords, 4+ characters)
+ */
+function contentWords(text) {
+    return tokenize(text, {stopwords: true, minLength: 4}).filter(word => !/\d/.test(word));
+}
+
+/**
+ * ========================================================================
+ * SCALE EXTRACTOR
+ * ========================================================================
+ */
+
+export class ScaleExtractor {
+    /**
+     * Default configuration
+     */
+    static DEFAULTS = {
+        TEMPERATURE: 0.1,               // Deterministic extraction
+        MAX_OUTPUT_TOKENS: 2048,
+        MAX_TRANSCRIPT_CHARS: 30000,    // Keep prompt within context budget
+        PATTERN_CONFIDENCE: 0.9,        // Score stated outright ("mRS 2")
+        MAX_KEYWORD_CONFIDENCE: 0.6,    // Keyword + option wording overlap
+        MIN_OPTION_OVERLAP: 0.5,        // Share of option words found in the sentence
+        UNVERIFIED_QUOTE_PENALTY: 0.5,  // LLM quote not found in transcript
+        MAX_QUOTE_CHARS: 200
+    };
+
+    /**
+     * Create a scale extractor
+     * @param {BaseLLMClient|null} apiClient - Enables the LLM pass (optional)
+     * @param {Object} options - Configuration options
+     * @param {number} options.temperature - Generation temperature
+     * @param {number} options.maxOutputTokens - Max tokens for the JSON response
+     */
+    constructor(apiClient = null, options = {}) {
+        this.apiClient = apiClient;
+        this.scales = new ClinicalScales();
+        this.temperature = options.temperature ?? ScaleExtractor.DEFAULTS.TEMPERATURE;
+        this.maxOutputTokens = options.maxOutputTokens || ScaleExtractor.DEFAULTS.MAX_OUTPUT_TOKENS;
+
+        this.proposals = [];
+    }
+
+    /**
+     * Propose scale answers from a transcript
+     * Decisions already made for an unchanged proposal are kept, so re-running
+     * on a growing transcript doesn't discard the clinician's review.
+     * @param {string} transcript - Clinical transcript or notes
+     * @param {Object} options - Extraction options
+     * @param {Array<string>} options.scaleIds - Scales to consider (default: all)
+     * @param {boolean} options.useLLM - Run the LLM pass (default: when an apiClient is set)
+     * @param {AbortSignal} options.signal - Cancels the LLM request
+     * @returns {Promise<Object>} {success, proposals, mentions, metadata}
+     * @throws {Error} 'Request cancelled' when the LLM pass is aborted
+     */
+    async propose(transcript, options = {}) {
+        console.log('📊 [ScaleExtractor] Scanning transcript for scale answers...');
+
+        const startTime = Date.now();
+        const scaleIds = (options.scaleIds || Object.keys(ClinicalScalesDatabase))
+            .filter(id => ClinicalScalesDatabase[id]);
+
+        if (!transcript || transcript.trim().length === 0) {
+            return {
+                success: false,
+                error: 'Transcript is empty',
+                proposals: [],
+                mentions: [],
+                metadata: null
+            };
+        }
+
+        const keyword = this.keywordPass(transcript, scaleIds);
+        let candidates = keyword.proposals;
+        let llmError = null;
+        let llmCount = 0;
+
+        const useLLM = options.useLLM ?? !!this.apiClient;
+        const mentionedScales = [...new Set([
+            ...keyword.proposals.map(p => p.scaleId),
+            ...keyword.mentions.map(m => m.scaleId)
+        ])];
+        const llmScales = options.scaleIds ? scaleIds : mentionedScales;
+
+        if (useLLM && this.apiClient && llmScales.length > 0) {
+            try {
+                const llmProposals = await this.llmPass(transcript, llmScales, options.signal);
+                llmCount = llmProposals.length;
+                candidates = candidates.concat(llmProposals);
+            } catch (error) {
+                if (error.message === 'Request cancelled') throw error;
+                console.warn('⚠️ [ScaleExtractor] LLM pass failed (keyword proposals kept):', error.message);
+                llmError = error.message;
+            }
+        }
+
+        const previous = new Map(this.proposals.map(p => [p.id, p]));
+        this.proposals = this.mergeProposals(candidates).map(proposal => {
+            const earlier = previous.get(proposal.id);
+            if (earlier && earlier.status !== PROPOSAL_STATES.PROPOSED && earlier.value === proposal.value) {
+                return {...proposal, status: earlier.status, confirmedValue: earlier.confirmedValue};
+            }
+            return proposal;
+        });
+
+        console.log(`✅ [ScaleExtractor] ${this.proposals.length} answers proposed ` +
+            `(${keyword.proposals.length} keyword, ${llmCount} LLM)`);
+
+        return {
+            success: true,
+            proposals: this.getProposals(),
+            mentions: keyword.mentions,
+            metadata: {
+                scaleIds,
+                llmScales: useLLM && this.apiClient ? llmScales : [],
+                llmError,
+                processingTime: Date.now() - startTime
+            }
+        };
+    }
+
+    /**
+     * Keyword pass: explicit scores plus question keywords matched to option wording
+     * @param {string} transcript - Source transcript
+     * @param {Array<string>} scaleIds - Scales to scan
+     * @returns {{proposals: Array, mentions: Array}} Proposals with values, and
+     *          questions that were discussed but couldn't be answered
+     */
+    keywordPass(transcript, scaleIds) {
+        const proposals = [];
+        const mentions = [];
+        const sentences = segmentSentences(transcript);
+
+        for (const scaleId of scaleIds) {
+            const scale = ClinicalScalesDatabase[scaleId];
+
+            // 1. Explicitly stated scores
+            for (const {pattern, parse} of SCORE_PATTERNS[scaleId] || []) {
+                for (const sentence of sentences) {
+                    for (const match of sentence.text.matchAll(pattern)) {
+                        for (const [questionId, value] of Object.entries(parse(match, sentence.text))) {
+                            proposals.push(this.createProposal(scale, questionId, value, {
+                                sourceQuote: this.quoteAround(sentence.text, match.index, match.index + match[0].length),
+                                confidence: ScaleExtractor.DEFAULTS.PATTERN_CONFIDENCE,
+                                method: 'keyword',
+                                keyword: match[0]
+                            }));
+                        }
+                    }
+                }
+            }
+
+            // 2. Question keywords → best matching option in the same sentence
+            for (const question of scale.questions) {
+                if (!question.keywords || question.options.length === 0) continue;
+
+                for (const sentence of sentences) {
+                    const [hit] = findTermMentions(sentence.text, question.keywords);
+                    if (!hit) continue;
+
+                    const option = hit.negated ? null : this.matchOption(question, sentence.text);
+                    const sourceQuote = this.quoteAround(sentence.text, hit.index, hit.index + hit.term.length);
+
+                    if (option) {
+                        proposals.push(this.createProposal(scale, question.id, option.value, {
+                            sourceQuote,
+                            confidence: option.confidence,
+                            method: 'keyword',
+                            keyword: hit.keyword
+                        }));
+                    } else {
+                        mentions.push({
+                            scaleId: scale.id,
+                            questionId: question.id,
+                            question: question.text,
+                            keyword: hit.keyword,
+                            sourceQuote,
+                            negated: hit.negated
+                        });
+                    }
+                    break; // One hit per question
+                }
+            }
+        }
+
+        return {proposals, mentions};
+    }
+
+    /**
+     * Pick the option whose wording best overlaps the sentence
+     * @returns {{value: *, confidence: number}|null} Unambiguous best option, or null
+     */
+    matchOption(question, sentence) {
+        const words = new Set(contentWords(sentence));
+        const scored = question.options
+            .map(option => {
+                const optionWords = contentWords(`${option.label} ${option.description || ''}`);
+                const overlap = optionWords.filter(word => words.has(word)).length;
+                return {value: option.value, overlap: optionWords.length > 0 ? overlap / optionWords.length : 0};
+            })
+            .sort((a, b) => b.overlap - a.overlap);
+
+        const [best, runnerUp] = scored;
+        if (!best || best.overlap < ScaleExtractor.DEFAULTS.MIN_OPTION_OVERLAP) return null;
+        if (runnerUp && runnerUp.overlap === best.overlap) return null;
+
+        return {
+            value: best.value,
+            confidence: Math.round(ScaleExtractor.DEFAULTS.MAX_KEYWORD_CONFIDENCE * (0.5 + 0.5 * best.overlap) * 100) / 100
+        };
+    }
+
+    /**
+     * LLM pass: answer the questions of the given scales with verbatim quotes
+     * @param {string} transcript - Source transcript
+     * @param {Array<string>} scaleIds - Scales to ask about
+     * @param {AbortSignal} signal - Cancels the request
+     * @returns {Promise<Array>} Validated proposals
+     */
+    async llmPass(transcript, scaleIds, signal) {
+        const response = await this.apiClient.generateContent(this.buildPrompt(transcript, scaleIds), {
+            temperature: this.temperature,
+            maxOutputTokens: this.maxOutputTokens,
+            signal
+        });
+
+        const { data } = parseJSONResponse(response);
+        const answers = Array.isArray(data) ? data : (data?.answers || []);
+        const transcriptText = normalizeText(transcript);
+        const proposals = [];
+
+        for (const answer of answers) {
+            const scale = scaleIds.includes(answer?.scaleId) ? ClinicalScalesDatabase[answer.scaleId] : null;
+            const question = scale?.questions.find(q => q.id === answer.questionId);
+            if (!question) continue;
+
+            // "3" → 3 when the options are numeric
+            let value = answer.value;
+            if (typeof value === 'string' && value.trim() !== '' &&
+                (question.type === 'slider' || typeof question.options[0]?.value === 'number')) {
+                value = Number(value);
+            }
+            if (!this.scales.validateResponses(scale.id, {[question.id]: value}).valid) {
+                console.warn(`⚠️ [ScaleExtractor] Discarded invalid LLM answer ${scale.id}.${question.id}=${JSON.stringify(answer.value)}`);
+                continue;
+            }
+
+            let confidence = Number(answer.confidence);
+            if (!Number.isFinite(confidence)) confidence = 0.5;
+            if (confidence > 1) confidence = confidence / 100;     // Percent → fraction
+            confidence = Math.max(0, Math.min(1, confidence));
+
+            const sourceQuote = typeof answer.sourceQuote === 'string'
+                ? answer.sourceQuote.trim().replace(/^["'“]|["'”]$/g, '')
+                : '';
+            const quoteVerified = sourceQuote.length > 0 && transcriptText.includes(normalizeText(sourceQuote));
+            if (!quoteVerified) {
+                confidence *= ScaleExtractor.DEFAULTS.UNVERIFIED_QUOTE_PENALTY;
+            }
+
+            proposals.push(this.createProposal(scale, question.id, value, {
+                sourceQuote,
+                confidence: Math.round(confidence * 100) / 100,
+                method: 'llm',
+                quoteVerified
+            }));
+        }
+
+        return proposals;
+    }
+
+    /**
+     * Build the LLM prompt
+     * @param {string} transcript - Clinical transcript
+     * @param {Array<string>} scaleIds - Scales to answer
+     * @returns {string} Prompt text
+     */
+    buildPrompt(transcript, scaleIds) {
+        const maxChars = ScaleExtractor.DEFAULTS.MAX_TRANSCRIPT_CHARS;
+        const source = transcript.length > maxChars
+            ? transcript.substring(0, maxChars)
+            : transcript;
+
+        const scales = scaleIds.map(scaleId => {
+            const scale = ClinicalScalesDatabase[scaleId];
+            const questions = scale.questions.map(question => {
+                const options = question.type === 'slider'
+                    ? `number ${question.min}-${question.max}`
+                    : question.options.map(option => `${JSON.stringify(option.value)} = ${option.label}`).join('; ');
+                return `- ${question.id}: ${question.text}\n  ${options}`;
+            });
+            return `[${scale.id}] ${scale.name}\n${questions.join('\n')}`;
+        });
+
+        return `You are a neurosurgical clinical scale assistant. Answer scale questions ONLY from facts explicitly stated in the transcript.
+
+**RULES:**
+1. Answer a question only when the transcript supports it - omit everything else, never guess
+2. "value" MUST be one of the listed option values for that question (numbers as numbers)
+3. "sourceQuote" MUST be copied VERBATIM from the transcript (3-25 words) - never paraphrase
+4. "confidence": 1.0 = stated explicitly, 0.7 = clearly described, 0.5 = implied
+5. Output ONLY the JSON object - no markdown, no commentary
+
+**SCALES:**
+${scales.join('\n\n')}
+
+**FORMAT:**
+{"answers": [{"scaleId": "mrs", "questionId": "grade", "value": 2, "sourceQuote": "...", "confidence": 0.9}]}
+
+**TRANSCRIPT:**
+${source}
+
+**JSON:**`;
+    }
+
+    /**
+     * Merge candidates to one proposal per question
+     * Agreeing keyword and LLM answers reinforce each other; disagreements keep
+     * the more confident answer and list the other as an alternative.
+     * @param {Array} candidates - Keyword and LLM proposals
+     * @returns {Array} Merged proposals
+     */
+    mergeProposals(candidates) {
+        const merged = new Map();
+
+        for (const candidate of candidates) {
+            const existing = merged.get(candidate.id);
+            if (!existing) {
+                merged.set(candidate.id, {...candidate, alternatives: []});
+                continue;
+            }
+
+            if (existing.value === candidate.value) {
+                const best = candidate.confidence > existing.confidence ? candidate : existing;
+                const methods = new Set([...existing.method.split('+'), candidate.method]);
+                merged.set(candidate.id, {
+                    ...existing,
+                    sourceQuote: best.sourceQuote,
+                    quoteVerified: best.quoteVerified,
+                    confidence: methods.size > 1
+                        ? Math.min(1, Math.round((Math.max(existing.confidence, candidate.confidence) + 0.1) * 100) / 100)
+                        : best.confidence,
+                    method: [...methods].sort().join('+')
+                });
+                continue;
+            }
+
+            const [winner, loser] = candidate.confidence > existing.confidence
+                ? [candidate, existing]
+                : [existing, candidate];
+            const alternatives = [
+                ...existing.alternatives.filter(alt => alt.value !== winner.value),
+                {value: loser.value, label: loser.label, sourceQuote: loser.sourceQuote, confidence: loser.confidence, method: loser.method}
+            ];
+            merged.set(candidate.id, {...winner, alternatives});
+        }
+
+        return [...merged.values()];
+    }
+
+    /**
+     * Create a proposal record
+     */
+    createProposal(scale, questionId, value, details) {
+        const question = scale.questions.find(q => q.id === questionId);
+        const option = question?.options.find(o => o.value === value);
+
+        return {
+            id: `${scale.id}.${questionId}`,
+            scaleId: scale.id,
+            scaleName: scale.shortName,
+            questionId,
+            question: question?.text || questionId,
+            value,
+            label: option?.label || (question?.type === 'slider' ? `${value}/${question.max}` : String(value)),
+            sourceQuote: details.sourceQuote || '',
+            confidence: details.confidence,
+            method: details.method,
+            keyword: details.keyword || null,
+            quoteVerified: details.quoteVerified ?? true,
+            status: PROPOSAL_STATES.PROPOSED,
+            confirmedValue: null
+        };
+    }
+
+    /**
+     * Verbatim quote around a match, clipped to MAX_QUOTE_CHARS
+     */
+    quoteAround(sentence, start, end) {
+        const maxChars = ScaleExtractor.DEFAULTS.MAX_QUOTE_CHARS;
+        if (sentence.length <= maxChars) return sentence;
+
+        const padding = Math.max(0, Math.floor((maxChars - (end - start)) / 2));
+        const from = Math.max(0, start - padding);
+        return sentence.substring(from, from + maxChars).trim();
+    }
+
+    /**
+     * ====================================================================
+     * CLINICIAN REVIEW
+     * ====================================================================
+     */
+
+    /**
+     * Confirm a proposal, optionally with a corrected value
+     * @throws {Error} If the corrected value is not valid for the question
+     */
+    confirm(proposalId, value = undefined) {
+        const proposal = this.requireProposal(proposalId);
+        const confirmedValue = value === undefined ? proposal.value : value;
+
+        const check = this.scales.validateResponses(proposal.scaleId, {[proposal.questionId]: confirmedValue});
+        if (!check.valid) {
+            throw new Error(`Invalid ${proposal.scaleName} answer - ${check.errors[0].message}`);
+        }
+
+        proposal.status = PROPOSAL_STATES.CONFIRMED;
+        proposal.confirmedValue = confirmedValue;
+        return {...proposal};
+    }
+
+    /**
+     * Reject a proposal (the question stays unanswered)
+     */
+    reject(proposalId) {
+        const proposal = this.requireProposal(proposalId);
+        proposal.status = PROPOSAL_STATES.REJECTED;
+        proposal.confirmedValue = null;
+        return {...proposal};
+    }
+
+    /**
+     * Confirm every pending proposal at or above a confidence
+     * @returns {number} Number of proposals confirmed
+     */
+    confirmAll(scaleId = null, minConfidence = 0) {
+        const pending = this.proposals.filter(p =>
+            p.status === PROPOSAL_STATES.PROPOSED &&
+            (!scaleId || p.scaleId === scaleId) &&
+            p.confidence >= minConfidence
+        );
+        pending.forEach(p => this.confirm(p.id));
+        return pending.length;
+    }
+
+    /**
+     * Confirmed answers for a scale as a {questionId: value} map
+     */
+    getConfirmedResponses(scaleId) {
+        const responses = {};
+        for (const proposal of this.proposals) {
+            if (proposal.scaleId === scaleId && proposal.status === PROPOSAL_STATES.CONFIRMED) {
+                responses[proposal.questionId] = proposal.confirmedValue;
+            }
+        }
+        return responses;
+    }
+
+    /**
+     * Write confirmed answers into an assessment and mark them committed
+     * Unconfirmed proposals never reach the assessment.
+     * @param {string} scaleId - Scale ID
+     * @param {ScaleAssessment} assessment - Session assessment for that scale
+     * @returns {ScaleAssessment} The updated assessment
+     */
+    commit(scaleId, assessment) {
+        if (assessment.scaleId !== scaleId) {
+            throw new Error(`Assessment is for ${assessment.scaleId}, not ${scaleId}`);
+        }
+
+        assessment.setResponses(this.getConfirmedResponses(scaleId));
+
+        for (const proposal of this.proposals) {
+            if (proposal.scaleId === scaleId && proposal.status === PROPOSAL_STATES.CONFIRMED) {
+                proposal.status = PROPOSAL_STATES.COMMITTED;
+            }
+        }
+
+        return assessment;
+    }
+
+    /**
+     * Proposals (copies), optionally for one scale
+     */
+    getProposals(scaleId = null) {
+        return this.proposals
+            .filter(p => !scaleId || p.scaleId === scaleId)
+            .map(p => ({...p, alternatives: [...(p.alternatives || [])]}));
+    }
+
+    /**
+     * Count proposals by status
+     */
+    getSummary() {
+        const summary = {total: this.proposals.length};
+        for (const status of Object.values(PROPOSAL_STATES)) {
+            summary[status] = this.proposals.filter(p => p.status === status).length;
+        }
+        return summary;
+    }
+
+    /**
+     * Discard all proposals
+     */
+    clear() {
+        this.proposals = [];
+    }
+
+    /**
+     * Look up a proposal or throw
+     */
+    requireProposal(proposalId) {
+        const proposal = this.proposals.find(p => p.id === proposalId);
+        if (!proposal) {
+            throw new Error(`Unknown scale proposal: ${proposalId}`);
+        }
+        return proposal;
+    }
+}
+
+export default ScaleExtractor;
@@ -0,0 +1,242 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Scale Formatter
+ * ========================================================================
+ *
+ * Renders scored clinical scales as note text: score, interpretation,
+ * severity band from the scale's ranges, component breakdown (e.g. GCS
+ * E/V/M) and evidence level.
+ *
+ * The output is inserted into generated notes verbatim - scale scores are
+ * clinician-entered data and never pass through the LLM. Assessments are
+ * re-scored from their responses with ClinicalScales.calculateScore(), so
+ * a stale stored result is never rendered. Scales without an
+ * interpretable score are left out.
+ *
+ * @author NeuroScribe Development Team
+ * @version 11.0.0
+ * @license MIT
+ */
+
+import { ClinicalScales } from './clinical-scales.js';
+
+const ROMAN = ['0', 'I', 'II', 'III', 'IV', 'V'];
+
+/**
+ * Question label for a component breakdown: its section, unless several
+ * questions share that section
+ */
+function componentLabel(scale, question) {
+    const shared = scale.questions.filter(q => q.section === question.section).length > 1;
+    return shared ? question.text : question.section;
+}
+
+/**
+ * Answered questions with the option chosen for each
+ */
+function answeredQuestions(scale, responses) {
+    return scale.questions
+        .filter(q => (responses[q.id] ?? null) !== null)
+        .map(q => ({
+            question: q,
+            value: responses[q.id],
+            option: (q.options || []).find(option => option.value === responses[q.id]) || null
+        }));
+}
+
+/**
+ * Chosen option per item, for classification scores whose points mean
+ * little without the finding behind them
+ */
+function optionComponents(result, responses, scale) {
+    return answeredQuestions(scale, responses).map(({question, value, option}) => {
+        // Modifier labels already carry their points, e.g. 'Present (+1)'
+        const points = option.label.includes('(') ? '' : ` (${value})`;
+        return `${componentLabel(scale, question)}: ${option.label}${points}`;
+    });
+}
+
+/**
+ * Scale-specific component breakdowns
+ * Each returns a list of component strings (empty for nothing to add).
+ */
+const COMPONENT_FORMATTERS = {
+    gcs: result => [`E${result.eye} V${result.verbal} M${result.motor}`],
+
+    vas_pain: result => [
+        result.current !== null ? `current ${result.current}/10` : null,
+        result.worst !== null ? `worst ${result.worst}/10` : null,
+        result.average !== null ? `average ${result.average}/10` : null
+    ].filter(Boolean),
+
+    hunt_hess: result => result.modifier
+        ? [`clinical grade ${ROMAN[result.baseGrade]} + 1 for serious systemic disease or vasospasm`]
+        : [],
+
+    wfns: (result, responses, scale) => {
+        const components = answeredQuestions(scale, responses).map(({question, option}) =>
+            question.id === 'gcs' ? option.label : `motor deficit ${option.label.toLowerCase()}`
+        );
+        return result.note ? [...components, result.note] : components;
+    },
+
+    nihss: (result, responses, scale) => {
+        const deficits = answeredQuestions(scale, responses)
+            .filter(({value}) => value > 0)
+            .map(({question, value}) => `${question.section} ${value}`);
+        return deficits.length > 0 ? deficits : ['no deficit on any item'];
+    },
+
+    asia: result => {
+        const components = [
+            `NLI ${result.neurologicalLevel}`,
+            `sensory level R ${result.sensoryLevel.right} / L ${result.sensoryLevel.left}`,
+            `motor level R ${result.motorLevel.right} / L ${result.motorLevel.left}`,
+            `UEMS ${result.motorScore.upper}/50, LEMS ${result.motorScore.lower}/50`,
+            `LT ${result.sensoryScore.lightTouch}/112, PP ${result.sensoryScore.pinPrick}/112`
+        ];
+        const zpp = result.zoneOfPartialPreservation;
+        if (zpp) {
+            components.push(`ZPP sensory R ${zpp.sensory.right} / L ${zpp.sensory.left}, motor R ${zpp.motor.right} / L ${zpp.motor.left}`);
+        }
+        return components;
+    },
+
+    tlics: optionComponents,
+    slic: optionComponents
+};
+
+/**
+ * ========================================================================
+ * SCALE FORMATTER
+ * ========================================================================
+ */
+
+export class ScaleFormatter {
+    /**
+     * Default configuration
+     */
+    static DEFAULTS = {
+        HEADING: '## OUTCOME MEASURES',
+        INCLUDE_COMPONENTS: true,
+        INCLUDE_EVIDENCE: true
+    };
+
+    /**
+     * Create a formatter
+     * @param {Object} options - Configuration options
+     * @param {string} options.heading - Section heading
+     * @param {boolean} options.includeComponents - Render component breakdowns
+     * @param {boolean} options.includeEvidence - Render each scale's evidence level
+     */
+    constructor(options = {}) {
+        this.heading = options.heading ?? ScaleFormatter.DEFAULTS.HEADING;
+        this.includeComponents = options.includeComponents ?? ScaleFormatter.DEFAULTS.INCLUDE_COMPONENTS;
+        this.includeEvidence = options.includeEvidence ?? ScaleFormatter.DEFAULTS.INCLUDE_EVIDENCE;
+        this.scales = new ClinicalScales();
+    }
+
+    /**
+     * Outcome Measures section for a set of assessments
+     * @param {Array|Object} assessments - Assessments (or toJSON()), or a {scaleId: assessment} map
+     * @returns {string} Section text ('' when no scale has an interpretable score)
+     */
+    formatSection(assessments) {
+        const list = Array.isArray(assessments) ? assessments : Object.values(assessments || {});
+        const blocks = list
+            .filter(Boolean)
+            .map(assessment => this.formatAssessment(assessment))
+            .filter(Boolean);
+
+        if (blocks.length === 0) return '';
+        return [this.heading, ...blocks].filter(Boolean).join('\n');
+    }
+
+    /**
+     * Text block for one assessment
+     * @param {ScaleAssessment|Object} assessment - Assessment or its toJSON()
+     * @returns {string|null} Block, or null when the score isn't interpretable
+     */
+    formatAssessment(assessment) {
+        const data = typeof assessment?.toJSON === 'function' ? assessment.toJSON() : assessment;
+        const scale = this.scales.getScale(data?.scaleId);
+        const responses = data?.responses || {};
+        const result = scale ? this.scales.calculateScore(scale.id, responses) : null;
+        if (!result || result.score === null) return null;
+
+        const interpretation = result.interpretation;
+        const description = interpretation.description ? `: ${interpretation.description}` : '';
+        const lines = [`- **${scale.shortName}:** ${this.formatScore(scale, result.score)} - ${interpretation.severity}${description}`];
+
+        if (!result.formComplete) {
+            const count = result.missing.length;
+            lines.push(`  - Not assessed: ${count} item${count === 1 ? '' : 's'}`);
+        }
+
+        const band = this.getSeverityBand(scale, result.score);
+        if (band) {
+            lines.push(`  - Severity band: ${band.severity} (${this.formatBandRange(scale, band)})`);
+        }
+
+        if (this.includeComponents) {
+            const components = this.formatComponents(scale, result, responses);
+            if (components.length > 0) {
+                lines.push(`  - Components: ${components.join('; ')}`);
+            }
+        }
+
+        if (this.includeEvidence && scale.evidenceLevel) {
+            lines.push(`  - Evidence: ${scale.evidenceLevel}`);
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Score with its scale, e.g. "14/15", "32%", "A"
+     */
+    formatScore(scale, score) {
+        if (typeof score !== 'number') return String(score);
+        if (scale.scoreField === 'percentage') return `${score}%`;
+        return `${score}/${scale.maxScore}`;
+    }
+
+    /**
+     * Range entry containing a score (grade ranges match by letter)
+     * @returns {Object|null} {min, max, severity} or {grade, severity}
+     */
+    getSeverityBand(scale, score) {
+        return (scale.ranges || []).find(range =>
+            range.grade !== undefined
+                ? range.grade === score
+                : score >= range.min && score <= range.max
+        ) || null;
+    }
+
+    /**
+     * Band bounds, e.g. "12-14", "4", "29-48%", "grade A"
+     */
+    formatBandRange(scale, band) {
+        if (band.grade !== undefined) return `grade ${band.grade}`;
+
+        const unit = scale.scoreField === 'percentage' ? '%' : '';
+        return band.min === band.max ? `${band.min}${unit}` : `${band.min}-${band.max}${unit}`;
+    }
+
+    /**
+     * Component breakdown: scale-specific where one exists, otherwise each
+     * answered item with its points; single-item scales have none
+     */
+    formatComponents(scale, result, responses) {
+        const formatter = COMPONENT_FORMATTERS[scale.id];
+        if (formatter) return formatter(result, responses, scale);
+        if (scale.questions.length < 2) return [];
+
+        return answeredQuestions(scale, responses).map(({question, value}) => {
+            const max = Math.max(...question.options.map(option => option.value));
+            return `${question.text} ${value}/${max}`;
+        });
+    }
+}
+
+export default ScaleFormatter;
@@ -0,0 +1,53 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Scale History Regression Tests
+ * ========================================================================
+ *
+ * Run with: node --test scale-history-test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ScaleHistory } from './scale-history.js';
+import { ScaleFormatter } from './scale-formatter.js';
+
+/**
+ * In-memory localStorage stand-in
+ */
+const memoryStorage = () => {
+    const items = new Map();
+    return {
+        getItem: key => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+};
+
+const PAIN = level => ({ scaleId: 'vas_pain', responses: { current_pain: level, worst_pain: level, average_pain: level } });
+
+test('the text summary shares the Outcome Measures heading and can omit it', () => {
+    const history = new ScaleHistory();
+    history.record('p1', PAIN(8), { date: '2026-01-05', visitLabel: 'Pre-op' });
+    history.record('p1', PAIN(3), { date: '2026-03-05' });
+
+    const [heading, trend] = history.summarize('p1').split('\n');
+    assert.equal(heading, ScaleFormatter.DEFAULTS.HEADING);
+    assert.match(trend, /^- \*\*VAS Pain trend:\*\* 8 \(Pre-op, 2026-01-05\) → 3 \(2026-03-05\): -5 points - improved/);
+    assert.equal(history.summarize('p1', { heading: false }), trend);
+});
+
+test('patients past the retention period are dropped on load, and history can be cleared', () => {
+    const storage = memoryStorage();
+    const history = new ScaleHistory({ storage });
+    history.record('old', PAIN(5), { date: '2024-01-01' });
+    history.record('recent', PAIN(5), { date: '2026-01-01' });
+    history.patients.old.entries[0].recordedAt = '2024-01-01T00:00:00.000Z';
+    history.save();
+
+    assert.deepEqual(Object.keys(new ScaleHistory({ storage }).patients), ['recent']);
+
+    history.clearAll();
+    assert.equal(storage.getItem(ScaleHistory.DEFAULTS.STORAGE_KEY), null);
+    assert.deepEqual(new ScaleHistory({ storage }).getEntries('recent'), []);
+});
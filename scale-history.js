@@ -0,0 +1,481 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Longitudinal Scale History
+ * ========================================================================
+ *
+ * Per-patient record of clinical scale scores across visits (pre-op,
+ * post-op, follow-up) with trends judged against each scale's minimal
+ * clinically important difference (MCID).
+ *
+ * Entries are re-scored from their responses with
+ * ClinicalScales.calculateScore() when recorded, so a stored history never
+ * depends on the session that produced it. Only interpretable scores are
+ * recorded.
+ *
+ * History is kept on this device only: a patient whose last entry is older
+ * than the retention period (default 365 days) is dropped on load, and
+ * clearPatient() / clearAll() remove history on request.
+ *
+ * The text summary uses ScaleFormatter's Outcome Measures heading, so a note
+ * has one Outcome Measures section whether scores, trends or both are shown.
+ *
+ * Trend status between two visits:
+ *     improved  → change ≥ MCID in the better direction
+ *     worsened  → change ≥ MCID in the worse direction
+ *     stable    → change below MCID
+ *     changed / unchanged → scale has no MCID (or a non-numeric grade)
+ *
+ * @author NeuroScribe Development Team
+ * @version 11.0.0
+ * @license MIT
+ */
+
+import { ClinicalScales } from './clinical-scales.js';
+import { ScaleFormatter } from './scale-formatter.js';
+
+/**
+ * Minimal clinically important differences
+ * threshold(baseline) returns the MCID in the scale's score units
+ */
+export const SCALE_MCID = {
+    mjoa: {
+        betterWhen: 'higher',
+        threshold: baseline => baseline >= 15 ? 1 : baseline >= 12 ? 2 : 3,
+        description: '1 / 2 / 3 points for mild / moderate / severe myelopathy',
+        reference: 'Tetreault L, et al. The minimum clinically important difference of the modified Japanese Orthopaedic Association scale in patients with degenerative cervical myelopathy. Spine. 2015;40:1653-1659.'
+    },
+    ndi: {
+        betterWhen: 'lower',
+        threshold: () => 7.5,
+        description: '7.5 percentage points',
+        reference: 'Carreon LY, et al. Neck Disability Index, short form-36 physical component summary, and pain scales for neck and arm pain: the minimum clinically important difference and substantial clinical benefit after cervical spine fusion. Spine J. 2010;10:469-474.'
+    },
+    odi: {
+        betterWhen: 'lower',
+        threshold: () => 12.8,
+        description: '12.8 percentage points',
+        reference: 'Copay AG, et al. Minimum clinically important difference in lumbar spine surgery patients: a choice of methods using the Oswestry Disability Index, Medical Outcomes Study questionnaire Short Form 36, and pain scales. Spine J. 2008;8:968-974.'
+    },
+    vas_pain: {
+        betterWhen: 'lower',
+        threshold: () => 2,
+        description: '2 points on the 0-10 scale',
+        reference: 'Ostelo RW, et al. Interpreting change scores for pain and functional status in low back pain: towards international consensus regarding minimal important change. Spine. 2008;33:90-94.'
+    },
+    mrs: {
+        betterWhen: 'lower',
+        threshold: () => 1,
+        description: 'one-grade shift',
+        reference: 'Banks JL, Marotta CA. Outcomes validity and reliability of the modified Rankin scale: implications for stroke clinical trials. Stroke. 2007;38:1091-1096.'
+    },
+    kps: {
+        betterWhen: 'higher',
+        threshold: () => 10,
+        description: 'one 10-point category',
+        reference: null
+    }
+};
+
+export const TREND_STATUS = {
+    IMPROVED: 'improved',
+    WORSENED: 'worsened',
+    STABLE: 'stable',
+    CHANGED: 'changed',
+    UNCHANGED: 'unchanged'
+};
+
+/**
+ * Escape text for HTML output
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Normalize a visit date to YYYY-MM-DD
+ * @throws {Error} If the date cannot be parsed
+ */
+function toVisitDate(date) {
+    const parsed = date ? new Date(date) : new Date();
+    if (Number.isNaN(parsed.getTime())) {
+        throw new Error(`Invalid visit date: ${date}`);
+    }
+    return parsed.toISOString().slice(0, 10);
+}
+
+/**
+ * Compare two recorded entries of the same scale
+ */
+function compareEntries(scaleId, from, to) {
+    const visit = entry => ({date: entry.date, visitLabel: entry.visitLabel, score: entry.score});
+
+    if (typeof from.score !== 'number' || typeof to.score !== 'number') {
+        return {
+            from: visit(from),
+            to: visit(to),
+            change: null,
+            threshold: null,
+            status: from.score === to.score ? TREND_STATUS.UNCHANGED : TREND_STATUS.CHANGED,
+            clinicallyImportant: null
+        };
+    }
+
+    const change = Math.round((to.score - from.score) * 10) / 10;
+    const mcid = SCALE_MCID[scaleId];
+
+    if (!mcid) {
+        return {
+            from: visit(from),
+            to: visit(to),
+            change,
+            threshold: null,
+            status: change === 0 ? TREND_STATUS.UNCHANGED : TREND_STATUS.CHANGED,
+            clinicallyImportant: null
+        };
+    }
+
+    const threshold = mcid.threshold(from.score);
+    const benefit = mcid.betterWhen === 'higher' ? change : -change;
+    let status = TREND_STATUS.STABLE;
+    if (Math.abs(change) >= threshold) {
+        status = benefit > 0 ? TREND_STATUS.IMPROVED : TREND_STATUS.WORSENED;
+    }
+
+    return {
+        from: visit(from),
+        to: visit(to),
+        change,
+        threshold,
+        status,
+        clinicallyImportant: status !== TREND_STATUS.STABLE
+    };
+}
+
+/**
+ * ========================================================================
+ * SCALE HISTORY
+ * ========================================================================
+ */
+
+export class ScaleHistory {
+    /**
+     * Default configuration
+     */
+    static DEFAULTS = {
+        STORAGE_KEY: 'neuroscribe_scale_history',
+        RETENTION_DAYS: 365
+    };
+
+    /**
+     * Create a history store
+     * @param {Object} options - Configuration options
+     * @param {Storage} options.storage - localStorage-compatible persistence (optional)
+     * @param {string} options.storageKey - Storage key
+     * @param {number} options.retentionDays - Days a patient's history is kept after their last entry
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || null;
+        this.storageKey = options.storageKey || ScaleHistory.DEFAULTS.STORAGE_KEY;
+        this.retentionDays = options.retentionDays ?? ScaleHistory.DEFAULTS.RETENTION_DAYS;
+        this.scales = new ClinicalScales();
+        this.patients = {};
+
+        this.load();
+    }
+
+    /**
+     * Load persisted history (a corrupt store starts empty)
+     * Patients past the retention period are dropped.
+     */
+    load() {
+        if (!this.storage) return;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey) || '{}');
+            this.patients = saved.patients || {};
+        } catch (error) {
+            console.warn('⚠️ [ScaleHistory] Stored history unreadable, starting empty:', error.message);
+            this.patients = {};
+        }
+
+        const expired = this.pruneExpired();
+        if (expired > 0) {
+            console.log(`🗑️ [ScaleHistory] ${expired} patient histories expired`);
+            this.save();
+        }
+    }
+
+    /**
+     * Drop patients whose last entry was recorded before the retention period
+     * @param {number} now - Current time in ms (default: Date.now())
+     * @returns {number} Number of patients dropped
+     */
+    pruneExpired(now = Date.now()) {
+        const cutoff = now - this.retentionDays * 24 * 60 * 60 * 1000;
+        let expired = 0;
+
+        for (const [patientId, patient] of Object.entries(this.patients)) {
+            const lastRecorded = Math.max(...(patient.entries || []).map(entry => new Date(entry.recordedAt).getTime() || 0), 0);
+            if (lastRecorded < cutoff) {
+                delete this.patients[patientId];
+                expired++;
+            }
+        }
+        return expired;
+    }
+
+    /**
+     * Persist history
+     */
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({
+                patients: this.patients,
+                savedAt: new Date().toISOString()
+            }));
+        } catch (error) {
+            console.error('❌ [ScaleHistory] Failed to save history:', error.message);
+        }
+    }
+
+    /**
+     * Record one scale assessment for a patient visit
+     * Re-recording a scale on the same date replaces the earlier entry.
+     * @param {string} patientId - Patient identifier
+     * @param {ScaleAssessment|Object} assessment - Assessment or its toJSON()
+     * @param {Object} visit - Visit details
+     * @param {string|Date} visit.date - Visit date (default: today)
+     * @param {string} visit.visitLabel - e.g. 'Pre-op', '6-week post-op'
+     * @returns {Object} The recorded entry
+     * @throws {Error} If the patient ID is missing or the score isn't interpretable
+     */
+    record(patientId, assessment, visit = {}) {
+        if (!patientId) {
+            throw new Error('Patient ID is required to record scale history');
+        }
+
+        const data = typeof assessment?.toJSON === 'function' ? assessment.toJSON() : assessment;
+        const result = this.scales.calculateScore(data?.scaleId, data?.responses || {});
+        if (!result) {
+            throw new Error(`Unknown clinical scale: ${data?.scaleId}`);
+        }
+        if (result.score === null) {
+            const scale = this.scales.getScale(data.scaleId);
+            throw new Error(`${scale.shortName} is incomplete - finish the assessment before recording it`);
+        }
+
+        const entry = {
+            scaleId: data.scaleId,
+            shortName: this.scales.getScale(data.scaleId).shortName,
+            date: toVisitDate(visit.date),
+            visitLabel: visit.visitLabel || null,
+            score: result.score,
+            severity: result.interpretation?.severity || null,
+            responses: {...data.responses},
+            recordedAt: new Date().toISOString()
+        };
+
+        const patient = this.patients[patientId] || (this.patients[patientId] = {entries: []});
+        patient.entries = patient.entries
+            .filter(e => !(e.scaleId === entry.scaleId && e.date === entry.date))
+            .concat(entry)
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        this.save();
+        console.log(`📈 [ScaleHistory] ${entry.shortName} ${entry.score} recorded for ${entry.date}`);
+        return {...entry};
+    }
+
+    /**
+     * Record every interpretable assessment of a visit
+     * @param {string} patientId - Patient identifier
+     * @param {Array|Object} assessments - Assessments, or a {scaleId: assessment} map
+     * @param {Object} visit - Visit details (see record())
+     * @returns {{recorded: Array, skipped: Array}} Entries recorded and scales skipped with reasons
+     */
+    recordVisit(patientId, assessments, visit = {}) {
+        const list = Array.isArray(assessments) ? assessments : Object.values(assessments || {});
+        const recorded = [];
+        const skipped = [];
+
+        for (const assessment of list.filter(Boolean)) {
+            try {
+                recorded.push(this.record(patientId, assessment, visit));
+            } catch (error) {
+                skipped.push({scaleId: assessment.scaleId, reason: error.message});
+            }
+        }
+
+        return {recorded, skipped};
+    }
+
+    /**
+     * Recorded entries (copies), oldest first
+     */
+    getEntries(patientId, scaleId = null) {
+        return (this.patients[patientId]?.entries || [])
+            .filter(entry => !scaleId || entry.scaleId === scaleId)
+            .map(entry => ({...entry, responses: {...entry.responses}}));
+    }
+
+    /**
+     * Trend for one scale: visit-to-visit changes and baseline → latest
+     * @returns {Object|null} Trend, or null when the scale has no entries
+     */
+    getTrend(patientId, scaleId) {
+        const entries = this.getEntries(patientId, scaleId);
+        if (entries.length === 0) return null;
+
+        const mcid = SCALE_MCID[scaleId];
+        const changes = entries.slice(1).map((entry, index) => compareEntries(scaleId, entries[index], entry));
+
+        return {
+            scaleId,
+            shortName: entries[0].shortName,
+            unit: this.scales.getScale(scaleId)?.scoreField === 'percentage' ? '%' : '',
+            mcid: mcid
+                ? {value: mcid.threshold(entries[0].score), betterWhen: mcid.betterWhen, description: mcid.description, reference: mcid.reference}
+                : null,
+            entries,
+            changes,
+            overall: entries.length > 1 ? compareEntries(scaleId, entries[0], entries[entries.length - 1]) : null
+        };
+    }
+
+    /**
+     * Trends for every recorded scale of a patient
+     */
+    getTrends(patientId, scaleIds = null) {
+        const recorded = [...new Set(this.getEntries(patientId).map(entry => entry.scaleId))];
+        return (scaleIds || recorded)
+            .map(scaleId => this.getTrend(patientId, scaleId))
+            .filter(Boolean);
+    }
+
+    /**
+     * Outcomes summary for insertion into a follow-up note
+     * @param {string} patientId - Patient identifier
+     * @param {Object} options - Summary options
+     * @param {Array<string>} options.scaleIds - Scales to include (default: all recorded)
+     * @param {string} options.format - 'text' | 'html'
+     * @param {boolean} options.heading - Start the text summary with the Outcome Measures heading (default: true)
+     * @returns {string} Summary ('' when nothing is recorded)
+     */
+    summarize(patientId, options = {}) {
+        const trends = this.getTrends(patientId, options.scaleIds || null);
+        if (trends.length === 0) return '';
+
+        return options.format === 'html'
+            ? this.formatHTML(trends)
+            : this.formatText(trends, options.heading ?? true);
+    }
+
+    /**
+     * Plain-text outcomes summary
+     * @param {boolean} heading - Start with the Outcome Measures heading
+     */
+    formatText(trends, heading = true) {
+        const lines = heading ? [ScaleFormatter.DEFAULTS.HEADING] : [];
+
+        for (const trend of trends) {
+            const baseline = trend.entries[0];
+            const latest = trend.entries[trend.entries.length - 1];
+            const score = entry => `${entry.score}${trend.unit} (${[entry.visitLabel, entry.date].filter(Boolean).join(', ')})`;
+
+            if (!trend.overall) {
+                lines.push(`- **${trend.shortName} trend:** ${score(baseline)} - baseline only`);
+                continue;
+            }
+
+            lines.push(`- **${trend.shortName} trend:** ${score(baseline)} → ${score(latest)}: ${this.describeChange(trend, trend.overall)}`);
+            if (trend.entries.length > 2) {
+                lines.push(`  Series: ${trend.entries.map(entry => `${entry.score}${trend.unit}`).join(' → ')}`);
+            }
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * HTML outcomes summary (table)
+     */
+    formatHTML(trends) {
+        const rows = trends.map(trend => {
+            const baseline = trend.entries[0];
+            const latest = trend.entries[trend.entries.length - 1];
+            const cell = entry => `${escapeHtml(`${entry.score}${trend.unit}`)}<br><small>${escapeHtml([entry.visitLabel, entry.date].filter(Boolean).join(', '))}</small>`;
+            const status = trend.overall?.status || 'baseline';
+
+            return `<tr class="outcome-${escapeHtml(status)}">` +
+                `<td>${escapeHtml(trend.shortName)}</td>` +
+                `<td>${cell(baseline)}</td>` +
+                `<td>${trend.overall ? cell(latest) : '&mdash;'}</td>` +
+                `<td>${escapeHtml(trend.overall ? this.describeChange(trend, trend.overall) : 'Baseline only')}</td>` +
+                '</tr>';
+        });
+
+        return '<section class="outcomes-summary">' +
+            '<h3>Outcome Measures</h3>' +
+            '<table><thead><tr><th>Scale</th><th>Baseline</th><th>Latest</th><th>Change</th></tr></thead>' +
+            `<tbody>${rows.join('')}</tbody></table>` +
+            '</section>';
+    }
+
+    /**
+     * Describe a change, e.g. "+4 points - improved (MCID 3)"
+     */
+    describeChange(trend, comparison) {
+        if (comparison.change === null) {
+            return `${comparison.from.score} → ${comparison.to.score} - ${comparison.status}`;
+        }
+
+        const sign = comparison.change > 0 ? '+' : '';
+        const units = `${trend.unit === '%' ? 'percentage ' : ''}point${Math.abs(comparison.change) === 1 ? '' : 's'}`;
+        const mcid = comparison.threshold !== null ? ` (MCID ${comparison.threshold})` : '';
+        return `${sign}${comparison.change} ${units} - ${comparison.status}${mcid}`;
+    }
+
+    /**
+     * Remove one entry
+     * @returns {boolean} Whether an entry was removed
+     */
+    removeEntry(patientId, scaleId, date) {
+        const patient = this.patients[patientId];
+        if (!patient) return false;
+
+        const visitDate = toVisitDate(date);
+        const before = patient.entries.length;
+        patient.entries = patient.entries.filter(e => !(e.scaleId === scaleId && e.date === visitDate));
+
+        if (patient.entries.length === before) return false;
+        this.save();
+        return true;
+    }
+
+    /**
+     * Remove a patient's whole history
+     */
+    clearPatient(patientId) {
+        delete this.patients[patientId];
+        this.save();
+    }
+
+    /**
+     * Remove every patient's history
+     */
+    clearAll() {
+        this.patients = {};
+        if (this.storage) {
+            this.storage.removeItem(this.storageKey);
+        }
+    }
+}
+
+export default ScaleHistory;
@@ -0,0 +1,91 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Streaming Generation Regression Tests
+ * ========================================================================
+ *
+ * Run with: node --test streaming-test.js
+ */
+
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GeminiClient } from './api-client.js';
+import { MockLLMClient } from './mock-llm-client.js';
+
+const realFetch = globalThis.fetch;
+afterEach(() => {
+    globalThis.fetch = realFetch;
+});
+
+const event = text => `data: ${JSON.stringify({ candidates: [{ content: { parts: [{ text }] } }] })}\n\n`;
+
+/**
+ * fetch stand-in serving SSE events; with hold, the stream stays open
+ * after the events until the request is aborted
+ */
+const serveEvents = (events, { hold = false } = {}) => {
+    const requests = [];
+    globalThis.fetch = async (url, init) => {
+        requests.push(url);
+        const encoder = new TextEncoder();
+        const body = new ReadableStream({
+            start(controller) {
+                events.forEach(text => controller.enqueue(encoder.encode(event(text))));
+                if (!hold) controller.close();
+                init.signal.addEventListener('abort', () => {
+                    controller.error(new DOMException('The operation was aborted.', 'AbortError'));
+                });
+            }
+        });
+        return new Response(body, { status: 200 });
+    };
+    return requests;
+};
+
+test('chunks are delivered as they arrive with the running text', async () => {
+    serveEvents(['## HPI\n', 'Neck pain.', '\n## PLAN\nACDF.']);
+    const client = new GeminiClient('AIzaTestKey');
+
+    const seen = [];
+    const text = await client.generateContentStream('Write a note', {
+        onChunk: (chunk, fullText) => seen.push([chunk, fullText])
+    });
+
+    assert.equal(text, '## HPI\nNeck pain.\n## PLAN\nACDF.');
+    assert.deepEqual(seen.map(([chunk]) => chunk), ['## HPI\n', 'Neck pain.', '\n## PLAN\nACDF.']);
+    assert.equal(seen.at(-1)[1], text);
+});
+
+test('aborting mid-stream cancels without retrying', async () => {
+    const requests = serveEvents(['## HPI\n'], { hold: true });
+    const client = new GeminiClient('AIzaTestKey');
+    const controller = new AbortController();
+
+    const chunks = [];
+    await assert.rejects(async () => {
+        for await (const chunk of client.streamContent('Write a note', { signal: controller.signal })) {
+            chunks.push(chunk);
+            controller.abort();
+        }
+    }, { message: 'Request cancelled' });
+
+    assert.deepEqual(chunks, ['## HPI\n']);
+    assert.equal(requests.length, 1);
+});
+
+test('the mock client streams line by line and honours the signal', async () => {
+    const client = new MockLLMClient(null, { defaultResponse: 'line one\nline two\nline three' });
+    const streamed = [];
+    for await (const chunk of client.streamContent('Write a note')) streamed.push(chunk);
+    assert.deepEqual(streamed, ['line one\n', 'line two\n', 'line three']);
+
+    const controller = new AbortController();
+    const chunks = [];
+    await assert.rejects(async () => {
+        for await (const chunk of client.streamContent('Write a note', { signal: controller.signal })) {
+            chunks.push(chunk);
+            controller.abort();
+        }
+    }, { message: 'Request cancelled' });
+    assert.deepEqual(chunks, ['line one\n']);
+});
@@ -0,0 +1,251 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Term Policy
+ * ========================================================================
+ *
+ * Post-generation guard against terms the LLM commonly fabricates
+ * (psychiatric labels, medications). Replaces the hard-coded blacklist:
+ *
+ * - Synonym groups: "anticoagulation" in the source supports
+ *   "anticoagulants" in the note
+ * - Brand/generic mapping: "Eliquis" supports "apixaban", and any member
+ *   drug supports its class ("on Eliquis" supports "anticoagulated")
+ * - Negation (negation.js): a note mention must match the polarity of a
+ *   source mention - "no anticoagulation" supports "not on anticoagulants"
+ *   but not "on anticoagulants"
+ * - Modes: 'flag' (default) keeps the offending sentence and reports it,
+ *   'remove' deletes it
+ *
+ * Every action is returned in a structured report for the review tab,
+ * located by note section and line.
+ *
+ * @author NeuroScribe Development Team
+ * @version 11.0.0
+ * @license MIT
+ */
+
+import { findTermMentions, MEDICATION_NEGATION_CUES } from './negation.js';
+import { segmentSentences } from './clinical-text.js';
+import { NoteSectionParser } from './note-sections.js';
+
+export const TERM_POLICY_MODES = {
+    REMOVE: 'remove',
+    FLAG: 'flag'
+};
+
+/**
+ * ========================================================================
+ * TERM GROUPS
+ * ========================================================================
+ *
+ * {id, label, category, terms, brands?, memberOf?}
+ * memberOf names a class group the member supports (a drug in its class).
+ */
+
+export const TERM_GROUPS = [
+    // Psychiatric terms
+    { id: 'suicidality', label: 'Suicidality', category: 'psychiatric', terms: ['suicidal ideation', 'suicidal thoughts', 'suicidal', 'suicide'] },
+    { id: 'depression', label: 'Depression', category: 'psychiatric', terms: ['depression', 'depressive', 'depressed'] },
+    { id: 'mental_health', label: 'Mental health concerns', category: 'psychiatric', terms: ['mental health concerns', 'mental health', 'psychiatric symptoms', 'psychological distress'] },
+    { id: 'anxiety_disorder', label: 'Anxiety disorder', category: 'psychiatric', terms: ['anxiety disorder'] },
+    { id: 'psychosis', label: 'Psychosis', category: 'psychiatric', terms: ['psychosis', 'psychotic'] },
+    { id: 'mood_disorder', label: 'Mood disorder', category: 'psychiatric', terms: ['mood disorder'] },
+    { id: 'bipolar', label: 'Bipolar disorder', category: 'psychiatric', terms: ['bipolar'] },
+    { id: 'schizophrenia', label: 'Schizophrenia', category: 'psychiatric', terms: ['schizophrenia'] },
+    { id: 'substance_abuse', label: 'Substance abuse', category: 'psychiatric', terms: ['substance abuse', 'substance use disorder'] },
+    { id: 'drug_seeking', label: 'Drug-seeking behaviour', category: 'psychiatric', terms: ['drug-seeking', 'drug seeking'] },
+    { id: 'opioid_dependency', label: 'Opioid dependency', category: 'psychiatric', terms: ['opioid dependency', 'opioid dependence', 'opioid use disorder'] },
+
+    // Medication classes
+    { id: 'beta_blocker', label: 'Beta-blockers', category: 'medication', terms: ['beta-blocker', 'beta blocker'] },
+    { id: 'anticoagulation', label: 'Anticoagulation', category: 'medication', terms: ['anticoagulation', 'anticoagulant', 'anticoagulated', 'blood thinner'] },
+    { id: 'antiplatelet', label: 'Antiplatelets', category: 'medication', terms: ['antiplatelet'] },
+    { id: 'ace_inhibitor', label: 'ACE inhibitors', category: 'medication', terms: ['ace inhibitor'] },
+    { id: 'antidiabetic', label: 'Diabetes medication', category: 'medication', terms: ['antidiabetic', 'hypoglycemic agent'] },
+    { id: 'antidepressant', label: 'Antidepressants', category: 'medication', terms: ['antidepressant'] },
+
+    // Medications (generic names with brands)
+    { id: 'propranolol', label: 'Propranolol', category: 'medication', terms: ['propranolol'], brands: ['inderal'], memberOf: 'beta_blocker' },
+    { id: 'warfarin', label: 'Warfarin', category: 'medication', terms: ['warfarin'], brands: ['coumadin', 'jantoven'], memberOf: 'anticoagulation' },
+    { id: 'apixaban', label: 'Apixaban', category: 'medication', terms: ['apixaban'], brands: ['eliquis'], memberOf: 'anticoagulation' },
+    { id: 'rivaroxaban', label: 'Rivaroxaban', category: 'medication', terms: ['rivaroxaban'], brands: ['xarelto'], memberOf: 'anticoagulation' },
+    { id: 'clopidogrel', label: 'Clopidogrel', category: 'medication', terms: ['clopidogrel'], brands: ['plavix'], memberOf: 'antiplatelet' },
+    { id: 'lisinopril', label: 'Lisinopril', category: 'medication', terms: ['lisinopril'], brands: ['zestril', 'prinivil'], memberOf: 'ace_inhibitor' },
+    { id: 'metformin', label: 'Metformin', category: 'medication', terms: ['metformin'], brands: ['glucophage'], memberOf: 'antidiabetic' },
+    { id: 'insulin', label: 'Insulin', category: 'medication', terms: ['insulin'], brands: ['lantus', 'humalog', 'novolog'], memberOf: 'antidiabetic' },
+    { id: 'sertraline', label: 'Sertraline', category: 'medication', terms: ['sertraline'], brands: ['zoloft'], memberOf: 'antidepressant' }
+];
+
+/**
+ * Leading list marker or bold label kept when a line's sentences are removed
+ */
+const LINE_PREFIX = /^(\s*(?:[-*•]|\d+[.)])\s+)?(\*\*[^*]+:\*\*\s*)?/;
+
+/**
+ * ========================================================================
+ * TERM POLICY
+ * ========================================================================
+ */
+
+export class TermPolicy {
+    /**
+     * Default configuration
+     */
+    static DEFAULTS = {
+        MODE: TERM_POLICY_MODES.FLAG
+    };
+
+    /**
+     * Create a policy
+     * @param {Object} options - Configuration options
+     * @param {string} options.mode - 'remove' or 'flag'
+     * @param {Array} options.groups - Term groups (default TERM_GROUPS)
+     * @param {Array<string>} options.negationCues - Negation cues (default: MEDICATION_NEGATION_CUES)
+     * @param {NoteSectionParser} options.noteParser - Locates entries by note section
+     */
+    constructor(options = {}) {
+        this.mode = options.mode || TermPolicy.DEFAULTS.MODE;
+        this.groups = [...(options.groups || TERM_GROUPS)];
+        this.negationCues = options.negationCues || MEDICATION_NEGATION_CUES;
+        this.noteParser = options.noteParser || new NoteSectionParser();
+    }
+
+    /**
+     * Add (or replace) a term group
+     * @throws {Error} If the group has no id or terms
+     */
+    registerGroup(group) {
+        if (!group?.id || !Array.isArray(group.terms) || group.terms.length === 0) {
+            throw new Error('Term group requires an id and at least one term');
+        }
+
+        this.groups = [
+            ...this.groups.filter(existing => existing.id !== group.id),
+            { category: 'custom', label: group.id, ...group }
+        ];
+    }
+
+    /**
+     * Names of a group: terms and brand names
+     */
+    getGroupTerms(group) {
+        return [...group.terms, ...(group.brands || [])];
+    }
+
+    /**
+     * Source terms that support a group: its own names and those of its members
+     */
+    getSupportingTerms(group) {
+        const members = this.groups.filter(member => member.memberOf === group.id);
+        return [group, ...members].flatMap(entry => this.getGroupTerms(entry));
+    }
+
+    /**
+     * Apply the policy to a generated note
+     * @param {string} generatedText - Generated note
+     * @param {string} sourceText - Transcript or SOAP notes
+     * @param {Object} options - {mode} overriding the policy's mode
+     * @returns {{text, mode, entries, removed, flagged}} Filtered text and
+     *          report entries: {id, group, label, category, term, reason,
+     *          action, sentence, line, section, sectionTitle, message}
+     */
+    apply(generatedText, sourceText, options = {}) {
+        const mode = options.mode || this.mode;
+        if (!Object.values(TERM_POLICY_MODES).includes(mode)) {
+            throw new Error(`Unknown term policy mode: ${mode}`);
+        }
+
+        const negation = { cues: this.negationCues };
+        const lines = generatedText.split('\n');
+        const sentences = segmentSentences(generatedText); // Headings are not segmented
+        const noteStructure = this.noteParser.parse(generatedText);
+
+        const entries = [];
+
+        this.groups.forEach(group => {
+            const noteMentions = this.withoutOverlaps(findTermMentions(generatedText, this.getGroupTerms(group), negation));
+            if (noteMentions.length === 0) return;
+
+            const sourceMentions = findTermMentions(sourceText || '', this.getSupportingTerms(group), negation);
+
+            noteMentions.forEach(mention => {
+                const sentence = sentences.find(span => mention.index >= span.start && mention.index < span.end);
+                if (!sentence) return; // Headings and labels are never filtered
+
+                if (sourceMentions.some(source => source.negated === mention.negated)) return;
+
+                const reason = sourceMentions.length === 0 ? 'unsupported' : 'negation_mismatch';
+                const polarity = negated => negated ? 'negated' : 'affirmed';
+                const { section, sectionTitle } = this.noteParser.locate(noteStructure, sentence.start);
+
+                entries.push({
+                    group: group.id,
+                    label: group.label,
+                    category: group.category,
+                    term: mention.term,
+                    reason,
+                    action: mode === TERM_POLICY_MODES.REMOVE ? 'removed' : 'flagged',
+                    sentence: sentence.text.trim(),
+                    line: sentence.line + 1,
+                    section,
+                    sectionTitle,
+                    start: sentence.start,
+                    message: reason === 'unsupported'
+                        ? `"${mention.term}" (${group.label}) is not in the source`
+                        : `"${mention.term}" is ${polarity(mention.negated)} in the note but only ${polarity(!mention.negated)} in the source`
+                });
+            });
+        });
+
+        entries.sort((a, b) => a.start - b.start);
+
+        const text = mode === TERM_POLICY_MODES.REMOVE
+            ? this.removeSentences(lines, sentences, new Set(entries.map(entry => entry.start)))
+            : generatedText;
+
+        return {
+            text,
+            mode,
+            entries: entries.map(({ start, ...entry }, index) => ({ id: `term-${index + 1}`, ...entry })),
+            removed: entries.filter(entry => entry.action === 'removed').length,
+            flagged: entries.filter(entry => entry.action === 'flagged').length
+        };
+    }
+
+    /**
+     * Drop mentions inside a longer mention ("suicidal" in "suicidal ideation")
+     */
+    withoutOverlaps(mentions) {
+        const kept = [];
+        [...mentions]
+            .sort((a, b) => a.index - b.index || b.term.length - a.term.length)
+            .forEach(mention => {
+                const last = kept[kept.length - 1];
+                if (!last || mention.index >= last.index + last.term.length) {
+                    kept.push(mention);
+                }
+            });
+        return kept;
+    }
+
+    /**
+     * Rebuild the note without the sentences starting at the given offsets
+     * Lines left with only a list marker are dropped; bold labels are kept.
+     */
+    removeSentences(lines, sentences, removedStarts) {
+        if (removedStarts.size === 0) return lines.join('\n');
+
+        return lines.flatMap((line, lineIndex) => {
+            const lineSentences = sentences.filter(span => span.line === lineIndex);
+            if (!lineSentences.some(span => removedStarts.has(span.start))) return [line];
+
+            const [prefix, marker = '', label = ''] = line.match(LINE_PREFIX);
+            const kept = lineSentences.filter(span => !removedStarts.has(span.start)).map(span => span.text.trim());
+
+            if (kept.length > 0) return [`${prefix}${kept.join(' ')}`];
+            return label ? [`${marker}${label}`.trimEnd()] : [];
+        }).join('\n');
+    }
+}
+
+export default TermPolicy;
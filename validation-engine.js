@@ -1,7 +1,7 @@
 /**
  * NeuroScribe V11 - Validation Engine
  *
- * Production-ready 6-layer validation system for clinical documentation
+ * Production-ready 7-layer validation system for clinical documentation
  * Extracted from V10.2.4 monolith - 3,655 lines of validation code
  *
  * ARCHITECTURE:
@@ -19,15 +19,26 @@
  * 4. ConsistencyValidator - Medical logic & anatomical consistency
  * 5. ProportionalityValidator - Output sizing & padding detection
  * 6. ConfidenceCalibrator - Score adjustment based on validation
+ * 7. MedicationReconciler - Note medications diffed against the source
  *
  * ORCHESTRATOR:
  * - ValidationEngine - Master coordinator that runs all layers
+ * - Per-layer progress events (onProgress) and AbortSignal cancellation
  *
  * @version 11.0.0
  * @author NeuroScribe Team
  * @license Proprietary
  */
 
+import { validateExtractedData } from './extraction-schema.js';
+import { MedicationLexicon } from './medication-lexicon.js';
+import { AntithromboticSafetyCheck } from './antithrombotic-safety.js';
+import { ProvenanceAligner } from './provenance.js';
+import { segmentSentences, tokenize, countWords, normalizeText, containsPhrase, findMentionedTerms } from './clinical-text.js';
+import { AbbreviationDictionary } from './abbreviations.js';
+import { QuoteMatcher } from './quote-matcher.js';
+import { NoteSectionParser } from './note-sections.js';
+
 // ==================================================================================
 // VALIDATION CONSTANTS
 // ==================================================================================
@@ -43,6 +54,40 @@ const VALIDATION_CONSTANTS = {
     OVERALL_PASS_THRESHOLD: 75      // Overall quality score to pass (%)
 };
 
+// Layers run per phase (progress events report index/total across a run)
+const EXTRACTION_LAYERS = ['schema', 'grounding', 'completeness', 'consistency', 'confidence'];
+const GENERATION_LAYERS = ['fabrication', 'proportionality', 'medication'];
+
+const VALIDATION_CANCELLED = 'Validation cancelled';
+
+/**
+ * Stable issue id: same layer, type and anchor text give the same id across runs,
+ * so clinician decisions survive re-validation of an unchanged note
+ */
+function createIssueId(layer, type, anchor) {
+    let hash = 0x811c9dc5; // FNV-1a
+    const text = `${layer}|${type}|${anchor}`;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return `${layer}-${(hash >>> 0).toString(36)}`;
+}
+
+/**
+ * Text with the given [start, end) ranges blanked out
+ * Line breaks are kept and every other character becomes a space, so
+ * offsets and line numbers still match the original text.
+ */
+function blankRanges(text, ranges = []) {
+    return ranges.reduce((result, { start, end }) => {
+        const from = Math.max(0, start);
+        const to = Math.min(result.length, end);
+        if (!(to > from)) return result;
+        return result.slice(0, from) + result.slice(from, to).replace(/[^\n]/g, ' ') + result.slice(to);
+    }, text);
+}
+
 // ==================================================================================
 // LAYER 1: GROUNDING VALIDATOR
 // ==================================================================================
@@ -51,8 +96,17 @@ const VALIDATION_CONSTANTS = {
 // ==================================================================================
 
 class GroundingValidator {
-    constructor(sourceText) {
+    /**
+     * @param {string} sourceText - Transcript the quotes must come from
+     * @param {Object} options - {abbreviations, quoteMatching: {minSimilarity, tokenSimilarity}}
+     */
+    constructor(sourceText, options = {}) {
         this.sourceText = sourceText;
+        this.quoteMatcher = new QuoteMatcher({
+            ...options.quoteMatching,
+            abbreviations: options.abbreviations || new AbbreviationDictionary()
+        });
+        this.quoteMatches = new Map();
         this.lastValidation = null;
     }
 
@@ -192,6 +246,7 @@ class GroundingValidator {
                     sourceQuote: value.sourceQuote,
                     confidence: value.confidence,
                     quoteExists: false,
+                    quoteMatch: null,
                     quoteQuality: 'NONE',
                     wordCount: 0,
                     deduced: value.deductionMetadata?.deduced || false,
@@ -202,8 +257,10 @@ class GroundingValidator {
                 if (value.sourceQuote && value.sourceQuote.trim().length > 0) {
                     analysis.groundedFields++;
 
-                    validation.quoteExists = this.quoteExistsInText(value.sourceQuote);
-                    validation.wordCount = value.sourceQuote.split(/\s+/).length;
+                    const { found, similarity, method, start, end } = this.locateQuote(value.sourceQuote);
+                    validation.quoteExists = found;
+                    validation.quoteMatch = { similarity, method, start, end };
+                    validation.wordCount = countWords(value.sourceQuote);
                     validation.quoteQuality = this.assessQuoteQuality(
                         value.sourceQuote,
                         value.value
@@ -224,9 +281,14 @@ class GroundingValidator {
 
                 fieldValidations.push(validation);
 
-            } else if (typeof value === 'object' && !Array.isArray(value)) {
-                // Recurse into nested objects
-                const nestedAnalysis = this.analyzeGrounding(value, currentPath, fieldValidations);
+            } else if (typeof value === 'object') {
+                // Recurse into nested objects and list sections (symptoms[0], medications[1], ...)
+                const nestedData = Array.isArray(value)
+                    ? Object.fromEntries(value.map((item, index) => [`${key}[${index}]`, item]))
+                    : value;
+                const nestedPath = Array.isArray(value) ? path : currentPath;
+
+                const nestedAnalysis = this.analyzeGrounding(nestedData, nestedPath, fieldValidations);
                 analysis.totalFields += nestedAnalysis.totalFields;
                 analysis.groundedFields += nestedAnalysis.groundedFields;
                 analysis.orphanedFields.push(...nestedAnalysis.orphanedFields);
@@ -258,9 +320,7 @@ class GroundingValidator {
                         hasValidField = true;
                         return;
                     }
-                    if (!Array.isArray(value)) {
-                        traverse(value, depth + 1);
-                    }
+                    traverse(value, depth + 1);
                 }
             }
         };
@@ -290,14 +350,27 @@ class GroundingValidator {
 
     /**
      * Check if sourceQuote exists in original text
+     * Whitespace, punctuation, abbreviation ("subarachnoid hemorrhage" for
+     * "SAH") and near-miss word differences are tolerated up to the
+     * matcher's similarity threshold.
      */
     quoteExistsInText(sourceQuote) {
-        if (!sourceQuote || !this.sourceText) {
-            return false;
+        return this.locateQuote(sourceQuote).found;
+    }
+
+    /**
+     * Best match of a sourceQuote in the original text (cached per source)
+     * @returns {{found, similarity, method, start, end, text}} QuoteMatcher result
+     */
+    locateQuote(sourceQuote) {
+        if (this.quoteMatches.source !== this.sourceText) {
+            this.quoteMatches = new Map();
+            this.quoteMatches.source = this.sourceText;
+        }
+        if (!this.quoteMatches.has(sourceQuote)) {
+            this.quoteMatches.set(sourceQuote, this.quoteMatcher.match(sourceQuote, this.sourceText));
         }
-        const normalizedQuote = sourceQuote.trim().toLowerCase().replace(/\s+/g, ' ');
-        const normalizedText = this.sourceText.toLowerCase().replace(/\s+/g, ' ');
-        return normalizedText.includes(normalizedQuote);
+        return this.quoteMatches.get(sourceQuote);
     }
 
     /**
@@ -308,13 +381,13 @@ class GroundingValidator {
             return 'NONE';
         }
 
-        const wordCount = sourceQuote.split(/\s+/).length;
-        const exists = this.quoteExistsInText(sourceQuote);
+        const wordCount = countWords(sourceQuote);
+        const match = this.locateQuote(sourceQuote);
 
         let score = 0;
 
-        // Factor 1: Quote exists in text
-        if (exists) score += 40;
+        // Factor 1: Quote exists in text (approximate matches weighted by similarity)
+        if (match.found) score += 40 * match.similarity;
 
         // Factor 2: Quote length (3-10 words ideal)
         if (wordCount >= 3 && wordCount <= 10) {
@@ -346,8 +419,8 @@ class GroundingValidator {
 
         if (quoteLower.includes(valueLower)) return 1.0;
 
-        const valueTerms = valueLower.split(/\s+/).filter(t => t.length > 3);
-        const quoteTerms = quoteLower.split(/\s+/);
+        const valueTerms = tokenize(valueLower, { stopwords: true, minLength: 4 });
+        const quoteTerms = tokenize(quoteLower);
 
         if (valueTerms.length === 0) return 0.5;
 
@@ -368,15 +441,33 @@ class GroundingValidator {
         fieldValidations.forEach(field => {
             // Error: SourceQuote doesn't exist in text
             if (field.sourceQuote && !field.quoteExists) {
+                const closest = field.quoteMatch?.similarity > 0
+                    ? ` (closest match ${Math.round(field.quoteMatch.similarity * 100)}% similar)`
+                    : '';
                 errors.push({
                     type: 'quote_not_found',
                     field: field.path,
                     sourceQuote: field.sourceQuote,
-                    message: `SourceQuote not found: "${field.sourceQuote.substring(0, 50)}..."`,
+                    similarity: field.quoteMatch?.similarity ?? 0,
+                    message: `SourceQuote not found: "${field.sourceQuote.substring(0, 50)}..."${closest}`,
                     severity: 'CRITICAL'
                 });
             }
 
+            // Warning: SourceQuote found only approximately - grounded, but
+            // the clinician should see what the source actually says
+            if (field.quoteExists && field.quoteMatch?.method === 'fuzzy') {
+                const sourceSpan = this.sourceText.slice(field.quoteMatch.start, field.quoteMatch.end);
+                warnings.push({
+                    type: 'quote_approximate',
+                    field: field.path,
+                    sourceQuote: field.sourceQuote,
+                    sourceSpan,
+                    similarity: field.quoteMatch.similarity,
+                    message: `SourceQuote matches the source only approximately (${Math.round(field.quoteMatch.similarity * 100)}% similar): "${field.sourceQuote.substring(0, 50)}" vs "${sourceSpan.substring(0, 50)}"`
+                });
+            }
+
             // Error: SourceQuote too short
             if (field.sourceQuote && field.wordCount < 2) {
                 errors.push({
@@ -448,8 +539,10 @@ class GroundingValidator {
             ? Math.round(qualityScores.reduce((a, b) => a + b, 0) / qualityScores.length)
             : 0;
 
-        // Existence rate
-        const existingQuotes = fieldValidations.filter(f => f.quoteExists).length;
+        // Existence rate (approximate matches count by their similarity)
+        const existingQuotes = fieldValidations
+            .filter(f => f.quoteExists)
+            .reduce((sum, f) => sum + (f.quoteMatch?.similarity ?? 1), 0);
         scores.existenceRate = fieldValidations.length > 0
             ? Math.round((existingQuotes / fieldValidations.length) * 100)
             : 0;
@@ -485,6 +578,8 @@ class GroundingValidator {
 class FabricationDetector {
     constructor(apiClient, options = {}) {
         this.apiClient = apiClient;
+        this.abbreviations = options.abbreviations || new AbbreviationDictionary();
+        this.noteParser = options.noteParser || new NoteSectionParser();
         this.lastDetection = null;
         // Configuration option to disable term-based detection
         // Set to false to rely only on semantic AI detection (eliminates false positives)
@@ -512,25 +607,32 @@ class FabricationDetector {
             const warnings = [];
             const errors = [];
 
-            // Handle empty/null extractedData gracefully
+            // The transcript is always the corpus; extracted quotes are extra
+            // evidence (they can carry normalized wording) but a fact the
+            // extraction missed is still grounded if the transcript has it
             let sourceQuotes = [];
-            let sourceCorpus = '';
 
             if (extractedData && typeof extractedData === 'object' && Object.keys(extractedData).length > 0) {
-                // Use extracted data if available and non-empty
                 sourceQuotes = this.extractAllSourceQuotes(extractedData);
-                sourceCorpus = sourceQuotes.join(' ');
                 console.log(`   [Fabrication] Using extractedData - quotes collected: ${sourceQuotes.length}`);
-            } else if (originalText) {
-                // Fallback: use original text as source corpus
-                console.warn('⚠️ [Fabrication] No extractedData provided, using originalText as source');
-                sourceCorpus = originalText;
-                sourceQuotes = [originalText];  // Treat entire text as one quote
-                console.log(`   [Fabrication] Using originalText - corpus length: ${sourceCorpus.length} chars`);
-            } else {
+            }
+
+            if (!originalText && sourceQuotes.length === 0) {
                 throw new Error('Either extractedData or originalText must be provided for validation');
             }
 
+            if (sourceQuotes.length === 0) {
+                console.warn('⚠️ [Fabrication] No extractedData provided, using originalText only');
+                sourceQuotes = [originalText];  // Treat entire text as one quote
+            } else if (!originalText) {
+                console.warn('⚠️ [Fabrication] No originalText provided, using extracted quotes only');
+            }
+
+            const sourceCorpus = [originalText, ...sourceQuotes.filter(quote => quote !== originalText)]
+                .filter(Boolean)
+                .join('\n');
+            console.log(`   [Fabrication] Source corpus length: ${sourceCorpus.length} chars`);
+
             console.log(`   [Fabrication] Source quotes collected: ${sourceQuotes.length}`);
 
             // Split generated text into checkable statements
@@ -575,6 +677,8 @@ class FabricationDetector {
                         confidence: fab.confidence,
                         reason: fab.reason,
                         correction: fab.suggestedCorrection,
+                        fixOptions: fab.fixOptions || [],
+                        statementIndex: fab.statementIndex,
                         message: `Fabricated content detected: "${fab.statement.substring(0, 100)}..." (confidence: ${(fab.confidence * 100).toFixed(0)}%)`,
                         severity: 'CRITICAL'
                     });
@@ -584,6 +688,9 @@ class FabricationDetector {
                         statement: fab.statement,
                         confidence: fab.confidence,
                         reason: fab.reason,
+                        correction: fab.suggestedCorrection,
+                        fixOptions: fab.fixOptions || [],
+                        statementIndex: fab.statementIndex,
                         message: `Possible unsupported content: "${fab.statement.substring(0, 100)}..." (confidence: ${(fab.confidence * 100).toFixed(0)}%)`
                     });
                 }
@@ -611,6 +718,9 @@ class FabricationDetector {
                 elaborationCheck
             );
 
+            // Fabrication rate per note section (Plan vs HPI, ...)
+            const sectionRates = this.calculateSectionRates(generatedText, fabrications, options.noteStructure);
+
             console.log(`   [Fabrication] Score: ${fabricationScore}/100`);
             console.log(`   [Fabrication] Errors: ${errors.length}, Warnings: ${warnings.length}`);
 
@@ -621,6 +731,7 @@ class FabricationDetector {
                 warnings: warnings,
                 fabrications: fabrications,
                 fabricationScore: fabricationScore,
+                sectionRates: sectionRates,
                 statementsChecked: statements.length,
                 detectedAt: new Date().toISOString()
             };
@@ -675,13 +786,48 @@ class FabricationDetector {
      * Extract checkable statements from generated text
      */
     extractStatements(text) {
-        // Split by sentence boundaries
-        const sentences = text
-            .split(/[.!?]\s+/)
-            .map(s => s.trim())
-            .filter(s => s.length > 10); // Ignore very short fragments
+        // Clinical sentence boundaries; headings are not statements
+        return segmentSentences(text, { minLength: 11 }) // Ignore very short fragments
+            .map(segment => segment.text);
+    }
+
+    /**
+     * Fabrication rate per top-level note section
+     * Statements are counted as in extractStatements(); fabricated means
+     * confidence ≥ 0.7 (an error), possible ≥ 0.4 (a warning).
+     * @returns {Array<{section, title, statements, fabricated, possible, rate}>} In note order
+     */
+    calculateSectionRates(generatedText, fabrications, noteStructure = null) {
+        const parsed = noteStructure || this.noteParser.parse(generatedText);
+        const rates = new Map();
+        const rateFor = section => {
+            if (!rates.has(section)) {
+                const title = this.noteParser.getSection(parsed, section)?.title ?? null;
+                rates.set(section, { section, title, statements: 0, fabricated: 0, possible: 0, rate: 0 });
+            }
+            return rates.get(section);
+        };
+
+        this.noteParser.groupSentences(parsed, { minLength: 11 }).forEach((sentences, section) => {
+            rateFor(section).statements += sentences.length;
+        });
+
+        fabrications.forEach(fab => {
+            const location = this.noteParser.locateText(parsed, fab.statement);
+            if (!location) return;
+
+            const rate = rateFor(location.section);
+            if (fab.confidence >= 0.7) {
+                rate.fabricated++;
+            } else if (fab.confidence >= 0.4) {
+                rate.possible++;
+            }
+        });
 
-        return sentences;
+        return [...rates.values()].map(rate => ({
+            ...rate,
+            rate: rate.statements > 0 ? Math.round((rate.fabricated / rate.statements) * 100) / 100 : 0
+        }));
     }
 
     /**
@@ -689,16 +835,12 @@ class FabricationDetector {
      */
     detectFabricationsByTerms(statements, sourceCorpus) {
         const results = [];
-        const corpusLower = sourceCorpus.toLowerCase();
+        // Abbreviations expanded on both sides: "SAH" supports "subarachnoid hemorrhage"
+        const corpusLower = this.abbreviations.normalize(sourceCorpus);
 
         statements.forEach(statement => {
-            // Extract medical terms (>3 chars, not common words)
-            const terms = statement.toLowerCase()
-                .split(/\s+/)
-                .filter(word =>
-                    word.length > 3 &&
-                    !/^(the|and|with|for|from|that|this|have|been|were|was)$/.test(word)
-                );
+            // Extract medical terms (>3 chars, not stopwords)
+            const terms = tokenize(this.abbreviations.normalize(statement), { stopwords: true, minLength: 4 });
 
             if (terms.length === 0) {
                 return; // Skip statements with no medical terms
@@ -731,6 +873,11 @@ class FabricationDetector {
             return [];
         }
 
+        if (!this.apiClient) {
+            console.warn('⚠️ [Fabrication] No LLM client configured, using term-based only');
+            return [];
+        }
+
         console.log('   [Fabrication] Running semantic analysis...');
 
         // Prepare prompt for AI analysis
@@ -742,7 +889,7 @@ class FabricationDetector {
 
         try {
             // Use validation temperature (0.1 for deterministic validation)
-            const response = await this.apiClient.generateText(
+            const response = await this.apiClient.generateContent(
                 prompt,
                 {
                     temperature: 0.1,
@@ -775,7 +922,7 @@ class FabricationDetector {
         return `You are a medical documentation validator. Your task is to identify fabricated, unsupported, or over-elaborated statements.
 
 **ORIGINAL CLINICAL NOTES:**
-${originalText.substring(0, 2000)}...
+${(originalText || '').substring(0, 2000)}...
 
 **EXTRACTED SOURCE QUOTES (Ground Truth):**
 ${sourceQuotes.slice(0, 30).map((q, i) => `${i + 1}. "${q}"`).join('\n')}
@@ -986,8 +1133,8 @@ Analyze all statements and return ONLY the JSON object:`;
      * Check for over-elaboration
      */
     checkOverElaboration(generatedText, sourceQuotes, statementCount) {
-        const generatedWordCount = generatedText.split(/\s+/).length;
-        const sourceWordCount = sourceQuotes.join(' ').split(/\s+/).length;
+        const generatedWordCount = countWords(generatedText);
+        const sourceWordCount = countWords(sourceQuotes.join(' '));
 
         // Calculate expansion ratio
         const expansionRatio = sourceWordCount > 0 ? generatedWordCount / sourceWordCount : 0;
@@ -1106,6 +1253,11 @@ class CompletenessChecker {
             // 4. Critical field coverage
             const criticalFieldsCheck = this.checkCriticalFields(extractedData);
 
+            // 5. Pathology pack coverage (when a pathology is selected)
+            const pathologyCheck = options.pathologyPack
+                ? this.checkPathologyPack(extractedData, originalText, options.pathologyPack)
+                : null;
+
             // Generate warnings and errors
             if (backwardCheck.unmatchedFields.length > 0) {
                 backwardCheck.unmatchedFields.forEach(field => {
@@ -1165,6 +1317,35 @@ class CompletenessChecker {
                 });
             }
 
+            // Pathology pack issues
+            if (pathologyCheck) {
+                pathologyCheck.undocumentedElements.forEach(element => {
+                    warnings.push({
+                        type: 'undocumented_exam_element',
+                        pathology: pathologyCheck.pathology,
+                        element: element.id,
+                        message: `${pathologyCheck.name} exam element not documented: ${element.label}`
+                    });
+                });
+
+                pathologyCheck.unextractedElements.forEach(element => {
+                    warnings.push({
+                        type: 'missing_exam_element',
+                        pathology: pathologyCheck.pathology,
+                        element: element.id,
+                        message: `${pathologyCheck.name} exam element mentioned in notes but not extracted: ${element.label}`
+                    });
+                });
+
+                if (pathologyCheck.missingImaging) {
+                    warnings.push({
+                        type: 'missing_expected_imaging',
+                        pathology: pathologyCheck.pathology,
+                        message: `No expected ${pathologyCheck.name} imaging mentioned (${pathologyCheck.expectedImaging.join(', ')})`
+                    });
+                }
+            }
+
             // Calculate completeness scores
             const scores = this.calculateCompletenessScores(
                 backwardCheck,
@@ -1173,6 +1354,11 @@ class CompletenessChecker {
                 criticalFieldsCheck
             );
 
+            // Reported separately so the overall score stays comparable across pathologies
+            if (pathologyCheck) {
+                scores.pathologyCoverage = Math.round(pathologyCheck.coverageRatio * 100);
+            }
+
             console.log(`   [Completeness] Score: ${scores.overall}/100`);
             console.log(`   [Completeness] Errors: ${errors.length}, Warnings: ${warnings.length}`);
 
@@ -1186,6 +1372,7 @@ class CompletenessChecker {
                 forwardCheck: forwardCheck,
                 sectionCoverage: sectionCoverage,
                 criticalFieldsCheck: criticalFieldsCheck,
+                pathologyCheck: pathologyCheck,
                 checkedAt: new Date().toISOString()
             };
 
@@ -1218,7 +1405,7 @@ class CompletenessChecker {
      * Backward completeness: Extraction → Notes
      */
     checkBackwardCompleteness(extractedData, originalText) {
-        const normalizedText = originalText.toLowerCase().replace(/\s+/g, ' ');
+        const normalizedText = normalizeText(originalText);
         const unmatchedFields = [];
         let totalFields = 0;
         let matchedFields = 0;
@@ -1227,9 +1414,7 @@ class CompletenessChecker {
             totalFields++;
 
             if (field.sourceQuote) {
-                const normalizedQuote = field.sourceQuote.toLowerCase().replace(/\s+/g, ' ');
-
-                if (normalizedText.includes(normalizedQuote)) {
+                if (normalizedText.includes(normalizeText(field.sourceQuote))) {
                     matchedFields++;
                 } else {
                     unmatchedFields.push({
@@ -1259,13 +1444,18 @@ class CompletenessChecker {
      * Forward completeness: Notes → Extraction
      */
     async checkForwardCompleteness(originalText, extractedData, options = {}) {
+        if (!this.apiClient) {
+            console.warn('⚠️ [Completeness] No LLM client configured, skipping forward check');
+            return { missingExtractions: [], forwardCompleteness: 1.0 };
+        }
+
         console.log('   [Completeness] Running AI-powered forward analysis...');
 
         const extractedSummary = this.buildExtractionSummary(extractedData);
         const prompt = this.buildForwardCompletenessPrompt(originalText, extractedSummary);
 
         try {
-            const response = await this.apiClient.generateText(
+            const response = await this.apiClient.generateContent(
                 prompt,
                 {
                     temperature: 0.2,
@@ -1415,12 +1605,12 @@ Return ONLY JSON. If nothing missing, return empty array.`;
             { name: 'plan', keywords: ['plan', 'will', 'scheduled', 'follow-up'] }
         ];
 
-        const textLower = originalText.toLowerCase();
+        const textTokens = tokenize(originalText);
         const coveredSections = [];
         const missingImportantSections = [];
 
         expectedSections.forEach(section => {
-            const mentioned = section.keywords.some(keyword => textLower.includes(keyword));
+            const mentioned = section.keywords.some(keyword => containsPhrase(textTokens, keyword));
 
             if (mentioned) {
                 const extracted = this.sectionHasData(extractedData, section.name);
@@ -1453,7 +1643,9 @@ Return ONLY JSON. If nothing missing, return empty array.`;
             return false;
         }
 
-        const section = data[sectionName] || data[sectionName + 's'];
+        // Diagnoses are extracted under "pathology"
+        const aliases = { diagnosis: 'pathology' };
+        const section = data[sectionName] || data[sectionName + 's'] || data[aliases[sectionName]];
         if (!section) {
             return false;
         }
@@ -1493,6 +1685,48 @@ Return ONLY JSON. If nothing missing, return empty array.`;
         };
     }
 
+    /**
+     * Check a pathology pack's exam elements and imaging against the notes
+     * and the extracted examination
+     * @param {object} pack - Pathology pack (pathology-packs.js)
+     */
+    checkPathologyPack(extractedData, originalText, pack) {
+        const examinationText = [];
+        this.traverseExtraction(extractedData.examination || {}, 'examination', (path, field) => {
+            examinationText.push(String(field.value), field.sourceQuote || '');
+        });
+        const extractedText = examinationText.join(' ');
+
+        const undocumentedElements = [];
+        const unextractedElements = [];
+
+        pack.examElements.forEach(element => {
+            if (findMentionedTerms(originalText, element.keywords).length === 0) {
+                undocumentedElements.push(element);
+            } else if (findMentionedTerms(extractedText, element.keywords).length === 0) {
+                unextractedElements.push(element);
+            }
+        });
+
+        const documentedElements = pack.examElements.length - undocumentedElements.length - unextractedElements.length;
+        const mentionedImaging = pack.imaging.filter(study =>
+            findMentionedTerms(originalText, study.keywords).length > 0
+        );
+
+        return {
+            pathology: pack.id,
+            name: pack.name,
+            undocumentedElements: undocumentedElements,
+            unextractedElements: unextractedElements,
+            missingImaging: pack.imaging.length > 0 && mentionedImaging.length === 0,
+            expectedImaging: pack.imaging.map(study => study.label),
+            mentionedImaging: mentionedImaging.map(study => study.id),
+            coverageRatio: pack.examElements.length > 0
+                ? documentedElements / pack.examElements.length
+                : 1
+        };
+    }
+
     /**
      * Get field value by path
      */
@@ -1537,7 +1771,8 @@ Return ONLY JSON. If nothing missing, return empty array.`;
                 this.traverseExtraction(value, currentPath, callback);
             } else if (Array.isArray(value)) {
                 value.forEach((item, index) => {
-                    this.traverseExtraction(item, `${currentPath}[${index}]`, callback);
+                    // List items may be grounded fields themselves
+                    this.traverseExtraction({ [`${key}[${index}]`]: item }, path, callback);
                 });
             }
         }
@@ -2077,8 +2312,9 @@ class ConsistencyValidator {
      * Classify pathology type
      */
     classifyPathology(diagnosisText) {
+        const tokens = tokenize(diagnosisText);
         for (const [type, keywords] of Object.entries(this.medicalKnowledge.pathologyKeywords)) {
-            if (keywords.some(keyword => diagnosisText.includes(keyword.toLowerCase()))) {
+            if (keywords.some(keyword => containsPhrase(tokens, keyword))) {
                 return type;
             }
         }
@@ -2203,8 +2439,24 @@ class ConsistencyValidator {
 // ==================================================================================
 
 class ProportionalityValidator {
-    constructor(apiClient) {
+    /**
+     * Note sections expected to carry each extraction section's facts
+     */
+    static NOTE_SECTIONS = {
+        demographics: ['chief_complaint', 'hpi'],
+        symptoms: ['hpi', 'interval_history', 'chief_complaint'],
+        examination: ['physical_exam'],
+        imaging: ['diagnostic_results'],
+        pathology: ['assessment', 'pathology'],
+        procedures: ['procedure', 'procedures', 'psh'],
+        medications: ['medications'],
+        outcomes: ['hospital_course', 'assessment'],
+        timeline: ['hospital_course', 'hpi']
+    };
+
+    constructor(apiClient, options = {}) {
         this.apiClient = apiClient;
+        this.noteParser = options.noteParser || new NoteSectionParser();
         this.lastValidation = null;
     }
 
@@ -2319,7 +2571,7 @@ class ProportionalityValidator {
 
             // Check section balance (for narratives)
             if (outputType === 'narrative') {
-                const balanceCheck = this.checkSectionBalance(generatedOutput, dataAnalysis);
+                const balanceCheck = this.checkSectionBalance(generatedOutput, dataAnalysis, options.noteStructure);
                 balanceCheck.imbalances.forEach(imbalance => {
                     warnings.push({
                         type: 'section_imbalance',
@@ -2486,13 +2738,13 @@ class ProportionalityValidator {
      * Calculate output metrics
      */
     calculateOutputMetrics(output) {
-        const words = output.split(/\s+/).filter(w => w.length > 0);
-        const sentences = output.split(/[.!?]+/).filter(s => s.trim().length > 0);
+        const wordCount = countWords(output);
+        const sentences = segmentSentences(output);
 
         return {
-            wordCount: words.length,
+            wordCount: wordCount,
             sentenceCount: sentences.length,
-            averageSentenceLength: sentences.length > 0 ? words.length / sentences.length : 0,
+            averageSentenceLength: sentences.length > 0 ? wordCount / sentences.length : 0,
             characterCount: output.length
         };
     }
@@ -2553,7 +2805,7 @@ class ProportionalityValidator {
      * Check for content repetition
      */
     checkRepetition(output) {
-        const sentences = output.split(/[.!?]+/).map(s => s.trim().toLowerCase()).filter(s => s.length > 10);
+        const sentences = segmentSentences(output, { minLength: 11 }).map(segment => segment.text.toLowerCase());
 
         if (sentences.length < 2) {
             return { hasRepetition: false, score: 0, examples: [] };
@@ -2590,8 +2842,8 @@ class ProportionalityValidator {
      * Calculate sentence similarity (Jaccard coefficient)
      */
     calculateSentenceSimilarity(sent1, sent2) {
-        const words1 = new Set(sent1.split(/\s+/));
-        const words2 = new Set(sent2.split(/\s+/));
+        const words1 = new Set(tokenize(sent1));
+        const words2 = new Set(tokenize(sent2));
 
         const intersection = new Set([...words1].filter(w => words2.has(w)));
         const union = new Set([...words1, ...words2]);
@@ -2601,17 +2853,44 @@ class ProportionalityValidator {
 
     /**
      * Check section balance
+     * When the note has a section for the extraction section's facts, that
+     * section must have content; otherwise the whole note is searched for
+     * the section's keywords.
      */
-    checkSectionBalance(output, dataAnalysis) {
+    checkSectionBalance(output, dataAnalysis, noteStructure = null) {
         const imbalances = [];
-        const outputLower = output.toLowerCase();
+        const parsed = noteStructure || this.noteParser.parse(output);
+        const outputTokens = tokenize(output);
 
         dataAnalysis.sectionsPopulated.forEach(section => {
             const factCount = dataAnalysis.sectionFactCounts[section];
+            if (factCount <= 2) return;
+
+            const noteSections = (ProportionalityValidator.NOTE_SECTIONS[section] || [])
+                .map(id => this.noteParser.getSection(parsed, id))
+                .filter(Boolean);
+
+            if (noteSections.length > 0) {
+                const covered = noteSections.some(noteSection => {
+                    const body = this.noteParser.getSectionText(parsed, noteSection);
+                    return tokenize(body, { stopwords: true }).length > 0 && !/^\[?not documented\]?\.?$/i.test(body);
+                });
+
+                if (!covered) {
+                    imbalances.push({
+                        section: section,
+                        noteSection: noteSections[0].id,
+                        factCount: factCount,
+                        message: `Section "${section}" has ${factCount} facts but the note's ${noteSections[0].title} section is empty`
+                    });
+                }
+                return;
+            }
+
             const sectionKeywords = this.getSectionKeywords(section);
-            const mentioned = sectionKeywords.some(keyword => outputLower.includes(keyword));
+            const mentioned = sectionKeywords.some(keyword => containsPhrase(outputTokens, keyword));
 
-            if (!mentioned && factCount > 2) {
+            if (!mentioned) {
                 imbalances.push({
                     section: section,
                     factCount: factCount,
@@ -3093,10 +3372,7 @@ class ConfidenceCalibrator {
      * Extract key terms from statement
      */
     extractKeyTerms(statement) {
-        return statement
-            .toLowerCase()
-            .split(/\s+/)
-            .filter(word => word.length > 4 && !/^(the|and|with|for|from|that|this)$/.test(word))
+        return tokenize(statement, { stopwords: true, minLength: 5 })
             .slice(0, 5); // Top 5 key terms
     }
 
@@ -3128,9 +3404,16 @@ class ConfidenceCalibrator {
                 this.traverseAndAdjust(value, currentPath, callback);
 
             } else if (Array.isArray(value)) {
-                // Recurse into arrays
+                // Recurse into arrays (list items may be grounded fields themselves)
                 value.forEach((item, index) => {
-                    this.traverseAndAdjust(item, `${currentPath}[${index}]`, callback);
+                    if (item && typeof item === 'object' &&
+                        item.hasOwnProperty('value') &&
+                        item.hasOwnProperty('sourceQuote') &&
+                        item.hasOwnProperty('confidence')) {
+                        callback(`${currentPath}[${index}]`, item, value, index);
+                    } else {
+                        this.traverseAndAdjust(item, `${currentPath}[${index}]`, callback);
+                    }
                 });
             }
         }
@@ -3174,10 +3457,212 @@ class ConfidenceCalibrator {
     }
 }
 
+// ==================================================================================
+// LAYER 7: MEDICATION RECONCILER
+// ==================================================================================
+// Diffs medications in the generated note against the source text
+// Flags added, dropped and altered medications (dose, route, frequency, status)
+// and operative plans that leave source anticoagulants/antiplatelets unaddressed
+// ==================================================================================
+
+class MedicationReconciler {
+    constructor(options = {}) {
+        this.lexicon = options.lexicon || new MedicationLexicon();
+        this.antithromboticSafety = new AntithromboticSafetyCheck({
+            lexicon: this.lexicon,
+            holdWindows: options.holdWindows
+        });
+        this.lastValidation = null;
+    }
+
+    /**
+     * Reconcile note medications with the source
+     * @param {string} generatedText - Generated note
+     * @param {string} originalText - Transcript or SOAP notes
+     * @returns {Promise<object>} - Validation result
+     */
+    async validate(generatedText, originalText) {
+        if (!generatedText || !originalText) {
+            throw new Error('Both generated text and original text are required');
+        }
+
+        console.log('🔍 [Medication] Starting reconciliation...');
+
+        try {
+            const warnings = [];
+            const errors = [];
+
+            const sourceMeds = this.groupById(this.lexicon.findMedications(originalText));
+            const noteMeds = this.groupById(this.lexicon.findMedications(generatedText));
+
+            const added = [];
+            const dropped = [];
+            const altered = [];
+
+            noteMeds.forEach((noteMentions, id) => {
+                const sourceMentions = sourceMeds.get(id) || [];
+                const affirmed = noteMentions.filter(mention => !mention.negated);
+                const sourceAffirmed = sourceMentions.filter(mention => !mention.negated);
+
+                // Added: affirmed in the note, never mentioned in the source
+                if (sourceMentions.length === 0) {
+                    affirmed.forEach(mention => {
+                        added.push(mention);
+                        errors.push({
+                            type: 'added_medication',
+                            medication: mention.generic,
+                            statement: mention.quote,
+                            message: `Medication not in source: ${mention.name}${mention.name.toLowerCase() === mention.generic ? '' : ` (${mention.generic})`}`,
+                            severity: 'HIGH'
+                        });
+                    });
+                    return;
+                }
+
+                // Status: note says taking, source says not (or the reverse)
+                if (affirmed.length > 0 && sourceAffirmed.length === 0) {
+                    altered.push({ id, field: 'status' });
+                    errors.push({
+                        type: 'medication_status_conflict',
+                        medication: affirmed[0].generic,
+                        statement: affirmed[0].quote,
+                        message: `${affirmed[0].name} is documented as taken, but the source states it is not`,
+                        severity: 'HIGH'
+                    });
+                    return;
+                }
+                if (affirmed.length === 0 && sourceAffirmed.length > 0) {
+                    altered.push({ id, field: 'status' });
+                    errors.push({
+                        type: 'medication_status_conflict',
+                        medication: noteMentions[0].generic,
+                        statement: noteMentions[0].quote,
+                        message: `${noteMentions[0].name} is documented as not taken, but the source states it is`,
+                        severity: 'HIGH'
+                    });
+                    return;
+                }
+
+                // Altered: a note dose, route or frequency the source never gives
+                affirmed.forEach(mention => {
+                    this.compareDosing(mention, sourceAffirmed).forEach(change => {
+                        altered.push({ id, field: change.field });
+                        const issue = {
+                            type: `altered_${change.field}`,
+                            medication: mention.generic,
+                            statement: mention.quote,
+                            noteValue: change.noteValue,
+                            sourceValues: change.sourceValues,
+                            message: `${mention.name} ${change.field} differs from source: note "${change.noteValue}", source ${change.sourceValues.map(value => `"${value}"`).join(' / ')}`
+                        };
+
+                        if (change.field === 'dose') {
+                            errors.push({ ...issue, severity: 'HIGH' });
+                        } else {
+                            warnings.push(issue);
+                        }
+                    });
+                });
+            });
+
+            // Dropped: taken per the source, absent from the note
+            sourceMeds.forEach((sourceMentions, id) => {
+                const affirmed = sourceMentions.filter(mention => !mention.negated);
+                if (affirmed.length === 0 || noteMeds.has(id)) return;
+
+                dropped.push(affirmed[0]);
+                warnings.push({
+                    type: 'dropped_medication',
+                    medication: affirmed[0].generic,
+                    sourceQuote: affirmed[0].quote,
+                    message: `Medication in source missing from note: ${affirmed[0].name}`
+                });
+            });
+
+            // Perioperative safety: antithrombotics must be addressed by an operative plan
+            const antithrombotic = this.antithromboticSafety.check(generatedText, originalText);
+            errors.push(...antithrombotic.errors);
+            warnings.push(...antithrombotic.warnings);
+
+            const medicationScore = Math.max(0, 100 - errors.length * 20 - warnings.length * 5);
+
+            console.log(`   [Medication] Source: ${sourceMeds.size}, note: ${noteMeds.size} medication(s)`);
+            if (antithrombotic.operative) {
+                console.log(`   [Medication] Operative plan with ${antithrombotic.medications.length} antithrombotic(s), ${antithrombotic.errors.length} unaddressed`);
+            }
+            console.log(`   [Medication] Score: ${medicationScore}/100`);
+            console.log(`   [Medication] Errors: ${errors.length}, Warnings: ${warnings.length}`);
+
+            this.lastValidation = {
+                passed: errors.length === 0,
+                errors: errors,
+                warnings: warnings,
+                medicationScore: medicationScore,
+                sourceMedications: [...sourceMeds.keys()],
+                noteMedications: [...noteMeds.keys()],
+                added: added.map(mention => mention.id),
+                dropped: dropped.map(mention => mention.id),
+                altered: altered,
+                antithrombotic: {
+                    operative: antithrombotic.operative,
+                    plan: antithrombotic.plan,
+                    medications: antithrombotic.medications
+                },
+                validatedAt: new Date().toISOString()
+            };
+
+            return {
+                success: true,
+                validation: this.lastValidation
+            };
+
+        } catch (error) {
+            console.error('❌ [Medication] Reconciliation error:', error);
+            return {
+                success: false,
+                error: error.message,
+                validation: null
+            };
+        }
+    }
+
+    /**
+     * Mentions grouped by lexicon id
+     */
+    groupById(mentions) {
+        const groups = new Map();
+        mentions.forEach(mention => {
+            groups.set(mention.id, [...(groups.get(mention.id) || []), mention]);
+        });
+        return groups;
+    }
+
+    /**
+     * Dosing fields of a note mention matching no source mention
+     * Fields the note leaves out, or the source never gives, are not compared.
+     * @returns {Array<{field, noteValue, sourceValues}>} Changes
+     */
+    compareDosing(mention, sourceMentions) {
+        const fields = {
+            dose: value => this.lexicon.formatDose(value),
+            route: value => value,
+            frequency: value => value
+        };
+
+        return Object.entries(fields).flatMap(([field, format]) => {
+            const noteValue = format(mention[field]);
+            const sourceValues = [...new Set(sourceMentions.map(source => format(source[field])).filter(Boolean))];
+
+            if (!noteValue || sourceValues.length === 0 || sourceValues.includes(noteValue)) return [];
+            return [{ field, noteValue, sourceValues }];
+        });
+    }
+}
+
 // ==================================================================================
 // VALIDATION ENGINE - MASTER ORCHESTRATOR
 // ==================================================================================
-// Coordinates all 6 validation layers
+// Coordinates all 7 validation layers
 // Provides comprehensive validation workflows
 // ==================================================================================
 
@@ -3185,26 +3670,50 @@ export class ValidationEngine {
     constructor(apiClient, options = {}) {
         this.apiClient = apiClient;
 
+        // Progress reporting: subscribers and the run currently in flight
+        this.progressListeners = new Set();
+        this.activeRun = null;
+
+        // Validators share a tracking wrapper so a run can count and cancel its LLM calls
+        const llmClient = apiClient ? this.createTrackedClient(apiClient) : null;
+
+        // Abbreviation equivalence shared by grounding and fabrication ("SAH" = "subarachnoid hemorrhage")
+        this.abbreviations = options.abbreviations || new AbbreviationDictionary();
+
+        // Generated notes are parsed into sections once per validation and shared by the layers
+        this.noteParser = new NoteSectionParser(options.noteSections); // {templates, aliases}
+
         // Initialize all validators
-        this.groundingValidator = new GroundingValidator(''); // Will receive source text per validation
+        this.quoteMatching = options.quoteMatching; // {minSimilarity, tokenSimilarity} for sourceQuote lookup
+        this.groundingValidator = new GroundingValidator('', { abbreviations: this.abbreviations, quoteMatching: this.quoteMatching }); // Will receive source text per validation
 
         // Fabrication detector with configurable mode
         // For ULTRATHINK: use semantic-AI-only mode (no false positives)
-        this.fabricationDetector = new FabricationDetector(apiClient, {
+        this.fabricationDetector = new FabricationDetector(llmClient, {
+            abbreviations: this.abbreviations,
+            noteParser: this.noteParser,
             enableTermBasedDetection: options.enableTermBasedDetection !== undefined
                 ? options.enableTermBasedDetection
                 : true // Default: both term-based and semantic AI
         });
 
         // ULTRATHINK-specific detector (semantic-AI-only for highest precision)
-        this.ultrathinkFabricationDetector = new FabricationDetector(apiClient, {
+        this.ultrathinkFabricationDetector = new FabricationDetector(llmClient, {
+            abbreviations: this.abbreviations,
+            noteParser: this.noteParser,
             enableTermBasedDetection: false
         });
 
-        this.completenessChecker = new CompletenessChecker(apiClient);
-        this.consistencyValidator = new ConsistencyValidator(apiClient);
-        this.proportionalityValidator = new ProportionalityValidator(apiClient);
-        this.confidenceCalibrator = new ConfidenceCalibrator(apiClient);
+        this.completenessChecker = new CompletenessChecker(llmClient);
+        this.consistencyValidator = new ConsistencyValidator(llmClient);
+        this.proportionalityValidator = new ProportionalityValidator(llmClient, { noteParser: this.noteParser });
+        this.confidenceCalibrator = new ConfidenceCalibrator(llmClient);
+        this.medicationReconciler = new MedicationReconciler({
+            holdWindows: options.antithromboticHoldWindows // {drugId: {hours, reversal}} overrides
+        });
+
+        // Sentence-level provenance (not a scored layer)
+        this.provenanceAligner = new ProvenanceAligner(options.provenance);
 
         this.lastValidation = null;
     }
@@ -3213,14 +3722,19 @@ export class ValidationEngine {
      * Validate extraction (pre-generation)
      * @param {object} extractedData - Extraction result
      * @param {string} originalText - Original clinical text
-     * @param {object} options - Validation options
+     * @param {object} options - Validation options (signal, onProgress)
      * @returns {Promise<object>} - Comprehensive validation result
+     * @throws {Error} 'Validation cancelled' if options.signal aborts
      */
     async validateExtraction(extractedData, originalText, options = {}) {
         console.log('\n═══════════════════════════════════════════════════════');
         console.log('PHASE 4: EXTRACTION VALIDATION PIPELINE');
         console.log('═══════════════════════════════════════════════════════\n');
 
+        const ownsRun = !options.progressRun;
+        const run = this.beginRun(EXTRACTION_LAYERS.length, options);
+        options = { ...options, progressRun: run };
+
         try {
             // Check if extractedData is empty/null
             const hasExtractedData = extractedData && typeof extractedData === 'object' && Object.keys(extractedData).length > 0;
@@ -3252,19 +3766,41 @@ export class ValidationEngine {
             }
 
             const validationResults = {
+                schema: null,
                 grounding: null,
                 completeness: null,
                 consistency: null,
                 calibration: null
             };
 
+            // Step 0: Schema Validation (data model conformance before the layers run)
+            console.log('📋 Step 0: Schema Validation');
+            console.log('─'.repeat(60));
+            validationResults.schema = await this.runLayer('extraction', 'schema',
+                () => this.validateSchema(extractedData)
+            );
+
+            const schemaValidation = validationResults.schema.validation;
+            console.log(schemaValidation.valid
+                ? `✅ Schema: ${schemaValidation.fieldCount} fields conform`
+                : `⚠️ Schema: ${schemaValidation.errors.length} errors, ${schemaValidation.warnings.length} warnings`);
+
             // Step 1: Grounding Validation
             console.log('📋 Step 1: Grounding Validation');
             console.log('─'.repeat(60));
 
             // Create grounding validator with source text
-            const groundingValidator = new GroundingValidator(originalText);
-            validationResults.grounding = await groundingValidator.validate(extractedData);
+            validationResults.grounding = await this.runLayer('extraction', 'grounding', async () => {
+                const groundingValidator = new GroundingValidator(originalText, { abbreviations: this.abbreviations, quoteMatching: this.quoteMatching });
+                const groundingResult = await groundingValidator.validate(extractedData);
+
+                // GroundingValidator returns a flat result; wrap it like the other layers
+                return {
+                    success: !groundingResult.error,
+                    error: groundingResult.error,
+                    validation: groundingResult
+                };
+            });
 
             if (validationResults.grounding.success) {
                 console.log(`✅ Grounding: ${validationResults.grounding.validation.scores.overall}/100`);
@@ -3275,10 +3811,8 @@ export class ValidationEngine {
             // Step 2: Completeness Check
             console.log('\n📋 Step 2: Completeness Check');
             console.log('─'.repeat(60));
-            validationResults.completeness = await this.completenessChecker.check(
-                extractedData,
-                originalText,
-                options
+            validationResults.completeness = await this.runLayer('extraction', 'completeness',
+                () => this.completenessChecker.check(extractedData, originalText, options)
             );
 
             if (validationResults.completeness.success) {
@@ -3290,10 +3824,8 @@ export class ValidationEngine {
             // Step 3: Consistency Validation
             console.log('\n📋 Step 3: Consistency Validation');
             console.log('─'.repeat(60));
-            validationResults.consistency = await this.consistencyValidator.validate(
-                extractedData,
-                originalText,
-                options
+            validationResults.consistency = await this.runLayer('extraction', 'consistency',
+                () => this.consistencyValidator.validate(extractedData, originalText, options)
             );
 
             if (validationResults.consistency.success) {
@@ -3305,14 +3837,16 @@ export class ValidationEngine {
             // Step 4: Confidence Calibration
             console.log('\n📋 Step 4: Confidence Calibration');
             console.log('─'.repeat(60));
-            validationResults.calibration = await this.confidenceCalibrator.calibrate(
-                extractedData,
-                {
-                    grounding: validationResults.grounding?.validation,
-                    completeness: validationResults.completeness?.validation,
-                    consistency: validationResults.consistency?.validation
-                },
-                options
+            validationResults.calibration = await this.runLayer('extraction', 'confidence',
+                () => this.confidenceCalibrator.calibrate(
+                    extractedData,
+                    {
+                        grounding: validationResults.grounding?.validation,
+                        completeness: validationResults.completeness?.validation,
+                        consistency: validationResults.consistency?.validation
+                    },
+                    options
+                )
             );
 
             if (validationResults.calibration.success) {
@@ -3340,6 +3874,8 @@ export class ValidationEngine {
             };
 
         } catch (error) {
+            if (error.message === VALIDATION_CANCELLED) throw error;
+
             console.error('❌ Extraction validation pipeline error:', error);
             return {
                 success: false,
@@ -3347,6 +3883,8 @@ export class ValidationEngine {
                 validation: null,
                 calibratedData: extractedData
             };
+        } finally {
+            if (ownsRun) this.endRun(run);
         }
     }
 
@@ -3356,18 +3894,35 @@ export class ValidationEngine {
      * @param {object} extractedData - Source extraction
      * @param {string} originalText - Original clinical text
      * @param {string} outputType - Type of output (ultrathink, doap, narrative, soap)
-     * @param {object} options - Validation options
+     * @param {object} options - Validation options (signal, onProgress, excludeRanges)
+     * @param {Array<{start, end}>} options.excludeRanges - Note text inserted verbatim by the app
+     *        (red flags, Outcome Measures): kept in the note structure, not checked against the source
      * @returns {Promise<object>} - Comprehensive validation result
+     * @throws {Error} 'Validation cancelled' if options.signal aborts
      */
     async validateGeneration(generatedText, extractedData, originalText, outputType, options = {}) {
         console.log(`\n═══════════════════════════════════════════════════════`);
         console.log(`PHASE 4: ${outputType.toUpperCase()} VALIDATION PIPELINE`);
         console.log(`═══════════════════════════════════════════════════════\n`);
 
+        const ownsRun = !options.progressRun;
+        const run = this.beginRun(GENERATION_LAYERS.length, options);
+
+        // Section tree of the note: issues are located by section and line
+        const noteStructure = this.noteParser.parse(generatedText);
+        options = { ...options, progressRun: run, noteStructure };
+
+        // The layers see inserted blocks as blank lines at the same offsets
+        const checkedText = blankRanges(generatedText, options.excludeRanges);
+        if (checkedText !== generatedText) {
+            console.log(`   Excluding ${options.excludeRanges.length} inserted block(s) from source checks`);
+        }
+
         try {
             const validationResults = {
                 fabrication: null,
-                proportionality: null
+                proportionality: null,
+                medication: null
             };
 
             // Step 1: Fabrication Detection
@@ -3384,11 +3939,8 @@ export class ValidationEngine {
                 console.log('   🎯 Using ULTRATHINK-specific detector (semantic-AI-only, zero false positives)');
             }
 
-            validationResults.fabrication = await detectorToUse.detect(
-                generatedText,
-                extractedData,
-                originalText,
-                options
+            validationResults.fabrication = await this.runLayer(outputType, 'fabrication',
+                () => detectorToUse.detect(checkedText, extractedData, originalText, options)
             );
 
             if (validationResults.fabrication.success) {
@@ -3400,11 +3952,8 @@ export class ValidationEngine {
             // Step 2: Proportionality Validation
             console.log('\n📋 Step 2: Proportionality Validation');
             console.log('─'.repeat(60));
-            validationResults.proportionality = await this.proportionalityValidator.validate(
-                generatedText,
-                extractedData,
-                outputType,
-                options
+            validationResults.proportionality = await this.runLayer(outputType, 'proportionality',
+                () => this.proportionalityValidator.validate(checkedText, extractedData, outputType, options)
             );
 
             if (validationResults.proportionality.success) {
@@ -3413,6 +3962,19 @@ export class ValidationEngine {
                 console.log(`❌ Proportionality validation failed: ${validationResults.proportionality.error}`);
             }
 
+            // Step 3: Medication Reconciliation
+            console.log('\n📋 Step 3: Medication Reconciliation');
+            console.log('─'.repeat(60));
+            validationResults.medication = await this.runLayer(outputType, 'medication',
+                () => this.medicationReconciler.validate(checkedText, originalText)
+            );
+
+            if (validationResults.medication.success) {
+                console.log(`✅ Medication: ${validationResults.medication.validation.medicationScore}/100`);
+            } else {
+                console.log(`❌ Medication reconciliation failed: ${validationResults.medication.error}`);
+            }
+
             // Aggregate results
             const aggregated = this.aggregateGenerationValidation(validationResults, outputType);
 
@@ -3427,16 +3989,21 @@ export class ValidationEngine {
 
             return {
                 success: true,
-                validation: aggregated
+                validation: aggregated,
+                noteStructure
             };
 
         } catch (error) {
+            if (error.message === VALIDATION_CANCELLED) throw error;
+
             console.error(`❌ ${outputType} validation pipeline error:`, error);
             return {
                 success: false,
                 error: error.message,
                 validation: null
             };
+        } finally {
+            if (ownsRun) this.endRun(run);
         }
     }
 
@@ -3445,14 +4012,20 @@ export class ValidationEngine {
      * @param {object} extractedData - Extraction result
      * @param {string} originalText - Original clinical text
      * @param {object} outputs - Generated outputs {ultrathink, doap, narrative, soap}
-     * @param {object} options - Validation options
+     * @param {object} options - Validation options (signal, onProgress)
      * @returns {Promise<object>} - Complete validation result
+     * @throws {Error} 'Validation cancelled' if options.signal aborts
      */
     async validateComplete(extractedData, originalText, outputs = {}, options = {}) {
         console.log('\n╔═══════════════════════════════════════════════════════╗');
         console.log('║        PHASE 4: COMPLETE VALIDATION PIPELINE         ║');
         console.log('╚═══════════════════════════════════════════════════════╝\n');
 
+        const outputCount = ['ultrathink', 'doap', 'soap', 'narrative'].filter(type => outputs[type]).length;
+        const ownsRun = !options.progressRun;
+        const run = this.beginRun(EXTRACTION_LAYERS.length + outputCount * GENERATION_LAYERS.length, options);
+        options = { ...options, progressRun: run };
+
         try {
             // 1. Validate extraction
             const extractionValidation = await this.validateExtraction(
@@ -3547,6 +4120,8 @@ export class ValidationEngine {
             };
 
         } catch (error) {
+            if (error.message === VALIDATION_CANCELLED) throw error;
+
             console.error('❌ Complete validation pipeline error:', error);
             return {
                 success: false,
@@ -3554,7 +4129,490 @@ export class ValidationEngine {
                 validation: null,
                 calibratedData: extractedData
             };
+        } finally {
+            if (ownsRun) this.endRun(run);
+        }
+    }
+
+    /**
+     * Single entry point for the app: validate a note against its transcript
+     * Runs extraction layers when extractedData is available (or reuses a prior
+     * validateExtraction result), generation layers when a note is given, and
+     * returns a flat report that UIController.displayValidation can render.
+     * @param {object} params
+     * @param {string} params.originalText - Source transcript
+     * @param {string} [params.generatedText] - Generated note
+     * @param {object} [params.extractedData] - Structured extraction
+     * @param {object} [params.extractionValidation] - Prior validateExtraction result to reuse
+     * @param {string} [params.outputType='narrative'] - ultrathink | doap | narrative | soap
+     * @param {object} [params.options] - Options forwarded to the layers (signal, onProgress, excludeRanges)
+     * @returns {Promise<object>} - {success, score, status, layers, issues, extractionScore, outputScore, summary}
+     * @throws {Error} 'Validation cancelled' if options.signal aborts
+     */
+    async validate({
+        originalText,
+        generatedText = '',
+        extractedData = null,
+        extractionValidation = null,
+        outputType = 'narrative',
+        options = {}
+    } = {}) {
+        if (!originalText) {
+            throw new Error('validate() requires originalText');
+        }
+
+        const hasExtraction = extractedData && typeof extractedData === 'object' && Object.keys(extractedData).length > 0;
+        const reuseExtraction = Boolean(extractionValidation?.validation);
+
+        if (!reuseExtraction && !hasExtraction && !generatedText) {
+            throw new Error('validate() requires generatedText or extractedData');
+        }
+
+        const layerCount = (hasExtraction && !reuseExtraction ? EXTRACTION_LAYERS.length : 0)
+            + (generatedText ? GENERATION_LAYERS.length : 0);
+        const ownsRun = !options.progressRun;
+        const run = this.beginRun(layerCount, options);
+        options = { ...options, progressRun: run };
+
+        try {
+            let extraction = reuseExtraction ? extractionValidation : null;
+            if (!extraction && hasExtraction) {
+                extraction = await this.validateExtraction(extractedData, originalText, options);
+                if (!extraction.success) {
+                    throw new Error(`Extraction validation failed: ${extraction.error}`);
+                }
+            }
+
+            let generation = null;
+            if (generatedText) {
+                const calibratedData = extraction?.calibratedData || extractedData || {};
+                generation = await this.validateGeneration(generatedText, calibratedData, originalText, outputType, options);
+                if (!generation.success) {
+                    throw new Error(`${outputType} validation failed: ${generation.error}`);
+                }
+            }
+
+            const report = this.buildValidationReport(extraction, generation, outputType);
+            report.elapsedMs = Date.now() - run.startedAt;
+            report.llmCalls = run.llmCalls;
+            this.lastValidation = { report, extraction, generation };
+
+            return report;
+
+        } finally {
+            if (ownsRun) this.endRun(run);
+        }
+    }
+
+    /**
+     * Flatten extraction/generation results into the UI report shape
+     * Layer scores are 0-100; issues carry the layer that raised them and a
+     * location (extraction field path, or note statement with its section
+     * and line) when one is known. Generated notes also get per-section scores.
+     */
+    buildValidationReport(extraction, generation, outputType) {
+        const layers = {};
+        const issues = [];
+        const noteStructure = generation?.noteStructure || null;
+
+        const seenIds = new Map();
+        const add = issue => {
+            // Identical findings (e.g. a repeated sentence) get -2, -3... suffixes
+            const count = (seenIds.get(issue.id) || 0) + 1;
+            seenIds.set(issue.id, count);
+            if (count > 1) issue.id = `${issue.id}-${count}`;
+            issues.push(issue);
+        };
+
+        const collect = (layer, result) => {
+            const validation = result?.validation;
+            if (!validation) return;
+
+            (validation.errors || []).forEach(issue => add(this.normalizeIssue(layer, issue, 'error', noteStructure)));
+            (validation.warnings || []).forEach(issue => add(this.normalizeIssue(layer, issue, 'warning', noteStructure)));
+        };
+
+        const extractionResult = extraction?.validation;
+        const extractionRan = extractionResult && !extraction.skipped;
+
+        if (extractionRan) {
+            const details = extractionResult.detailedResults || {};
+            layers.grounding = { score: extractionResult.scores.grounding };
+            layers.completeness = { score: extractionResult.scores.completeness };
+            layers.consistency = { score: extractionResult.scores.consistency };
+            layers.confidence = {
+                score: null,
+                adjustments: details.calibration?.metadata?.adjustmentCount || 0
+            };
+
+            collect('schema', details.schema);
+            collect('grounding', details.grounding);
+            collect('completeness', details.completeness);
+            collect('consistency', details.consistency);
+            collect('confidence', details.calibration);
+        }
+
+        const generationResult = generation?.validation;
+        if (generationResult) {
+            const details = generationResult.detailedResults || {};
+            layers.fabrication = { score: generationResult.scores.fabrication };
+            layers.proportionality = { score: generationResult.scores.proportionality };
+            layers.medication = { score: generationResult.scores.medication };
+
+            collect('fabrication', details.fabrication);
+            collect('proportionality', details.proportionality);
+            collect('medication', details.medication);
+        }
+
+        const extractionScore = extractionRan ? extractionResult.overallScore : null;
+        const outputScore = generationResult ? generationResult.overallScore : null;
+
+        // Same weighting as aggregateCompleteValidation: 60% extraction + 40% output
+        let score;
+        if (extractionScore !== null && outputScore !== null) {
+            score = Math.round(extractionScore * 0.60 + outputScore * 0.40);
+        } else {
+            score = extractionScore ?? outputScore;
+        }
+
+        const errorCount = issues.filter(issue => issue.severity === 'error').length;
+
+        let status = 'EXCELLENT';
+        if (errorCount > 0) {
+            status = 'FAILED';
+        } else if (score < 70) {
+            status = 'POOR';
+        } else if (score < 85) {
+            status = 'ACCEPTABLE';
+        } else if (score < 95) {
+            status = 'GOOD';
+        }
+
+        return {
+            success: true,
+            valid: errorCount === 0,
+            score,
+            status,
+            outputType,
+            extractionScore,
+            outputScore,
+            layers,
+            issues,
+            sections: generationResult ? this.scoreSections(noteStructure, issues, generationResult.detailedResults?.fabrication) : [],
+            summary: {
+                errors: errorCount,
+                warnings: issues.length - errorCount,
+                totalIssues: issues.length
+            },
+            validatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Map a layer issue onto the report issue shape
+     * severity is 'error' | 'warning' for display; level keeps the layer's own severity.
+     * affectedText is the note text a resolution would replace (empty for extraction-only findings).
+     * Note statements are located in noteStructure (NoteSectionParser.parse()) by section and line.
+     */
+    normalizeIssue(layer, issue, severity, noteStructure = null) {
+        const location = {};
+        if (issue.field) location.field = issue.field;
+        if (issue.statement) location.statement = issue.statement;
+        if (Number.isInteger(issue.statementIndex)) location.statementIndex = issue.statementIndex;
+
+        const noteLocation = this.locateInNote(issue, noteStructure);
+        if (noteLocation) {
+            location.section = noteLocation.section;
+            location.sectionTitle = noteLocation.sectionTitle;
+            if (noteLocation.subsection) location.subsection = noteLocation.subsection;
+            location.line = noteLocation.line;
         }
+
+        const anchor = issue.statement || issue.field || issue.message || '';
+
+        return {
+            id: createIssueId(layer, issue.type, anchor),
+            layer,
+            type: issue.type,
+            severity,
+            level: issue.severity || (severity === 'error' ? 'HIGH' : 'WARNING'),
+            message: issue.message,
+            location: Object.keys(location).length > 0 ? location : null,
+            affectedText: issue.statement || '',
+            suggestion: issue.correction || null,
+            fixOptions: issue.fixOptions || []
+        };
+    }
+
+    /**
+     * Note location of an issue: its statement, or the note section it names
+     * (noteSection) when it has no statement
+     * @returns {Object|null} NoteSectionParser.locate() result
+     */
+    locateInNote(issue, noteStructure) {
+        if (!noteStructure) return null;
+
+        const located = issue.statement ? this.noteParser.locateText(noteStructure, issue.statement) : null;
+        if (located) return located;
+
+        const section = issue.noteSection ? this.noteParser.getSection(noteStructure, issue.noteSection) : null;
+        return section ? { section: section.id, sectionTitle: section.title, subsection: null, line: section.line } : null;
+    }
+
+    /**
+     * Per-section scores of a generated note: 100 - 20 per error - 5 per
+     * warning located in the section, with its fabrication rate
+     * @param {Object} noteStructure - NoteSectionParser.parse() result
+     * @param {Array} issues - Normalized report issues
+     * @param {Object} fabrication - Fabrication layer result (sectionRates)
+     * @returns {Array<{id, title, line, endLine, score, errors, warnings, statements, fabricationRate}>}
+     */
+    scoreSections(noteStructure, issues, fabrication) {
+        if (!noteStructure) return [];
+
+        const rates = fabrication?.validation?.sectionRates || [];
+
+        return noteStructure.sections.map(section => {
+            const sectionIssues = issues.filter(issue => issue.location?.section === section.id);
+            const errors = sectionIssues.filter(issue => issue.severity === 'error').length;
+            const warnings = sectionIssues.length - errors;
+            const rate = rates.find(entry => entry.section === section.id);
+
+            return {
+                id: section.id,
+                title: section.title,
+                line: section.line,
+                endLine: section.endLine,
+                score: Math.max(0, 100 - errors * 20 - warnings * 5),
+                errors,
+                warnings,
+                statements: rate?.statements ?? 0,
+                fabricationRate: rate?.rate ?? 0
+            };
+        });
+    }
+
+    /**
+     * Subscribe to progress events from validation runs
+     * Events: run-start, layer-start, layer-complete, run-complete, run-cancelled.
+     * Each carries {type, phase, layer, index, total, percent, score, elapsedMs, llmCalls};
+     * layer-complete adds layerElapsedMs and layerLlmCalls.
+     * @param {Function} listener - Called with each progress event
+     * @returns {Function} Unsubscribe function
+     */
+    onProgress(listener) {
+        this.progressListeners.add(listener);
+        return () => this.progressListeners.delete(listener);
+    }
+
+    /**
+     * Whether a top-level validation run is in progress
+     * @returns {boolean}
+     */
+    isRunning() {
+        return this.activeRun !== null;
+    }
+
+    /**
+     * Start a tracked run, or join the caller's run when nested
+     * One top-level run at a time: validators share the engine's tracked LLM client.
+     */
+    beginRun(layerCount, options = {}) {
+        if (options.progressRun) {
+            return options.progressRun;
+        }
+
+        if (this.activeRun) {
+            throw new Error('A validation run is already in progress');
+        }
+
+        if (options.signal?.aborted) {
+            throw new Error(VALIDATION_CANCELLED);
+        }
+
+        this.activeRun = {
+            total: layerCount,
+            completed: 0,
+            llmCalls: 0,
+            startedAt: Date.now(),
+            signal: options.signal || null,
+            onProgress: options.onProgress || null
+        };
+
+        this.emitProgress({ type: 'run-start' });
+        return this.activeRun;
+    }
+
+    /**
+     * Finish a top-level run and emit its final event
+     */
+    endRun(run) {
+        if (this.activeRun !== run) {
+            return;
+        }
+
+        const cancelled = Boolean(run.signal?.aborted);
+        this.emitProgress({
+            type: cancelled ? 'run-cancelled' : 'run-complete',
+            percent: cancelled ? this.getRunPercent(run) : 100
+        });
+
+        this.activeRun = null;
+    }
+
+    /**
+     * Run one layer with start/complete events and cancellation checks
+     * Layers swallow LLM errors, so an abort mid-call is caught by the check afterwards.
+     */
+    async runLayer(phase, layer, fn) {
+        const run = this.activeRun;
+        this.throwIfCancelled();
+
+        const startedAt = Date.now();
+        const llmCallsBefore = run?.llmCalls || 0;
+        this.emitProgress({ type: 'layer-start', phase, layer });
+
+        const result = await fn();
+        this.throwIfCancelled();
+
+        if (run) run.completed++;
+        this.emitProgress({
+            type: 'layer-complete',
+            phase,
+            layer,
+            score: this.getLayerScore(layer, result),
+            layerElapsedMs: Date.now() - startedAt,
+            layerLlmCalls: (run?.llmCalls || 0) - llmCallsBefore
+        });
+
+        return result;
+    }
+
+    /**
+     * Throw if the active run's signal has been aborted
+     */
+    throwIfCancelled() {
+        if (this.activeRun?.signal?.aborted) {
+            console.log('⏹ [Validation] Run cancelled');
+            throw new Error(VALIDATION_CANCELLED);
+        }
+    }
+
+    /**
+     * Notify subscribers and the run's onProgress callback
+     * Listener errors are logged, never allowed to break validation.
+     */
+    emitProgress(event) {
+        const run = this.activeRun;
+        if (!run) return;
+
+        const progress = {
+            phase: null,
+            layer: null,
+            score: null,
+            index: run.completed,
+            total: run.total,
+            percent: this.getRunPercent(run),
+            elapsedMs: Date.now() - run.startedAt,
+            llmCalls: run.llmCalls,
+            ...event
+        };
+
+        const listeners = run.onProgress
+            ? [...this.progressListeners, run.onProgress]
+            : [...this.progressListeners];
+
+        listeners.forEach(listener => {
+            try {
+                listener(progress);
+            } catch (error) {
+                console.error('❌ [Validation] Progress listener error:', error);
+            }
+        });
+    }
+
+    /**
+     * Percentage of the run's layers completed
+     */
+    getRunPercent(run) {
+        return run.total > 0 ? Math.round((run.completed / run.total) * 100) : 100;
+    }
+
+    /**
+     * Pull the 0-100 score out of a layer result (null for layers without one)
+     */
+    getLayerScore(layer, result) {
+        const validation = result?.validation;
+        if (!validation) return null;
+
+        switch (layer) {
+            case 'grounding':
+            case 'completeness':
+                return validation.scores?.overall ?? null;
+            case 'consistency':
+                return validation.consistencyScore ?? null;
+            case 'fabrication':
+                return validation.fabricationScore ?? null;
+            case 'proportionality':
+                return validation.proportionalityScore ?? null;
+            case 'medication':
+                return validation.medicationScore ?? null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Wrap the LLM client so the active run can count calls and abort them
+     */
+    createTrackedClient(apiClient) {
+        return {
+            generateContent: (prompt, config = {}) => {
+                const run = this.activeRun;
+                if (!run) {
+                    return apiClient.generateContent(prompt, config);
+                }
+
+                run.llmCalls++;
+                return apiClient.generateContent(prompt, run.signal ? { ...config, signal: run.signal } : config);
+            }
+        };
+    }
+
+    /**
+     * Check extractedData against the published extraction schema
+     * Unknown properties are warnings; type, range and metadata violations are errors.
+     */
+    validateSchema(extractedData) {
+        const result = validateExtractedData(extractedData);
+        const errors = [];
+        const warnings = [];
+
+        result.errors.forEach(violation => {
+            const issue = {
+                type: violation.keyword === 'additionalProperties' ? 'schema_unknown_field' : 'schema_violation',
+                field: violation.path,
+                keyword: violation.keyword,
+                message: `Schema: ${violation.path} - ${violation.message}`,
+                severity: violation.keyword === 'additionalProperties' ? 'WARNING' : 'HIGH'
+            };
+
+            if (issue.severity === 'WARNING') {
+                warnings.push(issue);
+            } else {
+                errors.push(issue);
+            }
+        });
+
+        return {
+            success: true,
+            validation: {
+                valid: errors.length === 0,
+                fieldCount: result.fieldCount,
+                errors,
+                warnings
+            }
+        };
     }
 
     /**
@@ -3565,6 +4623,11 @@ export class ValidationEngine {
         const allWarnings = [];
 
         // Collect errors and warnings
+        if (results.schema?.validation) {
+            allErrors.push(...(results.schema.validation.errors || []));
+            allWarnings.push(...(results.schema.validation.warnings || []));
+        }
+
         if (results.grounding?.validation) {
             allErrors.push(...(results.grounding.validation.errors || []));
             allWarnings.push(...(results.grounding.validation.warnings || []));
@@ -3646,13 +4709,20 @@ export class ValidationEngine {
             allWarnings.push(...(results.proportionality.validation.warnings || []));
         }
 
+        if (results.medication?.validation) {
+            allErrors.push(...(results.medication.validation.errors || []));
+            allWarnings.push(...(results.medication.validation.warnings || []));
+        }
+
         // Calculate overall score (weighted average)
         const fabricationScore = results.fabrication?.validation?.fabricationScore || 0;
         const proportionalityScore = results.proportionality?.validation?.proportionalityScore || 0;
+        const medicationScore = results.medication?.validation?.medicationScore || 0;
 
         const overallScore = Math.round(
-            fabricationScore * 0.60 +        // Fabrication is more critical (60%)
-            proportionalityScore * 0.40      // Proportionality (40%)
+            fabricationScore * 0.50 +        // Fabrication is most critical (50%)
+            proportionalityScore * 0.30 +    // Proportionality (30%)
+            medicationScore * 0.20           // Medication reconciliation (20%)
         );
 
         // Determine status
@@ -3674,7 +4744,8 @@ export class ValidationEngine {
             outputType: outputType,
             scores: {
                 fabrication: fabricationScore,
-                proportionality: proportionalityScore
+                proportionality: proportionalityScore,
+                medication: medicationScore
             },
             errors: allErrors,
             warnings: allWarnings,
@@ -3752,6 +4823,21 @@ export class ValidationEngine {
         };
     }
 
+    /**
+     * Map every sentence of a generated note to its transcript span(s)
+     * @param {string} generatedText - Generated note
+     * @param {string} originalText - Transcript
+     * @returns {object} - ProvenanceAligner.align() result: sentences with
+     *          note offsets, score and transcript spans {start, end, text, score}
+     */
+    alignProvenance(generatedText, originalText) {
+        if (!generatedText || !originalText) {
+            throw new Error('Both generated text and original text are required');
+        }
+
+        return this.provenanceAligner.align(generatedText, originalText);
+    }
+
     /**
      * Get individual validator instances (for direct access)
      */
@@ -3762,7 +4848,8 @@ export class ValidationEngine {
             completeness: this.completenessChecker,
             consistency: this.consistencyValidator,
             proportionality: this.proportionalityValidator,
-            calibration: this.confidenceCalibrator
+            calibration: this.confidenceCalibrator,
+            medication: this.medicationReconciler
         };
     }
 
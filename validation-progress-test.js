@@ -0,0 +1,95 @@
+/**
+ * ========================================================================
+ * NeuroScribe V11 - Validation Progress Regression Tests
+ * ========================================================================
+ *
+ * Run with: node --test validation-progress-test.js
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MockLLMClient } from './mock-llm-client.js';
+import { ValidationEngine } from './validation-engine.js';
+
+const TRANSCRIPT = '67-year-old man with neck pain. MRI shows C5-6 stenosis. Plan C5-6 ACDF.';
+const NOTE = '## HPI\n67-year-old man with neck pain.\n\n## PLAN\nC5-6 ACDF.';
+
+const createEngine = () => new ValidationEngine(new MockLLMClient(null, { defaultResponse: '{}' }));
+
+test('a run reports each layer and completes at 100 percent', async () => {
+    const engine = createEngine();
+    const events = [];
+    const unsubscribe = engine.onProgress(event => events.push(event));
+
+    const runs = [];
+    await engine.validate({
+        originalText: TRANSCRIPT,
+        generatedText: NOTE,
+        options: { onProgress: event => runs.push(event.type) }
+    });
+    unsubscribe();
+
+    const types = events.map(event => event.type);
+    assert.equal(types[0], 'run-start');
+    assert.equal(types.at(-1), 'run-complete');
+    assert.equal(events.at(-1).percent, 100);
+    assert.deepEqual(runs, types, 'the per-run callback sees the same events');
+
+    const starts = events.filter(event => event.type === 'layer-start');
+    const completes = events.filter(event => event.type === 'layer-complete');
+    assert.ok(starts.length > 0);
+    assert.deepEqual(completes.map(event => event.layer), starts.map(event => event.layer));
+    assert.equal(engine.isRunning(), false);
+});
+
+test('aborting the signal cancels the run between layers', async () => {
+    const engine = createEngine();
+    const controller = new AbortController();
+    const events = [];
+
+    await assert.rejects(engine.validate({
+        originalText: TRANSCRIPT,
+        generatedText: NOTE,
+        options: {
+            signal: controller.signal,
+            onProgress: event => {
+                events.push(event);
+                if (event.type === 'layer-complete') controller.abort();
+            }
+        }
+    }), { message: 'Validation cancelled' });
+
+    assert.equal(events.filter(event => event.type === 'layer-complete').length, 1);
+    assert.equal(events.at(-1).type, 'run-cancelled');
+    assert.ok(events.at(-1).percent < 100);
+    assert.equal(engine.isRunning(), false);
+});
+
+test('an already aborted signal never starts a run', async () => {
+    const engine = createEngine();
+    const controller = new AbortController();
+    controller.abort();
+
+    const events = [];
+    engine.onProgress(event => events.push(event));
+
+    await assert.rejects(engine.validate({
+        originalText: TRANSCRIPT,
+        generatedText: NOTE,
+        options: { signal: controller.signal }
+    }), { message: 'Validation cancelled' });
+    assert.deepEqual(events, []);
+});
+
+test('a second run is refused while one is active', async () => {
+    const engine = createEngine();
+    const first = engine.validate({ originalText: TRANSCRIPT, generatedText: NOTE });
+    assert.equal(engine.isRunning(), true);
+
+    await assert.rejects(engine.validate({ originalText: TRANSCRIPT, generatedText: NOTE }),
+        { message: 'A validation run is already in progress' });
+
+    await first;
+    assert.equal(engine.isRunning(), false);
+});